@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+# Pushes the live admin metrics (pipeline health and AI spend) to the dashboard
+# and data pipeline pages. Subscribers get a snapshot straight away and a fresh
+# one whenever a pipeline is started or stopped or an analysis cost is saved.
+class AdminDashboardChannel < ApplicationCable::Channel
+  STREAM = "admin_dashboard"
+
+  def subscribed
+    return reject unless current_user&.admin?
+
+    stream_from STREAM
+
+    metrics = self.class.build_metrics
+    transmit(metrics) if metrics
+  end
+
+  def self.broadcast_metrics(pipeline_controller: nil)
+    metrics = build_metrics(pipeline_controller: pipeline_controller)
+    ActionCable.server.broadcast(STREAM, metrics) if metrics
+  end
+
+  def self.build_metrics(pipeline_controller: nil)
+    options = pipeline_controller ? { pipeline_controller: pipeline_controller } : {}
+    result = AdminDashboard::Handlers::LiveMetricsHandler.new(**options).execute
+
+    { type: 'metrics', metrics: result.value } if result.success?
+  end
+end
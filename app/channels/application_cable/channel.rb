@@ -13,9 +13,8 @@ module ApplicationCable
     private
     
     def find_verified_user
-      # This will be implemented when authentication is set up
-      # For now, return nil
-      nil
+      # Identified on the connection (session or JWT), see ApplicationCable::Connection
+      connection.current_user
     end
   end
 end
\ No newline at end of file
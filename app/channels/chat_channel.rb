@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+class ChatChannel < ApplicationCable::Channel
+  def subscribed
+    # Ensure user is authenticated
+    return reject unless current_user
+    
+    conversation_id = params[:conversation_id]
+    return reject unless conversation_id.present?
+    
+    # Only the owner of the conversation may listen to its replies
+    @conversation = current_user.chat_conversations.find_by(id: conversation_id)
+    return reject unless @conversation
+    
+    stream_from "chat_conversation_#{@conversation.id}"
+    
+    Rails.logger.info("User #{current_user.id} subscribed to chat conversation #{@conversation.id}")
+  end
+
+  def unsubscribed
+    Rails.logger.info("User #{current_user&.id} unsubscribed from chat conversation #{@conversation&.id}")
+    
+    @conversation = nil
+  end
+end
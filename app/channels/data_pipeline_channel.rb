@@ -14,14 +14,17 @@ class DataPipelineChannel < ApplicationCable::Channel
     Rails.logger.info("Admin user #{current_user&.id} unsubscribed from data pipeline logs")
   end
   
-  # Class method to broadcast log messages
-  def self.broadcast_log(source, type, message, item = nil)
+  # Class method to broadcast log messages. Events carry a message key from
+  # the client-side catalog (pipeline.events.*) and its params rather than a
+  # finished sentence, so each admin sees the log in their own language.
+  def self.broadcast_log(source, type, key, params = {}, item = nil)
     ActionCable.server.broadcast(
       "data_pipeline_logs",
       {
         source: source,
         type: type,
-        message: message,
+        key: "pipeline.events.#{key}",
+        params: params,
         item: item,
         timestamp: Time.current.iso8601
       }
@@ -30,28 +33,30 @@ class DataPipelineChannel < ApplicationCable::Channel
   
   # Convenience methods for different log types
   def self.broadcast_collection_start(source)
-    broadcast_log(source, 'collection_start', "#{source} 데이터 수집 시작")
+    broadcast_log(source, 'collection_start', 'collection_start', { source: source })
   end
   
   def self.broadcast_collection_stop(source)
-    broadcast_log(source, 'collection_stop', "#{source} 데이터 수집 중지")
+    broadcast_log(source, 'collection_stop', 'collection_stop', { source: source })
   end
   
   def self.broadcast_item_collected(source, item)
     broadcast_log(
       source, 
       'item_collected', 
-      "새 게시물 수집됨", 
+      'item_collected',
+      {},
       format_item_for_broadcast(item)
     )
   end
   
   def self.broadcast_batch_complete(source, count)
-    broadcast_log(source, 'batch_complete', "#{count}개 항목의 배치 처리 완료")
+    broadcast_log(source, 'batch_complete', 'batch_complete', { count: count })
   end
   
+  # The error text comes from the failing service and is passed through as is
   def self.broadcast_error(source, error_message)
-    broadcast_log(source, 'error', error_message)
+    broadcast_log(source, 'error', 'error', { message: error_message })
   end
   
   private
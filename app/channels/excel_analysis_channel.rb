@@ -22,9 +22,7 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
     transmit({
       type: "status",
       status: excel_file.status,
-      analysis: excel_file.latest_analysis&.as_json(
-        except: [:raw_response, :internal_metadata]
-      ),
+      analysis: serialize_analysis(excel_file.latest_analysis),
       user_tokens: current_user.tokens,
       can_analyze: can_user_analyze?(excel_file)
     })
@@ -80,9 +78,7 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
     transmit({
       type: "analysis_status",
       status: @excel_file.status,
-      analysis: latest_analysis&.as_json(
-        except: [:raw_response, :internal_metadata]
-      ),
+      analysis: serialize_analysis(latest_analysis),
       progress: calculate_progress(@excel_file),
       estimated_completion: estimate_completion_time(@excel_file)
     })
@@ -90,6 +86,12 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
 
   private
 
+  def serialize_analysis(analysis)
+    return nil unless analysis
+    
+    ExcelAnalysis::Models::AnalysisResult.new(analysis).to_h
+  end
+
   def find_and_authorize_file(file_id)
     # Find file and ensure user owns it
     excel_file = current_user.excel_files.find_by(id: file_id)
@@ -125,7 +127,7 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
     return false if current_user.tokens < 10
     
     # Check if file is in a state that can be analyzed
-    return false unless excel_file.uploaded? || excel_file.analyzed?
+    return false unless excel_file.can_be_analyzed? || excel_file.analyzed?
     
     # Check if user's tier allows analysis
     return false unless user_tier_allows_analysis?
@@ -159,6 +161,7 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
     end
   end
 
+  # Seconds remaining, counted from when the file entered processing
   def estimate_completion_time(excel_file)
     return nil unless excel_file.processing?
     
@@ -166,8 +169,9 @@ class ExcelAnalysisChannel < ApplicationCable::Channel
     file_size_mb = excel_file.file_size / 1.megabyte
     base_time = 10 # seconds
     size_factor = [file_size_mb * 2, 60].min # Max 60 seconds additional
+    elapsed = (Time.current - excel_file.updated_at).to_i
     
-    base_time + size_factor
+    [base_time + size_factor - elapsed, 0].max
   end
 
   def reject_with_error(message)
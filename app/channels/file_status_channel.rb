@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+# Follows every file listed on the files index over one subscription. Each
+# file's excel_analysis stream is relayed as a compact status payload tagged
+# with its file_id, so the board never needs a subscription per file.
+class FileStatusChannel < ApplicationCable::Channel
+  MAX_FILES = 100
+
+  def subscribed
+    return reject unless current_user
+    
+    files = current_user.excel_files.where(id: Array(params[:file_ids]).first(MAX_FILES)).includes(:analyses)
+    return reject if files.empty?
+    
+    files.each do |excel_file|
+      stream_from "excel_analysis_#{excel_file.id}", coder: ActiveSupport::JSON do |message|
+        status = ExcelAnalysis::Models::FileStatus.from_broadcast(excel_file.id, message)
+        transmit(status) if status
+      end
+    end
+    
+    transmit({
+      type: 'snapshot',
+      files: files.map { |excel_file| ExcelAnalysis::Models::FileStatus.from_file(excel_file) }
+    })
+    
+    Rails.logger.info("User #{current_user.id} subscribed to status for #{files.size} files")
+  end
+end
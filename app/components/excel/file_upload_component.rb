@@ -45,8 +45,23 @@ class Excel::FileUploadComponent < ViewComponent::Base
       id: "file-upload",
       accept: allowed_types.join(","),
       class: "sr-only",
-      multiple: false,
-      disabled: !can_upload?
+      multiple: true,
+      disabled: !can_upload?,
+      data: { upload_target: "input", action: "upload#select" }
+    }
+  end
+
+  def upload_data_attributes
+    {
+      "data-upload-url-value" => helpers.api_v1_files_path,
+      "data-upload-chunk-url-value" => helpers.api_v1_uploads_path,
+      "data-upload-chunk-size-value" => ExcelUpload::Services::ChunkedUploadStore::CHUNK_SIZE,
+      "data-upload-max-size-value" => max_file_size,
+      "data-upload-accept-value" => allowed_types.join(","),
+      "data-upload-redirect-value" => helpers.excel_file_path("FILE_ID"),
+      "data-upload-redirect-multiple-value" => helpers.excel_files_path,
+      "data-upload-preflight-value" => true,
+      "data-upload-estimate-url-value" => helpers.estimate_api_v1_files_path
     }
   end
 end
\ No newline at end of file
@@ -0,0 +1,98 @@
+# frozen_string_literal: true
+
+# Ctrl/Cmd+K palette on every signed-in page. The commands are built here so
+# that admin ones never reach a non-admin's browser; files and conversations
+# are searched through their JSON endpoints as the user types.
+#
+# Each command runs one of:
+#   visit   - go to url
+#   submit  - POST a form to url and follow the redirect, as a button_to would
+#   request - POST to a JSON endpoint and report the message it returns
+#   theme   - toggle light/dark
+class Navigation::CommandPaletteComponent < ViewComponent::Base
+  def initialize(current_user:, current_path:)
+    @current_user = current_user
+    @current_path = current_path
+  end
+
+  private
+
+  attr_reader :current_user, :current_path
+
+  def palette_data
+    {
+      controller: 'command-palette',
+      command_palette_commands_value: commands.to_json,
+      command_palette_files_url_value: api_v1_files_path,
+      command_palette_conversations_url_value: chat_conversations_path(format: :json),
+      command_palette_user_value: current_user.id,
+      action: 'keydown@window->command-palette#handleShortcut click@document->command-palette#openFromTrigger'
+    }
+  end
+
+  def commands
+    navigation_commands + action_commands + (current_user.can_access_admin? ? admin_commands : [])
+  end
+
+  def navigation_commands
+    [
+      command('nav:dashboard', 'Dashboard', root_path, keywords: 'home'),
+      command('nav:files', 'Files', excel_files_path, keywords: 'excel workbooks'),
+      command('nav:upload', 'Upload a file', new_excel_file_path, keywords: 'new excel import'),
+      command('nav:chat', 'Chat', chat_conversations_path, keywords: 'conversations messages'),
+      command('nav:analytics', 'Analytics', analytics_path, keywords: 'usage charts'),
+      command('nav:profile', 'Profile', profile_path, keywords: 'account'),
+      command('nav:settings', 'Settings', settings_path, keywords: 'preferences appearance theme'),
+      command('nav:api-keys', 'API Keys', api_keys_path, keywords: 'tokens credentials'),
+      command('nav:billing', 'Billing', subscriptions_path, keywords: 'subscription payments plan')
+    ]
+  end
+
+  def action_commands
+    actions = [
+      { id: 'action:toggle-theme', title: 'Toggle theme', section: 'actions', run: 'theme', keywords: 'dark light mode' }
+    ]
+
+    if current_file&.can_be_analyzed?
+      actions.unshift(
+        command('action:analyze-file', "Analyze this file (#{current_file.original_name})", analyze_api_v1_file_path(current_file),
+                section: 'actions', run: 'request', keywords: 'run analysis errors')
+      )
+    end
+
+    actions
+  end
+
+  def admin_commands
+    [
+      command('admin:dashboard', 'Admin dashboard', admin_root_path),
+      command('admin:users', 'Users', admin_users_path),
+      command('admin:analyses', 'Analyses', admin_analyses_path),
+      command('admin:stats', 'Stats', admin_stats_path),
+      command('admin:ai-cache', 'AI Cache', admin_ai_cache_index_path),
+      command('admin:costs', 'AI Cost Monitoring', admin_ai_cost_monitoring_index_path, keywords: 'usage spend budget'),
+      command('admin:pipeline', 'Data Pipeline', admin_data_pipeline_index_path, keywords: 'collection sources'),
+      command('admin:knowledge-base', 'Knowledge Base', admin_knowledge_base_root_path),
+      command('admin:datasets', 'Knowledge Base Datasets', admin_knowledge_base_datasets_path, keywords: 'jsonl upload'),
+      command('admin:learning', 'Knowledge Base Learning', admin_knowledge_base_learning_index_path, keywords: 'training'),
+      command('admin:rag', 'RAG Dashboard', admin_knowledge_base_rag_root_path, keywords: 'search playground embeddings'),
+      command('admin:start-collection', 'Start pipeline collection', start_collection_admin_data_pipeline_index_path,
+              section: 'admin_actions', run: 'submit', keywords: 'data pipeline'),
+      command('admin:stop-collection', 'Stop pipeline collection', stop_collection_admin_data_pipeline_index_path,
+              section: 'admin_actions', run: 'submit', keywords: 'data pipeline')
+    ]
+  end
+
+  def command(id, title, url, section: nil, run: 'visit', keywords: nil)
+    section ||= id.start_with?('admin:') ? 'admin' : 'navigation'
+    { id: id, title: title, url: url, section: section, run: run, keywords: keywords }.compact
+  end
+
+  # The file being viewed, for "Analyze this file"
+  def current_file
+    return @current_file if defined?(@current_file)
+
+    file_id = current_path[%r{\A/excel_files/(\d+)}, 1]
+    @current_file = file_id && current_user.excel_files.find_by(id: file_id)
+  end
+end
@@ -76,21 +76,72 @@ class Navigation::SidebarComponent < ViewComponent::Base
         icon: 'activity',
         active: current_path.start_with?('/admin/analyses')
       },
-      {
-        name: 'AI Cache',
-        path: admin_ai_cache_index_path,
-        icon: 'database',
-        active: current_path.start_with?('/admin/ai_cache')
-      },
       {
         name: 'Stats',
         path: admin_stats_path,
         icon: 'trending-up',
         active: current_path.start_with?('/admin/stats')
-      }
+      },
+      submenu_group('AI', 'cpu', [
+        {
+          name: 'AI Cache',
+          path: admin_ai_cache_index_path,
+          icon: 'database',
+          active: current_path.start_with?('/admin/ai_cache')
+        },
+        {
+          name: 'Cost Monitoring',
+          path: admin_ai_cost_monitoring_index_path,
+          icon: 'credit-card',
+          active: current_path.start_with?('/admin/ai_cost_monitoring')
+        },
+        {
+          name: 'Data Pipeline',
+          path: admin_data_pipeline_index_path,
+          icon: 'activity',
+          active: current_path.start_with?('/admin/data_pipeline')
+        }
+      ]),
+      submenu_group('Knowledge Base', 'book-open', [
+        {
+          name: 'Overview',
+          path: admin_knowledge_base_root_path,
+          icon: 'layout-dashboard',
+          active: current_path == admin_knowledge_base_root_path
+        },
+        {
+          name: 'Datasets',
+          path: admin_knowledge_base_datasets_path,
+          icon: 'file-text',
+          active: current_path.start_with?('/admin/knowledge_base/datasets')
+        },
+        {
+          name: 'Learning',
+          path: admin_knowledge_base_learning_index_path,
+          icon: 'trending-up',
+          active: current_path.start_with?('/admin/knowledge_base/learning')
+        }
+      ])
     ]
   end
 
+  # A nested submenu, active when any of its items is
+  def submenu_group(name, icon, items)
+    { name: name, icon: icon, active: items.any? { |item| item[:active] }, submenu: items }
+  end
+
+  # Dropdown menus are positioned by the dropdown controller, which sets their
+  # top/left in viewport coordinates
+  def menu_classes
+    "hidden z-50 w-56 rounded-md bg-white dark:bg-gray-800 py-1 shadow-lg border border-gray-200 dark:border-gray-700 opacity-0"
+  end
+
+  def menu_item_classes(active = false)
+    base_classes = "group flex items-center gap-x-3 px-3 py-2 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 focus:bg-gray-100 dark:focus:bg-gray-700 focus:outline-none aria-disabled:opacity-50 aria-disabled:cursor-not-allowed"
+    state_classes = active ? "text-blue-600 dark:text-blue-400" : "text-gray-700 dark:text-gray-300"
+    "#{base_classes} #{state_classes}"
+  end
+
   def user_menu_items
     [
       {
@@ -147,6 +198,9 @@ class Navigation::SidebarComponent < ViewComponent::Base
       'key' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"/></svg>',
       'menu' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"/></svg>',
       'x' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>',
+      'chevron-right' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>',
+      'cpu' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z"/></svg>',
+      'book-open' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"/></svg>',
       'chevron-down' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>',
       'log-out' => '<svg class="' + classes + '" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1"/></svg>'
     }
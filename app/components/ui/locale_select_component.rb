@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+# Interface language picker. Names are written in their own language so they
+# stay recognisable whichever one is active. Signed-in users save the choice
+# to their profile; guests keep it in a cookie.
+class Ui::LocaleSelectComponent < ViewComponent::Base
+  LANGUAGE_NAMES = {
+    "en" => "English",
+    "ko" => "한국어"
+  }.freeze
+
+  def initialize(size: :md)
+    @size = size
+  end
+
+  private
+
+  attr_reader :size
+
+  def options
+    User::LOCALES.map { |locale| [LANGUAGE_NAMES.fetch(locale, locale), locale] }
+  end
+
+  def save_url
+    helpers.api_v1_locale_path if helpers.user_signed_in?
+  end
+
+  def select_classes
+    base_classes = "rounded-md border-gray-300 bg-white text-gray-700 focus:border-blue-500 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200"
+
+    size_classes = case size
+    when :sm
+      "py-1 pl-2 pr-7 text-xs"
+    else # :md
+      "py-1.5 pl-3 pr-8 text-sm"
+    end
+
+    "#{base_classes} #{size_classes}"
+  end
+end
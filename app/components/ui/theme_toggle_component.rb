@@ -1,6 +1,27 @@
 # frozen_string_literal: true
 
+# Light / dark / system switch. Every instance is a view onto the same
+# preference, held by the theme controller on <html>, so toggles in the header,
+# sidebar and settings stay in step.
 class Ui::ThemeToggleComponent < ViewComponent::Base
+  OPTIONS = [
+    {
+      value: "light",
+      label: "Light",
+      icon: "M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z"
+    },
+    {
+      value: "dark",
+      label: "Dark",
+      icon: "M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z"
+    },
+    {
+      value: "system",
+      label: "System",
+      icon: "M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+    }
+  ].freeze
+
   def initialize(size: :md, show_label: true, position: :right)
     @size = size
     @show_label = show_label
@@ -11,31 +32,21 @@ class Ui::ThemeToggleComponent < ViewComponent::Base
 
   attr_reader :size, :show_label, :position
 
-  def toggle_classes
-    base_classes = "relative inline-flex items-center rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-gray-900"
-    
-    size_classes = case size
-    when :sm
-      "h-5 w-9"
-    when :lg
-      "h-7 w-12"
-    else # :md
-      "h-6 w-11"
-    end
-
-    "#{base_classes} #{size_classes}"
+  def group_classes
+    "inline-flex items-center gap-0.5 rounded-full bg-gray-100 p-0.5 dark:bg-gray-700"
   end
 
-  def switch_classes
-    base_classes = "pointer-events-none inline-block transform rounded-full bg-white shadow-lg ring-0 transition duration-200 ease-in-out"
-    
+  # The theme controller swaps the selected/unselected colors in on connect
+  def option_classes
+    base_classes = "inline-flex items-center justify-center rounded-full transition-colors duration-200 ease-in-out focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 text-gray-500 dark:text-gray-400"
+
     size_classes = case size
     when :sm
-      "h-4 w-4"
-    when :lg
       "h-6 w-6"
+    when :lg
+      "h-9 w-9"
     else # :md
-      "h-5 w-5"
+      "h-7 w-7"
     end
 
     "#{base_classes} #{size_classes}"
@@ -44,11 +55,11 @@ class Ui::ThemeToggleComponent < ViewComponent::Base
   def icon_classes
     case size
     when :sm
-      "h-3 w-3"
+      "h-3.5 w-3.5"
     when :lg
-      "h-4 w-4"
+      "h-5 w-5"
     else # :md
-      "h-3.5 w-3.5"
+      "h-4 w-4"
     end
   end
 
@@ -68,4 +79,4 @@ class Ui::ThemeToggleComponent < ViewComponent::Base
     direction_class = position == :left ? 'flex-row' : 'flex-row-reverse'
     "#{base_classes} #{direction_class}"
   end
-end
\ No newline at end of file
+end
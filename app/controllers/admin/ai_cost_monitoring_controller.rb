@@ -26,12 +26,18 @@ class Admin::AiCostMonitoringController < ApplicationController
     render json: get_api_usage_data
   end
   
+  # Spend per provider and tier for the chart's date range (?from=&to=)
   def model_comparison
-    render json: get_model_comparison_data
+    render_cost_analytics do |data, ledger|
+      data.merge(models: ledger.models)
+    end
   end
   
+  # Daily spend rows by feature, provider and tier for ?from=&to=
   def cost_breakdown
-    render json: get_cost_breakdown_data
+    render_cost_analytics do |data, ledger|
+      data.merge(total_cost: ledger.total_cost, rows: ledger.rows)
+    end
   end
   
   private
@@ -40,6 +46,20 @@ class Admin::AiCostMonitoringController < ApplicationController
     redirect_to login_path unless current_user&.admin?
   end
   
+  def render_cost_analytics
+    result = AiCostMonitoring::Handlers::CostAnalyticsHandler.new(
+      from: params[:from],
+      to: params[:to]
+    ).execute
+    
+    if result.success?
+      ledger = result.value[:ledger]
+      render json: yield(result.value.except(:ledger), ledger)
+    else
+      render json: result.error.to_h, status: :unprocessable_entity
+    end
+  end
+  
   def default_cost_data
     {
       overview: {
@@ -131,103 +151,4 @@ class Admin::AiCostMonitoringController < ApplicationController
     # Mock error rate as percentage
     rand(0.1..2.5).round(2)
   end
-  
-  def get_model_comparison_data
-    models = [
-      'claude-3-haiku-20240307',
-      'claude-3-sonnet-20240229',
-      'claude-3-opus-20240229',
-      'gpt-4o-mini',
-      'gpt-4o'
-    ]
-    
-    comparison_data = models.map do |model|
-      {
-        model: model,
-        cost_per_1k_tokens: get_model_cost_per_1k_tokens(model),
-        avg_response_time: rand(500..2000),
-        quality_score: rand(7.5..9.5).round(2),
-        usage_count: rand(10..500)
-      }
-    end
-    
-    {
-      models: comparison_data,
-      recommendations: get_model_recommendations(comparison_data)
-    }
-  end
-  
-  def get_model_cost_per_1k_tokens(model)
-    # Actual pricing data (approximate)
-    case model
-    when 'claude-3-haiku-20240307'
-      0.0025
-    when 'claude-3-sonnet-20240229'
-      0.015
-    when 'claude-3-opus-20240229'
-      0.075
-    when 'gpt-4o-mini'
-      0.0015
-    when 'gpt-4o'
-      0.030
-    else
-      0.010
-    end
-  end
-  
-  def get_model_recommendations(comparison_data)
-    [
-      {
-        type: 'cost_efficient',
-        model: comparison_data.min_by { |m| m[:cost_per_1k_tokens] }[:model],
-        reason: '가장 비용 효율적인 모델입니다.'
-      },
-      {
-        type: 'best_quality',
-        model: comparison_data.max_by { |m| m[:quality_score] }[:model],
-        reason: '가장 높은 품질의 응답을 제공합니다.'
-      },
-      {
-        type: 'balanced',
-        model: comparison_data.max_by { |m| m[:quality_score] / m[:cost_per_1k_tokens] }[:model],
-        reason: '품질과 비용의 균형이 가장 좋습니다.'
-      }
-    ]
-  end
-  
-  def get_cost_breakdown_data
-    {
-      by_feature: {
-        'Excel 분석' => rand(40..60),
-        'AI 채팅' => rand(20..35),
-        'RAG 검색' => rand(10..25),
-        '기타' => rand(5..15)
-      },
-      by_user_tier: {
-        'Free' => rand(10..20),
-        'Pro' => rand(50..70),
-        'Enterprise' => rand(20..40)
-      },
-      by_time_of_day: generate_hourly_usage_data
-    }
-  end
-  
-  def generate_hourly_usage_data
-    hourly_data = {}
-    
-    24.times do |hour|
-      # Simulate higher usage during business hours
-      multiplier = if hour.between?(9, 17)
-        rand(0.8..1.2)
-      elsif hour.between?(18, 22)
-        rand(0.4..0.8)
-      else
-        rand(0.1..0.4)
-      end
-      
-      hourly_data[hour.to_s.rjust(2, '0')] = (rand(10..50) * multiplier).round(2)
-    end
-    
-    hourly_data
-  end
-end
\ No newline at end of file
+end
@@ -11,6 +11,19 @@ module Admin
       @recent_users = User.recent.limit(5)
       @recent_files = ExcelFile.recent.limit(5)
       @recent_analyses = Analysis.recent.limit(5)
+      @metrics = live_metrics
+    end
+    
+    # Same snapshot AdminDashboardChannel pushes; polled when the socket is down
+    def metrics
+      render json: live_metrics
+    end
+    
+    private
+    
+    def live_metrics
+      result = AdminDashboard::Handlers::LiveMetricsHandler.new.execute
+      result.success? ? result.value : {}
     end
   end
 end
\ No newline at end of file
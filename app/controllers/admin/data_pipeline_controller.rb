@@ -15,6 +15,7 @@ class Admin::DataPipelineController < ApplicationController
     
     begin
       @pipeline_controller.start_collection(sources)
+      AdminDashboardChannel.broadcast_metrics(pipeline_controller: @pipeline_controller)
       
       flash[:notice] = "데이터 수집이 시작되었습니다: #{sources.join(', ')}"
       redirect_to admin_data_pipeline_index_path
@@ -30,6 +31,7 @@ class Admin::DataPipelineController < ApplicationController
     
     begin
       @pipeline_controller.stop_collection(sources)
+      AdminDashboardChannel.broadcast_metrics(pipeline_controller: @pipeline_controller)
       
       flash[:notice] = "데이터 수집이 중지되었습니다: #{sources.join(', ')}"
       redirect_to admin_data_pipeline_index_path
@@ -42,6 +44,7 @@ class Admin::DataPipelineController < ApplicationController
   def restart_failed
     begin
       @pipeline_controller.restart_failed_sources
+      AdminDashboardChannel.broadcast_metrics(pipeline_controller: @pipeline_controller)
       
       flash[:notice] = "실패한 데이터 소스의 재시작을 시도했습니다."
       redirect_to admin_data_pipeline_index_path
@@ -14,22 +14,14 @@ module Admin
       end
       
       def create
-        # Handle file upload and processing
-        file = params[:file]
+        # Handle file upload and processing (multipart file or completed chunked upload)
+        upload_store = ExcelUpload::Services::ChunkedUploadStore.new(current_user)
         
-        if file.blank?
-          render json: { error: '파일을 선택해주세요' }, status: :bad_request
-          return
+        if params[:upload_id].present?
+          upload_store.with_uploaded_file(params[:upload_id]) { |file| create_dataset(file, upload_store) }
+        else
+          create_dataset(params[:file], upload_store)
         end
-        
-        # In production, would process the uploaded file
-        dataset_id = SecureRandom.uuid
-        
-        render json: {
-          success: true,
-          dataset_id: dataset_id,
-          message: '데이터셋 업로드가 시작되었습니다'
-        }
       end
       
       def show
@@ -69,6 +61,28 @@ module Admin
       
       private
       
+      def create_dataset(file, upload_store)
+        if file.blank?
+          render json: { error: '파일을 선택해주세요', code: 'FILE_REQUIRED' }, status: :bad_request
+          return
+        end
+        
+        unless %w[.jsonl .json].include?(File.extname(file.original_filename).downcase)
+          render json: { error: 'JSONL 또는 JSON 파일만 업로드할 수 있습니다', code: 'INVALID_FILE_TYPE' }, status: :unprocessable_entity
+          return
+        end
+        
+        # In production, would process the uploaded file
+        dataset_id = SecureRandom.uuid
+        upload_store.discard(params[:upload_id]) if params[:upload_id].present?
+        
+        render json: {
+          success: true,
+          dataset_id: dataset_id,
+          message: '데이터셋 업로드가 시작되었습니다'
+        }
+      end
+      
       def fetch_datasets
         # Mock data - in production, would query actual datasets
         [
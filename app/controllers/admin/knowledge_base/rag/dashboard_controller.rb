@@ -34,22 +34,6 @@ module Admin
           }
         end
         
-        def test_search
-          query = params[:query]
-          
-          if query.blank?
-            render json: { error: '검색 쿼리가 필요합니다' }, status: :bad_request
-            return
-          end
-          
-          results = perform_rag_search_test(query)
-          
-          render json: {
-            success: true,
-            results: results
-          }
-        end
-        
         private
         
         def fetch_rag_stats
@@ -154,74 +138,6 @@ module Admin
             }
           ]
         end
-        
-        def perform_rag_search_test(query)
-          # Simulate RAG search test
-          start_time = Time.current
-          
-          # Mock search results
-          documents = [
-            {
-              id: 'doc_001',
-              similarity: 0.94,
-              question: 'VLOOKUP 함수에서 #N/A 오류가 발생합니다',
-              answer: 'VLOOKUP #N/A 오류는 여러 원인으로 발생할 수 있습니다...',
-              category: '함수오류',
-              source: 'stackoverflow'
-            },
-            {
-              id: 'doc_002',
-              similarity: 0.89, 
-              question: 'VLOOKUP 대신 사용할 수 있는 다른 함수는?',
-              answer: 'VLOOKUP 대신 INDEX와 MATCH 함수를 조합하여 사용할 수 있습니다...',
-              category: '함수대안',
-              source: 'reddit'
-            }
-          ]
-          
-          generated_answer = generate_mock_answer(query, documents)
-          quality_metrics = evaluate_search_quality(query, documents, generated_answer)
-          
-          total_time = ((Time.current - start_time) * 1000).round
-          
-          {
-            query: query,
-            documents: documents,
-            generated_answer: generated_answer,
-            metrics: {
-              query_embedding_time: 120,
-              search_time: 35,
-              context_building_time: 15,
-              generation_time: 890,
-              total_time: total_time,
-              documents_retrieved: documents.length
-            },
-            quality_metrics: quality_metrics,
-            timestamp: Time.current.iso8601
-          }
-        end
-        
-        def generate_mock_answer(query, documents)
-          if query.include?('VLOOKUP') && query.include?('오류')
-            "VLOOKUP 함수 오류 해결을 위한 단계별 가이드:\n\n1. **데이터 형식 확인**: 검색값과 테이블의 데이터 형식이 일치하는지 확인하세요.\n2. **정확한 일치 설정**: 네 번째 인수를 FALSE로 설정하여 정확한 일치를 사용하세요.\n3. **오류 처리**: =IFERROR(VLOOKUP(...), \"찾을 수 없음\") 형식으로 오류를 처리하세요."
-          else
-            "질문에 대한 답변을 검색된 정보를 바탕으로 생성했습니다. 더 구체적인 도움이 필요하시면 상세한 상황을 알려주시기 바랍니다."
-          end
-        end
-        
-        def evaluate_search_quality(query, documents, answer)
-          avg_similarity = documents.sum { |doc| doc[:similarity] } / documents.length
-          relevance_score = (avg_similarity * 100).round(1)
-          
-          {
-            relevance_score: relevance_score,
-            answer_quality: 85.4,
-            diversity_score: 78.9,
-            completeness_score: 82.1,
-            overall_score: 83.1,
-            recommendations: ["전반적인 성능이 우수합니다"]
-          }
-        end
       end
     end
   end
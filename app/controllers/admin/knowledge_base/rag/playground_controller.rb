@@ -0,0 +1,169 @@
+# frozen_string_literal: true
+
+module Admin
+  module KnowledgeBase
+    module Rag
+      # JSON endpoints behind the search playground tab of the RAG dashboard:
+      # side-by-side runs, the saved regression set and its metric history.
+      class PlaygroundController < ApplicationController
+        before_action :require_admin!
+
+        HISTORY_BATCHES = 30
+        RECENT_RUNS = 20
+
+        def search
+          result = AiIntegration::Handlers::RagPlaygroundHandler.new(
+            user: current_user,
+            query: params[:query],
+            configurations: configurations_param,
+            generate: params[:generate]
+          ).execute
+
+          if result.success?
+            render json: { success: true, **result.value }
+          else
+            render json: result.error.to_h, status: :unprocessable_entity
+          end
+        end
+
+        def queries
+          render json: {
+            success: true,
+            queries: RagPlaygroundQuery.recent.map { |saved| serialize_query(saved) }
+          }
+        end
+
+        def save_query
+          saved = current_user.rag_playground_queries.build(
+            query: params[:query].to_s.strip,
+            configurations: configurations_param.map { |settings| normalize(settings) }
+          )
+
+          if saved.save
+            render json: { success: true, query: serialize_query(saved) }, status: :created
+          else
+            render json: {
+              error: 'Could not save the query',
+              code: 'INVALID_QUERY',
+              details: { errors: saved.errors.full_messages }
+            }, status: :unprocessable_entity
+          end
+        end
+
+        def destroy_query
+          RagPlaygroundQuery.find(params[:id]).destroy!
+
+          render json: { success: true }
+        rescue ActiveRecord::RecordNotFound
+          render json: { error: 'Saved query not found', code: 'QUERY_NOT_FOUND' }, status: :not_found
+        end
+
+        # Reruns every saved query under its saved configurations as one batch
+        def run_regression
+          saved_queries = RagPlaygroundQuery.recent.to_a
+
+          if saved_queries.empty?
+            render json: { error: 'The regression set has no saved queries', code: 'EMPTY_REGRESSION_SET' },
+                   status: :unprocessable_entity
+            return
+          end
+
+          batch_id = SecureRandom.uuid
+          runner = AiIntegration::RagSystem::PlaygroundRunner.new(user: current_user)
+          generate = ActiveModel::Type::Boolean.new.cast(params[:generate]) || false
+
+          results = saved_queries.map do |saved|
+            {
+              query_id: saved.id,
+              query: saved.query,
+              runs: saved.configurations.map do |settings|
+                runner.run(saved.query, settings, generate: generate, saved_query: saved, batch_id: batch_id)
+                      .slice(:settings, :metrics, :error)
+              end
+            }
+          end
+
+          render json: { success: true, batch: batch_summary(batch_id), results: results }
+        end
+
+        def history
+          batch_ids = RagPlaygroundRun.regression
+                                      .group(:batch_id)
+                                      .order(Arel.sql('MIN(created_at) DESC'))
+                                      .limit(HISTORY_BATCHES)
+                                      .pluck(:batch_id)
+
+          render json: {
+            success: true,
+            batches: batch_summaries(batch_ids).sort_by { |batch| batch[:started_at] },
+            recent_runs: RagPlaygroundRun.where(batch_id: nil).recent.limit(RECENT_RUNS).map { |run| serialize_run(run) }
+          }
+        end
+
+        private
+
+        def configurations_param
+          params.permit(configurations: [:top_k, :similarity_threshold, :index]).fetch(:configurations, [])
+        end
+
+        def normalize(settings)
+          AiIntegration::RagSystem::PlaygroundRunner.normalize_settings(settings)
+        end
+
+        def batch_summary(batch_id)
+          batch_summaries([batch_id]).first
+        end
+
+        # Averages per rerun so the history shows whether a change helped
+        def batch_summaries(batch_ids)
+          RagPlaygroundRun.where(batch_id: batch_ids)
+                          .group(:batch_id)
+                          .pluck(
+                            :batch_id,
+                            Arel.sql('MIN(created_at)'),
+                            Arel.sql('COUNT(*)'),
+                            Arel.sql('COUNT(error)'),
+                            Arel.sql('AVG(search_time_ms)'),
+                            Arel.sql('AVG(generation_time_ms)'),
+                            Arel.sql('AVG(documents_retrieved)'),
+                            Arel.sql('AVG(avg_similarity)')
+                          ).map do |batch_id, started_at, runs, failures, search, generation, documents, similarity|
+                            {
+                              batch_id: batch_id,
+                              started_at: started_at.iso8601,
+                              runs: runs,
+                              failures: failures,
+                              avg_search_time_ms: search&.to_f&.round(1),
+                              avg_generation_time_ms: generation&.to_f&.round(1),
+                              avg_documents_retrieved: documents&.to_f&.round(2),
+                              avg_similarity: similarity&.to_f&.round(4)
+                            }
+                          end
+        end
+
+        def serialize_query(saved)
+          {
+            id: saved.id,
+            query: saved.query,
+            configurations: saved.configurations,
+            created_at: saved.created_at.iso8601
+          }
+        end
+
+        def serialize_run(run)
+          {
+            id: run.id,
+            query: run.query,
+            settings: run.settings,
+            search_time_ms: run.search_time_ms,
+            generation_time_ms: run.generation_time_ms,
+            documents_retrieved: run.documents_retrieved,
+            avg_similarity: run.avg_similarity&.to_f,
+            error: run.error,
+            created_at: run.created_at.iso8601
+          }
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    class AnalysesController < Api::V1::BaseController
+      before_action :authenticate_user!
+
+      def index
+        analyses = current_user.analyses.includes(:excel_file)
+                               .recent
+                               .page(params[:page])
+                               .per(20)
+
+        render json: {
+          analyses: analyses.map { |analysis| serialize_analysis(analysis) },
+          pagination: {
+            current_page: analyses.current_page,
+            total_pages: analyses.total_pages,
+            total_count: analyses.total_count
+          }
+        }
+      end
+
+      def show
+        analysis = current_user.analyses.includes(:excel_file).find(params[:id])
+
+        render json: {
+          analysis: serialize_analysis(analysis).merge(ExcelAnalysis::Models::AnalysisResult.new(analysis).to_h)
+        }
+      end
+
+      private
+
+      def serialize_analysis(analysis)
+        {
+          id: analysis.id,
+          status: analysis.status,
+          file: {
+            id: analysis.excel_file_id,
+            original_name: analysis.excel_file.original_name
+          },
+          error_count: analysis.error_count,
+          tier_name: analysis.tier_name,
+          tokens_used: analysis.tokens_used,
+          created_at: analysis.created_at
+        }
+      end
+    end
+  end
+end
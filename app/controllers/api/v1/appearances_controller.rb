@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # The current user's theme, contrast and accent color, saved from the
+    # theme controller so the choice follows them to other devices
+    class AppearancesController < Api::V1::BaseController
+      before_action :authenticate_user!
+
+      def show
+        render json: current_user.appearance
+      end
+
+      def update
+        if current_user.update(appearance_params)
+          render json: current_user.appearance
+        else
+          render json: { error: current_user.errors.full_messages.join(', ') }, status: :unprocessable_entity
+        end
+      end
+
+      private
+
+      def appearance_params
+        params.require(:appearance).permit(:theme, :high_contrast, :accent_color)
+      end
+    end
+  end
+end
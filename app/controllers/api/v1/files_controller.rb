@@ -4,13 +4,14 @@ module Api
   module V1
     class FilesController < Api::V1::BaseController
       before_action :authenticate_user!
-      before_action :find_file, only: [:show, :destroy, :cancel, :download]
+      before_action :find_file, only: [:show, :destroy, :analyze, :cancel, :download]
 
       def index
         files = current_user.excel_files.includes(:analyses)
                            .order(created_at: :desc)
                            .page(params[:page])
                            .per(10)
+        files = files.fuzzy_search(params[:q]) if params[:q].present?
 
         render json: {
           files: files.map { |file| serialize_file(file) },
@@ -28,13 +29,18 @@ module Api
         }
       end
 
+      # Accepts either a multipart file or the id of a completed chunked upload.
+      # A chunked upload is kept when processing fails so the client can retry
+      # without sending it again.
       def create
-        handler = ExcelUpload::Handlers::ProcessUploadHandler.new(
-          file: params[:file],
-          user: current_user
-        )
+        result =
+          if params[:upload_id].present?
+            upload_store.with_uploaded_file(params[:upload_id]) { |file| process_upload(file) }
+          else
+            process_upload(params[:file])
+          end
 
-        result = handler.execute
+        upload_store.discard(params[:upload_id]) if params[:upload_id].present? && result.success?
 
         if result.success?
           render json: {
@@ -44,11 +50,51 @@ module Api
         else
           render json: {
             error: result.error.message,
+            code: result.error.code,
+            details: result.error.details
+          }, status: :unprocessable_entity
+        end
+      end
+
+      # Token cost and AI tier for a workbook the browser has inspected but not uploaded
+      def estimate
+        handler = ExcelUpload::Handlers::EstimateAnalysisHandler.new(
+          user: current_user,
+          stats: params.permit(*ExcelUpload::Handlers::EstimateAnalysisHandler::STAT_KEYS)
+        )
+
+        result = handler.execute
+
+        if result.success?
+          render json: result.value
+        else
+          render json: {
+            error: result.error.details[:errors].join(', '),
             code: result.error.code
           }, status: :unprocessable_entity
         end
       end
 
+      # Queued the same way as a bulk analyze from the files index
+      def analyze
+        result = ExcelAnalysis::Handlers::BulkFileActionHandler.new(
+          user: current_user,
+          file_ids: [@file.id],
+          operation: 'analyze'
+        ).execute
+        outcome = result.value[:results].first
+
+        if outcome[:success]
+          render json: {
+            file_id: @file.id,
+            status: outcome[:status],
+            message: outcome[:message]
+          }, status: :accepted
+        else
+          render json: { error: outcome[:message], status: outcome[:status] }, status: :unprocessable_entity
+        end
+      end
+
       def destroy
         if @file.destroy
           render json: { message: 'File deleted successfully' }
@@ -68,12 +114,16 @@ module Api
         if result.success?
           render json: {
             success: true,
-            message: result.value[:message]
+            message: result.value[:message],
+            status: result.value[:status],
+            tokens_refunded: result.value[:tokens_refunded],
+            tokens_remaining: result.value[:tokens_remaining]
           }
         else
           render json: {
             success: false,
-            message: result.error.message
+            message: result.error.message,
+            code: result.error.code
           }, status: :unprocessable_entity
         end
       end
@@ -90,6 +140,14 @@ module Api
 
       private
 
+      def upload_store
+        @upload_store ||= ExcelUpload::Services::ChunkedUploadStore.new(current_user)
+      end
+
+      def process_upload(file)
+        ExcelUpload::Handlers::ProcessUploadHandler.new(file: file, user: current_user).execute
+      end
+
       def find_file
         @file = current_user.excel_files.find(params[:id])
       rescue ActiveRecord::RecordNotFound
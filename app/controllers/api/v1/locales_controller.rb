@@ -0,0 +1,22 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # The current user's interface language, saved from the locale switcher
+    class LocalesController < Api::V1::BaseController
+      before_action :authenticate_user!
+
+      def show
+        render json: { locale: current_user.locale, available: User::LOCALES }
+      end
+
+      def update
+        if current_user.update(locale: params.require(:locale))
+          render json: { locale: current_user.locale, available: User::LOCALES }
+        else
+          render json: { error: current_user.errors.full_messages.join(', ') }, status: :unprocessable_entity
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,96 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Devices that receive Web Push notifications for the current user
+    class PushSubscriptionsController < Api::V1::BaseController
+      before_action :authenticate_user!, except: :rotate
+      before_action :find_subscription, only: [:destroy, :test]
+      skip_forgery_protection only: :rotate
+
+      def index
+        render json: {
+          enabled: Notifications::Services::WebPushClient.enabled?,
+          public_key: Notifications::Services::WebPushClient.public_key,
+          devices: current_user.push_subscriptions.recent.map { |subscription| serialize(subscription) }
+        }
+      end
+
+      def create
+        handler = Notifications::Handlers::RegisterPushSubscriptionHandler.new(
+          user: current_user,
+          subscription: params.require(:subscription).permit(:endpoint, keys: [:p256dh, :auth]),
+          user_agent: request.user_agent
+        )
+
+        result = handler.execute
+
+        if result.success?
+          render json: result.value, status: :created
+        else
+          render json: { error: result.error.details[:errors].join(', ') }, status: :unprocessable_entity
+        end
+      end
+
+      # Called by the service worker when the browser rotates a subscription;
+      # authorized by the old subscription's auth secret rather than a session
+      def rotate
+        handler = Notifications::Handlers::RotatePushSubscriptionHandler.new(
+          previous: params.require(:previous).permit(:endpoint, :auth),
+          subscription: params.require(:subscription).permit(:endpoint, keys: [:p256dh, :auth]),
+          user_agent: request.user_agent
+        )
+
+        result = handler.execute
+
+        if result.success?
+          render json: result.value, status: :created
+        elsif result.error.is_a?(Common::Errors::AuthorizationError)
+          render json: { error: result.error.message }, status: :forbidden
+        else
+          render json: { error: result.error.details[:errors].join(', ') }, status: :unprocessable_entity
+        end
+      end
+
+      def destroy
+        @subscription.destroy
+        head :no_content
+      end
+
+      # Sends a notification to this one device so users can check it works
+      def test
+        unless Notifications::Services::WebPushClient.enabled?
+          render json: { error: 'Push notifications are not configured' }, status: :service_unavailable
+          return
+        end
+
+        message = Notifications::Models::PushMessage.new(
+          title: 'Notifications are on',
+          body: 'You will be notified here when analyses and chat replies finish.',
+          path: settings_path,
+          tag: 'push_test'
+        )
+
+        result = Notifications::Services::WebPushClient.new.deliver(@subscription, message.to_h)
+
+        if result.success?
+          @subscription.touch_last_used!
+          render json: serialize(@subscription)
+        else
+          @subscription.destroy if result.error.code == 'SUBSCRIPTION_EXPIRED'
+          render json: { error: result.error.message, code: result.error.code }, status: :bad_gateway
+        end
+      end
+
+      private
+
+      def find_subscription
+        @subscription = current_user.push_subscriptions.find(params[:id])
+      end
+
+      def serialize(subscription)
+        Notifications::Handlers::RegisterPushSubscriptionHandler.serialize(subscription)
+      end
+    end
+  end
+end
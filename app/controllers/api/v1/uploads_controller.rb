@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    # Chunked, resumable transport for large files. Completed uploads are
+    # passed to FilesController#create (or the dataset upload) by upload_id.
+    class UploadsController < Api::V1::BaseController
+      before_action :authenticate_user!
+      before_action :find_upload, only: [:show, :update]
+
+      def create
+        result = store.create(
+          filename: params.require(:filename),
+          size: params.require(:size),
+          content_type: params[:content_type]
+        )
+
+        if result.success?
+          render json: result.value, status: :created
+        else
+          render json: {
+            error: result.error.message,
+            code: result.error.code,
+            details: result.error.details
+          }, status: :unprocessable_entity
+        end
+      end
+
+      def show
+        render json: @upload
+      end
+
+      # Body is the raw chunk; Upload-Offset says where it starts
+      def update
+        offset = request.headers['Upload-Offset']
+
+        if offset.blank?
+          render json: { error: 'Upload-Offset header is required' }, status: :bad_request
+          return
+        end
+
+        render json: store.append(params[:id], offset, request.body)
+      rescue ExcelUpload::Services::ChunkedUploadStore::OffsetMismatch => e
+        render json: { error: e.message, received_bytes: e.received_bytes }, status: :conflict
+      end
+
+      def destroy
+        store.discard(params[:id])
+        head :no_content
+      end
+
+      private
+
+      def store
+        @store ||= ExcelUpload::Services::ChunkedUploadStore.new(current_user)
+      end
+
+      def find_upload
+        @upload = store.status(params[:id])
+        render json: { error: 'Upload not found' }, status: :not_found unless @upload
+      end
+    end
+  end
+end
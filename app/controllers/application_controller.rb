@@ -13,8 +13,30 @@ class ApplicationController < ActionController::Base
   # Set current attributes for logging and tracking
   before_action :set_current_attributes
   
+  # Interface language for this request; <html lang> hands it to the client
+  around_action :switch_locale
+  
   private
   
+  def switch_locale(&action)
+    I18n.with_locale(requested_locale, &action)
+  end
+  
+  # The signed-in user's saved language, then the guest cookie the locale
+  # switcher sets, then the browser's Accept-Language header
+  def requested_locale
+    return current_user.locale if user_signed_in?
+    
+    cookies[:locale].presence_in(User::LOCALES) || accepted_locale || I18n.default_locale
+  end
+  
+  # "ko-KR,ko;q=0.9,en;q=0.8" => "ko". Entries are already in preference order.
+  def accepted_locale
+    request.headers['Accept-Language'].to_s.split(',')
+      .map { |entry| entry.strip.split(/[-;]/).first.to_s.downcase }
+      .find { |code| User::LOCALES.include?(code) }
+  end
+  
   def set_current_attributes
     Current.request_id = request.uuid
     Current.user_agent = request.user_agent
@@ -2,16 +2,34 @@
 
 class ChatConversationsController < ApplicationController
   before_action :authenticate_user!
-  before_action :set_conversation, only: [:show, :send_message]
+  before_action :set_conversation, only: [:show, :send_message, :regenerate, :retry_message, :edit_message, :attach_file, :cell_context, :export]
 
   def index
     @conversations = current_user.chat_conversations.recent.page(params[:page])
-    @new_conversation = current_user.chat_conversations.build
+    @conversations = @conversations.fuzzy_search(params[:q]) if params[:q].present?
+
+    respond_to do |format|
+      format.html { @new_conversation = current_user.chat_conversations.build }
+      format.json do
+        render json: {
+          conversations: @conversations.per(10).map do |conversation|
+            {
+              id: conversation.id,
+              title: conversation.title,
+              message_count: conversation.message_count,
+              updated_at: conversation.updated_at,
+              url: chat_conversation_path(conversation)
+            }
+          end
+        }
+      end
+    end
   end
 
   def show
     @messages = @conversation.messages.order(created_at: :asc)
     @new_message = @conversation.messages.build
+    @can_use_tier2 = current_user.can_use_ai_tier?(2)
   end
 
   def create
@@ -25,34 +43,164 @@ class ChatConversationsController < ApplicationController
   end
 
   def send_message
-    # Check user tokens
-    if current_user.tokens < 5
-      render json: { error: "Insufficient tokens. You need at least 5 tokens to send a message." }, 
-             status: :payment_required
-      return
-    end
+    return if insufficient_tokens?
     
     # Create message record
     message = @conversation.messages.create!(
       user: current_user,
       content: params[:message],
-      role: 'user'
+      role: 'user',
+      metadata: message_context.presence
     )
     
-    # Queue AI response
+    queue_reply(message)
+  end
+
+  # Replaces an assistant reply (and anything after it) with a new one,
+  # optionally from the tier 2 model
+  def regenerate
+    tier = params[:tier].to_i == 2 ? 2 : 1
+    return if insufficient_tokens?(tier)
+    
+    reply = @conversation.messages.assistant_messages.find(params[:message_id])
+    question = @conversation.messages.user_messages.where('id < ?', reply.id).order(:id).last
+    
+    unless question
+      render json: { error: "There is no question to answer again." }, status: :unprocessable_entity
+      return
+    end
+    
+    @conversation.rewind_to!(question)
+    queue_reply(question, tier: tier)
+  end
+
+  # Asks a question again whose reply broke off part-way through streaming
+  def retry_message
+    return if insufficient_tokens?
+    
+    message = @conversation.messages.user_messages.find(params[:message_id])
+    
+    unless message.failed?
+      render json: { error: "This question already has an answer." }, status: :unprocessable_entity
+      return
+    end
+    
+    message.update!(metadata: message.metadata.to_h.except('failed', 'error'))
+    @conversation.rewind_to!(message)
+    queue_reply(message)
+  end
+
+  # Changes one of the user's questions and asks it again, dropping the
+  # conversation that followed it
+  def edit_message
+    return if insufficient_tokens?
+    
+    message = @conversation.messages.user_messages.find(params[:message_id])
+    
+    unless message.update(content: params[:message])
+      render json: { error: message.errors.full_messages.join(', ') }, status: :unprocessable_entity
+      return
+    end
+    
+    @conversation.rewind_to!(message)
+    queue_reply(message)
+  end
+
+  def attach_file
+    handler = ExcelUpload::Handlers::UploadExcelHandler.new(
+      user: current_user,
+      file: params[:file]
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      @conversation.update!(excel_file_id: result.value.file_id)
+      
+      render json: {
+        file_id: result.value.file_id,
+        file_name: @conversation.excel_file.original_name,
+        message: result.value.message
+      }
+    else
+      error_message = result.error.is_a?(Array) ? result.error.join(", ") : result.error.message
+      render json: { error: error_message }, status: :unprocessable_entity
+    end
+  end
+
+  # Sheets of the attached workbook and ranges worth asking about, for the
+  # context picker in the composer
+  def cell_context
+    excel_file = @conversation.excel_file
+    
+    unless excel_file&.file_exists?
+      render json: { error: "Attach a workbook to pick cells from it." }, status: :unprocessable_entity
+      return
+    end
+    
+    service = ExcelAnalysis::Services::CellContextService.new(excel_file)
+    
+    render json: {
+      file_name: excel_file.original_name,
+      sheets: service.sheets,
+      preview_url: preview_excel_file_path(excel_file),
+      suggestions: service.suggestions(excel_file.latest_analysis),
+      max_ranges: ExcelAnalysis::Services::CellContextService::MAX_RANGES
+    }
+  rescue StandardError => e
+    Rails.logger.error("Chat cell context failed for conversation #{@conversation.id}: #{e.message}")
+    render json: { error: "Could not read the attached workbook." }, status: :unprocessable_entity
+  end
+
+  def export
+    format = AiIntegration::Services::ConversationExporter::FORMATS.key?(params[:format]) ? params[:format] : 'md'
+    exporter = AiIntegration::Services::ConversationExporter.new(@conversation)
+    
+    send_data exporter.export(format),
+              filename: exporter.filename(format),
+              type: exporter.content_type(format)
+  end
+
+  private
+
+  def insufficient_tokens?(tier = 1)
+    return false if current_user.can_use_ai_tier?(tier)
+    
+    error = if tier == 2
+              "Tier 2 answers need a Pro or Enterprise plan and at least 50 tokens."
+            else
+              "Insufficient tokens. You need at least 5 tokens to send a message."
+            end
+    render json: { error: error }, status: :payment_required
+    true
+  end
+
+  # { "context" => ["Sheet2!B4:F30"] } for the ranges picked for this message
+  def message_context
+    references = Array(params[:context]).map(&:to_s)
+    return {} if references.empty? || @conversation.excel_file.nil?
+    
+    context = ExcelAnalysis::Services::CellContextService.new(@conversation.excel_file).normalize(references)
+    context.any? ? { 'context' => context } : {}
+  rescue StandardError => e
+    Rails.logger.warn("Ignoring chat cell context: #{e.message}")
+    {}
+  end
+
+  def queue_reply(message, tier: 1)
     AiIntegration::Jobs::ProcessChatMessageJob.perform_later(
       conversation_id: @conversation.id,
-      message_id: message.id
+      message_id: message.id,
+      tier: tier
     )
     
     render json: {
       message: message.as_json,
+      message_count: @conversation.reload.message_count,
       status: 'queued'
     }
   end
 
-  private
-
   def set_conversation
     @conversation = current_user.chat_conversations.find(params[:id])
   end
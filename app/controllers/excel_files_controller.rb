@@ -2,14 +2,31 @@
 
 class ExcelFilesController < ApplicationController
   before_action :authenticate_user!
-  before_action :set_excel_file, only: [:show, :analyze, :download_corrected]
+  before_action :set_excel_file, only: [:show, :analyze, :download_corrected, :update_issue, :preview, :dependencies, :corrections, :review_correction]
 
   def index
     @excel_files = current_user.excel_files.includes(:analyses).recent.page(params[:page])
   end
 
+  def bulk
+    handler = ExcelAnalysis::Handlers::BulkFileActionHandler.new(
+      user: current_user,
+      file_ids: params[:file_ids],
+      operation: params[:operation]
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value.merge(user_tokens: current_user.reload.tokens)
+    else
+      render json: { error: result.error.details[:errors].join(", ") }, status: :unprocessable_entity
+    end
+  end
+
   def show
     @latest_analysis = @excel_file.latest_analysis
+    @issues = @latest_analysis&.completed? ? ExcelAnalysis::Models::AnalysisResult.new(@latest_analysis).issues : []
   end
 
   def new
@@ -71,6 +88,96 @@ class ExcelFilesController < ApplicationController
     end
   end
 
+  def preview
+    handler = ExcelAnalysis::Handlers::PreviewSheetHandler.new(
+      excel_file: @excel_file,
+      user: current_user,
+      sheet: params[:sheet],
+      chunk: params[:chunk]
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value
+    else
+      render json: { error: result.error.message }, status: :unprocessable_entity
+    end
+  end
+
+  def dependencies
+    handler = ExcelAnalysis::Handlers::DependencyGraphHandler.new(
+      excel_file: @excel_file,
+      user: current_user,
+      cell: params[:cell],
+      direction: params[:direction],
+      depth: params[:depth] || 2
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value
+    else
+      render json: { error: result.error.message }, status: :unprocessable_entity
+    end
+  end
+
+  def update_issue
+    handler = ExcelAnalysis::Handlers::UpdateIssueStateHandler.new(
+      excel_file: @excel_file,
+      user: current_user,
+      issue_index: params[:issue_index],
+      state: params[:state]
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value
+    else
+      error_message = result.error.is_a?(Common::Errors::ValidationError) ? 
+                     result.error.details[:errors].join(", ") : 
+                     result.error.message
+      render json: { error: error_message }, status: :unprocessable_entity
+    end
+  end
+
+  def corrections
+    handler = ExcelAnalysis::Handlers::CorrectionDiffHandler.new(
+      excel_file: @excel_file,
+      user: current_user
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value
+    else
+      render json: { error: result.error.message }, status: :unprocessable_entity
+    end
+  end
+
+  def review_correction
+    handler = ExcelAnalysis::Handlers::ReviewCorrectionHandler.new(
+      excel_file: @excel_file,
+      user: current_user,
+      correction_index: params[:correction_index],
+      decision: params[:decision]
+    )
+    
+    result = handler.execute
+    
+    if result.success?
+      render json: result.value
+    else
+      error_message = result.error.is_a?(Common::Errors::ValidationError) ? 
+                     result.error.details[:errors].join(", ") : 
+                     result.error.message
+      render json: { error: error_message }, status: :unprocessable_entity
+    end
+  end
+
   private
 
   def set_excel_file
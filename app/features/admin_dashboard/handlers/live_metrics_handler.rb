@@ -0,0 +1,55 @@
+# frozen_string_literal: true
+
+module AdminDashboard
+  module Handlers
+    # Snapshot behind the live admin cards: pipeline health plus the AI spend
+    # totals. The same hash is served by Admin::DashboardController#metrics and
+    # pushed over AdminDashboardChannel, so pages bind to one shape.
+    class LiveMetricsHandler < Common::BaseHandler
+      def initialize(pipeline_controller: DataPipeline::PipelineController.new)
+        @pipeline_controller = pipeline_controller
+      end
+
+      def execute
+        begin
+          Common::Result.success(
+            pipeline: @pipeline_controller.health_check,
+            costs: calculate_costs,
+            updated_at: Time.current.iso8601
+          )
+        rescue StandardError => e
+          Rails.logger.error("Failed to generate live dashboard metrics: #{e.message}")
+          Common::Result.failure(
+            Common::Errors::BusinessError.new(
+              message: "Failed to generate dashboard metrics",
+              code: "LIVE_METRICS_ERROR"
+            )
+          )
+        end
+      end
+
+      private
+
+      def calculate_costs
+        budget = AiCostMonitoring::Handlers::CostMonitoringHandler::SYSTEM_MONTHLY_BUDGET
+        monthly_cost = Analysis.where(created_at: Time.current.all_month).sum(:cost).to_f
+
+        {
+          total_cost: Analysis.sum(:cost).to_f.round(2),
+          today_cost: Analysis.where(created_at: Time.current.all_day).sum(:cost).to_f.round(2),
+          monthly_cost: monthly_cost.round(2),
+          monthly_budget: budget,
+          remaining_budget: [budget - monthly_cost, 0].max.round(2),
+          top_tier: top_tier
+        }
+      end
+
+      def top_tier
+        tier, cost = Analysis.group(:ai_tier_used).sum(:cost).max_by { |_, tier_cost| tier_cost.to_f }
+        return nil unless tier && cost.to_f.positive?
+
+        Analysis::TIER_NAMES.fetch(tier, 'Rule-based')
+      end
+    end
+  end
+end
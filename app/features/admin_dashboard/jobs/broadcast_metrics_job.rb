@@ -0,0 +1,13 @@
+# frozen_string_literal: true
+
+module AdminDashboard
+  module Jobs
+    class BroadcastMetricsJob < ApplicationJob
+      queue_as :default
+
+      def perform
+        AdminDashboardChannel.broadcast_metrics
+      end
+    end
+  end
+end
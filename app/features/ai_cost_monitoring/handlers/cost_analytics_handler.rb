@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+module AiCostMonitoring
+  module Handlers
+    # Validates the date range picked on the cost analytics charts and returns
+    # the ledger for it. Both chart endpoints go through here so they always
+    # agree on the range.
+    class CostAnalyticsHandler < Common::BaseHandler
+      DEFAULT_DAYS = 30
+      MAX_DAYS = 366
+
+      def initialize(from: nil, to: nil)
+        @from = from
+        @to = to
+      end
+
+      def execute
+        to = parse_date(@to) || Date.current
+        from = parse_date(@from) || (to - (DEFAULT_DAYS - 1))
+
+        errors = []
+        errors << "from must be a date (YYYY-MM-DD)" if @from.present? && parse_date(@from).nil?
+        errors << "to must be a date (YYYY-MM-DD)" if @to.present? && parse_date(@to).nil?
+        errors << "from must be on or before to" if errors.empty? && from > to
+        errors << "Range cannot be longer than #{MAX_DAYS} days" if errors.empty? && (to - from).to_i >= MAX_DAYS
+
+        if errors.any?
+          return failure(
+            Common::Errors::ValidationError.new(
+              message: "Invalid date range",
+              details: { errors: errors }
+            )
+          )
+        end
+
+        success(
+          from: from.iso8601,
+          to: to.iso8601,
+          monthly_budget: CostMonitoringHandler::SYSTEM_MONTHLY_BUDGET,
+          ledger: Services::CostLedger.new(from: from, to: to)
+        )
+      end
+
+      private
+
+      def parse_date(value)
+        Date.iso8601(value.to_s)
+      rescue Date::Error
+        nil
+      end
+    end
+  end
+end
@@ -3,6 +3,8 @@
 module AiCostMonitoring
   module Handlers
     class CostMonitoringHandler < Common::BaseHandler
+      SYSTEM_MONTHLY_BUDGET = 1000.0
+      
       def initialize(user: nil, time_range: 'today')
         @user = user
         @time_range = time_range
@@ -88,7 +90,7 @@ module AiCostMonitoring
         if @user
           @user.monthly_ai_budget || 100.0 # Default budget
         else
-          1000.0 # System-wide default budget
+          SYSTEM_MONTHLY_BUDGET
         end
       end
 
@@ -0,0 +1,98 @@
+# frozen_string_literal: true
+
+module AiCostMonitoring
+  module Services
+    # Day-by-day AI spend split by feature, provider and tier. Excel analyses
+    # store their own cost; chat replies only record tokens, so they are priced
+    # here with the same per-tier rates analyses are billed at.
+    class CostLedger
+      COST_PER_1K_TOKENS = { 'tier1' => 0.001, 'tier2' => 0.03 }.freeze
+      UNKNOWN_PROVIDER = 'unknown'
+
+      # tier is 'tier2' or 2, as analyses and chat replies record it
+      def self.cost_for(tokens, tier)
+        tier = "tier#{tier}" if tier.is_a?(Integer)
+        rate = COST_PER_1K_TOKENS.fetch(tier.to_s, COST_PER_1K_TOKENS['tier1'])
+        (tokens.to_i / 1000.0 * rate).round(6)
+      end
+
+      def initialize(from:, to:)
+        @range = from.beginning_of_day..to.end_of_day
+      end
+
+      # One row per day, feature, provider and tier that had any spend
+      def rows
+        @rows ||= (analysis_rows + chat_rows).sort_by { |row| [row[:date], -row[:cost]] }
+      end
+
+      # Spend per provider and tier across the whole range
+      def models
+        rows.group_by { |row| row.values_at(:provider, :tier) }.map do |(provider, tier), group|
+          requests = group.sum { |row| row[:requests] }
+          tokens = group.sum { |row| row[:tokens] }
+          cost = group.sum { |row| row[:cost] }
+
+          {
+            provider: provider,
+            tier: tier,
+            requests: requests,
+            tokens: tokens,
+            cost: cost.round(6),
+            avg_cost_per_request: requests.positive? ? (cost / requests).round(6) : 0,
+            cost_per_1k_tokens: tokens.positive? ? (cost / tokens * 1000).round(6) : 0
+          }
+        end.sort_by { |model| -model[:cost] }
+      end
+
+      def total_cost
+        rows.sum { |row| row[:cost] }.round(6)
+      end
+
+      private
+
+      def analysis_rows
+        day = day_sql('analyses')
+
+        Analysis.where(created_at: @range)
+                .where.not(cost: nil)
+                .group(day, :provider, :ai_tier_used)
+                .pluck(day, :provider, :ai_tier_used, Arel.sql('COUNT(*)'), Arel.sql('SUM(tokens_used)'), Arel.sql('SUM(cost)'))
+                .map do |date, provider, tier, requests, tokens, cost|
+                  build_row(date, 'excel_analysis', provider, tier, requests, tokens, cost.to_f)
+                end
+      end
+
+      def chat_rows
+        day = day_sql('chat_messages')
+
+        ChatMessage.assistant_messages
+                   .where(created_at: @range)
+                   .where('tokens_used > 0')
+                   .group(day, :provider, :ai_tier_used)
+                   .pluck(day, :provider, :ai_tier_used, Arel.sql('COUNT(*)'), Arel.sql('SUM(tokens_used)'))
+                   .map do |date, provider, tier_number, requests, tokens|
+                     tier = "tier#{tier_number || 1}"
+                     build_row(date, 'ai_chat', provider, tier, requests, tokens, self.class.cost_for(tokens, tier))
+                   end
+      end
+
+      def build_row(date, feature, provider, tier, requests, tokens, cost)
+        {
+          date: date.iso8601,
+          feature: feature,
+          provider: provider.presence || UNKNOWN_PROVIDER,
+          tier: tier.to_s,
+          requests: requests.to_i,
+          tokens: tokens.to_i,
+          cost: cost.round(6)
+        }
+      end
+
+      # Buckets by calendar day in the app's time zone rather than UTC
+      def day_sql(table)
+        zone = ActiveRecord::Base.connection.quote(Time.zone.tzinfo.name)
+        Arel.sql("DATE(#{table}.created_at AT TIME ZONE 'UTC' AT TIME ZONE #{zone})")
+      end
+    end
+  end
+end
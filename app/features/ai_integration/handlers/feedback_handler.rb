@@ -7,7 +7,8 @@ module AiIntegration
         @user = user
         @conversation_id = conversation_id
         @message_id = message_id
-        @rating = rating
+        # Form and JSON params may carry the rating as a string
+        @rating = Integer(rating, exception: false)
         @feedback_text = feedback_text
       end
 
@@ -19,6 +20,7 @@ module AiIntegration
         
         message = find_message(conversation)
         return failure("Message not found") unless message
+        return failure("Feedback already submitted") if message.user_rating.present?
         
         save_feedback(message)
         update_ai_metrics(message)
@@ -39,7 +41,7 @@ module AiIntegration
       end
 
       def find_message(conversation)
-        conversation.chat_messages.find_by(id: @message_id, role: 'assistant')
+        conversation.messages.find_by(id: @message_id, role: 'assistant')
       end
 
       def save_feedback(message)
@@ -54,7 +56,8 @@ module AiIntegration
           chat_message: message,
           rating: @rating,
           feedback_text: @feedback_text,
-          ai_tier_used: message.ai_tier_used,
+          # Replies from before tiers were recorded all came from the tier 1 model
+          ai_tier_used: message.ai_tier_used || 1,
           provider: message.provider,
           confidence_score: message.confidence_score
         )
@@ -67,18 +70,18 @@ module AiIntegration
 
         metric = AiProviderMetric.find_or_initialize_by(
           provider: provider_name,
-          model: message.provider,
-          tier: message.ai_tier_used
+          model: message.metadata.to_h['model'] || message.provider,
+          tier: message.ai_tier_used || 1
         )
 
-        metric.total_requests += 1
-        metric.total_rating += @rating
+        metric.total_requests = metric.total_requests.to_i + 1
+        metric.total_rating = metric.total_rating.to_i + @rating
         metric.average_rating = metric.total_rating.to_f / metric.total_requests
         
         if @rating >= 4
-          metric.positive_feedback_count += 1
+          metric.positive_feedback_count = metric.positive_feedback_count.to_i + 1
         elsif @rating <= 2
-          metric.negative_feedback_count += 1
+          metric.negative_feedback_count = metric.negative_feedback_count.to_i + 1
         end
         
         metric.save!
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+module AiIntegration
+  module Handlers
+    # Runs a playground query under each of the given retrieval configurations
+    # so their results can be compared side by side.
+    class RagPlaygroundHandler < Common::BaseHandler
+      MAX_CONFIGURATIONS = 4
+
+      def initialize(user:, query:, configurations:, generate: false, runner: nil)
+        @user = user
+        @query = query.to_s.strip
+        @configurations = Array(configurations)
+        @generate = ActiveModel::Type::Boolean.new.cast(generate) || false
+        @runner = runner || RagSystem::PlaygroundRunner.new(user: user)
+      end
+
+      def execute
+        errors = []
+        errors << "Query cannot be blank" if @query.blank?
+        errors << "Query is too long (maximum is 1000 characters)" if @query.length > 1000
+        errors << "At least one configuration is required" if @configurations.empty?
+        errors << "No more than #{MAX_CONFIGURATIONS} configurations can be compared" if @configurations.size > MAX_CONFIGURATIONS
+
+        if errors.any?
+          return failure(
+            Common::Errors::ValidationError.new(
+              message: "Invalid playground query",
+              details: { errors: errors }
+            )
+          )
+        end
+
+        success(
+          query: @query,
+          results: @configurations.map { |settings| @runner.run(@query, settings, generate: @generate) }
+        )
+      end
+    end
+  end
+end
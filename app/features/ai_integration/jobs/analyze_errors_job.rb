@@ -10,10 +10,11 @@ module AiIntegration
         
         # Determine AI tier based on user tier and confidence requirements
         ai_tier = determine_ai_tier(user_tier, analysis.detected_errors)
+        provider = determine_provider(ai_tier)
         
         # Perform AI analysis
         ai_service = AiIntegration::MultiProvider::AiAnalysisService.new(
-          provider: determine_provider(ai_tier)
+          provider: provider
         )
         
         result = ai_service.analyze_errors(
@@ -29,9 +30,10 @@ module AiIntegration
             ai_analysis: ai_response[:analysis],
             corrections: ai_response[:corrections],
             ai_tier_used: ai_tier,
+            provider: provider,
             confidence_score: ai_response[:confidence],
             tokens_used: ai_response[:tokens_used],
-            cost: calculate_cost(ai_response[:tokens_used], ai_tier),
+            cost: AiCostMonitoring::Services::CostLedger.cost_for(ai_response[:tokens_used], ai_tier),
             fixed_count: ai_response[:corrections]&.count || 0,
             analysis_summary: ai_response[:summary],
             status: "completed"
@@ -45,6 +47,11 @@ module AiIntegration
           
           # Broadcast completion
           broadcast_completion(analysis)
+          
+          Notifications::Jobs::DeliverPushJob.notify(
+            analysis.user,
+            Notifications::Models::PushMessage.analysis_completed(analysis.excel_file, analysis)
+          )
         else
           handle_ai_failure(analysis, result.error)
         end
@@ -90,17 +97,6 @@ module AiIntegration
         (high_severity_count.to_f / total_count).round(2)
       end
 
-      def calculate_cost(tokens_used, ai_tier)
-        # Cost per 1000 tokens (approximate)
-        cost_per_1k = case ai_tier
-                     when 'tier1' then 0.001 # $0.001 per 1K tokens
-                     when 'tier2' then 0.03  # $0.03 per 1K tokens
-                     else 0.001
-                     end
-        
-        (tokens_used / 1000.0 * cost_per_1k).round(6)
-      end
-
       def handle_ai_failure(analysis, error_message)
         analysis.update!(
           status: "failed",
@@ -110,6 +106,11 @@ module AiIntegration
         analysis.excel_file.update!(status: "failed")
         
         broadcast_error(analysis, error_message)
+        
+        Notifications::Jobs::DeliverPushJob.notify(
+          analysis.user,
+          Notifications::Models::PushMessage.analysis_failed(analysis.excel_file, "AI analysis failed: #{error_message}")
+        )
       end
 
       def broadcast_completion(analysis)
@@ -121,7 +122,9 @@ module AiIntegration
             summary: analysis.analysis_summary,
             errors_found: analysis.error_count,
             errors_fixed: analysis.fixed_count,
-            confidence: analysis.confidence_score
+            confidence: analysis.confidence_score,
+            analysis: ExcelAnalysis::Models::AnalysisResult.new(analysis).to_h,
+            user_tokens: analysis.user.reload.tokens
           }
         )
       end
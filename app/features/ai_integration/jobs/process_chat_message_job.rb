@@ -5,24 +5,41 @@ module AiIntegration
     class ProcessChatMessageJob < ApplicationJob
       queue_as :ai_analysis
 
-      def perform(conversation_id:, message_id:)
+      # tier 2 is only requested when regenerating a reply; the controller
+      # checks the user may use it before queueing.
+      #
+      # Failures before the first delta are raised so the job is retried.
+      # Once part of the reply has been streamed a retry would stream it
+      # again, so the question is marked failed instead and the user can ask
+      # it again. Once the reply is saved it stands; later failures are only
+      # logged.
+      def perform(conversation_id:, message_id:, tier: 1)
+        @streamed = false
+        @reply_saved = false
         conversation = ChatConversation.find(conversation_id)
         message = ChatMessage.find(message_id)
         
         # Build context from conversation history
-        context = build_conversation_context(conversation)
+        context = build_conversation_context(conversation, message)
         
         # Determine AI provider and model
         ai_service = AiIntegration::MultiProvider::ChatService.new(
-          provider: determine_provider(conversation.user)
+          provider: determine_provider(conversation.user),
+          tier: tier
         )
         
-        # Generate AI response
+        # Generate AI response, streaming deltas to the conversation as they arrive
+        broadcast_stream_start(conversation)
+        
         result = ai_service.generate_response(
           message: message.content,
           context: context,
-          file_context: conversation.excel_file&.metadata
-        )
+          file_context: conversation.excel_file&.metadata,
+          cell_context: cell_context(conversation, message)
+        ) do |delta|
+          @streamed = true
+          broadcast_delta(conversation, delta)
+        end
         
         if result.success?
           response_data = result.value
@@ -33,32 +50,45 @@ module AiIntegration
             content: response_data[:content],
             role: 'assistant',
             tokens_used: response_data[:tokens_used],
+            ai_tier_used: tier,
+            provider: ai_service.provider,
             metadata: {
               model: response_data[:model],
               provider: ai_service.provider
             }
           )
+          @reply_saved = true
           
           # Deduct tokens
           conversation.user.consume_tokens!(response_data[:tokens_used])
           
           # Broadcast response
           broadcast_message(conversation, assistant_message)
+          
+          Notifications::Jobs::DeliverPushJob.notify(
+            conversation.user,
+            Notifications::Models::PushMessage.chat_reply(conversation, assistant_message)
+          )
         else
-          broadcast_error(conversation, result.error)
+          mark_failed(message, result.error) if @streamed
+          broadcast_error(conversation, result.error, failed_message: (message if @streamed))
         end
       rescue StandardError => e
         Rails.logger.error("Chat message processing failed: #{e.message}")
-        broadcast_error(conversation, "Failed to generate response")
-        raise
+        return if @reply_saved
+        
+        mark_failed(message, e) if @streamed
+        broadcast_error(conversation, "Failed to generate response", failed_message: (message if @streamed))
+        raise unless @streamed
       end
 
       private
 
-      def build_conversation_context(conversation)
-        # Get last 10 messages for context
+      # The 10 messages before the one being answered; it is sent separately
+      def build_conversation_context(conversation, message)
         recent_messages = conversation.messages
-                                    .order(created_at: :desc)
+                                    .where('id < ?', message.id)
+                                    .order(id: :desc)
                                     .limit(10)
                                     .reverse
         
@@ -67,12 +97,42 @@ module AiIntegration
         end
       end
 
+      # Values and formulas of the ranges picked in the chat context picker
+      def cell_context(conversation, message)
+        references = message.metadata.to_h['context']
+        return nil if references.blank? || conversation.excel_file.nil?
+        
+        ExcelAnalysis::Services::CellContextService.new(conversation.excel_file).describe(references)
+      rescue StandardError => e
+        Rails.logger.warn("Could not read cell context for message #{message.id}: #{e.message}")
+        nil
+      end
+
       def determine_provider(user)
         # Use more advanced models for pro users
         user.pro? || user.enterprise? ? 'anthropic' : 'openai'
       end
 
+      def broadcast_stream_start(conversation)
+        ActionCable.server.broadcast(
+          "chat_conversation_#{conversation.id}",
+          { type: 'stream_start' }
+        )
+      end
+
+      def broadcast_delta(conversation, delta)
+        ActionCable.server.broadcast(
+          "chat_conversation_#{conversation.id}",
+          {
+            type: 'stream_delta',
+            delta: delta
+          }
+        )
+      end
+
       def broadcast_message(conversation, message)
+        conversation.reload
+        
         ActionCable.server.broadcast(
           "chat_conversation_#{conversation.id}",
           {
@@ -82,19 +142,34 @@ module AiIntegration
               content: message.content,
               role: message.role,
               created_at: message.created_at,
-              tokens_used: message.tokens_used
-            }
+              tokens_used: message.tokens_used,
+              model: message.metadata.to_h.with_indifferent_access[:model],
+              ai_tier_used: message.ai_tier_used
+            },
+            tokens_remaining: conversation.user.reload.tokens,
+            message_count: conversation.message_count,
+            total_tokens_used: conversation.total_tokens_used
           }
         )
       end
 
-      def broadcast_error(conversation, error_message)
+      def mark_failed(message, error)
+        reason = error.respond_to?(:message) ? error.message : error.to_s
+        message.update!(metadata: message.metadata.to_h.merge('failed' => true, 'error' => reason))
+      rescue ActiveRecord::ActiveRecordError => e
+        Rails.logger.error("Could not mark message #{message.id} failed: #{e.message}")
+      end
+
+      # failed_message is the question to offer asking again, when it was
+      # marked failed
+      def broadcast_error(conversation, error_message, failed_message: nil)
         ActionCable.server.broadcast(
           "chat_conversation_#{conversation.id}",
           {
             type: 'error',
-            error: error_message
-          }
+            error: error_message,
+            failed_message_id: failed_message&.id
+          }.compact
         )
       end
     end
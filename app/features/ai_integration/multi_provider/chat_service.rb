@@ -3,7 +3,7 @@
 module AiIntegration
   module MultiProvider
     class ChatService
-      attr_reader :provider
+      attr_reader :provider, :tier
 
       PROVIDERS = {
         'openai' => Infrastructure::AiProviders::OpenAiProvider,
@@ -24,21 +24,33 @@ module AiIntegration
         structured responses that can be easily implemented in Excel.
       PROMPT
 
-      def initialize(provider: 'openai')
+      # Tier 1 is the provider's everyday model; tier 2 is the stronger (and
+      # pricier) one users can ask for when regenerating a reply
+      def initialize(provider: 'openai', tier: 1)
         @provider = provider
+        @tier = tier
         @client = PROVIDERS[provider]&.new
         raise ArgumentError, "Unknown provider: #{provider}" unless @client
       end
 
-      def generate_response(message:, context: [], file_context: nil)
-        messages = build_messages(message, context, file_context)
-        
-        response = @client.generate_response(
+      # When a block is given the reply is streamed and each text delta is
+      # yielded as it arrives; the returned Result still holds the full reply.
+      # cell_context is the text block of cells the user picked for this
+      # question (see ExcelAnalysis::Services::CellContextService#describe)
+      def generate_response(message:, context: [], file_context: nil, cell_context: nil, &on_delta)
+        messages = build_messages(message, context, file_context, cell_context)
+        request = {
           prompt: format_messages(messages),
           max_tokens: 1500,
           temperature: 0.7,
-          model: default_model
-        )
+          model: model
+        }
+        
+        response = if on_delta
+                     @client.stream_response(**request, &on_delta)
+                   else
+                     @client.generate_response(**request)
+                   end
 
         if response.success?
           parse_response(response.value)
@@ -57,7 +69,7 @@ module AiIntegration
 
       private
 
-      def build_messages(message, context, file_context)
+      def build_messages(message, context, file_context, cell_context)
         messages = []
         
         # Add system prompt
@@ -71,6 +83,13 @@ module AiIntegration
           }
         end
         
+        if cell_context
+          messages << {
+            role: 'system',
+            content: "The user selected these cells for their question (address: value, with the formula in parentheses):\n#{cell_context}"
+          }
+        end
+        
         # Add conversation context
         messages.concat(context) if context.present?
         
@@ -90,17 +109,8 @@ module AiIntegration
         end
       end
 
-      def default_model
-        case provider
-        when 'openai'
-          'gpt-3.5-turbo'
-        when 'anthropic'
-          'claude-3-haiku-20240307'
-        when 'google'
-          'gemini-pro'
-        else
-          'gpt-3.5-turbo'
-        end
+      def model
+        Infrastructure::AiProviders::ProviderConfig.get_model_for_tier(provider, "tier#{tier}")
       end
 
       def parse_response(response)
@@ -0,0 +1,124 @@
+# frozen_string_literal: true
+
+module AiIntegration
+  module RagSystem
+    # Runs one query under one retrieval configuration for the admin RAG
+    # playground and records how long search and generation took, so reruns
+    # of the regression set can be compared over time.
+    class PlaygroundRunner
+      INDEXES = %w[hybrid semantic keyword].freeze
+      DEFAULTS = { 'top_k' => 5, 'similarity_threshold' => 0.7, 'index' => 'hybrid' }.freeze
+      MAX_TOP_K = 20
+
+      # Fills in defaults and clamps values; keyword search has no similarity
+      # cut-off, so its threshold is dropped instead of pretending to apply.
+      def self.normalize_settings(settings)
+        settings = DEFAULTS.merge(settings.to_h.stringify_keys.slice(*DEFAULTS.keys).compact_blank)
+        index = INDEXES.include?(settings['index'].to_s) ? settings['index'].to_s : DEFAULTS['index']
+
+        {
+          'top_k' => settings['top_k'].to_i.clamp(1, MAX_TOP_K),
+          'similarity_threshold' => index == 'keyword' ? nil : settings['similarity_threshold'].to_f.clamp(0.0, 1.0).round(2),
+          'index' => index
+        }
+      end
+
+      def initialize(user:, orchestrator: RagOrchestrator.new, provider: 'openai')
+        @user = user
+        @orchestrator = orchestrator
+        @provider = provider
+      end
+
+      def run(query, settings, generate: false, saved_query: nil, batch_id: nil)
+        settings = self.class.normalize_settings(settings)
+        documents = []
+        answer = nil
+        search_time_ms = nil
+        generation_time_ms = nil
+        error = nil
+
+        begin
+          rag_data = nil
+          search_time_ms = measure do
+            rag_data = @orchestrator.enhance_query_with_rag(
+              query,
+              limit: settings['top_k'],
+              search_type: settings['index'].to_sym,
+              similarity_threshold: settings['similarity_threshold'] || 0.0
+            )
+          end
+          documents = rag_data[:relevant_documents]
+
+          if generate
+            generation_time_ms = measure { answer = generate_answer(query, rag_data) }
+          end
+        rescue StandardError => e
+          Rails.logger.error("RAG playground run failed: #{e.message}")
+          error = e.message
+        end
+
+        run = @user.rag_playground_runs.create!(
+          rag_playground_query: saved_query,
+          batch_id: batch_id,
+          query: query,
+          settings: settings,
+          search_time_ms: search_time_ms,
+          generation_time_ms: generation_time_ms,
+          documents_retrieved: documents.size,
+          avg_similarity: average_similarity(documents),
+          error: error
+        )
+
+        {
+          id: run.id,
+          settings: settings,
+          documents: documents.map { |doc| serialize_document(doc) },
+          answer: answer,
+          metrics: {
+            search_time_ms: run.search_time_ms,
+            generation_time_ms: run.generation_time_ms,
+            documents_retrieved: run.documents_retrieved,
+            avg_similarity: run.avg_similarity&.to_f
+          },
+          error: error
+        }
+      end
+
+      private
+
+      def generate_answer(query, rag_data)
+        prompt = @orchestrator.build_rag_prompt(query, rag_data: rag_data)
+        result = MultiProvider::ChatService.new(provider: @provider).generate_response(
+          message: prompt[:user_prompt],
+          context: [{ role: 'system', content: prompt[:system_prompt] }]
+        )
+        raise result.error.message if result.failure?
+
+        result.value[:content]
+      end
+
+      def measure
+        started = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+        yield
+        ((Process.clock_gettime(Process::CLOCK_MONOTONIC) - started) * 1000).round
+      end
+
+      def average_similarity(documents)
+        scores = documents.filter_map { |doc| doc[:similarity] }
+        return nil if scores.empty?
+
+        (scores.sum / scores.size).round(4)
+      end
+
+      def serialize_document(doc)
+        {
+          id: doc[:id],
+          content: doc[:content],
+          similarity: doc[:similarity]&.round(4),
+          search_type: doc[:search_type],
+          source: doc.dig(:metadata, 'source') || doc.dig(:metadata, :source)
+        }
+      end
+    end
+  end
+end
@@ -10,7 +10,7 @@ module AiIntegration
         @embedding_service = EmbeddingService.new
       end
 
-      def enhance_query_with_rag(query, context: "", limit: 5, search_type: :hybrid)
+      def enhance_query_with_rag(query, context: "", limit: 5, search_type: :hybrid, similarity_threshold: 0.7)
         Rails.logger.info("RAG enhancement for query: #{query.truncate(100)}")
         
         # Combine query and context for better search
@@ -19,13 +19,13 @@ module AiIntegration
         # Perform search based on type
         relevant_docs = case search_type
                        when :semantic
-                         @vector_db.semantic_search(search_query, limit: limit)
+                         @vector_db.semantic_search(search_query, limit: limit, similarity_threshold: similarity_threshold)
                        when :keyword
                          @vector_db.keyword_search(search_query, limit: limit)
                        when :hybrid
-                         @vector_db.hybrid_search(search_query, limit: limit)
+                         @vector_db.hybrid_search(search_query, limit: limit, similarity_threshold: similarity_threshold)
                        else
-                         @vector_db.hybrid_search(search_query, limit: limit)
+                         @vector_db.hybrid_search(search_query, limit: limit, similarity_threshold: similarity_threshold)
                        end
         
         # Build enhanced context
@@ -40,9 +40,10 @@ module AiIntegration
         }
       end
 
-      def build_rag_prompt(query, context: "", images: nil, tier: 'tier1')
+      # Pass rag_data when the search has already been run (e.g. to time it separately)
+      def build_rag_prompt(query, context: "", images: nil, tier: 'tier1', rag_data: nil)
         # Get RAG enhancement
-        rag_data = enhance_query_with_rag(query, context: context)
+        rag_data ||= enhance_query_with_rag(query, context: context)
         
         # Build system prompt based on tier
         system_prompt = build_system_prompt(tier)
@@ -0,0 +1,88 @@
+# frozen_string_literal: true
+
+module AiIntegration
+  module Services
+    # Turns a chat conversation into a downloadable Markdown or JSON document,
+    # keeping the model, tier and token count of every reply.
+    class ConversationExporter
+      FORMATS = {
+        'md' => 'text/markdown',
+        'json' => 'application/json'
+      }.freeze
+
+      def initialize(conversation)
+        @conversation = conversation
+      end
+
+      def content_type(format)
+        FORMATS.fetch(format)
+      end
+
+      def filename(format)
+        "#{@conversation.title.to_s.parameterize.presence || "conversation-#{@conversation.id}"}.#{format}"
+      end
+
+      def export(format)
+        format == 'json' ? json_document : markdown_document
+      end
+
+      private
+
+      def json_document
+        JSON.pretty_generate(
+          id: @conversation.id,
+          title: @conversation.title,
+          file: @conversation.excel_file&.original_name,
+          created_at: @conversation.created_at.iso8601,
+          exported_at: Time.current.iso8601,
+          message_count: messages.size,
+          total_tokens_used: @conversation.total_tokens_used,
+          messages: messages.map { |message| message_data(message) }
+        )
+      end
+
+      def markdown_document
+        lines = ["# #{@conversation.title}", '']
+        lines << "- File: #{@conversation.excel_file.original_name}" if @conversation.excel_file
+        lines << "- Started: #{@conversation.created_at.to_fs(:long)}"
+        lines << "- Messages: #{messages.size}"
+        lines << "- Tokens used: #{@conversation.total_tokens_used}"
+
+        messages.each do |message|
+          lines.push('', '---', '', "## #{message.role == 'user' ? 'You' : 'Assistant'}", '')
+          lines << "_#{markdown_details(message).join(' · ')}_"
+          lines.push('', message.content)
+        end
+
+        lines.join("\n") + "\n"
+      end
+
+      def messages
+        @messages ||= @conversation.messages.where(role: %w[user assistant]).order(:id).to_a
+      end
+
+      def message_data(message)
+        {
+          id: message.id,
+          role: message.role,
+          content: message.content,
+          created_at: message.created_at.iso8601,
+          tokens_used: message.tokens_used,
+          model: message.metadata.to_h['model'],
+          provider: message.provider,
+          ai_tier_used: message.ai_tier_used,
+          rating: message.user_rating
+        }.compact
+      end
+
+      def markdown_details(message)
+        details = [message.created_at.to_fs(:long)]
+        model = message.metadata.to_h['model']
+        details << model if model
+        details << "tier #{message.ai_tier_used}" if message.ai_tier_used
+        details << "#{message.tokens_used} tokens" if message.tokens_used.to_i.positive?
+        details
+      end
+    end
+  end
+end
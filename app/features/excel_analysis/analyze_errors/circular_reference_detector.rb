@@ -2,27 +2,63 @@
 
 module ExcelAnalysis
   module AnalyzeErrors
+    # Builds the workbook's formula dependency graph and reports each loop in
+    # it once, with the cells in the order they refer to each other.
     class CircularReferenceDetector
-      def analyze(excel_file)
+      def analyze(file_path)
         errors = []
-        
-        # Mock implementation - in production, this would analyze actual Excel formulas
-        # using the Excel file processing library
-        
-        # Simulate finding circular references
-        if rand > 0.7 # 30% chance of finding circular references
-          errors << {
-            type: 'circular_reference',
-            severity: 'high',
-            cells: ['A1', 'B2', 'C3'],
-            message: 'Circular reference detected between cells',
-            description: 'Cell A1 references B2, which references C3, which references back to A1',
-            suggestion: 'Break the circular reference by removing or modifying one of the formulas'
-          }
+        return errors unless File.exist?(file_path)
+
+        workbook = Roo::Spreadsheet.open(file_path)
+        return errors if workbook.is_a?(Roo::CSV)
+
+        build_graph(workbook).cycles.each do |cycle|
+          errors << create_cycle_error(cycle)
         end
 
         errors
+      ensure
+        workbook&.close if workbook.respond_to?(:close)
+      end
+
+      private
+
+      # Every non-empty cell of every sheet, with its formula
+      def build_graph(workbook)
+        sheets = workbook.sheets.to_h do |name|
+          workbook.default_sheet = name
+          [name, [workbook.last_row.to_i, workbook.last_column.to_i]]
+        end
+
+        graph = ExcelAnalysis::Models::DependencyGraph.new(sheets)
+
+        sheets.each do |name, (row_count, column_count)|
+          workbook.default_sheet = name
+
+          (1..row_count).each do |row|
+            (1..column_count).each do |column|
+              formula = workbook.formula(row, column) if workbook.formula?(row, column)
+              graph.add_cell(name, row, column, value: workbook.cell(row, column), formula: formula)
+            end
+          end
+        end
+
+        graph
+      end
+
+      def create_cycle_error(cycle)
+        path = (cycle + [cycle.first]).join(' → ')
+
+        {
+          type: 'circular_reference',
+          severity: 'high',
+          cell: cycle.first,
+          cells: cycle,
+          message: cycle.one? ? 'Cell refers to itself' : "Circular reference between #{cycle.size} cells",
+          description: "#{path} - none of these can be calculated until the loop is broken",
+          suggestion: 'Break the loop by replacing one of these formulas with a value or pointing it at a cell outside the loop'
+        }
       end
     end
   end
-end
\ No newline at end of file
+end
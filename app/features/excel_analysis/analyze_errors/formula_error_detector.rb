@@ -81,7 +81,6 @@ module ExcelAnalysis
         
         # Check for common formula issues
         errors.concat(check_division_by_zero_risk(cell_address, formula))
-        errors.concat(check_circular_references(cell_address, formula))
         errors.concat(check_function_misspellings(cell_address, formula))
         errors.concat(check_range_issues(cell_address, formula))
         
@@ -108,29 +107,6 @@ module ExcelAnalysis
         errors
       end
 
-      def check_circular_references(cell_address, formula)
-        errors = []
-        
-        # Extract current cell reference
-        current_cell = cell_address.split('!').last
-        
-        # Check if formula references itself
-        if formula.include?(current_cell)
-          errors << {
-            type: 'formula_error',
-            severity: 'high',
-            cell: cell_address,
-            error_type: 'circular_reference',
-            message: 'Circular reference detected',
-            formula: formula,
-            description: 'Formula references itself, creating a circular dependency',
-            suggestion: 'Remove self-reference or restructure the calculation'
-          }
-        end
-        
-        errors
-      end
-
       def check_function_misspellings(cell_address, formula)
         errors = []
         
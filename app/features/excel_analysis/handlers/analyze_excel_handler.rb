@@ -40,6 +40,7 @@ module ExcelAnalysis
           # Step 5: Update file status
           @excel_file.update!(status: 'analyzed')
           broadcast_progress("Analysis complete", 100)
+          broadcast_completion(analysis)
 
           success({
             message: "Analysis completed successfully",
@@ -141,11 +142,26 @@ module ExcelAnalysis
           ai_tier_used: ai_analysis[:tier_used],
           confidence_score: ai_analysis[:confidence_score],
           tokens_used: ai_analysis[:tokens_used],
+          cost: AiCostMonitoring::Services::CostLedger.cost_for(ai_analysis[:tokens_used], ai_analysis[:tier_used]),
           provider: ai_analysis[:provider],
           status: 'completed'
         )
       end
 
+      def broadcast_completion(analysis)
+        ActionCable.server.broadcast(
+          "excel_analysis_#{@excel_file.id}",
+          {
+            type: 'analysis_complete',
+            status: @excel_file.status,
+            analysis: ExcelAnalysis::Models::AnalysisResult.new(analysis).to_h,
+            user_tokens: @user.tokens,
+            file_id: @excel_file.id,
+            timestamp: Time.current.iso8601
+          }
+        )
+      end
+
       def broadcast_progress(message, percentage)
         ActionCable.server.broadcast(
           "excel_analysis_#{@excel_file.id}",
@@ -0,0 +1,103 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    # Runs one operation over several of the user's files and reports the
+    # outcome per file; one file failing does not stop the others.
+    class BulkFileActionHandler < Common::BaseHandler
+      OPERATIONS = %w[analyze cancel delete].freeze
+      MAX_FILES = 100
+
+      def initialize(user:, file_ids:, operation:)
+        @user = user
+        @file_ids = Array(file_ids).map(&:to_s).uniq
+        @operation = operation.to_s
+      end
+
+      def execute
+        validation_result = validate_request
+        return validation_result if validation_result.failure?
+
+        results = files.map { |excel_file| { file_id: excel_file.id }.merge(perform(excel_file)) }
+
+        success({
+          operation: @operation,
+          results: results,
+          succeeded: results.count { |result| result[:success] },
+          failed: results.count { |result| !result[:success] }
+        })
+      end
+
+      private
+
+      def files
+        @files ||= @user.excel_files.where(id: @file_ids).to_a
+      end
+
+      def perform(excel_file)
+        send("#{@operation}_file", excel_file)
+      rescue ActiveRecord::ActiveRecordError => e
+        Rails.logger.error("Bulk #{@operation} failed for file #{excel_file.id}: #{e.message}")
+        { success: false, message: "#{@operation.capitalize} failed" }
+      end
+
+      # Queued like a fresh upload, base cost reserved up front so a later
+      # cancel can only give back what was taken; the job broadcasts its own progress
+      def analyze_file(excel_file)
+        return { success: false, message: "File is not ready for analysis", status: excel_file.status } unless excel_file.can_be_analyzed?
+        return { success: false, message: "Already queued for analysis", status: excel_file.status } if excel_file.reserved_tokens.positive?
+
+        excel_file.reserve_analysis_tokens!(ExcelFile::ANALYSIS_BASE_COST)
+        excel_file.update!(status: 'uploaded')
+        ExcelAnalysisJob.perform_later(excel_file.id, @user.id)
+
+        { success: true, message: "Queued for analysis", status: excel_file.status }
+      rescue Common::Errors::InsufficientTokensError
+        { success: false, message: "Insufficient tokens", status: excel_file.status }
+      end
+
+      def cancel_file(excel_file)
+        result = CancelAnalysisHandler.new(excel_file: excel_file, user: @user).execute
+
+        if result.success?
+          { success: true, message: result.value[:message], status: result.value[:status] }
+        else
+          { success: false, message: result.error.message, status: excel_file.status }
+        end
+      end
+
+      def delete_file(excel_file)
+        excel_file.release_reserved_tokens!
+        excel_file.destroy!
+        excel_file.cleanup_file!
+
+        { success: true, message: "Deleted", status: 'deleted' }
+      end
+
+      def validate_request
+        errors = []
+
+        unless OPERATIONS.include?(@operation)
+          errors << "Operation must be one of: #{OPERATIONS.join(', ')}"
+        end
+
+        if @file_ids.empty?
+          errors << "Select at least one file"
+        elsif @file_ids.size > MAX_FILES
+          errors << "Select at most #{MAX_FILES} files"
+        elsif files.size != @file_ids.size
+          errors << "Some files were not found"
+        end
+
+        return Common::Result.success if errors.empty?
+
+        Common::Result.failure(
+          Common::Errors::ValidationError.new(
+            message: "Bulk action failed",
+            details: { errors: errors }
+          )
+        )
+      end
+    end
+  end
+end
@@ -3,6 +3,8 @@
 module ExcelAnalysis
   module Handlers
     class CancelAnalysisHandler < Common::BaseHandler
+      ANALYSIS_JOB_CLASSES = %w[ExcelAnalysisJob ExcelAnalysis::Jobs::AnalyzeExcelJob].freeze
+
       def initialize(excel_file:, user:)
         @excel_file = excel_file
         @user = user
@@ -30,12 +32,15 @@ module ExcelAnalysis
 
         begin
           # Cancel the analysis
-          cancel_analysis
+          tokens_refunded = cancel_analysis
           
           Rails.logger.info("Analysis cancelled for file #{@excel_file.id} by user #{@user.id}")
           
           Common::Result.success({
-            message: "Analysis cancelled successfully"
+            message: "Analysis cancelled successfully",
+            status: @excel_file.status,
+            tokens_refunded: tokens_refunded,
+            tokens_remaining: @user.reload.tokens
           })
         rescue StandardError => e
           Rails.logger.error("Failed to cancel analysis: #{e.message}")
@@ -50,54 +55,85 @@ module ExcelAnalysis
 
       private
 
+      # A file that is merely uploaded has nothing to cancel unless an analysis
+      # is waiting for it: tokens reserved when it was queued, or a pending job
       def can_cancel_analysis?
-        %w[uploaded processing].include?(@excel_file.status)
+        return true if @excel_file.processing?
+        return false unless @excel_file.uploaded?
+        
+        @excel_file.reserved_tokens.positive? || pending_jobs.any?
       end
 
       def cancel_analysis
-        # Update file status
+        # Update file status; a running job checks it between steps and stops
         @excel_file.update!(status: 'cancelled')
         
         # Cancel any pending background jobs
         cancel_background_jobs
         
+        # Refund what was reserved when the analysis was queued, if the job
+        # hasn't claimed it yet
+        tokens_refunded = refund_reserved_tokens
+        
         # Broadcast cancellation to WebSocket subscribers
-        broadcast_cancellation
+        broadcast_cancellation(tokens_refunded)
         
-        # Refund tokens if analysis hasn't started
-        refund_tokens_if_applicable
+        tokens_refunded
       end
 
       def cancel_background_jobs
-        # Find and cancel any pending ExcelAnalysisJob for this file
-        # This is a simplified version - in production you'd want more sophisticated job management
+        # Jobs still waiting in Solid Queue are discarded; claimed (running) jobs
+        # cannot be discarded and stop themselves once they see the cancelled status
+        discarded = pending_jobs.count { |job| discard_job(job) }
         
-        # For Solid Queue, we'd need to implement job cancellation
-        # For now, we'll just update the status and let the job handle it
-        Rails.logger.info("Cancelling background jobs for file #{@excel_file.id}")
+        Rails.logger.info("Discarded #{discarded} pending analysis jobs for file #{@excel_file.id}")
       end
 
-      def broadcast_cancellation
+      def pending_jobs
+        @pending_jobs ||= SolidQueue::Job.where(class_name: ANALYSIS_JOB_CLASSES, finished_at: nil).select { |job| job_for_file?(job) }
+      rescue ActiveRecord::ActiveRecordError => e
+        Rails.logger.warn("Could not look up analysis jobs for file #{@excel_file.id}: #{e.message}")
+        []
+      end
+
+      def job_for_file?(job)
+        arguments = job.arguments.is_a?(Hash) ? job.arguments['arguments'] : job.arguments
+        file_argument = Array(arguments).first
+        file_id = file_argument.is_a?(Hash) ? file_argument['excel_file_id'] : file_argument
+        
+        file_id.to_i == @excel_file.id
+      end
+
+      def discard_job(job)
+        return false if job.claimed?
+        
+        job.discard
+        true
+      rescue StandardError => e
+        Rails.logger.warn("Could not discard job #{job.id} for file #{@excel_file.id}: #{e.message}")
+        false
+      end
+
+      def broadcast_cancellation(tokens_refunded)
         ActionCable.server.broadcast(
           "excel_analysis_#{@excel_file.id}",
           {
             type: 'cancelled',
             message: 'Analysis has been cancelled',
             status: @excel_file.status,
+            tokens_refunded: tokens_refunded,
+            user_tokens: @user.reload.tokens,
             timestamp: Time.current
           }
         )
       end
 
-      def refund_tokens_if_applicable
-        # Only refund if analysis hasn't actually started processing
-        if @excel_file.status == 'uploaded' || @excel_file.analyses.empty?
-          # Refund the base cost (10 tokens)
-          @user.increment!(:tokens, 10)
-          
-          Rails.logger.info("Refunded 10 tokens to user #{@user.id} for cancelled analysis")
-        end
+      def refund_reserved_tokens
+        refunded = @excel_file.release_reserved_tokens!
+        Rails.logger.info("Refunded #{refunded} reserved tokens to user #{@user.id} for cancelled analysis") if refunded.positive?
+        
+        refunded
       end
     end
   end
-end
\ No newline at end of file
+end
@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    class CorrectionDiffHandler < Common::BaseHandler
+      def initialize(excel_file:, user:)
+        @excel_file = excel_file
+        @user = user
+      end
+
+      def execute
+        unless @excel_file.user == @user
+          return failure(
+            Common::Errors::AuthorizationError.new(
+              message: "You don't have permission to review this file"
+            )
+          )
+        end
+
+        analysis = @excel_file.latest_analysis
+        unless analysis&.completed? && analysis.corrections.present?
+          return failure(
+            Common::Errors::BusinessError.new(
+              message: "No corrections available to review",
+              code: "NO_CORRECTIONS"
+            )
+          )
+        end
+
+        unless @excel_file.file_exists?
+          return failure(
+            Common::Errors::FileProcessingError.new(
+              message: "The uploaded file is no longer available",
+              file_name: @excel_file.original_name
+            )
+          )
+        end
+
+        changes = ExcelAnalysis::Services::CorrectionDiffService.new(
+          excel_file: @excel_file,
+          analysis: analysis
+        ).changes
+
+        success({
+          analysis_id: analysis.id,
+          changes: changes
+        })
+      rescue StandardError => e
+        Rails.logger.error("Correction diff failed for file #{@excel_file.id}: #{e.message}")
+        failure(
+          Common::Errors::FileProcessingError.new(
+            message: "Could not compare the workbook with its corrections",
+            file_name: @excel_file.original_name
+          )
+        )
+      end
+    end
+  end
+end
@@ -0,0 +1,57 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    class DependencyGraphHandler < Common::BaseHandler
+      def initialize(excel_file:, user:, cell: nil, direction: 'both', depth: 2)
+        @excel_file = excel_file
+        @user = user
+        @cell = cell
+        @direction = direction
+        @depth = depth
+      end
+
+      def execute
+        unless @excel_file.user == @user
+          return failure(
+            Common::Errors::AuthorizationError.new(
+              message: "You don't have permission to view this file"
+            )
+          )
+        end
+
+        unless @excel_file.file_exists?
+          return failure(
+            Common::Errors::FileProcessingError.new(
+              message: "The uploaded file is no longer available",
+              file_name: @excel_file.original_name
+            )
+          )
+        end
+
+        service = ExcelAnalysis::Services::DependencyGraphService.new(@excel_file)
+        return success(service.cycles) if @cell.blank?
+
+        graph = service.around(@cell, direction: @direction, depth: @depth)
+        unless graph
+          return failure(
+            Common::Errors::BusinessError.new(
+              message: "Not a cell in this workbook: #{@cell}",
+              code: "CELL_NOT_FOUND"
+            )
+          )
+        end
+
+        success(graph)
+      rescue StandardError => e
+        Rails.logger.error("Dependency graph failed for file #{@excel_file.id}: #{e.message}")
+        failure(
+          Common::Errors::FileProcessingError.new(
+            message: "Could not read the workbook's formulas",
+            file_name: @excel_file.original_name
+          )
+        )
+      end
+    end
+  end
+end
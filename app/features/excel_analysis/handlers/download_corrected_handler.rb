@@ -65,8 +65,10 @@ module ExcelAnalysis
         end
 
         # Check if corrections are available
-        unless analysis&.corrections.present?
+        if analysis&.corrections.blank?
           errors << "No corrections available to generate file"
+        elsif analysis.accepted_corrections.empty?
+          errors << "No corrections have been accepted yet; accept the ones to apply before downloading"
         end
 
         # Check user owns the file
@@ -0,0 +1,82 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    class PreviewSheetHandler < Common::BaseHandler
+      def initialize(excel_file:, user:, sheet: nil, chunk: 0)
+        @excel_file = excel_file
+        @user = user
+        @sheet = sheet
+        @chunk = chunk.to_i
+      end
+
+      def execute
+        unless @excel_file.user == @user
+          return failure(
+            Common::Errors::AuthorizationError.new(
+              message: "You don't have permission to preview this file"
+            )
+          )
+        end
+
+        if @chunk.negative?
+          return failure(
+            Common::Errors::ValidationError.new(
+              message: "Chunk must be zero or greater",
+              details: { chunk: @chunk }
+            )
+          )
+        end
+
+        unless @excel_file.file_exists?
+          return failure(
+            Common::Errors::FileProcessingError.new(
+              message: "The uploaded file is no longer available",
+              file_name: @excel_file.original_name
+            )
+          )
+        end
+
+        sheets = preview.sheets
+        payload = { sheets: sheets, chunk_size: ExcelAnalysis::Services::SheetPreviewService::CHUNK_SIZE }
+
+        # Opening the preview lists the sheets first; the rest of the
+        # workbook is cached in the background while the first chunk loads
+        if @sheet.blank?
+          preview.warm_later
+          return success(payload)
+        end
+
+        unless sheets.any? { |sheet| sheet[:name] == @sheet }
+          return failure(
+            Common::Errors::BusinessError.new(
+              message: "Sheet not found: #{@sheet}",
+              code: "SHEET_NOT_FOUND"
+            )
+          )
+        end
+
+        success(payload.merge(
+          sheet: @sheet,
+          chunk: @chunk,
+          offset: @chunk * ExcelAnalysis::Services::SheetPreviewService::CHUNK_SIZE,
+          rows: preview.chunk(@sheet, @chunk)
+        ))
+      rescue StandardError => e
+        Rails.logger.error("Sheet preview failed for file #{@excel_file.id}: #{e.message}")
+        failure(
+          Common::Errors::FileProcessingError.new(
+            message: "Could not read the workbook for preview",
+            file_name: @excel_file.original_name
+          )
+        )
+      end
+
+      private
+
+      def preview
+        @preview ||= ExcelAnalysis::Services::SheetPreviewService.new(@excel_file)
+      end
+    end
+  end
+end
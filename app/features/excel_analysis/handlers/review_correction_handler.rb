@@ -0,0 +1,70 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    class ReviewCorrectionHandler < Common::BaseHandler
+      def initialize(excel_file:, user:, correction_index:, decision:)
+        @excel_file = excel_file
+        @user = user
+        @correction_index = correction_index
+        @decision = decision.to_s
+      end
+
+      def execute
+        validation_result = validate_request
+        return validation_result if validation_result.failure?
+
+        analysis.update_correction_decision!(index, @decision)
+
+        success({
+          analysis_id: analysis.id,
+          correction_index: index,
+          decision: @decision,
+          accepted_count: analysis.accepted_corrections.size
+        })
+      rescue ActiveRecord::ActiveRecordError => e
+        Rails.logger.error("Failed to review correction: #{e.message}")
+        failure("Failed to save correction decision")
+      end
+
+      private
+
+      def analysis
+        @analysis ||= @excel_file.latest_analysis
+      end
+
+      def index
+        Integer(@correction_index, exception: false)
+      end
+
+      def validate_request
+        errors = []
+
+        unless @excel_file.user == @user
+          errors << "You don't have permission to review this analysis"
+        end
+
+        unless analysis&.completed?
+          errors << "No completed analysis available"
+        end
+
+        unless index && index >= 0 && index < Array(analysis&.corrections).size
+          errors << "Correction not found"
+        end
+
+        unless Analysis::CORRECTION_DECISIONS.include?(@decision)
+          errors << "Decision must be one of: #{Analysis::CORRECTION_DECISIONS.join(', ')}"
+        end
+
+        return Common::Result.success if errors.empty?
+
+        Common::Result.failure(
+          Common::Errors::ValidationError.new(
+            message: "Correction review failed",
+            details: { errors: errors }
+          )
+        )
+      end
+    end
+  end
+end
@@ -0,0 +1,69 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Handlers
+    class UpdateIssueStateHandler < Common::BaseHandler
+      def initialize(excel_file:, user:, issue_index:, state:)
+        @excel_file = excel_file
+        @user = user
+        @issue_index = issue_index
+        @state = state.to_s
+      end
+
+      def execute
+        validation_result = validate_request
+        return validation_result if validation_result.failure?
+
+        analysis.update_issue_state!(index, @state)
+
+        success({
+          analysis_id: analysis.id,
+          issue_index: index,
+          state: @state
+        })
+      rescue ActiveRecord::ActiveRecordError => e
+        Rails.logger.error("Failed to update issue state: #{e.message}")
+        failure("Failed to update issue state")
+      end
+
+      private
+
+      def analysis
+        @analysis ||= @excel_file.latest_analysis
+      end
+
+      def index
+        Integer(@issue_index, exception: false)
+      end
+
+      def validate_request
+        errors = []
+
+        unless @excel_file.user == @user
+          errors << "You don't have permission to update this analysis"
+        end
+
+        unless analysis&.completed?
+          errors << "No completed analysis available"
+        end
+
+        unless index && index >= 0 && index < Array(analysis&.detected_errors).size
+          errors << "Issue not found"
+        end
+
+        unless Analysis::ISSUE_STATES.include?(@state)
+          errors << "State must be one of: #{Analysis::ISSUE_STATES.join(', ')}"
+        end
+
+        return Common::Result.success if errors.empty?
+
+        Common::Result.failure(
+          Common::Errors::ValidationError.new(
+            message: "Issue update failed",
+            details: { errors: errors }
+          )
+        )
+      end
+    end
+  end
+end
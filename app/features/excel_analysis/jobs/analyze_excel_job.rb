@@ -43,12 +43,18 @@ module ExcelAnalysis
             analysis_summary: "File is clean - no errors found"
           )
           excel_file.update!(status: "completed")
+          
+          Notifications::Jobs::DeliverPushJob.notify(
+            user,
+            Notifications::Models::PushMessage.analysis_completed(excel_file, analysis)
+          )
         end
 
         broadcast_progress(excel_file, "Analysis queued", 100)
       rescue StandardError => e
         excel_file.update!(status: "failed")
         broadcast_error(excel_file, e.message)
+        notify_failure(excel_file, e.message)
         raise
       end
 
@@ -57,6 +63,14 @@ module ExcelAnalysis
       def handle_analysis_failure(excel_file, result)
         excel_file.update!(status: "failed")
         broadcast_error(excel_file, result.error)
+        notify_failure(excel_file, result.error.to_s)
+      end
+
+      def notify_failure(excel_file, error_message)
+        Notifications::Jobs::DeliverPushJob.notify(
+          excel_file.user,
+          Notifications::Models::PushMessage.analysis_failed(excel_file, error_message)
+        )
       end
 
       def broadcast_progress(excel_file, message, progress)
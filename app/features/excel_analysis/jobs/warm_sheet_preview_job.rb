@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Jobs
+    # Reads every sheet of a workbook into the preview cache in one pass, so
+    # scrolling the preview (and building the dependency graph) finds the
+    # chunks already cached instead of streaming the sheet for each one
+    class WarmSheetPreviewJob < ApplicationJob
+      queue_as :excel_processing
+
+      discard_on ActiveRecord::RecordNotFound
+
+      def perform(excel_file_id)
+        excel_file = ExcelFile.find(excel_file_id)
+        return unless excel_file.file_exists?
+
+        preview = ExcelAnalysis::Services::SheetPreviewService.new(excel_file)
+        preview.warm
+      rescue StandardError
+        preview&.forget_warming
+        raise
+      end
+    end
+  end
+end
@@ -0,0 +1,101 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Models
+    # Channel payload the excel-analysis controller renders its results card from
+    class AnalysisResult
+      SEVERITIES = %w[high medium low].freeze
+      
+      # Detector error types grouped the way the issue explorer filters them
+      ISSUE_CATEGORIES = {
+        'formula_error' => %w[formula_error potential_formula_error missing_reference],
+        'circular_reference' => %w[circular_reference],
+        'data_validation' => %w[data_validation data_consistency data_quality data_type_mismatch missing_data],
+        'format_consistency' => %w[format_inconsistency formatting_issue]
+      }.freeze
+
+      attr_reader :analysis
+
+      def initialize(analysis)
+        @analysis = analysis
+      end
+
+      def to_h
+        {
+          id: analysis.id,
+          status: analysis.status,
+          error_count: analysis.error_count,
+          fixed_count: analysis.fixed_count,
+          confidence_score: analysis.confidence_score&.to_f,
+          ai_tier_used: analysis.ai_tier_used,
+          tier_name: analysis.tier_name,
+          tokens_used: analysis.tokens_used,
+          estimated_time_saved: analysis.estimated_time_saved,
+          analysis_summary: analysis.analysis_summary,
+          ai_analysis: ai_analysis_text,
+          detected_errors: issues,
+          severity_breakdown: severity_breakdown,
+          download_url: download_url,
+          created_at: analysis.created_at
+        }
+      end
+
+      # Detected errors annotated with sheet, column, category and review state
+      def issues
+        @issues ||= Array(analysis.detected_errors).each_with_index.map do |error, index|
+          error = error.to_h.stringify_keys
+          sheet, column = locate(error)
+          
+          error.merge(
+            'index' => index,
+            'sheet' => sheet,
+            'column' => column,
+            'category' => category_for(error),
+            'state' => analysis.issue_state(index)
+          )
+        end
+      end
+
+      # { "high" => n, "medium" => n, "low" => n }
+      def severity_breakdown
+        counts = issues.group_by { |error| error['severity'] }.transform_values(&:count)
+        
+        SEVERITIES.index_with { |severity| counts.fetch(severity, 0) }
+      end
+
+      private
+
+      # "Sheet1!B12", ["A1:A10"] or worksheet + address -> ["Sheet1", "B"]
+      def locate(error)
+        reference = error['cell'] || Array(error['cells']).first || error['address'] || error['location']
+        sheet, cell = reference.to_s.include?('!') ? reference.to_s.split('!', 2) : [error['worksheet'], reference]
+        column = cell.to_s[/\A\$?([A-Z]+)/, 1]
+        
+        [sheet.presence, column]
+      end
+
+      def category_for(error)
+        return 'circular_reference' if error['error_type'] == 'circular_reference'
+        
+        type = error['type'].to_s
+        ISSUE_CATEGORIES.find { |_category, types| types.include?(type) }&.first || 'other'
+      end
+
+      # ai_analysis is stored either as the raw model text or as a structured hash
+      def ai_analysis_text
+        value = analysis.ai_analysis
+        return value if value.is_a?(String)
+        return nil unless value.is_a?(Hash)
+        
+        value = value.stringify_keys
+        value['content'] || value['analysis'] || value['summary']
+      end
+
+      def download_url
+        return nil unless analysis.completed? && analysis.corrections.present?
+        
+        Rails.application.routes.url_helpers.download_corrected_excel_file_path(analysis.excel_file_id)
+      end
+    end
+  end
+end
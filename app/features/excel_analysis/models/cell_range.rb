@@ -0,0 +1,61 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Models
+    # A rectangular block of cells such as "B4:F30" or "'Q1 Sales'!b4:f30", as
+    # typed into the chat context picker. A single address is a one-cell range;
+    # corners given in either order are normalized to top-left / bottom-right.
+    class CellRange
+      PATTERN = /\A(?:'?(?<sheet>[^!]+?)'?!)?\$?(?<first_column>[A-Za-z]{1,3})\$?(?<first_row>\d+)(?::\$?(?<last_column>[A-Za-z]{1,3})\$?(?<last_row>\d+))?\z/
+
+      attr_reader :sheet, :first_row, :first_column, :last_row, :last_column
+
+      def self.parse(reference, default_sheet: nil)
+        match = PATTERN.match(reference.to_s.strip)
+        return nil unless match
+
+        rows = [match[:first_row], match[:last_row] || match[:first_row]].map(&:to_i)
+        columns = [match[:first_column], match[:last_column] || match[:first_column]].map { |letters| CellReference.column_number(letters.upcase) }
+        return nil if rows.min.zero?
+
+        new(sheet: match[:sheet] || default_sheet, rows: rows.minmax, columns: columns.minmax)
+      end
+
+      def initialize(sheet:, rows:, columns:)
+        @sheet = sheet
+        @first_row, @last_row = rows
+        @first_column, @last_column = columns
+      end
+
+      def cell_count
+        (last_row - first_row + 1) * (last_column - first_column + 1)
+      end
+
+      # Every cell, row by row, as CellReferences
+      def each_cell
+        return enum_for(:each_cell) unless block_given?
+
+        (first_row..last_row).each do |row|
+          (first_column..last_column).each do |column|
+            yield CellReference.new(sheet: sheet, row: row, column: column)
+          end
+        end
+      end
+
+      def address
+        first = CellReference.new(sheet: nil, row: first_row, column: first_column).address
+        return first if cell_count == 1
+
+        "#{first}:#{CellReference.new(sheet: nil, row: last_row, column: last_column).address}"
+      end
+
+      # Sheet names with spaces or punctuation are quoted the way Excel does
+      def to_s
+        return address unless sheet
+
+        name = sheet.match?(/\A[A-Za-z0-9_]+\z/) ? sheet : "'#{sheet}'"
+        "#{name}!#{address}"
+      end
+    end
+  end
+end
@@ -0,0 +1,38 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Models
+    # A single cell address such as "B12", "$B$12" or "'Q1 Sales'!B12".
+    # Ranges resolve to their first cell.
+    class CellReference
+      PATTERN = /\A(?:'?(?<sheet>[^!]+?)'?!)?\$?(?<column>[A-Z]{1,3})\$?(?<row>\d+)/
+
+      attr_reader :sheet, :row, :column
+
+      def self.parse(reference, default_sheet: nil)
+        match = PATTERN.match(reference.to_s.strip)
+        return nil unless match
+        
+        new(sheet: match[:sheet] || default_sheet, row: match[:row].to_i, column: column_number(match[:column]))
+      end
+
+      def self.column_number(letters)
+        letters.each_char.reduce(0) { |number, letter| number * 26 + letter.ord - 64 }
+      end
+
+      def initialize(sheet:, row:, column:)
+        @sheet = sheet
+        @row = row
+        @column = column
+      end
+
+      def address
+        "#{Roo::Base.number_to_letter(column)}#{row}"
+      end
+
+      def to_s
+        sheet ? "#{sheet}!#{address}" : address
+      end
+    end
+  end
+end
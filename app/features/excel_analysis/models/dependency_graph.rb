@@ -0,0 +1,305 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Models
+    # Which cells each formula reads, for finding circular references and for
+    # tracing a cell's precedents and dependents.
+    #
+    # Nodes are "Sheet1!A1" keys. A formula reading a small range gets an edge
+    # to every non-empty cell in it; a range with more than EXPAND_LIMIT cells
+    # becomes a single "Sheet1!A1:A500" node instead, which in turn reads the
+    # formula cells inside it - so C10 = SUM(C1:C10) is still a loop, without
+    # an edge to each of ten thousand values.
+    class DependencyGraph
+      EXPAND_LIMIT = 25
+
+      # A1, $A$1, A1:B2, Sheet2!A1 or 'Q1 Sales'!A1:B2 inside a formula. Names
+      # such as LOG10( and cells of other workbooks ([Book2]Sheet1!A1) are
+      # skipped, as are whole-column references and defined names.
+      REFERENCE = /
+        (?<![\w.!$'\]])
+        (?:(?<sheet>'(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?
+        \$?(?<first_column>[A-Za-z]{1,3})\$?(?<first_row>\d+)
+        (?::\$?(?<last_column>[A-Za-z]{1,3})\$?(?<last_row>\d+))?
+        (?![\w(!])
+      /x
+      STRING_LITERAL = /"(?:[^"]|"")*"/
+
+      attr_reader :sheets
+
+      # sheets: { "Sheet1" => [row_count, column_count] } in workbook order
+      def initialize(sheets)
+        @sheets = sheets
+        @cells = {}
+        @locations = {}
+        @rows_by_column = Hash.new { |hash, sheet| hash[sheet] = Hash.new { |columns, column| columns[column] = [] } }
+      end
+
+      # Cells are expected row by row, as a workbook is read
+      def add_cell(sheet, row, column, value: nil, formula: nil)
+        return if value.nil? && formula.blank?
+
+        key = key_for(CellRange.new(sheet: sheet, rows: [row, row], columns: [column, column]))
+        @cells[key] = { value: value, formula: formula.presence }
+        @rows_by_column[sheet][column] << row
+        @precedents = nil
+      end
+
+      # The node key for "b4" or "Sheet2!B4:C9" (sheetless references use the
+      # first sheet), or nil when it doesn't point into this workbook
+      def find(reference)
+        range = CellRange.parse(reference, default_sheet: sheets.keys.first)
+        return nil unless range && sheets.key?(range.sheet)
+
+        key = key_for(range)
+        precedent_map.key?(key) || dependent_map.key?(key) || range.cell_count == 1 ? key : nil
+      end
+
+      # Keys of the cells (and range nodes) a node reads
+      def precedents(key)
+        precedent_map.fetch(key, [])
+      end
+
+      # Keys of the formulas that read a node
+      def dependents(key)
+        dependent_map.fetch(key, [])
+      end
+
+      # { sheet:, address:, row:, column:, last_row:, last_column:, kind:, value:, formula: }
+      def node(key)
+        range = @locations[key] || CellRange.parse(key)
+        cell = @cells.fetch(key, {})
+
+        {
+          id: key,
+          sheet: range.sheet,
+          address: range.address,
+          row: range.first_row,
+          column: range.first_column,
+          last_row: range.last_row,
+          last_column: range.last_column,
+          kind: range.cell_count == 1 ? 'cell' : 'range',
+          value: cell[:value],
+          formula: cell[:formula]
+        }
+      end
+
+      # One loop through each group of cells that feed into each other,
+      # starting from its top-left-most cell: ["Sheet1!A1", "Sheet1!B1"] for
+      # A1 = B1 + 1 and B1 = A1 * 2. A self-referencing cell is a loop of one.
+      def cycles
+        @cycles ||= strongly_connected_components.filter_map do |component|
+          next if component.one? && !precedents(component.first).include?(component.first)
+
+          cycle_through(component)
+        end.sort_by { |cycle| sort_key(cycle.first) }
+      end
+
+      # [precedent, dependent] pairs along the reported loops
+      def cycle_edges
+        @cycle_edges ||= cycles.flat_map { |cycle| cycle.zip(cycle.rotate).map(&:reverse) }.to_set
+      end
+
+      # Keys within depth steps of key, following precedents, dependents or
+      # both, nearest first; and whether the limit cut the walk short
+      def neighborhood(key, direction: :both, depth: 2, limit: 2_000)
+        walks = []
+        walks << method(:precedents) unless direction == :dependents
+        walks << method(:dependents) unless direction == :precedents
+
+        keys = [key]
+        seen = Set[key]
+
+        walks.each do |neighbors|
+          frontier = [key]
+
+          depth.times do
+            frontier = frontier.flat_map { |node| neighbors.call(node) }.uniq.reject { |node| seen.include?(node) }
+            break if frontier.empty?
+
+            room = limit - keys.size
+            return [keys + frontier.first(room), true] if frontier.size > room
+
+            keys.concat(frontier)
+            seen.merge(frontier)
+          end
+        end
+
+        [keys, false]
+      end
+
+      # Ranges a formula reads; sheetless ones are on the formula's own sheet
+      def self.references(formula, sheet)
+        formula.to_s.gsub(STRING_LITERAL, '""').to_enum(:scan, REFERENCE).filter_map do
+          match = Regexp.last_match
+          reference_sheet = match[:sheet]&.delete_prefix("'")&.delete_suffix("'")&.gsub("''", "'") || sheet
+          reference = match[0].split('!').last
+
+          CellRange.parse(reference, default_sheet: reference_sheet)
+        end
+      end
+
+      private
+
+      def precedent_map
+        @precedents ||= begin
+          map = {}
+
+          @cells.each do |key, cell|
+            next unless cell[:formula]
+
+            sheet = @locations[key].sheet
+            map[key] = self.class.references(cell[:formula], sheet).flat_map { |range| nodes_for(range, map) }.uniq
+          end
+
+          @dependents = nil
+          @cycles = nil
+          @cycle_edges = nil
+          map
+        end
+      end
+
+      def dependent_map
+        @dependents ||= precedent_map.each_with_object({}) do |(key, precedents), map|
+          precedents.each { |precedent| (map[precedent] ||= []) << key }
+        end
+      end
+
+      # Keys standing for a referenced range; a large one is also added to the
+      # map as a node reading the formula cells inside it
+      def nodes_for(range, map)
+        return [] unless sheets.key?(range.sheet)
+        return [key_for(range)] if range.cell_count == 1
+
+        range = clamp(range)
+        return [] unless range
+
+        keys = cells_in(range)
+        return keys if keys.size <= EXPAND_LIMIT
+
+        key = key_for(range)
+        map[key] ||= keys.select { |cell| @cells[cell][:formula] }
+        [key]
+      end
+
+      # Non-empty cells of a range, found through each column's sorted rows
+      def cells_in(range)
+        columns = @rows_by_column[range.sheet]
+
+        (range.first_column..range.last_column).flat_map do |column|
+          rows = columns.fetch(column, [])
+          start = rows.bsearch_index { |row| row >= range.first_row } || rows.size
+
+          rows[start..].take_while { |row| row <= range.last_row }.map do |row|
+            "#{range.sheet}!#{CellReference.new(sheet: nil, row: row, column: column).address}"
+          end
+        end
+      end
+
+      # Ranges reaching past the used area of the sheet are cut back to it
+      def clamp(range)
+        row_count, column_count = sheets[range.sheet]
+        return nil if range.first_row > row_count || range.first_column > column_count
+
+        CellRange.new(
+          sheet: range.sheet,
+          rows: [range.first_row, [range.last_row, row_count].min],
+          columns: [range.first_column, [range.last_column, column_count].min]
+        )
+      end
+
+      def key_for(range)
+        key = "#{range.sheet}!#{range.address}"
+        @locations[key] ||= range
+        key
+      end
+
+      def sort_key(key)
+        range = @locations[key] || CellRange.parse(key)
+        [sheets.keys.index(range.sheet) || sheets.size, range.first_row, range.first_column]
+      end
+
+      # Tarjan's algorithm, iterative so long chains of formulas can't
+      # overflow the stack
+      def strongly_connected_components
+        index = {}
+        lowlink = {}
+        on_stack = Set.new
+        stack = []
+        components = []
+
+        precedent_map.each_key do |root|
+          next if index.key?(root)
+
+          index[root] = lowlink[root] = index.size
+          stack << root
+          on_stack << root
+          work = [[root, 0]]
+
+          until work.empty?
+            node, position = work.last
+            children = precedents(node)
+
+            if position < children.size
+              work.last[1] += 1
+              child = children[position]
+
+              if !index.key?(child)
+                index[child] = lowlink[child] = index.size
+                stack << child
+                on_stack << child
+                work << [child, 0]
+              elsif on_stack.include?(child)
+                lowlink[node] = [lowlink[node], index[child]].min
+              end
+            else
+              work.pop
+              parent = work.last&.first
+              lowlink[parent] = [lowlink[parent], lowlink[node]].min if parent
+
+              next unless lowlink[node] == index[node]
+
+              component = []
+              loop do
+                member = stack.pop
+                on_stack.delete(member)
+                component << member
+                break if member == node
+              end
+              components << component
+            end
+          end
+        end
+
+        components
+      end
+
+      # Shortest way from the component's first cell back to itself
+      def cycle_through(component)
+        members = component.to_set
+        start = component.min_by { |key| [@cells.key?(key) ? 0 : 1, *sort_key(key)] }
+        previous = { start => nil }
+        queue = [start]
+
+        queue.each do |node|
+          precedents(node).each do |child|
+            next unless members.include?(child)
+
+            if child == start
+              path = [node]
+              path.unshift(previous[path.first]) while previous[path.first]
+              return path
+            end
+
+            next if previous.key?(child)
+
+            previous[child] = node
+            queue << child
+          end
+        end
+
+        nil
+      end
+    end
+  end
+end
@@ -0,0 +1,62 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Models
+    # One row of the files index status board. Built from the record for the
+    # initial snapshot, or from an excel_analysis_<id> broadcast, whose shape
+    # depends on which job or handler sent it.
+    class FileStatus
+      PROGRESS_TYPES = %w[progress progress_update].freeze
+      COMPLETED_TYPES = %w[completed analysis_complete].freeze
+
+      def self.from_file(excel_file)
+        analysis = excel_file.latest_analysis
+        breakdown = analysis&.completed? ? AnalysisResult.new(analysis).severity_breakdown : nil
+
+        {
+          file_id: excel_file.id,
+          status: excel_file.status,
+          progress: excel_file.analysis_progress,
+          message: nil,
+          key: nil,
+          params: nil,
+          **issue_counts(breakdown)
+        }
+      end
+
+      # nil for broadcasts the board has no use for
+      def self.from_broadcast(file_id, message)
+        message = message.to_h.stringify_keys
+        # Jobs that send catalog keys leave message blank; the board translates
+        base = {
+          type: 'status',
+          file_id: file_id,
+          message: message['message'],
+          key: message['key'],
+          params: message['params']
+        }
+
+        case message['type']
+        when *PROGRESS_TYPES
+          base.merge(event: 'progress', status: message['status'] || 'processing', progress: message['progress'] || message['percentage'])
+        when *COMPLETED_TYPES
+          breakdown = message.dig('analysis', 'severity_breakdown')
+          base.merge(event: 'completed', status: 'analyzed', progress: 100, **issue_counts(breakdown))
+        when 'error'
+          base.merge(event: 'failed', status: 'failed', progress: 0)
+        when 'cancelled'
+          base.merge(event: 'cancelled', status: 'cancelled', progress: 0)
+        end
+      end
+
+      # High severity issues count as errors, medium and low as warnings
+      def self.issue_counts(breakdown)
+        return { errors: nil, warnings: nil } unless breakdown
+
+        breakdown = breakdown.to_h.stringify_keys
+        { errors: breakdown['high'].to_i, warnings: breakdown['medium'].to_i + breakdown['low'].to_i }
+      end
+      private_class_method :issue_counts
+    end
+  end
+end
@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Services
+    # Cells a chat question points at. The context picker lists the sheets and
+    # suggests ranges from the latest analysis; when the message is sent, the
+    # chosen ranges are read (through the sheet preview cache) and their values
+    # and formulas go to the AI with it.
+    class CellContextService
+      MAX_RANGES = 5
+      MAX_CELLS = 500
+      MAX_SUGGESTIONS = 4
+
+      def initialize(excel_file, preview: SheetPreviewService.new(excel_file))
+        @excel_file = excel_file
+        @preview = preview
+      end
+
+      def sheets
+        @sheets ||= @preview.sheets
+      end
+
+      # Canonical "Sheet!A1:B2" strings for the references that point into this
+      # workbook. Sheetless ones use the first sheet; anything else is dropped.
+      def normalize(references)
+        Array(references).filter_map { |reference| parse(reference)&.to_s }.uniq.first(MAX_RANGES)
+      end
+
+      # One block per range, one line per non-empty cell: "C4: 360 (=B4*3)".
+      # Stops after MAX_CELLS cells so a whole-column selection can't flood
+      # the prompt.
+      def describe(references)
+        budget = MAX_CELLS
+
+        blocks = normalize(references).map do |reference|
+          range = parse(reference)
+          lines = [reference]
+
+          range.each_cell do |cell|
+            if budget.zero?
+              lines << '(remaining cells omitted)'
+              break
+            end
+
+            budget -= 1
+            value, formula = @preview.cell(range.sheet, cell.row, cell.column)
+            next if value.nil? && formula.nil?
+
+            lines << "#{cell.address}: #{value}#{" (#{formula})" if formula}"
+          end
+
+          lines.join("\n")
+        end
+
+        blocks.join("\n\n").presence
+      end
+
+      # Open issues from the analysis that point at a cell, most severe first:
+      # [{ category: "circular_reference", reference: "Sheet1!C12", message: }]
+      def suggestions(analysis)
+        return [] unless analysis&.completed?
+
+        issues = ExcelAnalysis::Models::AnalysisResult.new(analysis).issues
+        issues = issues.select { |issue| issue['state'] == 'open' }
+        issues = issues.sort_by { |issue| ExcelAnalysis::Models::AnalysisResult::SEVERITIES.index(issue['severity']) || 3 }
+
+        issues.filter_map { |issue| suggestion_for(issue) }
+              .uniq { |suggestion| suggestion[:reference] }
+              .first(MAX_SUGGESTIONS)
+      end
+
+      private
+
+      def parse(reference)
+        range = ExcelAnalysis::Models::CellRange.parse(reference, default_sheet: sheets.first&.dig(:name))
+        sheet = sheets.find { |candidate| candidate[:name] == range&.sheet }
+        return nil unless sheet
+
+        clamp(range, sheet)
+      end
+
+      # Ranges reaching past the used area of the sheet are cut back to it
+      def clamp(range, sheet)
+        last_row = range.last_row.clamp(range.first_row, [sheet[:row_count], range.first_row].max)
+        last_column = range.last_column.clamp(range.first_column, [sheet[:column_count], range.first_column].max)
+
+        ExcelAnalysis::Models::CellRange.new(sheet: range.sheet, rows: [range.first_row, last_row], columns: [range.first_column, last_column])
+      end
+
+      def suggestion_for(issue)
+        cell = issue['cell'] || Array(issue['cells']).first || issue['address'] || issue['location']
+        range = ExcelAnalysis::Models::CellRange.parse(cell, default_sheet: issue['sheet'] || sheets.first&.dig(:name))
+        return nil unless range
+
+        { category: issue['category'], reference: range.to_s, message: issue['message'] }
+      end
+    end
+  end
+end
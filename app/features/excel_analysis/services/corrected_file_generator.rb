@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'csv'
+
+module ExcelAnalysis
+  module Services
+    # Writes the analysis corrections into a copy of the uploaded workbook.
+    # Only corrections the user accepted in the diff viewer are written;
+    # pending and rejected ones are left out.
+    class CorrectedFileGenerator
+      # Plain decimals only; "007", "0x1A" or "1_000" stay text so codes and
+      # IDs aren't rewritten by Ruby's literal parsing
+      DECIMAL = /\A-?(0|[1-9]\d*)(\.\d+)?\z/
+      
+      def initialize(excel_file:, analysis:)
+        @excel_file = excel_file
+        @analysis = analysis
+      end
+
+      def generate
+        content = case File.extname(@excel_file.file_path).downcase
+                  when '.xlsx' then generate_xlsx
+                  when '.csv' then generate_csv
+                  else
+                    return Common::Result.failure("Corrected files can only be generated for .xlsx and .csv uploads")
+                  end
+        
+        Common::Result.success({ content: content, applied_count: corrections.size })
+      rescue StandardError => e
+        Common::Result.failure(e.message)
+      end
+
+      private
+
+      def generate_xlsx
+        workbook = RubyXL::Parser.parse(@excel_file.file_path)
+        
+        corrections.each do |reference, corrected|
+          worksheet = reference.sheet ? workbook[reference.sheet] : workbook.worksheets.first
+          next unless worksheet
+          
+          write_cell(worksheet, reference.row - 1, reference.column - 1, corrected)
+        end
+        
+        workbook.stream.string
+      end
+
+      def write_cell(worksheet, row, column, corrected)
+        formula = corrected.start_with?('=') ? corrected.delete_prefix('=') : nil
+        data = formula ? nil : typed_value(corrected)
+        cell = worksheet[row] && worksheet[row][column]
+        
+        if cell
+          cell.change_contents(data, formula)
+        else
+          worksheet.add_cell(row, column, data, formula)
+        end
+      end
+
+      def generate_csv
+        rows = CSV.read(@excel_file.file_path)
+        
+        corrections.each do |reference, corrected|
+          rows[reference.row - 1] ||= []
+          rows[reference.row - 1][reference.column - 1] = corrected
+        end
+        
+        CSV.generate { |csv| rows.each { |row| csv << Array(row) } }
+      end
+
+      # [[CellReference, corrected content]] for every accepted correction
+      def corrections
+        @corrections ||= @analysis.accepted_corrections.filter_map do |correction, _index|
+          correction = correction.to_h.stringify_keys
+          reference = ExcelAnalysis::Models::CellReference.parse(correction['cell'])
+          
+          [reference, correction['corrected'].to_s] if reference
+        end
+      end
+
+      def typed_value(content)
+        match = DECIMAL.match(content)
+        return content unless match
+        
+        match[2] ? content.to_f : content.to_i
+      end
+    end
+  end
+end
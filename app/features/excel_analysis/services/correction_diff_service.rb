@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Services
+    # Pairs every AI correction with what the uploaded workbook actually holds
+    # in that cell, so users can audit the change before downloading it.
+    class CorrectionDiffService
+      def initialize(excel_file:, analysis:)
+        @excel_file = excel_file
+        @analysis = analysis
+      end
+
+      def changes
+        Array(@analysis.corrections).each_with_index.map do |correction, index|
+          build_change(correction.to_h.stringify_keys, index)
+        end
+      end
+
+      private
+
+      def build_change(correction, index)
+        reference = cell_reference_for(correction['cell'])
+        original_value, original_formula = original_cell(reference)
+        corrected = correction['corrected']&.to_s
+        formula = corrected&.start_with?('=')
+        
+        {
+          index: index,
+          cell: reference&.to_s || correction['cell'],
+          sheet: reference&.sheet,
+          original_value: original_value,
+          original_formula: original_formula,
+          corrected_value: formula ? nil : corrected,
+          corrected_formula: formula ? corrected : nil,
+          expected_original: correction['original'],
+          matches_original: matches_original?(correction['original'], original_value, original_formula),
+          explanation: correction['explanation'],
+          confidence: correction['confidence']&.to_f,
+          decision: @analysis.correction_decision(index)
+        }
+      end
+
+      def cell_reference_for(cell)
+        ExcelAnalysis::Models::CellReference.parse(cell, default_sheet: default_sheet)
+      end
+
+      def original_cell(reference)
+        return [nil, nil] unless reference && sheet_names.include?(reference.sheet)
+        
+        preview.cell(reference.sheet, reference.row, reference.column)
+      end
+
+      # The AI echoes what it believes the cell held; a mismatch means the
+      # correction was written against stale or misread data
+      def matches_original?(expected, value, formula)
+        return nil if expected.blank?
+        
+        [value, formula].compact.any? { |actual| normalize(actual) == normalize(expected) }
+      end
+
+      def normalize(content)
+        content.to_s.strip.delete_prefix('=').upcase
+      end
+
+      def default_sheet
+        sheet_names.first
+      end
+
+      def sheet_names
+        @sheet_names ||= preview.sheets.map { |sheet| sheet[:name] }
+      end
+
+      def preview
+        @preview ||= ExcelAnalysis::Services::SheetPreviewService.new(@excel_file)
+      end
+    end
+  end
+end
@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Services
+    # Nodes and edges for the dependency graph on the file page: every
+    # circular reference in the workbook, or the precedents and dependents of
+    # one cell. The graph is built from the sheet preview cache, so a workbook
+    # already opened in the preview isn't parsed again.
+    class DependencyGraphService
+      DIRECTIONS = %w[precedents dependents both].freeze
+      MAX_DEPTH = 5
+      MAX_NODES = 3_000
+      MAX_CYCLES = 100
+
+      def initialize(excel_file, preview: SheetPreviewService.new(excel_file))
+        @excel_file = excel_file
+        @preview = preview
+      end
+
+      def graph
+        @graph ||= build_graph
+      end
+
+      # The cells of every loop, each loop's path and the edges along it
+      def cycles
+        keys = graph.cycles.flatten.uniq
+
+        payload(keys.first(MAX_NODES), truncated: keys.size > MAX_NODES)
+      end
+
+      # Cells within depth references of one cell. Nil when the reference
+      # doesn't point into the workbook.
+      def around(reference, direction: 'both', depth: 2)
+        key = graph.find(reference)
+        return nil unless key
+
+        direction = DIRECTIONS.include?(direction.to_s) ? direction.to_sym : :both
+        keys, truncated = graph.neighborhood(key, direction: direction, depth: depth.to_i.clamp(1, MAX_DEPTH), limit: MAX_NODES)
+
+        payload(keys, focus: key, truncated: truncated)
+      end
+
+      private
+
+      def build_graph
+        sheets = @preview.sheets.to_h { |sheet| [sheet[:name], [sheet[:row_count], sheet[:column_count]]] }
+        graph = ExcelAnalysis::Models::DependencyGraph.new(sheets)
+
+        sheets.each_key do |name|
+          @preview.each_chunk(name).each_with_index do |rows, index|
+            rows.each_with_index do |cells, offset|
+              row = index * SheetPreviewService::CHUNK_SIZE + offset + 1
+
+              cells.each_with_index do |cell, column|
+                value, formula = cell.is_a?(Array) ? cell : [cell, nil]
+                graph.add_cell(name, row, column + 1, value: value, formula: formula)
+              end
+            end
+          end
+        end
+
+        graph
+      end
+
+      # Edges run from the cell being read to the formula reading it, as
+      # [from, to, on_a_loop] indexes into nodes
+      def payload(keys, focus: nil, truncated: false)
+        positions = keys.each_with_index.to_h
+        loop_cells = graph.cycles.flatten.to_set
+
+        edges = keys.flat_map do |key|
+          graph.precedents(key).filter_map do |precedent|
+            next unless positions.key?(precedent)
+
+            [positions[precedent], positions[key], graph.cycle_edges.include?([precedent, key])]
+          end
+        end
+
+        {
+          sheets: graph.sheets.keys,
+          nodes: keys.map { |key| graph.node(key).merge(cycle: loop_cells.include?(key)) },
+          edges: edges,
+          cycles: graph.cycles.first(MAX_CYCLES),
+          cycle_count: graph.cycles.size,
+          focus: focus,
+          truncated: truncated
+        }
+      end
+    end
+  end
+end
@@ -0,0 +1,208 @@
+# frozen_string_literal: true
+
+module ExcelAnalysis
+  module Services
+    # Reads workbook cells for the preview grid on the file page. Rows are
+    # cached in fixed-size chunks; a chunk that isn't cached yet is read by
+    # streaming the sheet up to the end of that chunk, so opening the preview
+    # never holds more than one chunk of a large workbook in memory.
+    # WarmSheetPreviewJob fills the whole cache in one pass in the background.
+    class SheetPreviewService
+      CHUNK_SIZE = 500
+      CACHE_TTL = 1.hour
+
+      attr_reader :excel_file
+
+      def initialize(excel_file)
+        @excel_file = excel_file
+      end
+
+      # [{ name:, row_count:, column_count: }] for every sheet in the workbook
+      def sheets
+        Rails.cache.fetch(cache_key('sheets'), expires_in: CACHE_TTL) do
+          with_workbook do |workbook|
+            workbook.sheets.map do |name|
+              row_count, column_count = dimensions(workbook, name)
+              
+              { name: name, row_count: row_count, column_count: column_count }
+            end
+          end
+        end
+      end
+
+      # Rows CHUNK_SIZE * index + 1 .. CHUNK_SIZE * (index + 1) of the sheet.
+      # Each cell is nil, its displayed value, or [value, formula].
+      def chunk(sheet_name, index)
+        cached = Rails.cache.read(cache_key(sheet_name, index))
+        return cached if cached
+        
+        rows = nil
+        read_chunks(sheet_name, index, index) { |_index, chunk_rows| rows = chunk_rows }
+        rows || []
+      end
+
+      # Yields every chunk of a sheet in order, reading the uncached ones in a
+      # single pass over the sheet
+      def each_chunk(sheet_name, &block)
+        return enum_for(:each_chunk, sheet_name) unless block
+        
+        cached = (0...chunk_count(sheet_name)).map { |index| Rails.cache.read(cache_key(sheet_name, index)) }
+        return cached.each(&block) if cached.all?
+        
+        read_chunks(sheet_name, 0, cached.size - 1) { |_index, rows| yield rows }
+      end
+
+      # Reads and caches every chunk of every sheet
+      def warm
+        sheets.each { |sheet| each_chunk(sheet[:name]) { nil } }
+      end
+
+      # Queues WarmSheetPreviewJob unless one was queued within CACHE_TTL, in
+      # which case the cache is already warm or about to be. Returns whether
+      # a job was queued.
+      def warm_later
+        return false unless Rails.cache.write(cache_key('warming'), true, unless_exist: true, expires_in: CACHE_TTL)
+        
+        ExcelAnalysis::Jobs::WarmSheetPreviewJob.perform_later(excel_file.id)
+        true
+      end
+
+      # Lets the next preview queue a warm-up again, after one failed
+      def forget_warming
+        Rails.cache.delete(cache_key('warming'))
+      end
+
+      # [value, formula] of a single cell, read through the same chunk cache
+      def cell(sheet_name, row, column)
+        rows = chunk(sheet_name, (row - 1) / CHUNK_SIZE)
+        cell = rows.dig((row - 1) % CHUNK_SIZE, column - 1)
+        
+        cell.is_a?(Array) ? cell : [cell, nil]
+      end
+
+      private
+
+      def chunk_count(sheet_name)
+        row_count = sheets.find { |sheet| sheet[:name] == sheet_name }&.dig(:row_count).to_i
+        (row_count.to_f / CHUNK_SIZE).ceil
+      end
+
+      # Streams the rows of chunks first..last, caching and yielding each
+      # chunk as soon as its last row has been read. Rows the workbook leaves
+      # out because they are empty come back as [].
+      def read_chunks(sheet_name, first, last, &block)
+        row_count = sheets.find { |sheet| sheet[:name] == sheet_name }&.dig(:row_count).to_i
+        last = [last, (row_count.to_f / CHUNK_SIZE).ceil - 1].min
+        return if first > last
+        
+        index = first
+        rows = []
+        complete = lambda do
+          rows << [] while rows.size < [CHUNK_SIZE, row_count - index * CHUNK_SIZE].min
+          Rails.cache.write(cache_key(sheet_name, index), rows, expires_in: CACHE_TTL)
+          block.call(index, rows)
+          index += 1
+          rows = []
+        end
+        
+        each_row(sheet_name, first * CHUNK_SIZE + 1, (last + 1) * CHUNK_SIZE) do |row, cells|
+          complete.call while (row - 1) / CHUNK_SIZE > index
+          rows << [] while rows.size < (row - 1) % CHUNK_SIZE
+          rows << cells
+        end
+        
+        complete.call while index <= last
+      end
+
+      # Yields [row number, cells] for the non-empty rows between first_row
+      # and last_row. xlsx is streamed and reading stops after last_row; other
+      # formats have no streaming reader and are read cell by cell.
+      def each_row(sheet_name, first_row, last_row)
+        with_workbook do |workbook|
+          if workbook.respond_to?(:each_row_streaming)
+            workbook.each_row_streaming(sheet: sheet_name, pad_cells: true) do |cells|
+              row = cells.compact.first&.coordinate&.row
+              next if row.nil? || row < first_row
+              break if row > last_row
+              
+              yield row, streamed_row(cells)
+            end
+          else
+            workbook.default_sheet = sheet_name
+            last_column = workbook.last_column.to_i
+            
+            (first_row..[last_row, workbook.last_row.to_i].min).each do |row|
+              yield row, read_row(workbook, row, last_column)
+            end
+          end
+        end
+      end
+
+      def streamed_row(cells)
+        cells = cells.map do |cell|
+          next nil if cell.nil? || (cell.value.nil? && !cell.formula?)
+          
+          value = format_value(cell.value)
+          cell.formula? ? [value, "=#{cell.formula.delete_prefix('=')}"] : value
+        end
+        
+        cells.pop while cells.any? && cells.last.nil?
+        cells
+      end
+
+      # An xlsx sheet states its used range up front, which saves loading the
+      # whole sheet just to count rows; older formats are measured by Roo
+      def dimensions(workbook, name)
+        workbook.default_sheet = name
+        
+        if workbook.respond_to?(:sheet_for)
+          range = ExcelAnalysis::Models::CellRange.parse(workbook.sheet_for(name).dimensions.to_s)
+          return [range.last_row, range.last_column] if range && range.cell_count > 1
+        end
+        
+        [workbook.last_row.to_i, workbook.last_column.to_i]
+      end
+
+      def read_row(workbook, row, last_column)
+        cells = (1..last_column).map do |column|
+          value = format_value(workbook.cell(row, column))
+          formula = formula_at(workbook, row, column)
+          
+          formula ? [value, "=#{formula.delete_prefix('=')}"] : value
+        end
+        
+        cells.pop while cells.any? && cells.last.nil?
+        cells
+      end
+
+      # CSV has no formulas; Roo's CSV reader doesn't implement the lookup
+      def formula_at(workbook, row, column)
+        return nil if workbook.is_a?(Roo::CSV) || !workbook.formula?(row, column)
+        
+        workbook.formula(row, column)
+      end
+
+      def format_value(value)
+        case value
+        when nil then nil
+        when Float then value == value.to_i ? value.to_i.to_s : value.to_s
+        when Date, Time, DateTime then value.iso8601
+        else value.to_s
+        end
+      end
+
+      def with_workbook
+        workbook = Roo::Spreadsheet.open(excel_file.file_path)
+        yield workbook
+      ensure
+        workbook&.close if workbook.respond_to?(:close)
+      end
+
+      # Keyed on the file's contents (or its upload path, which is never
+      # reused), so status changes and other record updates keep the cache
+      def cache_key(*parts)
+        ['sheet_preview', excel_file.content_hash.presence || Digest::SHA256.hexdigest(excel_file.file_path.to_s), *parts].join('/')
+      end
+    end
+  end
+end
@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+module ExcelUpload
+  module Handlers
+    # Rough token cost and AI tier for a workbook, based on the statistics the
+    # browser's pre-flight check reads before upload. Nothing is charged here.
+    class EstimateAnalysisHandler < Common::BaseHandler
+      UPLOAD_TOKENS = 10
+      ADVANCED_TIER_FILE_SIZE = 10.megabytes
+      # Same starting points as ThreeTierManager#estimate_tier_cost
+      TIER_BASE_TOKENS = { 1 => 10, 2 => 50 }.freeze
+      FORMULAS_PER_TOKEN = 100
+      CELLS_PER_TOKEN = 5_000
+      STAT_KEYS = %i[file_size sheet_count row_count cell_count formula_count].freeze
+
+      def initialize(user:, stats:)
+        @user = user
+        @stats = stats.to_h.symbolize_keys.slice(*STAT_KEYS)
+      end
+
+      def execute
+        validation_result = validate_stats
+        return validation_result if validation_result.failure?
+
+        tier = determine_tier
+        analysis_tokens = TIER_BASE_TOKENS[tier] + (complexity_tokens * cost_multiplier(tier)).ceil
+        total_tokens = UPLOAD_TOKENS + analysis_tokens
+
+        success({
+          tier: tier,
+          tier_name: Analysis::TIER_NAMES["tier#{tier}"],
+          upload_tokens: UPLOAD_TOKENS,
+          analysis_tokens: analysis_tokens,
+          total_tokens: total_tokens,
+          tokens_available: @user.tokens,
+          affordable: @user.tokens >= total_tokens
+        })
+      end
+
+      private
+
+      def stat(key)
+        Integer(@stats[key], exception: false)
+      end
+
+      # Follows AnalyzeExcelHandler#determine_optimal_tier: large files from
+      # pro and enterprise users go to tier 2 when they can afford it
+      def determine_tier
+        large_file = stat(:file_size) > ADVANCED_TIER_FILE_SIZE
+
+        large_file && (@user.pro? || @user.enterprise?) && @user.can_use_ai_tier?(2) ? 2 : 1
+      end
+
+      def complexity_tokens
+        stat(:formula_count).to_i / FORMULAS_PER_TOKEN.to_f + stat(:cell_count).to_i / CELLS_PER_TOKEN.to_f
+      end
+
+      def cost_multiplier(tier)
+        if tier == 2
+          AiIntegration::MultiProvider::ThreeTierManager::TIER2_COST_MULTIPLIER
+        else
+          AiIntegration::MultiProvider::ThreeTierManager::TIER1_COST_MULTIPLIER
+        end
+      end
+
+      def validate_stats
+        errors = []
+
+        unless stat(:file_size)&.positive?
+          errors << "File size must be a positive number"
+        end
+
+        (STAT_KEYS - [:file_size]).each do |key|
+          next if @stats[key].nil?
+
+          value = stat(key)
+          errors << "#{key.to_s.humanize} must be a non-negative number" unless value && value >= 0
+        end
+
+        return Common::Result.success if errors.empty?
+
+        Common::Result.failure(
+          Common::Errors::ValidationError.new(
+            message: "Estimate failed",
+            details: { errors: errors }
+          )
+        )
+      end
+    end
+  end
+end
@@ -16,16 +16,17 @@ module ExcelUpload
         unless @file.present?
           return Common::Result.failure(
             Common::Errors::ValidationError.new(
-              message: "File is required"
+              message: "File is required",
+              details: { reason: "FILE_REQUIRED" }
             )
           )
         end
 
         # Validate user has sufficient tokens
-        unless @user.tokens >= 10
+        unless @user.tokens >= ExcelFile::ANALYSIS_BASE_COST
           return Common::Result.failure(
             Common::Errors::BusinessError.new(
-              message: "Insufficient tokens. You need at least 10 tokens to upload a file.",
+              message: "Insufficient tokens. You need at least #{ExcelFile::ANALYSIS_BASE_COST} tokens to upload a file.",
               code: "INSUFFICIENT_TOKENS"
             )
           )
@@ -39,7 +40,8 @@ module ExcelUpload
           # Process upload
           excel_file = process_file_upload
           
-          # Queue analysis job
+          # Queue analysis job, holding its base cost until the job starts
+          excel_file.reserve_analysis_tokens!(ExcelFile::ANALYSIS_BASE_COST)
           ExcelAnalysisJob.perform_later(excel_file.id, @user.id)
           
           Rails.logger.info("File uploaded successfully: #{excel_file.id} by user #{@user.id}")
@@ -66,7 +68,8 @@ module ExcelUpload
         if @file.size > MAX_FILE_SIZE
           return Common::Result.failure(
             Common::Errors::ValidationError.new(
-              message: "File too large. Maximum size is #{MAX_FILE_SIZE / 1.megabyte}MB"
+              message: "File too large. Maximum size is #{MAX_FILE_SIZE / 1.megabyte}MB",
+              details: { reason: "FILE_TOO_LARGE", max_size: MAX_FILE_SIZE }
             )
           )
         end
@@ -76,7 +79,8 @@ module ExcelUpload
         unless ALLOWED_TYPES.include?(file_extension)
           return Common::Result.failure(
             Common::Errors::ValidationError.new(
-              message: "Invalid file type. Allowed types: #{ALLOWED_TYPES.join(', ')}"
+              message: "Invalid file type. Allowed types: #{ALLOWED_TYPES.join(', ')}",
+              details: { reason: "INVALID_FILE_TYPE", allowed_types: ALLOWED_TYPES }
             )
           )
         end
@@ -85,7 +89,8 @@ module ExcelUpload
         if @file.size == 0
           return Common::Result.failure(
             Common::Errors::ValidationError.new(
-              message: "File is empty"
+              message: "File is empty",
+              details: { reason: "EMPTY_FILE" }
             )
           )
         end
@@ -94,7 +99,8 @@ module ExcelUpload
         unless valid_file_content?
           return Common::Result.failure(
             Common::Errors::ValidationError.new(
-              message: "File appears to be corrupted or invalid"
+              message: "File appears to be corrupted or invalid",
+              details: { reason: "CORRUPTED_FILE" }
             )
           )
         end
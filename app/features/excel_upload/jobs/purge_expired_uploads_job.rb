@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+module ExcelUpload
+  module Jobs
+    # Removes chunked uploads the browser abandoned part way through, or
+    # completed but never handed to an upload endpoint
+    class PurgeExpiredUploadsJob < ApplicationJob
+      queue_as :default
+
+      def perform
+        purged = ExcelUpload::Services::ChunkedUploadStore.purge_expired
+        Rails.logger.info("Purged #{purged} expired chunked uploads")
+        
+        purged
+      end
+    end
+  end
+end
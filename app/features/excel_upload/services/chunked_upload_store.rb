@@ -0,0 +1,177 @@
+# frozen_string_literal: true
+
+module ExcelUpload
+  module Services
+    # Server side of resumable uploads. The browser opens an upload, appends
+    # chunks at the offset the server reports, and after a dropped connection
+    # asks for that offset again and carries on. Once complete, the assembled
+    # file is handed to the normal upload endpoints as an UploadedFile.
+    # Uploads nobody has touched for EXPIRES_IN are removed by
+    # PurgeExpiredUploadsJob.
+    class ChunkedUploadStore
+      CHUNK_SIZE = 5.megabytes
+      MAX_UPLOAD_SIZE = 100.megabytes
+      MAX_OPEN_UPLOADS = 5
+      EXPIRES_IN = 24.hours
+      ROOT = Rails.root.join('storage', 'uploads', 'chunked')
+      ID_FORMAT = /\A\h{8}-\h{4}-\h{4}-\h{4}-\h{12}\z/
+
+      class OffsetMismatch < StandardError
+        attr_reader :received_bytes
+
+        def initialize(received_bytes)
+          @received_bytes = received_bytes
+          super("Chunk offset does not match the #{received_bytes} bytes already received")
+        end
+      end
+
+      def initialize(user)
+        @user = user
+      end
+
+      def create(filename:, size:, content_type: nil)
+        size = size.to_i
+        
+        if filename.blank? || size <= 0
+          return Common::Result.failure(
+            Common::Errors::ValidationError.new(message: "File name and size are required")
+          )
+        end
+        
+        if size > MAX_UPLOAD_SIZE
+          return Common::Result.failure(
+            Common::Errors::ValidationError.new(
+              message: "File too large. Maximum size is #{MAX_UPLOAD_SIZE / 1.megabyte}MB",
+              details: { reason: "FILE_TOO_LARGE" }
+            )
+          )
+        end
+        
+        if open_upload_ids.size >= MAX_OPEN_UPLOADS
+          return Common::Result.failure(
+            Common::Errors::ValidationError.new(
+              message: "Too many uploads in progress. Finish or cancel one before starting another",
+              details: { reason: "TOO_MANY_UPLOADS", limit: MAX_OPEN_UPLOADS }
+            )
+          )
+        end
+        
+        upload_id = SecureRandom.uuid
+        FileUtils.mkdir_p(directory(upload_id))
+        FileUtils.touch(data_path(upload_id))
+        File.write(meta_path(upload_id), {
+          filename: File.basename(filename.to_s),
+          size: size,
+          content_type: content_type.presence || 'application/octet-stream'
+        }.to_json)
+        
+        Common::Result.success(status(upload_id))
+      end
+
+      # { upload_id:, filename:, size:, received_bytes:, complete:, chunk_size: } or nil
+      def status(upload_id)
+        meta = metadata(upload_id)
+        return nil unless meta
+        
+        received = File.size(data_path(upload_id))
+        
+        {
+          upload_id: upload_id,
+          filename: meta['filename'],
+          size: meta['size'],
+          received_bytes: received,
+          complete: received == meta['size'],
+          chunk_size: CHUNK_SIZE
+        }
+      end
+
+      # Appends a chunk written at offset; raises OffsetMismatch when the
+      # client is out of step so it can resume from the server's count.
+      # Requests for the same upload take turns, so two retries of one chunk
+      # can't both pass the offset check and write it twice.
+      def append(upload_id, offset, io)
+        meta = metadata(upload_id)
+        return nil unless meta
+        
+        File.open(data_path(upload_id), 'ab') do |file|
+          file.flock(File::LOCK_EX)
+          received = file.size
+          
+          raise OffsetMismatch, received unless offset.to_i == received
+          
+          IO.copy_stream(io, file, meta['size'] - received)
+        end
+        
+        status(upload_id)
+      end
+
+      # Yields the completed upload as an UploadedFile (nil while incomplete)
+      # and closes it afterwards
+      def with_uploaded_file(upload_id)
+        current = status(upload_id)
+        return yield(nil) unless current&.dig(:complete)
+        
+        File.open(data_path(upload_id), 'rb') do |tempfile|
+          yield ActionDispatch::Http::UploadedFile.new(
+            tempfile: tempfile,
+            filename: current[:filename],
+            type: metadata(upload_id)['content_type']
+          )
+        end
+      end
+
+      def discard(upload_id)
+        FileUtils.rm_rf(directory(upload_id)) if valid_id?(upload_id)
+      end
+
+      # Removes every user's uploads left untouched for EXPIRES_IN and
+      # returns how many were removed
+      def self.purge_expired(now: Time.current)
+        Dir.glob(ROOT.join('*', '*').to_s).count do |directory|
+          next false unless ID_FORMAT.match?(File.basename(directory)) && last_activity(directory) < now - EXPIRES_IN
+          
+          FileUtils.rm_rf(directory)
+          true
+        end
+      end
+
+      # Appending a chunk touches the data file, so its mtime is the last
+      # time the browser made progress
+      def self.last_activity(directory)
+        File.mtime(File.join(directory, 'data'))
+      rescue Errno::ENOENT
+        File.mtime(directory)
+      end
+
+      private
+
+      def open_upload_ids
+        Dir.glob(ROOT.join(@user.id.to_s, '*').to_s).filter_map do |directory|
+          File.basename(directory) if self.class.last_activity(directory) >= EXPIRES_IN.ago
+        end
+      end
+
+      def metadata(upload_id)
+        return nil unless valid_id?(upload_id) && File.exist?(meta_path(upload_id))
+        
+        JSON.parse(File.read(meta_path(upload_id)))
+      end
+
+      def valid_id?(upload_id)
+        ID_FORMAT.match?(upload_id.to_s)
+      end
+
+      def directory(upload_id)
+        ROOT.join(@user.id.to_s, upload_id)
+      end
+
+      def data_path(upload_id)
+        directory(upload_id).join('data')
+      end
+
+      def meta_path(upload_id)
+        directory(upload_id).join('meta.json')
+      end
+    end
+  end
+end
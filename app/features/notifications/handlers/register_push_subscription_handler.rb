@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+module Notifications
+  module Handlers
+    # Saves the PushSubscription a browser hands out after the user grants
+    # permission. Endpoints identify a browser profile, so re-subscribing
+    # (or signing in as someone else on the same device) updates in place.
+    class RegisterPushSubscriptionHandler < Common::BaseHandler
+      def initialize(user:, subscription:, user_agent: nil)
+        @user = user
+        @subscription = subscription.to_h.with_indifferent_access
+        @user_agent = user_agent
+      end
+
+      def execute
+        endpoint = @subscription[:endpoint].to_s
+        keys = @subscription[:keys].to_h.with_indifferent_access
+
+        errors = []
+        errors << "Endpoint is required" if endpoint.blank?
+        errors << "Endpoint must be an https URL" if endpoint.present? && !endpoint.start_with?('https://')
+        errors << "Endpoint must belong to a browser push service" if endpoint.start_with?('https://') && !PushSubscription.push_service_endpoint?(endpoint)
+        errors << "p256dh key is required" if keys[:p256dh].blank?
+        errors << "auth key is required" if keys[:auth].blank?
+
+        if errors.any?
+          return failure(
+            Common::Errors::ValidationError.new(
+              message: "Invalid push subscription",
+              details: { errors: errors }
+            )
+          )
+        end
+
+        push_subscription = PushSubscription.find_or_initialize_by(endpoint: endpoint)
+        push_subscription.assign_attributes(
+          user: @user,
+          p256dh_key: keys[:p256dh],
+          auth_key: keys[:auth],
+          user_agent: @user_agent.to_s.truncate(255)
+        )
+
+        if push_subscription.save
+          success(self.class.serialize(push_subscription))
+        else
+          failure(
+            Common::Errors::ValidationError.new(
+              message: "Invalid push subscription",
+              details: { errors: push_subscription.errors.full_messages }
+            )
+          )
+        end
+      end
+
+      def self.serialize(push_subscription)
+        {
+          id: push_subscription.id,
+          device_name: push_subscription.device_name,
+          endpoint: push_subscription.endpoint,
+          created_at: push_subscription.created_at,
+          last_used_at: push_subscription.last_used_at
+        }
+      end
+    end
+  end
+end
@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+module Notifications
+  module Handlers
+    # Replaces a subscription the browser rotated on its own, from the service
+    # worker's pushsubscriptionchange event. There is no session or CSRF token
+    # there, so the caller proves it holds the old subscription by sending its
+    # auth secret, which only that browser and this server know.
+    class RotatePushSubscriptionHandler < Common::BaseHandler
+      def initialize(previous:, subscription:, user_agent: nil)
+        @previous = previous.to_h.with_indifferent_access
+        @subscription = subscription
+        @user_agent = user_agent
+      end
+
+      def execute
+        old_subscription = PushSubscription.find_by(endpoint: @previous[:endpoint].to_s)
+
+        unless old_subscription && ActiveSupport::SecurityUtils.secure_compare(old_subscription.auth_key, @previous[:auth].to_s)
+          return failure(
+            Common::Errors::AuthorizationError.new(message: "Unknown push subscription")
+          )
+        end
+
+        result = RegisterPushSubscriptionHandler.new(
+          user: old_subscription.user,
+          subscription: @subscription,
+          user_agent: @user_agent
+        ).execute
+
+        old_subscription.destroy if result.success? && old_subscription.endpoint != result.value[:endpoint]
+        result
+      end
+    end
+  end
+end
@@ -0,0 +1,39 @@
+# frozen_string_literal: true
+
+module Notifications
+  module Jobs
+    class DeliverPushJob < ApplicationJob
+      queue_as :notifications
+
+      # Skips the queue entirely when push is not configured or the user has no devices
+      def self.notify(user, message)
+        return unless Notifications::Services::WebPushClient.enabled?
+        return unless user.push_subscriptions.exists?
+        
+        perform_later(user_id: user.id, message: message.to_h)
+      rescue StandardError => e
+        Rails.logger.error("Failed to queue push notification: #{e.message}")
+      end
+
+      def perform(user_id:, message:)
+        user = User.find_by(id: user_id)
+        return unless user
+        
+        client = Notifications::Services::WebPushClient.new
+        
+        user.push_subscriptions.find_each do |subscription|
+          result = client.deliver(subscription, message)
+          
+          if result.success?
+            subscription.touch_last_used!
+          elsif result.error.code == 'SUBSCRIPTION_EXPIRED'
+            Rails.logger.info("Removing expired push subscription #{subscription.id} for user #{user_id}")
+            subscription.destroy
+          else
+            Rails.logger.warn("Push to subscription #{subscription.id} failed: #{result.error.message}")
+          end
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,71 @@
+# frozen_string_literal: true
+
+module Notifications
+  module Models
+    # Notification shown by the service worker. `path` is the page a click
+    # focuses or opens; `tag` makes a newer message replace an older one.
+    class PushMessage
+      ICON = '/icon.png'
+      BODY_LIMIT = 140
+
+      attr_reader :title, :body, :path, :tag
+
+      def self.analysis_completed(excel_file, analysis = nil)
+        body = if analysis&.error_count.to_i.positive?
+                 "#{analysis.error_count} issues found. Tap to review the results."
+               else
+                 'No issues found. Your workbook looks clean.'
+               end
+
+        new(
+          title: "Analysis complete: #{excel_file.original_name}",
+          body: body,
+          path: routes.excel_file_path(excel_file),
+          tag: "excel_file_#{excel_file.id}"
+        )
+      end
+
+      def self.analysis_failed(excel_file, error_message)
+        new(
+          title: "Analysis failed: #{excel_file.original_name}",
+          body: error_message.presence || 'Something went wrong while analyzing this file.',
+          path: routes.excel_file_path(excel_file),
+          tag: "excel_file_#{excel_file.id}"
+        )
+      end
+
+      def self.chat_reply(conversation, message)
+        new(
+          title: conversation.title.presence || 'New reply',
+          body: message.content,
+          path: routes.chat_conversation_path(conversation),
+          tag: "chat_conversation_#{conversation.id}"
+        )
+      end
+
+      def self.routes
+        Rails.application.routes.url_helpers
+      end
+
+      def initialize(title:, body:, path:, tag:)
+        @title = title
+        @body = body.to_s.squish.truncate(BODY_LIMIT)
+        @path = path
+        @tag = tag
+      end
+
+      # Shape read by the push handler in app/views/pwa/service-worker.js.erb
+      def to_h
+        {
+          title: title,
+          options: {
+            body: body,
+            tag: tag,
+            icon: ICON,
+            data: { path: path }
+          }
+        }
+      end
+    end
+  end
+end
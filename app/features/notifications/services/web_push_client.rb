@@ -0,0 +1,171 @@
+# frozen_string_literal: true
+
+module Notifications
+  module Services
+    # Sends Web Push messages straight to the browser push services.
+    # Payloads are encrypted with aes128gcm (RFC 8291) and requests are
+    # signed with a VAPID JWT (RFC 8292), using only OpenSSL and the jwt gem.
+    class WebPushClient
+      CURVE = 'prime256v1'
+      RECORD_SIZE = 4096
+      TTL = 24.hours.to_i
+      TOKEN_LIFETIME = 12.hours
+      EXPIRED_STATUSES = [404, 410].freeze
+
+      def self.enabled?
+        ENV['VAPID_PUBLIC_KEY'].present? && ENV['VAPID_PRIVATE_KEY'].present?
+      end
+
+      def self.public_key
+        ENV['VAPID_PUBLIC_KEY']
+      end
+
+      # Keys for VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, base64url encoded
+      def self.generate_vapid_keys
+        key = OpenSSL::PKey::EC.generate(CURVE)
+
+        {
+          public_key: Base64.urlsafe_encode64(key.public_key.to_bn.to_s(2), padding: false),
+          private_key: Base64.urlsafe_encode64(key.private_key.to_s(2).rjust(32, "\0"), padding: false)
+        }
+      end
+
+      # P-256 key from its raw 32-byte scalar and 65-byte uncompressed point,
+      # wrapped in an ECPrivateKey structure for OpenSSL
+      def self.key_pair(private_key, public_key)
+        OpenSSL::PKey::EC.new(
+          OpenSSL::ASN1::Sequence([
+            OpenSSL::ASN1::Integer(1),
+            OpenSSL::ASN1::OctetString(private_key),
+            OpenSSL::ASN1::ObjectId(CURVE, 0, :EXPLICIT),
+            OpenSSL::ASN1::BitString(public_key, 1, :EXPLICIT)
+          ]).to_der
+        )
+      end
+
+      def initialize
+        @public_key = ENV['VAPID_PUBLIC_KEY']
+        @private_key = ENV['VAPID_PRIVATE_KEY']
+        @subject = ENV.fetch('VAPID_SUBJECT', 'mailto:support@excelapp.com')
+
+        validate_configuration
+      end
+
+      def deliver(subscription, payload, urgency: 'normal')
+        unless PushSubscription.push_service_endpoint?(subscription.endpoint)
+          return Common::Result.failure(
+            Common::Errors::BusinessError.new(
+              message: 'Push endpoint is not a known push service',
+              code: 'INVALID_ENDPOINT'
+            )
+          )
+        end
+
+        body = encrypt(
+          payload.to_json,
+          decode(subscription.p256dh_key),
+          decode(subscription.auth_key)
+        )
+
+        response = HTTParty.post(
+          subscription.endpoint,
+          headers: {
+            'Authorization' => authorization_header(subscription.endpoint),
+            'Content-Encoding' => 'aes128gcm',
+            'Content-Type' => 'application/octet-stream',
+            'TTL' => TTL.to_s,
+            'Urgency' => urgency
+          },
+          body: body,
+          follow_redirects: false,
+          timeout: 10,
+          open_timeout: 5
+        )
+
+        if response.success?
+          Common::Result.success(status: response.code)
+        elsif EXPIRED_STATUSES.include?(response.code)
+          Common::Result.failure(
+            Common::Errors::BusinessError.new(
+              message: 'Push subscription has expired',
+              code: 'SUBSCRIPTION_EXPIRED',
+              details: { status_code: response.code }
+            )
+          )
+        else
+          Common::Result.failure(
+            Common::Errors::BusinessError.new(
+              message: "Push service rejected the message (HTTP #{response.code})",
+              code: 'PUSH_REJECTED',
+              details: { status_code: response.code, response_body: response.body.to_s.truncate(500) }
+            )
+          )
+        end
+
+      rescue StandardError => e
+        Rails.logger.error("Web Push delivery failed: #{e.message}")
+        Common::Result.failure(
+          Common::Errors::BusinessError.new(message: "Push delivery failed: #{e.message}", code: 'PUSH_FAILED')
+        )
+      end
+
+      # Single-record aes128gcm body: salt | record size | key id length | sender key | ciphertext.
+      # The server key and salt are fresh per message; they are only passed
+      # in to check the output against the RFC 8291 appendix.
+      def encrypt(plaintext, user_agent_public, auth_secret,
+                  server_key: OpenSSL::PKey::EC.generate(CURVE), salt: SecureRandom.random_bytes(16))
+        server_public = server_key.public_key.to_bn.to_s(2)
+        group = OpenSSL::PKey::EC::Group.new(CURVE)
+        shared_secret = server_key.dh_compute_key(
+          OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(user_agent_public, 2))
+        )
+
+        ikm = hkdf(shared_secret, auth_secret, "WebPush: info\0".b + user_agent_public + server_public, 32)
+        content_key = hkdf(ikm, salt, "Content-Encoding: aes128gcm\0", 16)
+        nonce = hkdf(ikm, salt, "Content-Encoding: nonce\0", 12)
+
+        cipher = OpenSSL::Cipher.new('aes-128-gcm').encrypt
+        cipher.key = content_key
+        cipher.iv = nonce
+        ciphertext = cipher.update("#{plaintext}\x02".b) + cipher.final
+
+        salt + [RECORD_SIZE, server_public.bytesize].pack('NC') + server_public + ciphertext + cipher.auth_tag
+      end
+
+      private
+
+      def validate_configuration
+        missing_keys = []
+        missing_keys << 'VAPID_PUBLIC_KEY' unless @public_key.present?
+        missing_keys << 'VAPID_PRIVATE_KEY' unless @private_key.present?
+
+        if missing_keys.any?
+          raise "Web Push configuration missing: #{missing_keys.join(', ')}"
+        end
+      end
+
+      def authorization_header(endpoint)
+        uri = URI.parse(endpoint)
+        claims = {
+          aud: "#{uri.scheme}://#{uri.host}#{":#{uri.port}" unless uri.port == uri.default_port}",
+          exp: TOKEN_LIFETIME.from_now.to_i,
+          sub: @subject
+        }
+
+        "vapid t=#{JWT.encode(claims, signing_key, 'ES256')}, k=#{@public_key}"
+      end
+
+      def signing_key
+        @signing_key ||= self.class.key_pair(decode(@private_key), decode(@public_key))
+      end
+
+      def hkdf(ikm, salt, info, length)
+        OpenSSL::KDF.hkdf(ikm, salt: salt, info: info.b, length: length, hash: 'SHA256')
+      end
+
+      def decode(value)
+        Base64.urlsafe_decode64(value.to_s)
+      end
+    end
+  end
+end
@@ -0,0 +1,51 @@
+# frozen_string_literal: true
+
+module ThemeHelper
+  # Swatches for the accent picker. Blue is written out because the accent
+  # styles repaint the blue palette itself.
+  ACCENT_SWATCH_CLASSES = {
+    'blue' => 'bg-[oklch(54.6%_0.245_262.881)]',
+    'violet' => 'bg-violet-600',
+    'emerald' => 'bg-emerald-600',
+    'orange' => 'bg-orange-600',
+    'rose' => 'bg-rose-600'
+  }.freeze
+
+  # Signed-in users get their saved appearance. Guests get whatever the theme
+  # controller left in cookies, or nil so the controller can fall back to
+  # localStorage and the system setting.
+  def appearance_preferences
+    return current_user.appearance if user_signed_in?
+
+    {
+      theme: cookies[:theme].presence_in(User::THEMES),
+      high_contrast: (cookies[:high_contrast] == 'true' if cookies[:high_contrast].present?),
+      accent_color: cookies[:accent_color].presence_in(User::ACCENT_COLORS)
+    }
+  end
+
+  # Attributes for <html>. An explicit light or dark theme is rendered here;
+  # "system" can only be resolved in the browser, before first paint.
+  def theme_root_attributes
+    appearance = appearance_preferences
+    classes = %w[h-full bg-gray-50 dark:bg-gray-900]
+    classes << 'dark' if appearance[:theme] == 'dark'
+    classes << 'high-contrast' if appearance[:high_contrast]
+
+    {
+      class: classes,
+      data: {
+        accent: appearance[:accent_color] || 'blue',
+        controller: 'theme',
+        theme_preference_value: appearance[:theme],
+        theme_high_contrast_value: appearance[:high_contrast],
+        theme_accent_value: appearance[:accent_color],
+        theme_url_value: (api_v1_appearance_path if user_signed_in?)
+      }
+    }
+  end
+
+  def accent_swatch_class(accent)
+    ACCENT_SWATCH_CLASSES.fetch(accent)
+  end
+end
@@ -32,9 +32,74 @@ module Infrastructure
         handle_api_error(e, 'Anthropic')
       end
 
+      def stream_response(prompt:, max_tokens: 1000, temperature: 0.7, model: nil, &on_delta)
+        model ||= 'claude-3-haiku-20240307'
+        
+        # Streamed requests are not retried: deltas may already have been yielded
+        stream = { content: +"", input_tokens: 0, output_tokens: 0, model: model, stop_reason: nil }
+        buffer = +""
+        error_body = +""
+        
+        response = make_request(
+          {
+            model: model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: max_tokens,
+            temperature: temperature,
+            stream: true
+          },
+          stream: true
+        ) do |fragment|
+          if fragment.code.to_i >= 400
+            error_body << fragment
+            next
+          end
+          
+          each_sse_payload(buffer, fragment) do |event|
+            case event['type']
+            when 'message_start'
+              stream[:model] = event.dig('message', 'model') || stream[:model]
+              stream[:input_tokens] = event.dig('message', 'usage', 'input_tokens') || 0
+            when 'content_block_delta'
+              delta = event.dig('delta', 'text')
+              next if delta.blank?
+              
+              stream[:content] << delta
+              on_delta&.call(delta)
+            when 'message_delta'
+              stream[:stop_reason] = event.dig('delta', 'stop_reason')
+              stream[:output_tokens] = event.dig('usage', 'output_tokens') || stream[:output_tokens]
+            end
+          end
+        end
+        
+        unless response.success?
+          return handle_api_error(StandardError.new(stream_error_message(error_body)), 'Anthropic')
+        end
+        
+        result = {
+          content: stream[:content],
+          usage: {
+            prompt_tokens: stream[:input_tokens],
+            completion_tokens: stream[:output_tokens],
+            total_tokens: stream[:input_tokens] + stream[:output_tokens]
+          },
+          model: stream[:model],
+          finish_reason: stream[:stop_reason]
+        }
+
+        if validate_response(result)
+          Common::Result.success(result)
+        else
+          Common::Result.failure("Invalid response format from Anthropic")
+        end
+      rescue StandardError => e
+        handle_api_error(e, 'Anthropic')
+      end
+
       private
 
-      def make_request(params)
+      def make_request(params, stream: false, &block)
         HTTParty.post(
           API_URL,
           headers: {
@@ -45,7 +110,9 @@ module Infrastructure
           },
           body: params.to_json,
           timeout: 60,
-          open_timeout: 10
+          open_timeout: 10,
+          stream_body: stream,
+          &block
         )
       end
 
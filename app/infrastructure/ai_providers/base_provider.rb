@@ -18,6 +18,21 @@ module Infrastructure
         raise NotImplementedError, "#{self.class} must implement #generate_response"
       end
 
+      # Yields text deltas to the block as they arrive and returns the same
+      # Result as #generate_response. Providers without native streaming
+      # yield the whole content once.
+      def stream_response(prompt:, max_tokens: 1000, temperature: 0.7, model: nil, &on_delta)
+        result = generate_response(
+          prompt: prompt,
+          max_tokens: max_tokens,
+          temperature: temperature,
+          model: model
+        )
+        
+        on_delta&.call(result.value[:content]) if result.success?
+        result
+      end
+
       def available?
         @config[:api_key].present?
       end
@@ -120,6 +135,37 @@ module Infrastructure
         )
       end
 
+      # Feeds a streamed HTTP fragment into the buffer and yields every complete
+      # Server-Sent Events `data:` payload, parsed as JSON
+      def each_sse_payload(buffer, fragment)
+        buffer << fragment
+        
+        while (line_end = buffer.index("\n"))
+          line = buffer.slice!(0..line_end).strip
+          next unless line.start_with?("data:")
+          
+          payload = line.delete_prefix("data:").strip
+          next if payload.empty? || payload == "[DONE]"
+          
+          begin
+            yield JSON.parse(payload)
+          rescue JSON::ParserError => e
+            Rails.logger.warn("#{self.class.name} skipped malformed stream event: #{e.message}")
+          end
+        end
+      end
+
+      def stream_error_message(body)
+        JSON.parse(body).dig('error', 'message') || 'Unknown error'
+      rescue JSON::ParserError
+        body.presence || 'Unknown error'
+      end
+
+      def estimate_tokens(text)
+        # Rough estimation: 1 token ≈ 4 characters
+        (text.to_s.length / 4.0).ceil
+      end
+
       def validate_response(response)
         return false unless response.is_a?(Hash)
         return false unless response[:content].present?
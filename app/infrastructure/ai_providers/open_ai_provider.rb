@@ -35,9 +35,62 @@ module Infrastructure
         handle_api_error(e, 'OpenAI')
       end
 
+      def stream_response(prompt:, max_tokens: 1000, temperature: 0.7, model: nil, &on_delta)
+        model ||= ProviderConfig.get_model_for_tier(@provider_name, 'tier1')
+        
+        # Check rate limits before making request
+        check_rate_limits(max_tokens)
+        
+        # Streamed requests are not retried: deltas may already have been yielded
+        stream = { content: +"", usage: nil, model: model, finish_reason: nil }
+        buffer = +""
+        error_body = +""
+        
+        response = make_request(
+          {
+            model: model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: max_tokens,
+            temperature: temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+          },
+          stream: true
+        ) do |fragment|
+          if fragment.code.to_i >= 400
+            error_body << fragment
+            next
+          end
+          
+          each_sse_payload(buffer, fragment) do |event|
+            stream[:model] = event['model'] if event['model']
+            stream[:usage] = event['usage'] if event['usage']
+            
+            choice = event.dig('choices', 0) || {}
+            stream[:finish_reason] = choice['finish_reason'] if choice['finish_reason']
+            
+            delta = choice.dig('delta', 'content')
+            next if delta.blank?
+            
+            stream[:content] << delta
+            on_delta&.call(delta)
+          end
+        end
+        
+        unless response.success?
+          return handle_api_error(StandardError.new(stream_error_message(error_body)), 'OpenAI')
+        end
+        
+        result = parse_stream(stream)
+        record_api_usage(result.value[:usage][:total_tokens]) if result.success?
+        result
+      rescue StandardError => e
+        handle_api_error(e, 'OpenAI')
+      end
+
       private
 
-      def make_request(params)
+      def make_request(params, stream: false, &block)
         api_url = "#{@config[:base_url]}/chat/completions"
         
         HTTParty.post(
@@ -49,7 +102,9 @@ module Infrastructure
           },
           body: params.to_json,
           timeout: 60,
-          open_timeout: 10
+          open_timeout: 10,
+          stream_body: stream,
+          &block
         )
       end
 
@@ -73,6 +128,29 @@ module Infrastructure
           Common::Result.failure("Invalid response format from OpenAI")
         end
       end
+
+      def parse_stream(stream)
+        usage = stream[:usage] || {}
+        prompt_tokens = usage['prompt_tokens'] || 0
+        completion_tokens = usage['completion_tokens'] || estimate_tokens(stream[:content])
+        
+        result = {
+          content: stream[:content],
+          usage: {
+            prompt_tokens: prompt_tokens,
+            completion_tokens: completion_tokens,
+            total_tokens: usage['total_tokens'] || (prompt_tokens + completion_tokens)
+          },
+          model: stream[:model],
+          finish_reason: stream[:finish_reason]
+        }
+
+        if validate_response(result)
+          Common::Result.success(result)
+        else
+          Common::Result.failure("Invalid response format from OpenAI")
+        end
+      end
     end
   end
 end
\ No newline at end of file
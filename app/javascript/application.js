@@ -1 +1,16 @@
 // Configure your import map in config/importmap.rb. Read more: https://github.com/rails/importmap-rails
+import "controllers"
+import { registerServiceWorker, serviceWorkerSupported } from "lib/service_worker"
+import { syncPushSubscription } from "lib/push_notifications"
+import { clearOfflineData } from "lib/offline"
+import { installConfirmHandler } from "lib/dialog"
+import { flushPendingToasts } from "lib/toast"
+
+installConfirmHandler()
+flushPendingToasts()
+
+if (serviceWorkerSupported()) {
+  registerServiceWorker().then(syncPushSubscription).catch(() => {})
+
+  if (document.body.dataset.signedIn === "false") clearOfflineData()
+}
@@ -0,0 +1,184 @@
+// Action Cable provides the framework to deal with WebSockets in Rails.
+// This module owns the one consumer shared by every controller and page script
+// in the tab: subscribe through `subscribe()` instead of calling createConsumer().
+import { createConsumer } from "@rails/actioncable"
+import { t } from "lib/i18n"
+
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+const MAX_QUEUED_ACTIONS = 50
+
+const STATUS_CLASSES = {
+  connecting: ["bg-yellow-400"],
+  connected: ["bg-green-400"],
+  reconnecting: ["bg-yellow-400", "animate-pulse"],
+  disconnected: ["bg-red-400"]
+}
+
+const consumer = createConsumer()
+const subscriptions = new Set()
+const listeners = new Set()
+
+let state = "connecting"
+let reconnectAttempts = 0
+let reconnectTimer = null
+
+class ManagedSubscription {
+  constructor(params, callbacks = {}) {
+    this.queue = []
+    this.confirmed = false
+
+    this.subscription = consumer.subscriptions.create(params, {
+      connected: () => {
+        this.confirmed = true
+        handleConnected()
+        this.flush()
+        callbacks.connected?.()
+      },
+
+      disconnected: (details = {}) => {
+        this.confirmed = false
+        handleDisconnected(details)
+        callbacks.disconnected?.(details)
+      },
+
+      rejected: () => {
+        this.confirmed = false
+        callbacks.rejected?.()
+      },
+
+      received: (data) => {
+        callbacks.received?.(data)
+      }
+    })
+  }
+
+  // Sends the action now when the subscription is confirmed, otherwise keeps it
+  // until the socket is back. Returns true when the action went out immediately.
+  perform(action, data = {}) {
+    if (this.confirmed && this.subscription.perform(action, data) !== false) {
+      return true
+    }
+
+    this.queue.push({ action, data })
+    if (this.queue.length > MAX_QUEUED_ACTIONS) this.queue.shift()
+
+    return false
+  }
+
+  get pendingCount() {
+    return this.queue.length
+  }
+
+  flush() {
+    const pending = this.queue.splice(0)
+    pending.forEach(({ action, data }) => this.perform(action, data))
+  }
+
+  unsubscribe() {
+    this.subscription.unsubscribe()
+    this.queue = []
+    this.confirmed = false
+    subscriptions.delete(this)
+  }
+}
+
+export function subscribe(params, callbacks = {}) {
+  const subscription = new ManagedSubscription(params, callbacks)
+  subscriptions.add(subscription)
+
+  renderIndicators()
+  return subscription
+}
+
+export function connectionState() {
+  return state
+}
+
+// Calls the listener with the current state right away and on every change.
+// Returns a function that removes the listener.
+export function onConnectionChange(listener) {
+  listeners.add(listener)
+  listener(state)
+
+  return () => listeners.delete(listener)
+}
+
+export function renderIndicators(root = document) {
+  const allClasses = Object.values(STATUS_CLASSES).flat()
+  const label = t(`connection.${state}`)
+
+  root.querySelectorAll("[data-connection-status]").forEach(indicator => {
+    indicator.classList.remove("bg-gray-400", ...allClasses)
+    indicator.classList.add(...STATUS_CLASSES[state])
+    indicator.title = label
+    indicator.setAttribute("aria-label", label)
+  })
+
+  root.querySelectorAll("[data-connection-status-text]").forEach(element => {
+    element.textContent = label
+  })
+}
+
+function setState(nextState) {
+  if (state === nextState) return
+
+  state = nextState
+  renderIndicators()
+  listeners.forEach(listener => listener(state))
+}
+
+function handleConnected() {
+  clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  reconnectAttempts = 0
+
+  setState("connected")
+}
+
+function handleDisconnected({ willAttemptReconnect = true } = {}) {
+  // The server refused the connection (e.g. unauthorized): retrying won't help
+  if (!willAttemptReconnect) {
+    setState("disconnected")
+    return
+  }
+
+  scheduleReconnect()
+}
+
+// Exponential backoff with jitter. Action Cable's own monitor also reopens stale
+// connections; consumer.connect() is a no-op while a socket is already active.
+function scheduleReconnect() {
+  if (reconnectTimer || subscriptions.size === 0) return
+
+  setState(navigator.onLine === false ? "disconnected" : "reconnecting")
+
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts)
+  reconnectAttempts++
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null
+    if (state === "connected") return
+
+    consumer.connect()
+    scheduleReconnect()
+  }, delay / 2 + Math.random() * delay / 2)
+}
+
+function reconnectNow() {
+  if (state === "connected" || subscriptions.size === 0) return
+
+  clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  reconnectAttempts = 0
+
+  consumer.connect()
+  scheduleReconnect()
+}
+
+window.addEventListener("online", reconnectNow)
+window.addEventListener("offline", () => {
+  if (subscriptions.size > 0) setState("disconnected")
+})
+
+export default consumer
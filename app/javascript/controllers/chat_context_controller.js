@@ -0,0 +1,368 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+const GRID_ROWS = 100
+const GRID_COLUMNS = 26
+const REFERENCE = /^(?:'?(.+?)'?!)?\$?([A-Za-z]{1,3})\$?(\d+)(?::\$?([A-Za-z]{1,3})\$?(\d+))?$/
+
+const CELL_CLASSES = {
+  selected: ["bg-blue-100", "ring-1", "ring-inset", "ring-blue-400"],
+  unselected: ["bg-white"]
+}
+
+// Picks sheet ranges to send with a chat question about the attached
+// workbook. Ranges come from dragging over a mini grid of the sheet's first
+// rows, or from a typed reference such as Sheet2!B4:F30, and sit as chips
+// above the composer. Open issues from the latest analysis are offered as
+// one-click suggestions; picking one adds its cell and dispatches
+// "chat-context:suggest" with a ready-made question for the chat controller.
+//
+// The chat controller reads the chips through an outlet (`references`) and
+// calls clear() once the message is sent.
+// Connects to data-controller="chat-context"
+export default class extends Controller {
+  static targets = ["toggle", "panel", "sheet", "grid", "reference", "status", "chips", "suggestions"]
+  static values = { url: String, enabled: Boolean }
+
+  connect() {
+    this.ranges = []
+    this.selection = null
+    this.dragging = false
+    this.workbook = null
+
+    this.endDrag = this.endDrag.bind(this)
+    document.addEventListener("mouseup", this.endDrag)
+
+    if (this.enabledValue) this.enable()
+  }
+
+  disconnect() {
+    document.removeEventListener("mouseup", this.endDrag)
+  }
+
+  get references() {
+    return [...this.ranges]
+  }
+
+  // Called by the chat controller once a workbook is attached
+  enable() {
+    this.enabledValue = true
+    this.toggleTarget.classList.remove("hidden")
+    this.ready = this.loadWorkbook()
+  }
+
+  clear() {
+    this.ranges = []
+    this.renderChips()
+  }
+
+  // Action methods
+  async toggle() {
+    if (!this.panelTarget.classList.contains("hidden")) return this.close()
+
+    this.panelTarget.classList.remove("hidden")
+    this.toggleTarget.setAttribute("aria-expanded", "true")
+
+    await this.ready
+    if (this.workbook && !this.grid) this.showSheet(this.workbook.sheets[0]?.name)
+    this.referenceTarget.focus()
+  }
+
+  close() {
+    this.panelTarget.classList.add("hidden")
+    this.toggleTarget.setAttribute("aria-expanded", "false")
+  }
+
+  closeOnEscape(event) {
+    if (event.key !== "Escape") return
+
+    event.preventDefault()
+    this.close()
+    this.toggleTarget.focus()
+  }
+
+  selectSheet() {
+    this.showSheet(this.sheetTarget.value)
+  }
+
+  startDrag(event) {
+    const cell = event.target.closest("[data-row]")
+    if (!cell) return
+
+    event.preventDefault()
+    const position = { row: Number(cell.dataset.row), column: Number(cell.dataset.column) }
+
+    this.dragging = true
+    this.selection = event.shiftKey && this.selection ? { ...this.selection, focus: position } : { anchor: position, focus: position }
+    this.renderSelection()
+  }
+
+  extendDrag(event) {
+    if (!this.dragging) return
+
+    const cell = event.target.closest("[data-row]")
+    if (!cell) return
+
+    this.selection.focus = { row: Number(cell.dataset.row), column: Number(cell.dataset.column) }
+    this.renderSelection()
+  }
+
+  endDrag() {
+    this.dragging = false
+  }
+
+  // Adds the typed (or dragged) reference as a chip
+  addReference(event) {
+    event?.preventDefault()
+
+    const reference = this.normalize(this.referenceTarget.value)
+    if (!reference) return this.setStatus(t("chat.context.invalid_reference"), true)
+
+    this.addRange(reference)
+    this.referenceTarget.value = ""
+    this.selection = null
+    this.renderSelection()
+  }
+
+  removeRange(event) {
+    this.ranges = this.ranges.filter(range => range !== event.params.reference)
+    this.renderChips()
+  }
+
+  suggest(event) {
+    const { reference, category } = event.params
+
+    this.addRange(reference)
+    this.dispatch("suggest", { detail: { text: this.suggestionText(category, reference) } })
+  }
+
+  // Workbook
+  async loadWorkbook() {
+    try {
+      const response = await fetch(this.urlValue, { headers: { "Accept": "application/json" } })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || t("chat.context.load_failed"))
+
+      this.workbook = data
+      this.sheetTarget.replaceChildren(...data.sheets.map(sheet => new Option(sheet.name, sheet.name)))
+      this.renderSuggestions()
+      this.setStatus("")
+    } catch (error) {
+      console.error("Failed to load workbook context:", error)
+      this.setStatus(error.message, true)
+    }
+  }
+
+  async showSheet(name) {
+    const sheet = this.workbook?.sheets.find(candidate => candidate.name === name)
+    if (!sheet) return
+
+    this.sheetTarget.value = sheet.name
+    this.selection = null
+    this.grid = { sheet, rows: [] }
+    this.setStatus(t("chat.context.loading"))
+
+    try {
+      const url = new URL(this.workbook.preview_url, window.location.origin)
+      url.searchParams.set("sheet", sheet.name)
+      url.searchParams.set("chunk", 0)
+
+      const response = await fetch(url, { headers: { "Accept": "application/json" } })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || t("chat.context.load_failed"))
+      if (this.grid.sheet !== sheet) return
+
+      this.grid.rows = (data.rows || []).slice(0, GRID_ROWS)
+      this.renderGrid()
+
+      const shown = `A1:${this.columnName(Math.min(sheet.column_count, GRID_COLUMNS) || 1)}${Math.min(sheet.row_count, GRID_ROWS) || 1}`
+      const clipped = sheet.row_count > GRID_ROWS || sheet.column_count > GRID_COLUMNS
+      this.setStatus(clipped ? t("chat.context.clipped", { range: shown }) : "")
+    } catch (error) {
+      console.error("Failed to load sheet rows:", error)
+      this.setStatus(error.message, true)
+    }
+  }
+
+  addRange(reference) {
+    if (this.ranges.includes(reference)) return
+    if (this.ranges.length >= (this.workbook?.max_ranges || 5)) {
+      return this.setStatus(t("chat.context.too_many", { count: this.workbook?.max_ranges || 5 }), true)
+    }
+
+    this.ranges.push(reference)
+    this.renderChips()
+    this.setStatus("")
+  }
+
+  // Rendering
+  renderGrid() {
+    const { sheet, rows } = this.grid
+    const rowCount = Math.max(1, Math.min(sheet.row_count, GRID_ROWS))
+    const columnCount = Math.max(1, Math.min(sheet.column_count, GRID_COLUMNS))
+
+    const table = document.createElement("table")
+    table.className = "border-collapse text-xs select-none"
+
+    const header = document.createElement("tr")
+    header.appendChild(this.buildHeaderCell(""))
+    for (let column = 1; column <= columnCount; column++) header.appendChild(this.buildHeaderCell(this.columnName(column)))
+
+    const head = document.createElement("thead")
+    head.appendChild(header)
+
+    const body = document.createElement("tbody")
+    for (let row = 1; row <= rowCount; row++) {
+      const tr = document.createElement("tr")
+      tr.appendChild(this.buildHeaderCell(String(row)))
+
+      for (let column = 1; column <= columnCount; column++) {
+        const raw = rows[row - 1]?.[column - 1]
+        const [value, formula] = Array.isArray(raw) ? raw : [raw, null]
+
+        const td = document.createElement("td")
+        td.className = `max-w-[6rem] truncate border border-gray-100 px-1.5 py-0.5 cursor-cell ${formula ? "text-blue-900" : "text-gray-900"}`
+        td.textContent = value ?? ""
+        td.title = formula || ""
+        td.dataset.row = row
+        td.dataset.column = column
+        tr.appendChild(td)
+      }
+
+      body.appendChild(tr)
+    }
+
+    table.append(head, body)
+    this.gridTarget.replaceChildren(table)
+  }
+
+  renderSelection() {
+    const bounds = this.selectionBounds()
+
+    this.gridTarget.querySelectorAll("[data-row]").forEach(cell => {
+      const row = Number(cell.dataset.row)
+      const column = Number(cell.dataset.column)
+      const selected = bounds && row >= bounds.top && row <= bounds.bottom && column >= bounds.left && column <= bounds.right
+
+      cell.classList.remove(...CELL_CLASSES.selected, ...CELL_CLASSES.unselected)
+      cell.classList.add(...(selected ? CELL_CLASSES.selected : CELL_CLASSES.unselected))
+    })
+
+    if (bounds) this.referenceTarget.value = this.formatReference(this.grid.sheet.name, bounds)
+  }
+
+  renderChips() {
+    this.chipsTarget.classList.toggle("hidden", this.ranges.length === 0)
+    this.chipsTarget.replaceChildren(...this.ranges.map(reference => {
+      const chip = document.createElement("span")
+      chip.className = "inline-flex items-center gap-1 rounded-full bg-blue-50 py-0.5 pl-2.5 pr-1 text-xs font-medium text-blue-800"
+
+      const label = document.createElement("span")
+      label.className = "font-mono"
+      label.textContent = reference
+
+      const remove = document.createElement("button")
+      remove.type = "button"
+      remove.className = "rounded-full px-1 text-blue-500 hover:bg-blue-100 hover:text-blue-800"
+      remove.textContent = "×"
+      remove.setAttribute("aria-label", t("chat.context.remove", { reference }))
+      remove.dataset.action = "chat-context#removeRange"
+      remove.setAttribute("data-chat-context-reference-param", reference)
+
+      chip.append(label, remove)
+      return chip
+    }))
+  }
+
+  renderSuggestions() {
+    const suggestions = this.workbook?.suggestions || []
+    this.suggestionsTarget.classList.toggle("hidden", suggestions.length === 0)
+
+    this.suggestionsTarget.replaceChildren(...suggestions.map(({ reference, category, message }) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "rounded-full border border-amber-200 bg-amber-50 px-2.5 py-0.5 text-xs font-medium text-amber-800 hover:bg-amber-100"
+      button.textContent = this.suggestionText(category, reference)
+      if (message) button.title = message
+      button.dataset.action = "chat-context#suggest"
+      button.setAttribute("data-chat-context-reference-param", reference)
+      button.setAttribute("data-chat-context-category-param", category)
+      return button
+    }))
+  }
+
+  buildHeaderCell(text) {
+    const th = document.createElement("th")
+    th.className = "sticky top-0 border border-gray-200 bg-gray-50 px-1.5 py-0.5 font-medium text-gray-500"
+    th.textContent = text
+    return th
+  }
+
+  // Helpers
+  selectionBounds() {
+    if (!this.selection) return null
+
+    const { anchor, focus } = this.selection
+    return {
+      top: Math.min(anchor.row, focus.row),
+      bottom: Math.max(anchor.row, focus.row),
+      left: Math.min(anchor.column, focus.column),
+      right: Math.max(anchor.column, focus.column)
+    }
+  }
+
+  // "sheet2!b4:f30" -> "Sheet2!B4:F30"; sheetless references use the sheet
+  // on screen. Returns null for text that isn't a range in this workbook.
+  normalize(text) {
+    const match = text.trim().match(REFERENCE)
+    if (!match) return null
+
+    const sheetName = match[1] || this.grid?.sheet.name || this.workbook?.sheets[0]?.name
+    const sheet = this.workbook?.sheets.find(candidate => candidate.name.toLowerCase() === sheetName?.toLowerCase())
+    if (!sheet) return null
+
+    const rows = [Number(match[3]), Number(match[5] || match[3])]
+    const columns = [this.columnNumber(match[2]), this.columnNumber(match[4] || match[2])]
+    if (Math.min(...rows) < 1) return null
+
+    return this.formatReference(sheet.name, {
+      top: Math.min(...rows),
+      bottom: Math.max(...rows),
+      left: Math.min(...columns),
+      right: Math.max(...columns)
+    })
+  }
+
+  formatReference(sheetName, { top, bottom, left, right }) {
+    const sheet = /^[A-Za-z0-9_]+$/.test(sheetName) ? sheetName : `'${sheetName}'`
+    const first = `${this.columnName(left)}${top}`
+    const last = `${this.columnName(right)}${bottom}`
+
+    return `${sheet}!${first === last ? first : `${first}:${last}`}`
+  }
+
+  suggestionText(category, reference) {
+    const key = ["circular_reference", "formula_error", "data_validation", "format_consistency"].includes(category) ? category : "other"
+    return t(`chat.context.suggestions.${key}`, { reference })
+  }
+
+  columnName(number) {
+    let name = ""
+
+    for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name
+    }
+
+    return name
+  }
+
+  columnNumber(name) {
+    return [...name.toUpperCase()].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0)
+  }
+
+  setStatus(message, isError = false) {
+    this.statusTarget.textContent = message
+    this.statusTarget.classList.toggle("text-red-600", isError)
+    this.statusTarget.classList.toggle("text-gray-500", !isError)
+  }
+}
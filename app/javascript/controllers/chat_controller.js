@@ -0,0 +1,741 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribe } from "channels/consumer"
+import { toast } from "lib/toast"
+import { confirmDialog } from "lib/dialog"
+import { t, formatTime } from "lib/i18n"
+
+const ICONS = {
+  copy: "M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z",
+  edit: "M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z",
+  regenerate: "M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15",
+  tier2: "M5 3v4M3 5h4M6 17v4m-2-2h4m5-16l2.286 6.857L21 12l-5.714 2.143L13 21l-2.286-6.857L5 12l5.714-2.143L13 3z",
+  up: "M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5",
+  down: "M10 14H5.236a2 2 0 01-1.789-2.894l3.5-7A2 2 0 018.736 3h4.018a2 2 0 01.485.06l3.76.94m-7 10v5a2 2 0 002 2h.096c.5 0 .905-.405.905-.904 0-.715.211-1.413.608-2.008L17 13V4m-7 10h2m5-10h2a2 2 0 012 2v6a2 2 0 01-2 2h-2.5"
+}
+
+// Thumbs up and down map onto the 1-5 rating the feedback endpoint stores
+const RATINGS = { up: 5, down: 1 }
+
+// Conversation view: sending, streamed replies, file attachment and the
+// per-message actions (copy, edit and resend, regenerate, feedback), which
+// are added here to both server-rendered and streamed messages. Cells picked
+// in the chat-context outlet are sent along with the question.
+// Connects to data-controller="chat"
+export default class extends Controller {
+  static targets = [
+    "messages", "messageList", "form", "input", "submit", "loading", "error",
+    "tokenCount", "messageCount", "tokensUsed", "fileBadge", "attachButton"
+  ]
+  static outlets = ["dialog", "chat-context"]
+  static values = {
+    conversationId: Number,
+    tokens: Number,
+    userInitial: String,
+    tier2: Boolean,
+    regenerateUrl: String,
+    retryUrl: String,
+    editUrl: String,
+    feedbackUrl: String
+  }
+
+  connect() {
+    if (!this.conversationIdValue) {
+      console.error("No conversation ID provided")
+      return
+    }
+
+    this.sending = false
+    this.streamingMessage = null
+
+    this.setupWebSocket()
+    this.messageListTarget.querySelectorAll("[data-message-id]").forEach(element => this.renderActions(element))
+    this.updateTokenDisplay(this.tokensValue)
+    this.scrollToBottom()
+  }
+
+  disconnect() {
+    this.teardownWebSocket()
+  }
+
+  setupWebSocket() {
+    this.subscription = subscribe(
+      {
+        channel: "ChatChannel",
+        conversation_id: this.conversationIdValue
+      },
+      {
+        received: (data) => this.handleWebSocketMessage(data)
+      }
+    )
+  }
+
+  teardownWebSocket() {
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+  }
+
+  handleWebSocketMessage(data) {
+    switch (data.type) {
+      case "stream_start":
+        this.startStreaming()
+        break
+      case "stream_delta":
+        this.appendDelta(data.delta)
+        break
+      case "new_message":
+        this.handleNewMessage(data)
+        break
+      case "error":
+        this.handleReplyError(data.error, data.failed_message_id)
+        break
+      default:
+        console.log("Unknown message type:", data.type)
+    }
+  }
+
+  // Action methods
+  async handleSubmit(event) {
+    event.preventDefault()
+
+    const content = this.inputTarget.value.trim()
+    if (!content || this.sending) return
+
+    this.clearError()
+    this.setSending(true)
+
+    try {
+      const response = await fetch(this.formTarget.action, {
+        method: "POST",
+        headers: this.requestHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ message: content, context: this.contextReferences })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        this.showError(data.error || t("chat.send_failed"))
+        this.setSending(false)
+        return
+      }
+
+      this.appendMessage(data.message)
+      this.inputTarget.value = ""
+      this.adjustHeight()
+      if (this.hasChatContextOutlet) this.chatContextOutlet.clear()
+      this.showLoading()
+    } catch (error) {
+      console.error("Failed to send message:", error)
+      this.showError(t("chat.send_failed_retry"))
+      this.setSending(false)
+    }
+  }
+
+  handleKeydown(event) {
+    // Let IME composition (e.g. Korean input) finish before sending
+    if (event.key !== "Enter" || event.shiftKey || event.isComposing) return
+
+    event.preventDefault()
+    this.formTarget.requestSubmit()
+  }
+
+  adjustHeight() {
+    const input = this.inputTarget
+    input.style.height = "auto"
+    input.style.height = `${Math.min(input.scrollHeight, 200)}px`
+  }
+
+  attachFile() {
+    if (this.hasDialogOutlet) this.dialogOutlet.open()
+  }
+
+  closeFileModal() {
+    if (this.hasDialogOutlet) this.dialogOutlet.close()
+  }
+
+  async submitAttachment(event) {
+    event.preventDefault()
+
+    const form = event.target
+    const submitButton = form.querySelector('[type="submit"]')
+    if (submitButton) submitButton.disabled = true
+
+    try {
+      const response = await fetch(form.action, {
+        method: "POST",
+        headers: this.requestHeaders(),
+        body: new FormData(form)
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        form.reset()
+        this.handleFileAttached(data)
+      } else {
+        toast.error(data.error || t("chat.attach_failed"))
+      }
+    } catch (error) {
+      console.error("Failed to attach file:", error)
+      toast.error(t("chat.attach_failed_retry"))
+    } finally {
+      if (submitButton) submitButton.disabled = false
+    }
+  }
+
+  handleFileAttached(data) {
+    this.closeFileModal()
+    toast.success(data.message || t("chat.attached"), { title: data.file_name })
+
+    if (this.hasFileBadgeTarget) {
+      this.fileBadgeTarget.classList.remove("hidden")
+      this.fileBadgeTarget.title = data.file_name || ""
+    }
+
+    if (this.hasAttachButtonTarget) {
+      this.attachButtonTarget.remove()
+    }
+
+    if (this.hasChatContextOutlet) this.chatContextOutlet.enable()
+  }
+
+  // A suggested question from the context picker, left for the user to edit
+  useSuggestion(event) {
+    this.inputTarget.value = event.detail.text
+    this.adjustHeight()
+    this.inputTarget.focus()
+  }
+
+  // Message actions
+  async copyMessage(element) {
+    try {
+      await navigator.clipboard.writeText(this.messageText(element))
+      toast.success(t("chat.copied"), { duration: 2000 })
+    } catch (error) {
+      console.error("Failed to copy message:", error)
+      toast.error(t("chat.copy_failed"))
+    }
+  }
+
+  // Asks the question before this reply again; the reply and anything said
+  // after it are replaced
+  async regenerate(element, tier = 1) {
+    if (this.sending) return
+
+    const later = this.messagesAfter(element)
+    if (later.length > 0 && !(await this.confirmDiscard(later.length + 1))) return
+
+    const data = await this.requestReply(this.regenerateUrlValue, "POST", { message_id: element.dataset.messageId, tier })
+    if (!data) return
+
+    element.remove()
+    later.forEach(message => message.remove())
+    this.replyQueued(data)
+  }
+
+  // Asks a question again whose answer broke off part-way
+  async retry(element) {
+    if (this.sending) return
+
+    const later = this.messagesAfter(element)
+    if (later.length > 0 && !(await this.confirmDiscard(later.length))) return
+
+    const data = await this.requestReply(this.retryUrlValue, "POST", { message_id: element.dataset.messageId })
+    if (!data) return
+
+    later.forEach(message => message.remove())
+    this.fillMessage(this.renderedMessage(element), data.message)
+    this.replyQueued(data)
+  }
+
+  startEditing(element) {
+    if (this.sending || element.querySelector("[data-message-editor]")) return
+
+    const content = element.querySelector("[data-message-content]")
+    const editor = document.createElement("form")
+    editor.dataset.messageEditor = ""
+    editor.className = "space-y-2"
+
+    const input = document.createElement("textarea")
+    input.className = "block w-full min-w-[16rem] rounded-md border-gray-300 text-sm text-gray-900 focus:border-blue-500 focus:ring-blue-500"
+    input.rows = 3
+    input.required = true
+    input.value = this.messageText(element)
+    input.setAttribute("aria-label", t("chat.edit_label"))
+
+    const buttons = document.createElement("div")
+    buttons.className = "flex justify-end gap-2"
+    buttons.append(
+      this.buildButton(t("common.cancel"), "px-2 py-1 text-xs font-medium text-blue-100 hover:text-white", () => this.stopEditing(element)),
+      this.buildButton(t("chat.resend"), "px-2 py-1 text-xs font-medium rounded bg-white text-blue-700 hover:bg-blue-50", null, "submit")
+    )
+
+    editor.append(input, buttons)
+    editor.addEventListener("submit", event => {
+      event.preventDefault()
+      this.resend(element, input.value.trim())
+    })
+    input.addEventListener("keydown", event => {
+      if (event.key === "Escape") this.stopEditing(element)
+    })
+
+    content.classList.add("hidden")
+    content.after(editor)
+    input.focus()
+  }
+
+  stopEditing(element) {
+    element.querySelector("[data-message-editor]")?.remove()
+    element.querySelector("[data-message-content]").classList.remove("hidden")
+  }
+
+  // Saves the edited question and asks it again; everything after it goes
+  async resend(element, content) {
+    if (!content || this.sending) return
+
+    const later = this.messagesAfter(element)
+    if (later.length > 1 && !(await this.confirmDiscard(later.length))) return
+
+    const data = await this.requestReply(this.editUrlValue, "PATCH", { message_id: element.dataset.messageId, message: content })
+    if (!data) return
+
+    this.stopEditing(element)
+    later.forEach(message => message.remove())
+    this.fillMessage(this.renderedMessage(element), data.message)
+    this.replyQueued(data)
+  }
+
+  // Thumbs up or down opens a short optional comment box; the rating is only
+  // sent from there, since each reply takes a single rating
+  startFeedback(element, choice) {
+    element.querySelector("[data-message-feedback]")?.remove()
+
+    const form = document.createElement("form")
+    form.dataset.messageFeedback = ""
+    form.className = "mt-2 space-y-2 rounded-lg border border-gray-200 bg-white p-3"
+
+    const input = document.createElement("textarea")
+    input.className = "block w-full rounded-md border-gray-300 text-sm focus:border-blue-500 focus:ring-blue-500"
+    input.rows = 2
+    input.placeholder = t(`chat.feedback.placeholder_${choice}`)
+    input.setAttribute("aria-label", t("chat.feedback.comment"))
+
+    const buttons = document.createElement("div")
+    buttons.className = "flex justify-end gap-2"
+    buttons.append(
+      this.buildButton(t("common.cancel"), "px-2 py-1 text-xs font-medium text-gray-600 hover:text-gray-900", () => form.remove()),
+      this.buildButton(t("chat.feedback.send"), "px-2 py-1 text-xs font-medium rounded bg-blue-600 text-white hover:bg-blue-700", null, "submit")
+    )
+
+    form.append(input, buttons)
+    form.addEventListener("submit", event => {
+      event.preventDefault()
+      this.sendFeedback(element, RATINGS[choice], input.value.trim(), form)
+    })
+
+    element.querySelector("[data-message-actions]").after(form)
+    input.focus()
+  }
+
+  async sendFeedback(element, rating, comment, form) {
+    const submit = form.querySelector('[type="submit"]')
+    submit.disabled = true
+
+    try {
+      const response = await fetch(this.feedbackUrlValue, {
+        method: "POST",
+        headers: this.requestHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({
+          conversation_id: this.conversationIdValue,
+          message_id: element.dataset.messageId,
+          rating,
+          feedback_text: comment || null
+        })
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || t("chat.feedback.failed"))
+
+      form.remove()
+      element.dataset.messageRating = rating
+      this.renderActions(element)
+      toast.success(t("chat.feedback.thanks"))
+    } catch (error) {
+      toast.error(error.message)
+      submit.disabled = false
+    }
+  }
+
+  async requestReply(url, method, body) {
+    this.clearError()
+    this.setSending(true)
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: this.requestHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(body)
+      })
+      const data = await response.json()
+
+      if (response.ok) return data
+
+      this.showError(data.error || t("chat.send_failed"))
+    } catch (error) {
+      console.error("Failed to request a new reply:", error)
+      this.showError(t("chat.send_failed_retry"))
+    }
+
+    this.setSending(false)
+    return null
+  }
+
+  replyQueued(data) {
+    if (data.message_count !== undefined && this.hasMessageCountTarget) {
+      this.messageCountTarget.textContent = data.message_count
+    }
+
+    this.showLoading()
+  }
+
+  confirmDiscard(count) {
+    return confirmDialog({
+      title: t("chat.discard.title"),
+      message: t("chat.discard.message", { count }),
+      confirmLabel: t("chat.discard.confirm"),
+      tone: "danger"
+    })
+  }
+
+  // Streaming
+  startStreaming() {
+    this.hideLoading()
+
+    if (!this.streamingMessage) {
+      this.streamingMessage = this.appendMessage({ role: "assistant", content: "" })
+      this.streamingMessage.content.classList.add("whitespace-pre-wrap")
+      this.streamingText = ""
+    }
+  }
+
+  appendDelta(delta) {
+    if (!delta) return
+    if (!this.streamingMessage) this.startStreaming()
+
+    const shouldScroll = this.isNearBottom()
+
+    this.streamingText += delta
+    this.streamingMessage.content.textContent = this.streamingText
+
+    if (shouldScroll) this.scrollToBottom()
+  }
+
+  handleNewMessage(data) {
+    const message = data.message
+    this.hideLoading()
+
+    if (this.streamingMessage) {
+      this.streamingMessage.content.classList.remove("whitespace-pre-wrap")
+      this.fillMessage(this.streamingMessage, message)
+      this.streamingMessage = null
+    } else {
+      this.appendMessage(message)
+    }
+
+    if (data.tokens_remaining !== undefined) {
+      this.updateTokenDisplay(data.tokens_remaining)
+    }
+
+    if (data.message_count !== undefined && this.hasMessageCountTarget) {
+      this.messageCountTarget.textContent = data.message_count
+    }
+
+    if (data.total_tokens_used !== undefined && this.hasTokensUsedTarget) {
+      this.tokensUsedTarget.textContent = data.total_tokens_used
+    }
+
+    this.setSending(false)
+    this.scrollToBottom()
+  }
+
+  // failedMessageId is the question the job marked failed after part of
+  // the reply had streamed; it gets an "Ask again" action
+  handleReplyError(error, failedMessageId) {
+    this.hideLoading()
+
+    if (this.streamingMessage) {
+      this.streamingMessage.element.remove()
+      this.streamingMessage = null
+    }
+
+    const failed = failedMessageId && this.messageListTarget.querySelector(`[data-message-id="${failedMessageId}"]`)
+    if (failed) {
+      failed.dataset.messageFailed = "true"
+      this.renderActions(failed)
+    }
+
+    this.showError(error || t("chat.generate_failed"))
+    this.setSending(false)
+  }
+
+  // Rendering (mirrors chat_conversations/_message.html.erb)
+  appendMessage(message) {
+    const isUser = message.role === "user"
+
+    const element = document.createElement("div")
+    element.className = `flex ${isUser ? "justify-end" : "justify-start"}`
+
+    const column = document.createElement("div")
+    column.className = `max-w-3xl ${isUser ? "order-2" : "order-1"}`
+
+    const row = document.createElement("div")
+    row.className = `flex items-start space-x-2 ${isUser ? "flex-row-reverse space-x-reverse" : ""}`
+
+    const body = document.createElement("div")
+    body.className = "flex-1"
+
+    const bubble = document.createElement("div")
+    bubble.className = `${isUser ? "bg-blue-600 text-white" : "bg-white border border-gray-200"} rounded-lg px-4 py-2 shadow-sm`
+
+    const content = document.createElement("div")
+    content.dataset.messageContent = ""
+    content.className = `prose prose-sm max-w-none ${isUser ? "prose-invert" : ""}`
+
+    const meta = document.createElement("div")
+    meta.dataset.messageMeta = ""
+    meta.className = `mt-1 flex items-center space-x-2 text-xs text-gray-500 ${isUser ? "justify-end" : ""}`
+
+    bubble.appendChild(content)
+    body.append(bubble, meta)
+    row.append(this.buildAvatar(isUser), body)
+    column.appendChild(row)
+    element.appendChild(column)
+
+    this.messageListTarget.insertBefore(element, this.hasLoadingTarget ? this.loadingTarget : null)
+
+    const rendered = { element, content, meta }
+    this.fillMessage(rendered, message)
+    this.scrollToBottom()
+
+    return rendered
+  }
+
+  fillMessage({ element, content, meta }, message) {
+    if (message.id) element.dataset.messageId = message.id
+    element.dataset.messageRole = message.role
+    element.dataset.messageRating = message.user_rating ?? ""
+    element.dataset.messageFailed = String(message.metadata?.failed === true)
+
+    content.replaceChildren(...this.formatParagraphs(message.content || ""))
+
+    const parts = []
+    if (message.created_at) parts.push(formatTime(message.created_at, { timeStyle: "short" }))
+    if (message.tokens_used > 0) parts.push(t("chat.tokens", { count: message.tokens_used }))
+    if (message.model) parts.push(message.model)
+
+    const context = message.metadata?.context || []
+
+    meta.replaceChildren()
+    parts.forEach((part, index) => {
+      if (index > 0) meta.appendChild(this.buildSpan("•"))
+      meta.appendChild(this.buildSpan(part))
+    })
+
+    if (context.length > 0) {
+      if (parts.length > 0) meta.appendChild(this.buildSpan("•"))
+      const span = this.buildSpan(context.join(", "))
+      span.className = "font-mono"
+      span.title = t("chat.context.sent")
+      meta.appendChild(span)
+    }
+
+    this.renderActions(element)
+  }
+
+  // Toolbar under a saved message. Streamed replies get theirs once the
+  // finished message (with its id) arrives.
+  renderActions(element) {
+    element.querySelector("[data-message-actions]")?.remove()
+    if (!element.dataset.messageId) return
+
+    const isUser = element.dataset.messageRole === "user"
+    const rating = Number(element.dataset.messageRating) || null
+
+    const toolbar = document.createElement("div")
+    toolbar.dataset.messageActions = ""
+    toolbar.className = `mt-1 flex items-center gap-1 text-gray-400 ${isUser ? "justify-end" : ""}`
+
+    toolbar.appendChild(this.buildIconButton("copy", t("chat.actions.copy"), () => this.copyMessage(element)))
+
+    if (isUser) {
+      if (element.dataset.messageFailed === "true") {
+        const notice = this.buildSpan(t("chat.reply_failed"))
+        notice.className = "mr-1 text-xs text-red-600"
+        toolbar.append(notice, this.buildIconButton("regenerate", t("chat.actions.retry"), () => this.retry(element)))
+      }
+      toolbar.appendChild(this.buildIconButton("edit", t("chat.actions.edit"), () => this.startEditing(element)))
+    } else {
+      toolbar.appendChild(this.buildIconButton("regenerate", t("chat.actions.regenerate"), () => this.regenerate(element)))
+      if (this.tier2Value) {
+        toolbar.appendChild(this.buildIconButton("tier2", t("chat.actions.regenerate_tier2"), () => this.regenerate(element, 2)))
+      }
+
+      Object.entries(RATINGS).forEach(([choice, value]) => {
+        const button = this.buildIconButton(choice, t(`chat.actions.${choice}`), () => this.startFeedback(element, choice))
+        if (rating) {
+          button.disabled = true
+          button.setAttribute("aria-pressed", String(rating === value))
+          if (rating === value) button.classList.add("text-blue-600")
+        }
+        toolbar.appendChild(button)
+      })
+    }
+
+    element.querySelector("[data-message-meta]").after(toolbar)
+  }
+
+  buildAvatar(isUser) {
+    const wrapper = document.createElement("div")
+    wrapper.className = "flex-shrink-0"
+
+    const avatar = document.createElement("div")
+    avatar.className = `w-8 h-8 ${isUser ? "bg-blue-500" : "bg-gray-600"} rounded-full flex items-center justify-center`
+
+    if (isUser) {
+      const initial = this.buildSpan(this.userInitialValue)
+      initial.className = "text-white text-sm font-medium"
+      avatar.appendChild(initial)
+    } else {
+      avatar.innerHTML = `<svg class="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 20 20"><path d="M10.394 2.08a1 1 0 00-.788 0l-7 3a1 1 0 000 1.84L5.25 8.051a.999.999 0 01.356-.257l4-1.714a1 1 0 11.788 1.838L7.667 9.088l1.94.831a1 1 0 00.787 0l7-3a1 1 0 000-1.838l-7-3zM3.31 9.397L5 10.12v4.102a8.969 8.969 0 00-1.05-.174 1 1 0 01-.89-.89 11.115 11.115 0 01.25-3.762zM9.3 16.573A9.026 9.026 0 007 14.935v-3.957l1.818.78a3 3 0 002.364 0l5.508-2.361a11.026 11.026 0 01.25 3.762 1 1 0 01-.89.89 8.968 8.968 0 00-5.35 2.524 1 1 0 01-1.4 0zM6 18a1 1 0 001-1v-2.065a8.935 8.935 0 00-2-.712V17a1 1 0 001 1z"/></svg>`
+    }
+
+    wrapper.appendChild(avatar)
+    return wrapper
+  }
+
+  buildIconButton(icon, label, onClick) {
+    const button = this.buildButton("", "rounded p-1 hover:bg-gray-100 hover:text-gray-700 disabled:hover:bg-transparent", onClick)
+    button.title = label
+    button.setAttribute("aria-label", label)
+    button.innerHTML = `<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${ICONS[icon]}"/></svg>`
+    return button
+  }
+
+  buildButton(text, className, onClick, type = "button") {
+    const button = document.createElement("button")
+    button.type = type
+    button.className = className
+    button.textContent = text
+    if (onClick) button.addEventListener("click", onClick)
+    return button
+  }
+
+  buildSpan(text) {
+    const span = document.createElement("span")
+    span.textContent = text
+    return span
+  }
+
+  // Same paragraph/line-break rules as Rails' simple_format, built from text nodes
+  formatParagraphs(text) {
+    return text.split(/\n\s*\n/).map(paragraph => {
+      const p = document.createElement("p")
+      paragraph.split("\n").forEach((line, index) => {
+        if (index > 0) p.appendChild(document.createElement("br"))
+        p.appendChild(document.createTextNode(line))
+      })
+      return p
+    })
+  }
+
+  renderedMessage(element) {
+    return {
+      element,
+      content: element.querySelector("[data-message-content]"),
+      meta: element.querySelector("[data-message-meta]")
+    }
+  }
+
+  messageText(element) {
+    return element.querySelector("[data-message-content]").innerText.trim()
+  }
+
+  messagesAfter(element) {
+    const messages = [...this.messageListTarget.querySelectorAll("[data-message-id]")]
+    return messages.slice(messages.indexOf(element) + 1)
+  }
+
+  get contextReferences() {
+    return this.hasChatContextOutlet ? this.chatContextOutlet.references : []
+  }
+
+  // UI state
+  setSending(isSending) {
+    this.sending = isSending
+
+    if (this.hasSubmitTarget) {
+      this.submitTarget.disabled = isSending
+    }
+  }
+
+  showLoading() {
+    if (this.hasLoadingTarget) {
+      this.loadingTarget.classList.remove("hidden")
+      this.scrollToBottom()
+    }
+  }
+
+  hideLoading() {
+    if (this.hasLoadingTarget) {
+      this.loadingTarget.classList.add("hidden")
+    }
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+
+  updateTokenDisplay(tokens) {
+    this.tokensValue = tokens
+
+    if (this.hasTokenCountTarget) {
+      this.tokenCountTarget.textContent = tokens
+    }
+
+    document.querySelectorAll("[data-user-tokens]").forEach(element => {
+      element.textContent = tokens
+    })
+  }
+
+  isNearBottom() {
+    if (!this.hasMessagesTarget) return true
+
+    const { scrollTop, scrollHeight, clientHeight } = this.messagesTarget
+    return scrollHeight - scrollTop - clientHeight < 80
+  }
+
+  scrollToBottom() {
+    if (this.hasMessagesTarget) {
+      this.messagesTarget.scrollTop = this.messagesTarget.scrollHeight
+    }
+  }
+
+  requestHeaders(headers = {}) {
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+
+    return {
+      "Accept": "application/json",
+      "X-CSRF-Token": token,
+      ...headers
+    }
+  }
+}
@@ -0,0 +1,424 @@
+import { Controller } from "@hotwired/stimulus"
+import { fuzzyMatch, highlightRuns } from "lib/fuzzy_match"
+import { t } from "lib/i18n"
+
+const RESULT_LIMIT = 30
+const RECENT_LIMIT = 20
+const RECENT_SHOWN = 5
+const SEARCH_DELAY = 150
+const DAY = 24 * 60 * 60 * 1000
+
+const SECTION_CLASSES = {
+  recent: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  files: "bg-green-50 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  conversations: "bg-purple-50 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300",
+  navigation: "bg-blue-50 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  actions: "bg-amber-50 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300",
+  admin: "bg-red-50 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+  admin_actions: "bg-red-50 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+}
+const OPTION_CLASSES = {
+  active: "flex cursor-pointer items-center gap-3 px-4 py-2 text-sm bg-blue-600 text-white",
+  inactive: "flex cursor-pointer items-center gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-200"
+}
+
+// Ctrl/Cmd+K palette rendered by Navigation::CommandPaletteComponent. Pages
+// and actions come from the server in commandsValue, already filtered by role;
+// files and conversations are searched on their JSON endpoints as the user
+// types and ranked here with the same fuzzy match. Anything opened from the
+// palette is remembered per user in localStorage and ranked higher next time.
+//
+// Any element with data-command-palette-trigger opens it on click.
+//
+// Connects to data-controller="command-palette"
+export default class extends Controller {
+  static targets = ["overlay", "input", "results", "status"]
+  static values = {
+    commands: Array,
+    filesUrl: String,
+    conversationsUrl: String,
+    user: String
+  }
+
+  connect() {
+    this.isOpen = false
+    this.remote = []
+    this.results = []
+    this.activeIndex = 0
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimer)
+    this.searchRequest?.abort()
+    if (this.isOpen) document.body.style.overflow = ""
+  }
+
+  // Action methods
+  handleShortcut(event) {
+    if (event.key.toLowerCase() !== "k" || !(event.metaKey || event.ctrlKey) || event.altKey) return
+
+    event.preventDefault()
+    this.isOpen ? this.close() : this.open()
+  }
+
+  openFromTrigger(event) {
+    if (!event.target.closest("[data-command-palette-trigger]")) return
+
+    event.preventDefault()
+    this.open()
+  }
+
+  open() {
+    if (this.isOpen) return
+
+    this.isOpen = true
+    this.previousFocus = document.activeElement
+    this.overlayTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
+
+    this.inputTarget.value = ""
+    this.remote = []
+    this.setStatus("")
+    this.render()
+    this.inputTarget.focus()
+  }
+
+  close() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    clearTimeout(this.searchTimer)
+    this.searchRequest?.abort()
+    this.overlayTarget.classList.add("hidden")
+    document.body.style.overflow = ""
+    this.previousFocus?.focus?.()
+  }
+
+  closeOnBackdrop(event) {
+    if (event.target === this.overlayTarget) this.close()
+  }
+
+  search() {
+    this.activeIndex = 0
+    this.render()
+
+    clearTimeout(this.searchTimer)
+    this.searchRequest?.abort()
+
+    const query = this.query
+    if (!query) {
+      this.remote = []
+      return
+    }
+
+    this.searchTimer = setTimeout(() => this.searchRemote(query), SEARCH_DELAY)
+  }
+
+  navigate(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.setActive(this.activeIndex + 1)
+        break
+
+      case "ArrowUp":
+        event.preventDefault()
+        this.setActive(this.activeIndex - 1)
+        break
+
+      case "Home":
+        if (event.ctrlKey) {
+          event.preventDefault()
+          this.setActive(0)
+        }
+        break
+
+      case "End":
+        if (event.ctrlKey) {
+          event.preventDefault()
+          this.setActive(this.results.length - 1)
+        }
+        break
+
+      case "Enter":
+        event.preventDefault()
+        if (this.results[this.activeIndex]) this.run(this.results[this.activeIndex])
+        break
+
+      case "Escape":
+        event.preventDefault()
+        this.close()
+        break
+
+      case "Tab":
+        // The input is the only stop inside the palette
+        event.preventDefault()
+        break
+    }
+  }
+
+  async run(item) {
+    this.remember(item)
+
+    switch (item.run) {
+      case "theme":
+        this.application.getControllerForElementAndIdentifier(document.documentElement, "theme")?.toggle()
+        this.close()
+        break
+
+      case "submit":
+        this.submitForm(item.url)
+        break
+
+      case "request":
+        await this.request(item)
+        break
+
+      default:
+        window.location.assign(item.url)
+    }
+  }
+
+  // Remote search
+  async searchRemote(query) {
+    const controller = new AbortController()
+    this.searchRequest = controller
+
+    const [files, conversations] = await Promise.all([
+      this.fetchJson(this.filesUrlValue, query, controller.signal),
+      this.fetchJson(this.conversationsUrlValue, query, controller.signal)
+    ])
+    if (controller.signal.aborted || query !== this.query) return
+
+    this.remote = [
+      ...(files?.files || []).map(file => ({
+        id: `file:${file.id}`,
+        title: file.original_name,
+        subtitle: file.status,
+        url: `/excel_files/${file.id}`,
+        section: "files",
+        run: "visit"
+      })),
+      ...(conversations?.conversations || []).map(conversation => ({
+        id: `conversation:${conversation.id}`,
+        title: conversation.title || t("command_palette.untitled_conversation"),
+        subtitle: t("command_palette.messages", { count: conversation.message_count }),
+        url: conversation.url,
+        section: "conversations",
+        run: "visit"
+      }))
+    ]
+    this.render()
+  }
+
+  async fetchJson(url, query, signal) {
+    if (!url) return null
+
+    try {
+      const response = await fetch(`${url}?${new URLSearchParams({ q: query })}`, {
+        headers: { "Accept": "application/json" },
+        credentials: "same-origin",
+        signal
+      })
+      return response.ok ? await response.json() : null
+    } catch (error) {
+      if (error.name !== "AbortError") console.error("Command palette search failed:", error)
+      return null
+    }
+  }
+
+  // Ranking
+  rank() {
+    const query = this.query
+    const recent = this.recentItems()
+
+    if (!query) {
+      const recentIds = new Set(recent.map(item => item.id))
+      return [
+        ...recent.slice(0, RECENT_SHOWN).map(item => ({ item, section: "recent", positions: [] })),
+        ...this.commandsValue.filter(item => !recentIds.has(item.id)).map(item => ({ item, section: item.section, positions: [] }))
+      ].slice(0, RESULT_LIMIT)
+    }
+
+    const candidates = new Map()
+    const recentById = new Map(recent.map(item => [item.id, item]))
+    ;[...this.commandsValue, ...recent, ...this.remote].forEach(item => candidates.set(item.id, item))
+
+    return [...candidates.values()]
+      .map(item => {
+        const titleMatch = fuzzyMatch(query, item.title)
+        const keywordMatch = item.keywords ? fuzzyMatch(query, item.keywords) : null
+        if (!titleMatch && !keywordMatch) return null
+
+        const score = Math.max(titleMatch?.score ?? -Infinity, (keywordMatch?.score ?? -Infinity) * 0.5)
+        return {
+          item,
+          section: item.section,
+          positions: titleMatch?.positions || [],
+          score: score + recencyBoost(recentById.get(item.id))
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RESULT_LIMIT)
+  }
+
+  // Rendering
+  render() {
+    const ranked = this.rank()
+    this.results = ranked.map(result => result.item)
+    this.activeIndex = Math.min(this.activeIndex, Math.max(this.results.length - 1, 0))
+
+    if (ranked.length === 0) {
+      this.resultsTarget.replaceChildren(this.buildElement("li", "px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400", this.query ? t("command_palette.no_matches") : t("command_palette.empty")))
+      this.inputTarget.removeAttribute("aria-activedescendant")
+      return
+    }
+
+    this.resultsTarget.replaceChildren(...ranked.map((result, index) => this.buildOption(result, index)))
+    this.setActive(this.activeIndex)
+  }
+
+  buildOption({ item, section, positions }, index) {
+    const option = this.buildElement("li", OPTION_CLASSES.inactive)
+    option.id = `command-palette-option-${index}`
+    option.setAttribute("role", "option")
+    option.addEventListener("mousemove", () => { if (this.activeIndex !== index) this.setActive(index) })
+    option.addEventListener("click", () => this.run(item))
+
+    const text = this.buildElement("div", "min-w-0 flex-1")
+    const title = this.buildElement("div", "truncate")
+    highlightRuns(item.title, positions).forEach(run => {
+      title.append(run.match ? this.buildElement("mark", "bg-transparent font-semibold text-inherit underline", run.text) : document.createTextNode(run.text))
+    })
+    text.append(title)
+    if (item.subtitle) text.append(this.buildElement("div", "truncate text-xs opacity-70", item.subtitle))
+
+    // Items remembered before sections became keys still carry "Admin actions"
+    const key = SECTION_CLASSES[section] ? section : String(section).toLowerCase().replace(/\s+/g, "_")
+    option.append(text, this.buildElement("span", `shrink-0 rounded px-1.5 py-0.5 text-xs ${SECTION_CLASSES[key] || SECTION_CLASSES.navigation}`, t(`command_palette.sections.${SECTION_CLASSES[key] ? key : "navigation"}`)))
+    return option
+  }
+
+  setActive(index) {
+    const options = [...this.resultsTarget.querySelectorAll('[role="option"]')]
+    if (options.length === 0) return
+
+    this.activeIndex = (index + options.length) % options.length
+    options.forEach((option, optionIndex) => {
+      const active = optionIndex === this.activeIndex
+      option.className = active ? OPTION_CLASSES.active : OPTION_CLASSES.inactive
+      option.setAttribute("aria-selected", String(active))
+    })
+
+    const active = options[this.activeIndex]
+    this.inputTarget.setAttribute("aria-activedescendant", active.id)
+    active.scrollIntoView({ block: "nearest" })
+  }
+
+  setStatus(message, tone = "info") {
+    this.statusTarget.textContent = message
+    this.statusTarget.className = tone === "error" ? "text-red-600 dark:text-red-400" : ""
+  }
+
+  // Commands
+  submitForm(url) {
+    const form = document.createElement("form")
+    form.method = "post"
+    form.action = url
+    form.hidden = true
+
+    const token = document.createElement("input")
+    token.type = "hidden"
+    token.name = document.querySelector('meta[name="csrf-param"]')?.content || "authenticity_token"
+    token.value = document.querySelector('meta[name="csrf-token"]')?.content || ""
+    form.append(token)
+
+    document.body.append(form)
+    form.submit()
+  }
+
+  async request(item) {
+    this.setStatus(`${item.title}…`)
+
+    try {
+      const response = await fetch(item.url, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        credentials: "same-origin"
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) throw new Error(data.error || data.message || `HTTP ${response.status}`)
+      this.setStatus(data.message || t("common.done"))
+    } catch (error) {
+      this.setStatus(error.message, "error")
+    }
+  }
+
+  // Recent items
+  get recentKey() {
+    return `command-palette:recent:${this.userValue}`
+  }
+
+  // Stored commands are only offered while the server still sends them, so a
+  // command the user has lost access to doesn't linger in the recent list
+  recentItems() {
+    const commands = new Map(this.commandsValue.map(item => [item.id, item]))
+
+    return this.readRecent()
+      .map(entry => {
+        if (entry.id.startsWith("file:") || entry.id.startsWith("conversation:")) return entry
+        return commands.has(entry.id) ? { ...commands.get(entry.id), count: entry.count, usedAt: entry.usedAt } : null
+      })
+      .filter(Boolean)
+  }
+
+  remember(item) {
+    const entries = this.readRecent()
+    const previous = entries.find(entry => entry.id === item.id)
+    const { id, title, subtitle, url, section, run } = item
+    const entry = { id, title, subtitle, url, section, run, count: (previous?.count || 0) + 1, usedAt: Date.now() }
+
+    const updated = [entry, ...entries.filter(other => other.id !== item.id)].slice(0, RECENT_LIMIT)
+    try {
+      localStorage.setItem(this.recentKey, JSON.stringify(updated))
+    } catch {
+      // Ranking just won't learn from this choice
+    }
+  }
+
+  readRecent() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.recentKey))
+      return Array.isArray(entries) ? entries.filter(entry => entry?.id && entry.title) : []
+    } catch {
+      return []
+    }
+  }
+
+  // Helpers
+  get query() {
+    return this.inputTarget.value.trim()
+  }
+
+  buildElement(tag, className, text) {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+}
+
+// Frequently and recently used items float up, without outranking a much
+// better match
+function recencyBoost(entry) {
+  if (!entry) return 0
+
+  const age = Date.now() - entry.usedAt
+  const freshness = age < DAY ? 6 : age < 7 * DAY ? 3 : 0
+  return Math.min(entry.count, 5) * 1.5 + freshness
+}
@@ -0,0 +1,247 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, formatPercent } from "lib/i18n"
+
+// Labels live in analysis.corrections.decisions.*
+const DECISION_BADGES = {
+  pending: "bg-gray-100 text-gray-700",
+  accepted: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800"
+}
+
+// Steps through AI corrections next to the original cell contents and records
+// accept/reject decisions. Only accepted corrections go into the download;
+// pending ones have to be reviewed first.
+// Connects to data-controller="correction-diff"
+export default class extends Controller {
+  static targets = [
+    "position", "cell", "decision", "originalValue", "originalFormula", "correctedValue",
+    "correctedFormula", "explanation", "confidence", "warning", "list", "summary",
+    "downloadLink", "error", "body", "loading"
+  ]
+  static values = {
+    url: String,
+    reviewUrl: String,
+    analysisId: Number
+  }
+
+  // Also runs on connect; a new analysis id means a fresh set of corrections
+  analysisIdValueChanged() {
+    if (this.analysisIdValue) this.load()
+  }
+
+  async load() {
+    this.changes = []
+    this.current = 0
+    this.toggle(this.loadingTarget, true)
+    this.toggle(this.bodyTarget, false)
+    this.clearError()
+
+    try {
+      const response = await fetch(this.urlValue, { headers: { "Accept": "application/json" } })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || t("analysis.corrections.load_failed"))
+
+      this.changes = data.changes || []
+      const firstPending = this.changes.findIndex(change => change.decision === "pending")
+      this.current = Math.max(0, firstPending)
+
+      this.toggle(this.bodyTarget, this.changes.length > 0)
+      this.render()
+    } catch (error) {
+      console.error("Failed to load corrections:", error)
+      this.showError(error.message)
+    } finally {
+      this.toggle(this.loadingTarget, false)
+    }
+  }
+
+  // Action methods
+  next() {
+    this.show(this.current + 1)
+  }
+
+  previous() {
+    this.show(this.current - 1)
+  }
+
+  select(event) {
+    this.show(event.params.index)
+  }
+
+  accept() {
+    this.decide("accepted")
+  }
+
+  reject() {
+    this.decide("rejected")
+  }
+
+  reset() {
+    this.decide("pending")
+  }
+
+  navigate(event) {
+    if (event.target.closest("input, textarea, select")) return
+
+    const actions = { ArrowRight: "next", ArrowLeft: "previous", a: "accept", r: "reject" }
+    const action = actions[event.key]
+    if (!action || event.metaKey || event.ctrlKey || event.altKey) return
+
+    event.preventDefault()
+    this[action]()
+  }
+
+  locate() {
+    const change = this.changes[this.current]
+    if (change) this.dispatch("locate", { detail: { reference: change.cell } })
+  }
+
+  show(index) {
+    if (index < 0 || index >= this.changes.length) return
+
+    this.current = index
+    this.render()
+  }
+
+  async decide(decision) {
+    const change = this.changes[this.current]
+    if (!change) return
+
+    const previousDecision = change.decision
+    change.decision = decision
+    this.clearError()
+    this.render()
+
+    try {
+      const response = await fetch(this.reviewUrlValue.replace("INDEX", change.index), {
+        method: "PATCH",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ decision })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || t("analysis.corrections.save_failed"))
+      }
+
+      if (decision !== "pending") this.advance()
+    } catch (error) {
+      console.error("Correction review failed:", error)
+      change.decision = previousDecision
+      this.render()
+      this.showError(error.message)
+    }
+  }
+
+  // Moves on to the next undecided correction, if any remain after this one
+  advance() {
+    const next = this.changes.findIndex((change, index) => index > this.current && change.decision === "pending")
+    if (next !== -1) this.show(next)
+  }
+
+  // Rendering
+  render() {
+    const change = this.changes[this.current]
+    if (!change) return
+
+    this.positionTarget.textContent = t("analysis.corrections.position", { current: this.current + 1, total: this.changes.length })
+    this.cellTarget.textContent = change.cell || t("analysis.corrections.unknown_cell")
+    this.renderBadge(this.decisionTarget, change.decision)
+
+    const empty = t("analysis.corrections.empty")
+    this.setContent(this.originalValueTarget, change.original_value, empty)
+    this.setContent(this.originalFormulaTarget, change.original_formula)
+    this.setContent(this.correctedValueTarget, change.corrected_value, change.corrected_formula ? "" : empty)
+    this.setContent(this.correctedFormulaTarget, change.corrected_formula)
+    this.setContent(this.explanationTarget, change.explanation)
+    this.setContent(this.confidenceTarget, change.confidence != null ? t("analysis.corrections.confidence", { percent: formatPercent(change.confidence, { digits: 0 }) }) : null)
+
+    const stale = change.matches_original === false
+    this.toggle(this.warningTarget, stale)
+    if (stale) {
+      this.warningTarget.textContent = t("analysis.corrections.stale", {
+        expected: change.expected_original,
+        actual: change.original_formula || change.original_value || ""
+      })
+    }
+
+    this.renderList()
+    this.renderSummary()
+  }
+
+  renderList() {
+    if (!this.hasListTarget) return
+
+    this.listTarget.replaceChildren(...this.changes.map((change, index) => {
+      const item = document.createElement("button")
+      item.type = "button"
+      item.className = `flex w-full items-center justify-between px-3 py-1.5 text-left text-xs ${index === this.current ? "bg-blue-50" : "hover:bg-gray-50"}`
+      item.dataset.action = "correction-diff#select"
+      item.setAttribute("data-correction-diff-index-param", index)
+      item.setAttribute("aria-current", index === this.current)
+
+      const cell = document.createElement("span")
+      cell.className = "font-mono text-gray-700"
+      cell.textContent = change.cell || "—"
+
+      const badge = document.createElement("span")
+      this.renderBadge(badge, change.decision)
+
+      item.append(cell, badge)
+      return item
+    }))
+  }
+
+  renderSummary() {
+    const counts = { pending: 0, accepted: 0, rejected: 0 }
+    this.changes.forEach(change => counts[change.decision]++)
+    const applied = this.changes.filter(change => change.decision === "accepted" && (change.corrected_value != null || change.corrected_formula != null)).length
+
+    if (this.hasSummaryTarget) {
+      this.summaryTarget.textContent = t("analysis.corrections.summary", counts)
+    }
+
+    if (this.hasDownloadLinkTarget) {
+      this.downloadLinkTarget.textContent = t("analysis.corrections.download", { applied, count: this.changes.length })
+      this.downloadLinkTarget.classList.toggle("pointer-events-none", applied === 0)
+      this.downloadLinkTarget.classList.toggle("opacity-50", applied === 0)
+      this.downloadLinkTarget.setAttribute("aria-disabled", applied === 0)
+    }
+  }
+
+  renderBadge(element, decision) {
+    const known = decision in DECISION_BADGES ? decision : "pending"
+
+    element.textContent = t(`analysis.corrections.decisions.${known}`)
+    element.className = `inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${DECISION_BADGES[known]}`
+  }
+
+  setContent(element, text, placeholder = null) {
+    const content = text ?? placeholder
+    element.textContent = content ?? ""
+    this.toggle(element, content !== null && content !== "")
+  }
+
+  toggle(element, visible) {
+    element.classList.toggle("hidden", !visible)
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+}
@@ -0,0 +1,424 @@
+import { Controller } from "@hotwired/stimulus"
+import { Chart, registerables } from "chart.js"
+import { t, formatCurrency, formatPercent } from "lib/i18n"
+
+Chart.register(...registerables)
+
+const DEFAULT_DAYS = 30
+
+const PALETTE = ["#3b82f6", "#10b981", "#f56565", "#fbbf24", "#8b5cf6", "#ec4899", "#14b8a6", "#6b7280"]
+const COST_COLOR = PALETTE[0]
+const BUDGET_COLOR = "#ef4444"
+
+const PROVIDER_LABELS = {
+  openai: "OpenAI",
+  anthropic: "Anthropic",
+  google: "Google",
+  openrouter: "OpenRouter"
+}
+
+// Everything else is labelled from the costs.* catalog entries
+const GROUP_KEYS = {
+  provider: ["unknown"],
+  tier: ["tier1", "tier2", "rule_based"],
+  feature: ["excel_analysis", "ai_chat"]
+}
+
+const CSV_COLUMNS = ["date", "feature", "provider", "tier", "requests", "tokens", "cost_usd"]
+
+
+// Daily spend against the budget and spend per provider/tier for a picked date
+// range. Clicking a day or a model slice narrows the provider, tier and feature
+// breakdown to it; the CSV export is whatever that breakdown is built from.
+// Connects to data-controller="cost-analytics"
+export default class extends Controller {
+  static targets = [
+    "from", "to", "dailyChart", "modelChart", "error", "scope", "total", "reset",
+    "providers", "tiers", "features"
+  ]
+  static values = {
+    breakdownUrl: String,
+    modelsUrl: String
+  }
+
+  connect() {
+    this.breakdown = null
+    this.models = []
+    this.selection = null
+
+    if (!this.fromTarget.value || !this.toTarget.value) this.setRange(DEFAULT_DAYS)
+
+    this.dailyChart = new Chart(chartCanvas(this.dailyChartTarget), this.dailyChartConfig())
+    this.modelChart = new Chart(chartCanvas(this.modelChartTarget), this.modelChartConfig())
+    this.modelEmpty = document.createElement("p")
+    this.modelEmpty.className = "hidden absolute inset-0 flex items-center justify-center text-sm text-gray-500 dark:text-gray-400"
+    this.modelEmpty.textContent = t("costs.no_data")
+    this.modelChartTarget.append(this.modelEmpty)
+
+    this.load()
+  }
+
+  disconnect() {
+    this.abortController?.abort()
+    this.dailyChart.destroy()
+    this.modelChart.destroy()
+  }
+
+  async load() {
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+    this.clearError()
+
+    const query = new URLSearchParams({ from: this.fromTarget.value, to: this.toTarget.value })
+
+    try {
+      const [breakdown, models] = await Promise.all([
+        this.fetchJson(`${this.breakdownUrlValue}?${query}`),
+        this.fetchJson(`${this.modelsUrlValue}?${query}`)
+      ])
+
+      this.breakdown = breakdown
+      this.models = models.models
+      this.selection = null
+      this.render()
+    } catch (error) {
+      if (error.name === "AbortError") return
+
+      console.error("Failed to load cost analytics:", error)
+      this.showError(error.message)
+    }
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, {
+      headers: { "Accept": "application/json" },
+      credentials: "same-origin",
+      signal: this.abortController.signal
+    })
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(data.details?.errors?.join(", ") || data.message || `HTTP ${response.status}`)
+    }
+    return data
+  }
+
+  // Action methods
+  changeRange() {
+    if (this.fromTarget.value && this.toTarget.value) this.load()
+  }
+
+  preset(event) {
+    this.setRange(event.params.days)
+    this.load()
+  }
+
+  selectDay(index) {
+    const date = this.dates()[index]
+    this.select(this.selection?.type === "day" && this.selection.date === date ? null : { type: "day", date })
+  }
+
+  selectModel(index) {
+    const { provider, tier } = this.models[index]
+    const same = this.selection?.type === "model" && this.selection.provider === provider && this.selection.tier === tier
+    this.select(same ? null : { type: "model", provider, tier })
+  }
+
+  clearSelection() {
+    this.select(null)
+  }
+
+  export() {
+    if (!this.breakdown) return
+
+    const lines = [CSV_COLUMNS.join(",")].concat(
+      this.scopedRows().map(row => [row.date, row.feature, row.provider, row.tier, row.requests, row.tokens, row.cost].map(csvCell).join(","))
+    )
+    const blob = new Blob([lines.join("\r\n") + "\r\n"], { type: "text/csv" })
+    const link = document.createElement("a")
+
+    link.href = URL.createObjectURL(blob)
+    link.download = `ai-costs-${this.fileSuffix()}.csv`
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  select(selection) {
+    this.selection = selection
+    this.render()
+  }
+
+  // Rendering
+  render() {
+    this.renderDailyChart()
+    this.renderModelChart()
+    this.renderBreakdown()
+  }
+
+  renderDailyChart() {
+    const dates = this.dates()
+    const costs = new Map(dates.map(date => [date, 0]))
+    this.breakdown.rows.forEach(row => costs.set(row.date, (costs.get(row.date) || 0) + row.cost))
+
+    const selectedIndex = this.selection?.type === "day" ? dates.indexOf(this.selection.date) : -1
+    const [spend, budget] = this.dailyChart.data.datasets
+
+    this.dailyChart.data.labels = dates.map(date => date.slice(5))
+    spend.data = dates.map(date => costs.get(date))
+    spend.pointRadius = dates.map((date, index) => index === selectedIndex ? 5 : 3)
+    spend.pointBackgroundColor = dates.map((date, index) => index === selectedIndex ? COST_COLOR : "#fff")
+    budget.label = t("costs.daily_budget", { monthly: formatAxisCost(this.breakdown.monthly_budget) })
+    budget.data = dates.map(date => this.breakdown.monthly_budget / daysInMonth(date))
+    this.dailyChart.update()
+  }
+
+  renderModelChart() {
+    const selectedIndex = this.selection?.type === "model"
+      ? this.models.findIndex(model => model.provider === this.selection.provider && model.tier === this.selection.tier)
+      : null
+
+    const [slices] = this.modelChart.data.datasets
+    const empty = !this.models.some(model => model.cost > 0)
+
+    this.modelChart.data.labels = this.models.map(model => modelLabel(model))
+    slices.data = this.models.map(model => model.cost)
+    slices.backgroundColor = this.models.map((model, index) => PALETTE[index % PALETTE.length])
+    slices.offset = this.models.map((model, index) => index === selectedIndex ? 12 : 0)
+    this.modelChart.update()
+    this.modelEmpty.classList.toggle("hidden", !empty)
+  }
+
+  // Clicking anywhere in a day's column picks that day, not just on its dot
+  dailyChartConfig() {
+    return {
+      type: "line",
+      data: {
+        labels: [],
+        datasets: [
+          { label: t("costs.daily_cost"), data: [], borderColor: COST_COLOR, backgroundColor: `${COST_COLOR}1a`, borderWidth: 2, fill: "origin", pointBorderColor: COST_COLOR },
+          { label: "", data: [], borderColor: BUDGET_COLOR, borderWidth: 1.5, borderDash: [6, 4], pointRadius: 0, pointHitRadius: 0, fill: false }
+        ]
+      },
+      options: {
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        scales: {
+          x: { ticks: { autoSkip: true, maxTicksLimit: 8, maxRotation: 0 }, grid: { display: false } },
+          y: { beginAtZero: true, ticks: { maxTicksLimit: 5, callback: value => formatAxisCost(value) } }
+        },
+        plugins: {
+          legend: { position: "bottom", labels: { boxHeight: 2 } },
+          tooltip: { callbacks: { label: context => `${context.dataset.label}: ${formatCost(context.parsed.y)}` } }
+        },
+        onClick: (event, elements) => {
+          if (elements.length > 0) this.selectDay(elements[0].index)
+        }
+      }
+    }
+  }
+
+  // The legend picks a model too, instead of hiding its slice
+  modelChartConfig() {
+    return {
+      type: "doughnut",
+      data: { labels: [], datasets: [{ data: [], borderWidth: 1 }] },
+      options: {
+        maintainAspectRatio: false,
+        cutout: "65%",
+        layout: { padding: 12 },
+        plugins: {
+          legend: {
+            position: "bottom",
+            labels: { boxWidth: 8, boxHeight: 8, usePointStyle: true },
+            onClick: (event, item) => this.selectModel(item.index)
+          },
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const total = context.dataset.data.reduce((sum, value) => sum + value, 0)
+                return `${formatCost(context.parsed)} (${formatPercent(total > 0 ? context.parsed / total : 0)})`
+              }
+            }
+          }
+        },
+        onClick: (event, elements) => {
+          if (elements.length > 0) this.selectModel(elements[0].index)
+        }
+      }
+    }
+  }
+
+  renderBreakdown() {
+    const rows = this.scopedRows()
+    const total = rows.reduce((sum, row) => sum + row.cost, 0)
+
+    this.scopeTarget.textContent = this.scopeLabel()
+    this.totalTarget.textContent = formatCost(total)
+    this.resetTarget.classList.toggle("hidden", !this.selection)
+
+    this.renderGroup(this.providersTarget, rows, "provider", total)
+    this.renderGroup(this.tiersTarget, rows, "tier", total)
+    this.renderGroup(this.featuresTarget, rows, "feature", total)
+  }
+
+  renderGroup(target, rows, key, total) {
+    const groups = new Map()
+    rows.forEach(row => {
+      const group = groups.get(row[key]) || { cost: 0, requests: 0 }
+      group.cost += row.cost
+      group.requests += row.requests
+      groups.set(row[key], group)
+    })
+
+    const items = [...groups.entries()].sort(([, a], [, b]) => b.cost - a.cost)
+    if (items.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "text-sm text-gray-500 dark:text-gray-400"
+      empty.textContent = t("costs.no_costs")
+      target.replaceChildren(empty)
+      return
+    }
+
+    target.replaceChildren(...items.map(([name, group]) => {
+      const share = total > 0 ? (group.cost / total) * 100 : 0
+      const item = document.createElement("li")
+
+      const header = document.createElement("div")
+      header.className = "flex justify-between text-sm"
+
+      const label = document.createElement("span")
+      label.className = "text-gray-700 dark:text-gray-300"
+      label.textContent = groupLabel(key, name)
+
+      const value = document.createElement("span")
+      value.className = "font-medium text-gray-900 dark:text-white"
+      value.textContent = `${formatCost(group.cost)} · ${t("costs.requests", { count: group.requests })}`
+
+      const track = document.createElement("div")
+      track.className = "mt-1 h-1.5 w-full rounded-full bg-gray-200 dark:bg-gray-700"
+
+      const bar = document.createElement("div")
+      bar.className = "h-1.5 rounded-full bg-blue-600"
+      bar.style.width = `${share}%`
+
+      header.append(label, value)
+      track.append(bar)
+      item.append(header, track)
+      return item
+    }))
+  }
+
+  // Helpers
+  scopedRows() {
+    const rows = this.breakdown?.rows || []
+
+    switch (this.selection?.type) {
+      case "day":
+        return rows.filter(row => row.date === this.selection.date)
+      case "model":
+        return rows.filter(row => row.provider === this.selection.provider && row.tier === this.selection.tier)
+      default:
+        return rows
+    }
+  }
+
+  scopeLabel() {
+    switch (this.selection?.type) {
+      case "day":
+        return this.selection.date
+      case "model":
+        return modelLabel(this.selection)
+      default:
+        return `${this.breakdown.from} ~ ${this.breakdown.to}`
+    }
+  }
+
+  fileSuffix() {
+    switch (this.selection?.type) {
+      case "day":
+        return this.selection.date
+      case "model":
+        return `${this.breakdown.from}-${this.breakdown.to}-${this.selection.provider}-${this.selection.tier}`
+      default:
+        return `${this.breakdown.from}-${this.breakdown.to}`
+    }
+  }
+
+  // Every day in the loaded range, so days without spend still get a point
+  dates() {
+    const dates = []
+    const day = parseDate(this.breakdown.from)
+    const last = parseDate(this.breakdown.to)
+
+    while (day <= last) {
+      dates.push(isoDate(day))
+      day.setDate(day.getDate() + 1)
+    }
+    return dates
+  }
+
+  setRange(days) {
+    const to = new Date()
+    const from = new Date()
+    from.setDate(to.getDate() - (days - 1))
+
+    this.fromTarget.value = isoDate(from)
+    this.toTarget.value = isoDate(to)
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = t("costs.load_failed", { message })
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+}
+
+// Chart.js sizes the canvas to its parent, which has to be positioned
+function chartCanvas(container) {
+  const canvas = document.createElement("canvas")
+  canvas.setAttribute("role", "img")
+  container.classList.add("relative")
+  container.replaceChildren(canvas)
+  return canvas
+}
+
+// Per-request costs are fractions of a cent, so show up to four decimals
+function formatCost(value) {
+  return formatCurrency(value, { minimumFractionDigits: 2, maximumFractionDigits: 4 })
+}
+
+function formatAxisCost(value) {
+  return formatCurrency(value, { maximumFractionDigits: 2 })
+}
+
+function groupLabel(key, name) {
+  if (key === "provider" && PROVIDER_LABELS[name]) return PROVIDER_LABELS[name]
+  return GROUP_KEYS[key].includes(name) ? t(`costs.${key}s.${name}`) : name
+}
+
+function modelLabel({ provider, tier }) {
+  return `${groupLabel("provider", provider)} · ${groupLabel("tier", tier)}`
+}
+
+function parseDate(value) {
+  const [year, month, day] = value.split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+function isoDate(date) {
+  return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, "0"), String(date.getDate()).padStart(2, "0")].join("-")
+}
+
+function daysInMonth(value) {
+  const date = parseDate(value)
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()
+}
+
+function csvCell(value) {
+  const text = String(value ?? "")
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
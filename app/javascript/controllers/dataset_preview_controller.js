@@ -0,0 +1,231 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, formatList, formatNumber, formatPercent } from "lib/i18n"
+
+const PAGE_SIZE = 10
+const MAX_COLUMNS = 4
+
+// Paged preview of a dataset inspected by workers/dataset_preflight, with
+// field coverage and repeated questions, so problems can be fixed in the file
+// before it is uploaded. The upload controller renders this element with the
+// worker's stats as reportValue; only the first rows are kept by the worker,
+// so the preview says when it is partial.
+// Connects to data-controller="dataset-preview"
+export default class extends Controller {
+  static values = { report: Object }
+
+  connect() {
+    this.page = 0
+    this.problemsOnly = false
+    this.render()
+  }
+
+  // Action methods
+  showAll() {
+    this.setFilter(false)
+  }
+
+  showProblems() {
+    this.setFilter(true)
+  }
+
+  previousPage() {
+    this.goTo(this.page - 1)
+  }
+
+  nextPage() {
+    this.goTo(this.page + 1)
+  }
+
+  setFilter(problemsOnly) {
+    this.problemsOnly = problemsOnly
+    this.page = 0
+    this.render()
+  }
+
+  goTo(page) {
+    this.page = Math.min(Math.max(page, 0), this.pageCount() - 1)
+    this.render()
+  }
+
+  // Rendering
+  render() {
+    this.element.replaceChildren(this.coverage(), ...this.duplicates(), this.filters(), this.table(), this.pager())
+  }
+
+  coverage() {
+    const { fields, recordCount } = this.reportValue
+    const wrapper = this.buildElement("div", "rounded-md border border-gray-200 p-2")
+    wrapper.append(this.buildElement("p", "mb-1 font-medium text-gray-700", t("files.dataset.field_coverage")))
+
+    const list = this.buildElement("ul", "grid grid-cols-1 gap-1 sm:grid-cols-2")
+    fields.forEach(field => {
+      const share = recordCount > 0 ? (field.count / recordCount) * 100 : 0
+      const incomplete = field.required && field.count < recordCount
+
+      const item = this.buildElement("li")
+      const label = this.buildElement("div", "flex justify-between")
+      label.append(
+        this.buildElement("span", incomplete ? "text-red-600" : "text-gray-700", field.required ? t("files.dataset.required", { name: field.name }) : field.name),
+        this.buildElement("span", "text-gray-500", `${formatPercent(share / 100)} · ${formatNumber(field.count)}`)
+      )
+
+      const track = this.buildElement("div", "h-1 w-full rounded-full bg-gray-200")
+      const bar = this.buildElement("div", incomplete ? "h-1 rounded-full bg-red-500" : "h-1 rounded-full bg-blue-600")
+      bar.style.width = `${share}%`
+      track.append(bar)
+
+      item.append(label, track)
+      list.append(item)
+    })
+
+    wrapper.append(list)
+    return wrapper
+  }
+
+  duplicates() {
+    const { duplicates, duplicateQuestions, unit } = this.reportValue
+    if (duplicates.length === 0) return []
+
+    const pairs = duplicates.map(({ location, firstLocation }) => `${location} → ${firstLocation}`).join(", ")
+    const more = duplicateQuestions - duplicates.length
+    const text = t(`files.dataset.repeated_questions.${unit}`, { pairs })
+    return [this.buildElement("p", "text-amber-700", more > 0 ? `${text} ${t("files.dataset.more", { count: more })}` : text)]
+  }
+
+  filters() {
+    const wrapper = this.buildElement("div", "flex items-center gap-2")
+    const problems = this.reportValue.problemRows.length
+
+    wrapper.append(
+      this.buildButton(t(`files.dataset.all.${this.reportValue.unit}`), "showAll", !this.problemsOnly),
+      this.buildButton(t("files.dataset.problems_only", { count: `${formatNumber(problems)}${this.hasMoreProblems() ? "+" : ""}` }), "showProblems", this.problemsOnly, problems === 0)
+    )
+    return wrapper
+  }
+
+  table() {
+    const rows = this.rows().slice(this.page * PAGE_SIZE, (this.page + 1) * PAGE_SIZE)
+    const columns = this.columns()
+    const wrapper = this.buildElement("div", "overflow-x-auto rounded-md border border-gray-200")
+    const table = this.buildElement("table", "min-w-full divide-y divide-gray-200")
+
+    const head = this.buildElement("thead", "bg-gray-50")
+    const headRow = this.buildElement("tr")
+    const headings = [t(`files.dataset.location.${this.reportValue.unit}`), ...columns, t("files.dataset.status")]
+    headings.forEach(name => {
+      headRow.append(this.buildElement("th", "px-2 py-1 text-left font-medium text-gray-500", name))
+    })
+    head.append(headRow)
+
+    const body = this.buildElement("tbody", "divide-y divide-gray-100")
+    if (rows.length === 0) {
+      const empty = this.buildElement("td", "px-2 py-3 text-center text-gray-500", t("files.dataset.nothing_to_show"))
+      empty.colSpan = columns.length + 2
+      body.append(this.wrapRow(empty))
+    }
+    rows.forEach(row => body.append(this.recordRow(row, columns)))
+
+    table.append(head, body)
+    wrapper.append(table)
+    return wrapper
+  }
+
+  recordRow(row, columns) {
+    const tr = this.buildElement("tr", row.error || row.missing ? "bg-red-50" : row.duplicateOf ? "bg-amber-50" : "")
+    tr.append(this.buildElement("td", "whitespace-nowrap px-2 py-1 align-top text-gray-500", String(row.location)))
+
+    if (row.error) {
+      const raw = this.buildElement("td", "max-w-md truncate px-2 py-1 align-top font-mono text-gray-700", row.raw)
+      raw.colSpan = columns.length
+      raw.title = row.raw
+      tr.append(raw, this.buildElement("td", "px-2 py-1 align-top text-red-600", row.error))
+      return tr
+    }
+
+    columns.forEach(column => {
+      const value = row.record[column]
+      const cell = this.buildElement("td", "max-w-xs truncate px-2 py-1 align-top text-gray-700", value ?? "")
+      if (value) cell.title = value
+      if (row.missing?.includes(column)) cell.append(this.buildElement("span", "rounded bg-red-100 px-1 text-red-700", t("files.dataset.missing_badge")))
+      tr.append(cell)
+    })
+
+    const status = row.missing
+      ? this.buildElement("td", "px-2 py-1 align-top text-red-600", t("files.dataset.missing", { fields: formatList(row.missing) }))
+      : row.duplicateOf
+        ? this.buildElement("td", "px-2 py-1 align-top text-amber-700", t(`files.dataset.repeats.${this.reportValue.unit}`, { location: row.duplicateOf }))
+        : this.buildElement("td", "px-2 py-1 align-top text-green-700", t("files.dataset.ok"))
+    tr.append(status)
+    return tr
+  }
+
+  pager() {
+    const wrapper = this.buildElement("div", "flex items-center justify-between text-gray-500")
+    const controls = this.buildElement("div", "flex items-center gap-2")
+
+    controls.append(
+      this.buildButton(t("files.dataset.previous"), "previousPage", false, this.page === 0),
+      this.buildElement("span", null, t("files.dataset.page", { page: this.page + 1, pages: this.pageCount() })),
+      this.buildButton(t("files.dataset.next"), "nextPage", false, this.page >= this.pageCount() - 1)
+    )
+
+    wrapper.append(this.buildElement("span", null, this.partialNote()), controls)
+    return wrapper
+  }
+
+  // Helpers
+  rows() {
+    return this.problemsOnly ? this.reportValue.problemRows : this.reportValue.preview
+  }
+
+  // Required fields first, then the best covered ones
+  columns() {
+    const { fields, requiredFields } = this.reportValue
+    const others = fields.map(field => field.name).filter(name => !requiredFields.includes(name))
+    return [...requiredFields, ...others].slice(0, Math.max(MAX_COLUMNS, requiredFields.length))
+  }
+
+  pageCount() {
+    return Math.max(Math.ceil(this.rows().length / PAGE_SIZE), 1)
+  }
+
+  hasMoreProblems() {
+    const { invalidJsonCount, notObjectCount, missingFieldCount, duplicateQuestions } = this.reportValue
+    return invalidJsonCount + notObjectCount + missingFieldCount + duplicateQuestions > this.reportValue.problemRows.length
+  }
+
+  partialNote() {
+    const shown = this.rows().length
+
+    if (this.problemsOnly) {
+      return this.hasMoreProblems() ? t("files.dataset.first_problems", { count: shown }) : ""
+    }
+    return shown < this.reportValue.recordCount
+      ? t("files.dataset.first_records", { count: shown, total: this.reportValue.recordCount })
+      : ""
+  }
+
+  wrapRow(cell) {
+    const row = this.buildElement("tr")
+    row.append(cell)
+    return row
+  }
+
+  buildButton(text, action, pressed = false, disabled = false) {
+    const button = this.buildElement("button", pressed
+      ? "rounded px-2 py-0.5 font-medium text-blue-700 bg-blue-50"
+      : "rounded px-2 py-0.5 font-medium text-gray-600 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-40", text)
+    button.type = "button"
+    button.disabled = disabled
+    button.dataset.action = `dataset-preview#${action}`
+    if (action.startsWith("show")) button.setAttribute("aria-pressed", String(pressed))
+    return button
+  }
+
+  buildElement(tag, className, text) {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+}
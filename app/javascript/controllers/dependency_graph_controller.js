@@ -0,0 +1,664 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+// World-space layout, in pixels at zoom 1
+const CELL_WIDTH = 76
+const CELL_HEIGHT = 30
+const NODE_WIDTH = 64
+const NODE_HEIGHT = 20
+const ROWS_PER_BAND = 40
+const BAND_GAP = 24
+const SHEET_PADDING = 16
+const SHEET_HEADER = 28
+const SHEET_GAP = 96
+
+const MIN_SCALE = 0.02
+const MAX_SCALE = 4
+const LABEL_SCALE = 0.6
+const CLICK_DISTANCE = 4
+
+const COLORS = {
+  sheet: "#f9fafb",
+  sheetBorder: "#e5e7eb",
+  sheetLabel: "#374151",
+  edge: "#9ca3af",
+  cycleEdge: "#dc2626",
+  value: { fill: "#f9fafb", stroke: "#d1d5db", text: "#4b5563" },
+  formula: { fill: "#ffffff", stroke: "#93c5fd", text: "#1e3a8a" },
+  range: { fill: "#eef2ff", stroke: "#a5b4fc", text: "#3730a3" },
+  cycle: { fill: "#fef2f2", stroke: "#ef4444", text: "#991b1b" },
+  focus: "#2563eb"
+}
+
+// Formula dependency graph for the file page: the workbook's circular
+// references, or the precedents and dependents of one cell. Nodes are cells
+// grouped into one box per sheet and laid out by their row and column, so
+// the graph reads like the workbook; edges run from the cell being read to
+// the formula reading it, with loops in red.
+//
+// Drawn on a canvas so a few thousand nodes stay smooth: only what is on
+// screen is painted, and labels and arrowheads drop out when zoomed far out.
+// Scroll to zoom, drag to pan, click a cell to focus it and its neighbours,
+// double-click to trace it.
+// Connects to data-controller="dependency-graph"
+export default class extends Controller {
+  static targets = ["viewport", "canvas", "status", "cell", "direction", "depth", "cycles", "details", "empty"]
+  static values = { url: String, autoload: Boolean }
+
+  connect() {
+    this.nodes = []
+    this.edges = []
+    this.sheets = []
+    this.view = { scale: 1, x: 0, y: 0 }
+    this.focused = null
+    this.activeCycle = null
+    this.pointer = null
+
+    this.resizeObserver = new ResizeObserver(() => this.resize())
+    this.resizeObserver.observe(this.viewportTarget)
+
+    if (this.autoloadValue) this.showCycles()
+  }
+
+  disconnect() {
+    this.resizeObserver?.disconnect()
+    if (this.frame) cancelAnimationFrame(this.frame)
+  }
+
+  // Action methods
+  showCycles() {
+    this.load()
+  }
+
+  trace(event) {
+    event?.preventDefault()
+
+    const cell = this.cellTarget.value.trim()
+    if (!cell) return this.setStatus(t("graph.no_cell"), true)
+
+    this.load({ cell, direction: this.directionTarget.value, depth: this.depthTarget.value })
+  }
+
+  // Shows a cell asked for elsewhere on the page (e.g. a circular reference
+  // in the issue explorer): focuses it if it's already drawn, traces it if not
+  reveal(event) {
+    const reference = event.detail?.reference
+    if (!reference) return
+
+    this.element.scrollIntoView({ behavior: "smooth", block: "start" })
+
+    const node = this.nodes.find(candidate => candidate.id === reference)
+    if (node) return this.focusNode(node)
+
+    this.cellTarget.value = reference
+    this.load({ cell: reference, direction: "both", depth: this.depthTarget.value })
+  }
+
+  zoomIn() {
+    this.zoomAt(1.25, this.viewportTarget.clientWidth / 2, this.viewportTarget.clientHeight / 2)
+  }
+
+  zoomOut() {
+    this.zoomAt(0.8, this.viewportTarget.clientWidth / 2, this.viewportTarget.clientHeight / 2)
+  }
+
+  fit() {
+    this.fitTo(this.activeCycle ? this.nodes.filter(node => this.activeCycle.has(node.id)) : this.nodes)
+  }
+
+  wheel(event) {
+    event.preventDefault()
+
+    const { left, top } = this.canvasTarget.getBoundingClientRect()
+    this.zoomAt(Math.exp(-event.deltaY * 0.0015), event.clientX - left, event.clientY - top)
+  }
+
+  pointerDown(event) {
+    if (event.button !== 0) return
+
+    this.canvasTarget.setPointerCapture(event.pointerId)
+    this.pointer = { startX: event.clientX, startY: event.clientY, x: event.clientX, y: event.clientY, moved: false }
+  }
+
+  pointerMove(event) {
+    if (!this.pointer) return this.hover(event)
+
+    const dx = event.clientX - this.pointer.x
+    const dy = event.clientY - this.pointer.y
+    this.pointer.x = event.clientX
+    this.pointer.y = event.clientY
+
+    if (Math.hypot(event.clientX - this.pointer.startX, event.clientY - this.pointer.startY) > CLICK_DISTANCE) {
+      this.pointer.moved = true
+      this.canvasTarget.classList.add("cursor-grabbing")
+    }
+
+    this.view.x += dx
+    this.view.y += dy
+    this.scheduleRender()
+  }
+
+  pointerUp(event) {
+    if (!this.pointer) return
+
+    const clicked = !this.pointer.moved
+    this.pointer = null
+    this.canvasTarget.classList.remove("cursor-grabbing")
+
+    if (clicked) {
+      const node = this.nodeAt(event)
+      node ? this.focusNode(node, { center: false }) : this.clearFocus()
+    }
+  }
+
+  doubleClick(event) {
+    const node = this.nodeAt(event)
+    if (!node) return
+
+    this.cellTarget.value = node.id
+    this.load({ cell: node.id, direction: this.directionTarget.value, depth: this.depthTarget.value })
+  }
+
+  keydown(event) {
+    const step = 60
+
+    switch (event.key) {
+      case "+":
+      case "=": this.zoomIn(); break
+      case "-": this.zoomOut(); break
+      case "0": this.fit(); break
+      case "ArrowLeft": this.panBy(step, 0); break
+      case "ArrowRight": this.panBy(-step, 0); break
+      case "ArrowUp": this.panBy(0, step); break
+      case "ArrowDown": this.panBy(0, -step); break
+      case "Escape": this.clearFocus(); break
+      default: return
+    }
+
+    event.preventDefault()
+  }
+
+  // Loading
+  async load(params = {}) {
+    const url = new URL(this.urlValue, window.location.origin)
+    Object.entries(params).forEach(([key, value]) => { if (value) url.searchParams.set(key, value) })
+
+    this.setStatus(t("graph.loading"))
+
+    try {
+      const response = await fetch(url, { headers: { "Accept": "application/json" } })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || t("graph.load_failed"))
+
+      this.show(data)
+    } catch (error) {
+      console.error("Failed to load dependency graph:", error)
+      this.setStatus(error.message, true)
+    }
+  }
+
+  show(data) {
+    this.sheets = data.sheets
+    this.nodes = data.nodes.map(node => ({ ...node, precedents: [], dependents: [] }))
+    this.edges = data.edges.map(([from, to, cycle]) => ({ from: this.nodes[from], to: this.nodes[to], cycle }))
+    this.edges.forEach(edge => {
+      edge.to.precedents.push(edge.from)
+      edge.from.dependents.push(edge.to)
+    })
+
+    this.layout()
+    this.focused = null
+    this.activeCycle = null
+
+    this.renderCycles(data.cycles, data.cycle_count)
+    this.renderSummary(data)
+    this.emptyTarget.classList.toggle("hidden", this.nodes.length > 0)
+
+    const focus = data.focus && this.nodes.find(node => node.id === data.focus)
+    this.fit()
+    focus ? this.focusNode(focus) : this.renderDetails()
+  }
+
+  // Layout
+  // Each sheet is a box; inside it a cell sits at the rank of its column and
+  // row among the cells shown, so gaps in the sheet don't stretch the graph.
+  // Long sheets wrap into bands of ROWS_PER_BAND rows side by side.
+  layout() {
+    let left = 0
+    this.boxes = []
+
+    this.sheets.forEach(sheet => {
+      const nodes = this.nodes.filter(node => node.sheet === sheet)
+      if (nodes.length === 0) return
+
+      const columns = [...new Set(nodes.map(node => node.column))].sort((a, b) => a - b)
+      const rows = [...new Set(nodes.map(node => node.row))].sort((a, b) => a - b)
+      const columnRank = new Map(columns.map((column, index) => [column, index]))
+      const rowRank = new Map(rows.map((row, index) => [row, index]))
+
+      const bandWidth = columns.length * CELL_WIDTH + BAND_GAP
+      const bands = Math.ceil(rows.length / ROWS_PER_BAND)
+      const top = SHEET_HEADER + SHEET_PADDING
+
+      nodes.forEach(node => {
+        const rank = rowRank.get(node.row)
+        const band = Math.floor(rank / ROWS_PER_BAND)
+
+        node.x = left + SHEET_PADDING + band * bandWidth + columnRank.get(node.column) * CELL_WIDTH
+        node.y = top + (rank % ROWS_PER_BAND) * CELL_HEIGHT
+        node.width = NODE_WIDTH
+        node.height = NODE_HEIGHT
+      })
+
+      const width = SHEET_PADDING * 2 + bands * bandWidth - BAND_GAP - (CELL_WIDTH - NODE_WIDTH)
+      const height = top + Math.min(rows.length, ROWS_PER_BAND) * CELL_HEIGHT - (CELL_HEIGHT - NODE_HEIGHT) + SHEET_PADDING
+      this.boxes.push({ sheet, x: left, y: 0, width, height })
+
+      left += width + SHEET_GAP
+    })
+  }
+
+  // Focus
+  focusNode(node, { center = true } = {}) {
+    this.focused = node
+    this.neighbors = new Set([node, ...node.precedents, ...node.dependents])
+
+    if (center) {
+      const scale = Math.max(this.view.scale, 1)
+      this.view = {
+        scale,
+        x: this.viewportTarget.clientWidth / 2 - (node.x + node.width / 2) * scale,
+        y: this.viewportTarget.clientHeight / 2 - (node.y + node.height / 2) * scale
+      }
+    }
+
+    this.renderDetails()
+    this.scheduleRender()
+  }
+
+  clearFocus() {
+    this.focused = null
+    this.activeCycle = null
+    this.renderDetails()
+    this.renderCycles(this.cycles, this.cycleCount)
+    this.scheduleRender()
+  }
+
+  // Cycles are listed with every graph; one traced around a single cell may
+  // not be drawn yet, so the full cycles view is loaded first
+  async focusCycle(cycle) {
+    const drawn = new Set(this.nodes.map(node => node.id))
+    if (!cycle.every(id => drawn.has(id))) await this.load()
+
+    this.activeCycle = new Set(cycle)
+    this.focused = null
+    this.renderDetails()
+    this.renderCycles(this.cycles, this.cycleCount)
+    this.fit()
+  }
+
+  // View
+  zoomAt(factor, screenX, screenY) {
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.view.scale * factor))
+    const ratio = scale / this.view.scale
+
+    this.view = {
+      scale,
+      x: screenX - (screenX - this.view.x) * ratio,
+      y: screenY - (screenY - this.view.y) * ratio
+    }
+    this.scheduleRender()
+  }
+
+  panBy(dx, dy) {
+    this.view.x += dx
+    this.view.y += dy
+    this.scheduleRender()
+  }
+
+  fitTo(nodes) {
+    if (nodes.length === 0) return this.scheduleRender()
+
+    const bounds = nodes.reduce((box, node) => ({
+      left: Math.min(box.left, node.x),
+      top: Math.min(box.top, node.y),
+      right: Math.max(box.right, node.x + node.width),
+      bottom: Math.max(box.bottom, node.y + node.height)
+    }), { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity })
+
+    const width = this.viewportTarget.clientWidth
+    const height = this.viewportTarget.clientHeight
+    const margin = 48
+    const scale = Math.min(
+      1.5,
+      Math.max(MIN_SCALE, Math.min((width - margin) / (bounds.right - bounds.left), (height - margin) / (bounds.bottom - bounds.top)))
+    )
+
+    this.view = {
+      scale,
+      x: (width - (bounds.right - bounds.left) * scale) / 2 - bounds.left * scale,
+      y: (height - (bounds.bottom - bounds.top) * scale) / 2 - bounds.top * scale
+    }
+    this.scheduleRender()
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1
+    const { clientWidth, clientHeight } = this.viewportTarget
+
+    this.canvasTarget.width = Math.round(clientWidth * ratio)
+    this.canvasTarget.height = Math.round(clientHeight * ratio)
+    this.canvasTarget.style.width = `${clientWidth}px`
+    this.canvasTarget.style.height = `${clientHeight}px`
+    this.scheduleRender()
+  }
+
+  // Rendering
+  scheduleRender() {
+    if (this.frame) return
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.render()
+    })
+  }
+
+  render() {
+    const context = this.canvasTarget.getContext("2d")
+    const ratio = window.devicePixelRatio || 1
+    const { scale, x, y } = this.view
+
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.clearRect(0, 0, this.canvasTarget.width, this.canvasTarget.height)
+    context.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y)
+
+    const visible = this.visibleArea()
+    const labels = scale >= LABEL_SCALE
+
+    this.drawSheets(context, visible)
+    this.drawEdges(context, visible, this.edges.filter(edge => !edge.cycle), COLORS.edge, 1)
+    this.drawEdges(context, visible, this.edges.filter(edge => edge.cycle), COLORS.cycleEdge, 2)
+    this.nodes.forEach(node => { if (this.intersects(node, visible)) this.drawNode(context, node, labels) })
+  }
+
+  drawSheets(context, visible) {
+    const scale = this.view.scale
+
+    this.boxes.forEach(box => {
+      if (!this.intersects(box, visible)) return
+
+      context.fillStyle = COLORS.sheet
+      context.strokeStyle = COLORS.sheetBorder
+      context.lineWidth = 1 / scale
+      context.fillRect(box.x, box.y, box.width, box.height)
+      context.strokeRect(box.x, box.y, box.width, box.height)
+
+      // Sheet names stay legible when zoomed out
+      const size = Math.max(13, 12 / scale)
+      context.fillStyle = COLORS.sheetLabel
+      context.font = `600 ${size}px ui-sans-serif, system-ui, sans-serif`
+      context.textBaseline = "bottom"
+      context.fillText(box.sheet, box.x + SHEET_PADDING, box.y + SHEET_HEADER, box.width - SHEET_PADDING * 2)
+    })
+  }
+
+  drawEdges(context, visible, edges, color, width) {
+    const scale = this.view.scale
+    const arrows = scale >= LABEL_SCALE
+    const dimmed = []
+    const lit = []
+
+    edges.forEach(edge => {
+      if (!this.edgeVisible(edge, visible)) return
+      this.edgeHighlighted(edge) ? lit.push(edge) : dimmed.push(edge)
+    })
+
+    const hasHighlight = this.focused || this.activeCycle
+    const stroke = (list, alpha) => {
+      if (list.length === 0) return
+
+      context.globalAlpha = alpha
+      context.strokeStyle = color
+      context.fillStyle = color
+      context.lineWidth = width / Math.max(scale, 0.5)
+      context.beginPath()
+      list.forEach(edge => this.tracePath(context, edge))
+      context.stroke()
+
+      if (arrows) {
+        context.beginPath()
+        list.forEach(edge => this.traceArrow(context, edge))
+        context.fill()
+      }
+    }
+
+    stroke(dimmed, hasHighlight ? 0.15 : 0.8)
+    stroke(lit, 1)
+    context.globalAlpha = 1
+  }
+
+  drawNode(context, node, labels) {
+    const scale = this.view.scale
+    const palette = node.cycle ? COLORS.cycle : node.kind === "range" ? COLORS.range : node.formula ? COLORS.formula : COLORS.value
+
+    context.globalAlpha = this.nodeHighlighted(node) ? 1 : 0.25
+    context.fillStyle = palette.fill
+    context.fillRect(node.x, node.y, node.width, node.height)
+
+    context.strokeStyle = node === this.focused ? COLORS.focus : palette.stroke
+    context.lineWidth = (node === this.focused ? 2.5 : 1) / scale
+    context.setLineDash(node.kind === "range" ? [4 / scale, 2 / scale] : [])
+    context.strokeRect(node.x, node.y, node.width, node.height)
+    context.setLineDash([])
+
+    if (labels) {
+      context.fillStyle = palette.text
+      context.font = "11px ui-monospace, SFMono-Regular, Menlo, monospace"
+      context.textBaseline = "middle"
+      context.fillText(node.address, node.x + 4, node.y + node.height / 2, node.width - 8)
+    }
+
+    context.globalAlpha = 1
+  }
+
+  // A slight curve keeps edges between cells of one column from running
+  // through the cells in between
+  tracePath(context, edge) {
+    const { start, control, end } = this.edgeGeometry(edge)
+
+    context.moveTo(start.x, start.y)
+    context.quadraticCurveTo(control.x, control.y, end.x, end.y)
+  }
+
+  traceArrow(context, edge) {
+    const { control, end } = this.edgeGeometry(edge)
+    const angle = Math.atan2(end.y - control.y, end.x - control.x)
+    const size = 7
+
+    context.moveTo(end.x, end.y)
+    context.lineTo(end.x - size * Math.cos(angle - 0.4), end.y - size * Math.sin(angle - 0.4))
+    context.lineTo(end.x - size * Math.cos(angle + 0.4), end.y - size * Math.sin(angle + 0.4))
+    context.closePath()
+  }
+
+  edgeGeometry({ from, to }) {
+    const start = { x: from.x + from.width / 2, y: from.y + from.height / 2 }
+    const target = { x: to.x + to.width / 2, y: to.y + to.height / 2 }
+
+    // A self-reference loops out of the cell's right side and back in
+    if (from === to) {
+      return {
+        start: { x: from.x + from.width, y: start.y - 4 },
+        control: { x: from.x + from.width + 28, y: start.y },
+        end: { x: from.x + from.width, y: start.y + 4 }
+      }
+    }
+
+    const dx = target.x - start.x
+    const dy = target.y - start.y
+    const control = { x: (start.x + target.x) / 2 - dy * 0.15, y: (start.y + target.y) / 2 + dx * 0.15 }
+
+    // Stop at the border of the target cell so the arrowhead shows
+    const ex = target.x - control.x
+    const ey = target.y - control.y
+    const inset = Math.min(Math.abs(ex) > 0 ? to.width / 2 / Math.abs(ex) : Infinity, Math.abs(ey) > 0 ? to.height / 2 / Math.abs(ey) : Infinity)
+    const end = { x: target.x - ex * inset, y: target.y - ey * inset }
+
+    return { start, control, end }
+  }
+
+  renderSummary(data) {
+    const parts = [t("graph.cells", { count: this.nodes.length }), t("graph.references", { count: this.edges.length })]
+    if (data.truncated) parts.push(t("graph.truncated", { count: this.nodes.length }))
+
+    this.setStatus(parts.join(" · "))
+  }
+
+  renderCycles(cycles = [], count = 0) {
+    this.cycles = cycles
+    this.cycleCount = count
+    this.cyclesTarget.classList.toggle("hidden", cycles.length === 0)
+    if (cycles.length === 0) return this.cyclesTarget.replaceChildren()
+
+    const heading = document.createElement("p")
+    heading.className = "text-xs font-semibold uppercase tracking-wide text-gray-500"
+    heading.textContent = t("graph.cycle_count", { count })
+
+    const list = document.createElement("div")
+    list.className = "mt-2 flex flex-wrap gap-1.5"
+    cycles.forEach(cycle => {
+      const active = this.activeCycle && cycle.every(id => this.activeCycle.has(id))
+
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = `rounded-full border px-2.5 py-0.5 font-mono text-xs ${active ? "border-red-500 bg-red-100 text-red-900" : "border-red-200 bg-red-50 text-red-800 hover:bg-red-100"}`
+      button.textContent = [...cycle, cycle[0]].join(" → ")
+      button.setAttribute("aria-pressed", String(Boolean(active)))
+      button.addEventListener("click", () => this.focusCycle(cycle))
+      list.appendChild(button)
+    })
+
+    if (count > cycles.length) {
+      const more = document.createElement("span")
+      more.className = "self-center text-xs text-gray-500"
+      more.textContent = t("graph.more_cycles", { count: count - cycles.length })
+      list.appendChild(more)
+    }
+
+    this.cyclesTarget.replaceChildren(heading, list)
+  }
+
+  renderDetails() {
+    const node = this.focused
+    this.detailsTarget.classList.toggle("hidden", !node)
+    if (!node) return this.detailsTarget.replaceChildren()
+
+    const title = document.createElement("p")
+    title.className = "font-mono text-sm font-medium text-gray-900"
+    title.textContent = node.id
+
+    const content = document.createElement("p")
+    content.className = "mt-1 break-all font-mono text-xs text-gray-700"
+    if (node.kind === "range") {
+      content.textContent = t("graph.range")
+    } else if (node.formula) {
+      content.textContent = node.value == null ? node.formula : `${node.formula} = ${node.value}`
+    } else {
+      content.textContent = node.value ?? t("graph.empty")
+    }
+
+    const counts = document.createElement("p")
+    counts.className = "mt-1 text-xs text-gray-500"
+    counts.textContent = [
+      t("graph.reads", { count: node.precedents.length }),
+      t("graph.read_by", { count: node.dependents.length })
+    ].join(" · ")
+
+    const actions = document.createElement("div")
+    actions.className = "mt-2 flex flex-wrap gap-3"
+    actions.append(
+      this.buildLink(t("graph.trace_precedents"), () => this.traceNode(node, "precedents")),
+      this.buildLink(t("graph.trace_dependents"), () => this.traceNode(node, "dependents")),
+      this.buildLink(t("graph.show_in_preview"), () => this.dispatch("locate", { detail: { reference: node.id } }))
+    )
+
+    this.detailsTarget.replaceChildren(title, content, counts, actions)
+  }
+
+  buildLink(text, onClick) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "text-xs font-medium text-blue-600 hover:text-blue-800"
+    button.textContent = text
+    button.addEventListener("click", onClick)
+    return button
+  }
+
+  // Helpers
+  traceNode(node, direction) {
+    this.cellTarget.value = node.id
+    this.directionTarget.value = direction
+    this.load({ cell: node.id, direction, depth: this.depthTarget.value })
+  }
+
+  hover(event) {
+    const node = this.nodeAt(event)
+
+    this.canvasTarget.classList.toggle("cursor-pointer", Boolean(node))
+    this.canvasTarget.title = node ? [node.id, node.formula].filter(Boolean).join("\n") : ""
+  }
+
+  nodeAt(event) {
+    const { left, top } = this.canvasTarget.getBoundingClientRect()
+    const x = (event.clientX - left - this.view.x) / this.view.scale
+    const y = (event.clientY - top - this.view.y) / this.view.scale
+
+    return this.nodes.find(node => x >= node.x && x <= node.x + node.width && y >= node.y && y <= node.y + node.height)
+  }
+
+  nodeHighlighted(node) {
+    if (this.activeCycle) return this.activeCycle.has(node.id)
+    if (this.focused) return this.neighbors.has(node)
+    return true
+  }
+
+  edgeHighlighted(edge) {
+    if (this.activeCycle) return edge.cycle && this.activeCycle.has(edge.from.id) && this.activeCycle.has(edge.to.id)
+    if (this.focused) return edge.from === this.focused || edge.to === this.focused
+    return false
+  }
+
+  // World-space rectangle on screen
+  visibleArea() {
+    const { scale, x, y } = this.view
+
+    return {
+      x: -x / scale,
+      y: -y / scale,
+      width: this.viewportTarget.clientWidth / scale,
+      height: this.viewportTarget.clientHeight / scale
+    }
+  }
+
+  intersects(box, area) {
+    return box.x < area.x + area.width && box.x + box.width > area.x && box.y < area.y + area.height && box.y + box.height > area.y
+  }
+
+  edgeVisible({ from, to }, area) {
+    const left = Math.min(from.x, to.x)
+    const top = Math.min(from.y, to.y)
+
+    return this.intersects({
+      x: left - 40,
+      y: top - 40,
+      width: Math.max(from.x + from.width, to.x + to.width) - left + 80,
+      height: Math.max(from.y + from.height, to.y + to.height) - top + 80
+    }, area)
+  }
+
+  setStatus(message, isError = false) {
+    this.statusTarget.textContent = message
+    this.statusTarget.classList.toggle("text-red-600", isError)
+    this.statusTarget.classList.toggle("text-gray-500", !isError)
+  }
+}
@@ -0,0 +1,85 @@
+import { Controller } from "@hotwired/stimulus"
+import { trapFocus } from "lib/dialog"
+
+// Server-rendered modal. The controller sits on the modal's root element,
+// which starts out `hidden`; any button elsewhere on the page with
+// aria-controls pointing at the root's id opens it. While open, focus is
+// trapped in the panel, the rest of the page is inert and doesn't scroll, and
+// Escape or a backdrop click closes it, returning focus to the opener.
+//
+//   <button aria-controls="clear-cache-dialog" aria-haspopup="dialog">Clear</button>
+//   <div id="clear-cache-dialog" class="hidden" data-controller="dialog">
+//     <div data-action="click->dialog#close"></div>   <!-- backdrop -->
+//     <div data-dialog-target="panel" role="dialog" aria-modal="true">...</div>
+//   </div>
+//
+// Other controllers can drive it through an outlet: this.dialogOutlet.open()
+// Connects to data-controller="dialog"
+export default class extends Controller {
+  static targets = ["panel"]
+  static values = { dismissible: { type: Boolean, default: true } }
+
+  connect() {
+    this.handleTriggerClick = this.handleTriggerClick.bind(this)
+    document.addEventListener("click", this.handleTriggerClick)
+  }
+
+  disconnect() {
+    document.removeEventListener("click", this.handleTriggerClick)
+    this.releaseFocus?.()
+  }
+
+  // Action methods
+  open() {
+    if (this.isOpen) return
+
+    this.element.classList.remove("hidden")
+    this.triggers.forEach(trigger => trigger.setAttribute("aria-expanded", "true"))
+
+    const panel = this.hasPanelTarget ? this.panelTarget : this.element
+    this.releaseFocus = trapFocus(panel, {
+      initialFocus: panel.querySelector("[autofocus]"),
+      onEscape: () => { if (this.dismissibleValue) this.close() }
+    })
+
+    this.dispatch("opened")
+  }
+
+  close() {
+    if (!this.isOpen) return
+
+    this.element.classList.add("hidden")
+    this.triggers.forEach(trigger => trigger.setAttribute("aria-expanded", "false"))
+
+    this.releaseFocus()
+    this.releaseFocus = null
+
+    this.dispatch("closed")
+  }
+
+  // Only closes when the click landed on the element carrying the action
+  // itself, not on something inside it
+  closeOnBackdrop(event) {
+    if (this.dismissibleValue && event.target === event.currentTarget) this.close()
+  }
+
+  // Helpers
+  get isOpen() {
+    return !!this.releaseFocus
+  }
+
+  get triggers() {
+    if (!this.element.id) return []
+    return document.querySelectorAll(`[aria-controls="${this.element.id}"]`)
+  }
+
+  handleTriggerClick(event) {
+    if (!this.element.id || this.element.contains(event.target)) return
+
+    const trigger = event.target.closest(`[aria-controls="${this.element.id}"]`)
+    if (!trigger || trigger.disabled) return
+
+    event.preventDefault()
+    this.open()
+  }
+}
@@ -1,30 +1,89 @@
 import { Controller } from "@hotwired/stimulus"
 
+const ITEM_SELECTOR = '[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]'
+const VIEWPORT_MARGIN = 8
+const OFFSET = 4
+const HOVER_OPEN_DELAY = 100
+const HOVER_CLOSE_DELAY = 300
+const TYPEAHEAD_RESET = 500
+const HIDE_DELAY = 150
+
+// Only one dropdown is open on the page at a time
+let openDropdown = null
+
+// Menu button following the WAI-ARIA pattern: the trigger carries
+// aria-haspopup/aria-expanded, the menu is role="menu" and its items are
+// role="menuitem" (or menuitemcheckbox/menuitemradio). Focus moves between
+// items with the arrow keys, Home/End and typeahead; disabled items
+// (aria-disabled="true" or disabled) are skipped.
+//
+// Menus are positioned with position: fixed against their trigger, flipping
+// to the other side and shifting along the edge to stay in the viewport, so
+// they are not clipped by scrolling containers such as the sidebar.
+//
+// A nested submenu is an item wrapped with its own menu:
+//
+//   <div data-submenu role="none">
+//     <button type="button" role="menuitem" aria-haspopup="menu">More</button>
+//     <div role="menu" class="hidden">...</div>
+//   </div>
+//
+// It opens with ArrowRight, Enter/Space, a click or on hover, and closes with
+// ArrowLeft or Escape.
+//
 // Connects to data-controller="dropdown"
 export default class extends Controller {
-  static targets = ["menu"]
+  static targets = ["menu", "trigger"]
   static classes = ["open"]
-  
+  static values = {
+    placement: { type: String, default: "bottom-start" },
+    matchWidth: Boolean
+  }
+
   connect() {
     this.isOpen = false
-    
+    this.typeahead = ""
+    this.hoverTimers = new Map()
+    this.setupAria()
+
     // Close dropdown when clicking outside
     this.boundHandleOutsideClick = this.handleOutsideClick.bind(this)
     document.addEventListener("click", this.boundHandleOutsideClick)
-    
+
     // Close dropdown on escape key
     this.boundHandleEscape = this.handleEscape.bind(this)
     document.addEventListener("keydown", this.boundHandleEscape)
+
+    this.boundHandleKeydown = this.handleKeydown.bind(this)
+    this.element.addEventListener("keydown", this.boundHandleKeydown)
+
+    this.boundSelectItem = this.selectItem.bind(this)
+    this.menuTarget.addEventListener("click", this.boundSelectItem)
+
+    this.boundReposition = this.scheduleReposition.bind(this)
+    this.setupHoverIntent()
   }
 
   disconnect() {
     document.removeEventListener("click", this.boundHandleOutsideClick)
     document.removeEventListener("keydown", this.boundHandleEscape)
+    this.element.removeEventListener("keydown", this.boundHandleKeydown)
+    this.menuTarget.removeEventListener("click", this.boundSelectItem)
+    this.submenus().forEach(submenu => {
+      submenu.removeEventListener("pointerenter", this.boundPointerEnter)
+      submenu.removeEventListener("pointerleave", this.boundPointerLeave)
+    })
+    this.stopRepositioning()
+    this.hoverTimers.forEach(timer => clearTimeout(timer))
+    clearTimeout(this.typeaheadTimer)
+    clearTimeout(this.hideTimer)
+    if (openDropdown === this) openDropdown = null
   }
 
+  // Action methods
   toggle(event) {
     event.stopPropagation()
-    
+
     if (this.isOpen) {
       this.close()
     } else {
@@ -32,147 +91,476 @@ export default class extends Controller {
     }
   }
 
-  open() {
+  open({ focus = "first" } = {}) {
     if (this.isOpen) return
-    
+
+    if (openDropdown && openDropdown !== this) openDropdown.close({ restoreFocus: false })
+    openDropdown = this
+
     this.isOpen = true
     this.showMenu()
-    this.element.setAttribute('data-state', 'open')
-    
+    this.element.setAttribute("data-state", "open")
+    this.trigger?.setAttribute("aria-expanded", "true")
+    if (this.hasOpenClass) this.element.classList.add(...this.openClasses)
+
     // Focus first menu item for accessibility
-    this.focusFirstMenuItem()
-    
+    this.focusItem(this.menuTarget, focus)
+
     // Dispatch custom event
-    this.dispatch('opened')
+    this.dispatch("opened")
   }
 
-  close() {
+  close({ restoreFocus = true } = {}) {
     if (!this.isOpen) return
-    
+
     this.isOpen = false
+    this.closeSubmenus(this.menuTarget)
     this.hideMenu()
-    this.element.setAttribute('data-state', 'closed')
-    
-    // Return focus to trigger button
-    const trigger = this.element.querySelector('[data-action*="dropdown#toggle"]')
-    if (trigger) {
-      trigger.focus()
+    this.element.setAttribute("data-state", "closed")
+    this.trigger?.setAttribute("aria-expanded", "false")
+    if (this.hasOpenClass) this.element.classList.remove(...this.openClasses)
+    if (openDropdown === this) openDropdown = null
+
+    // Return focus to trigger button, unless focus has already moved on
+    if (restoreFocus && this.element.contains(document.activeElement)) {
+      this.trigger?.focus()
     }
-    
+
     // Dispatch custom event
-    this.dispatch('closed')
+    this.dispatch("closed")
   }
 
-  showMenu() {
-    if (this.hasMenuTarget) {
-      this.menuTarget.classList.remove("hidden")
-      
-      // Add animation classes
-      this.menuTarget.classList.add(
-        "transform", "transition-all", "duration-200", "ease-out"
-      )
-      
-      // Trigger animation
-      requestAnimationFrame(() => {
-        this.menuTarget.classList.add(
-          "opacity-100", "scale-100", "translate-y-0"
-        )
-        this.menuTarget.classList.remove(
-          "opacity-0", "scale-95", "translate-y-1"
-        )
-      })
-    }
-  }
+  // Action to handle menu item selection
+  selectItem(event) {
+    const item = event.target.closest(ITEM_SELECTOR)
+    if (!item || !this.menuTarget.contains(item)) return
 
-  hideMenu() {
-    if (this.hasMenuTarget) {
-      this.menuTarget.classList.add(
-        "opacity-0", "scale-95", "translate-y-1"
-      )
-      this.menuTarget.classList.remove(
-        "opacity-100", "scale-100", "translate-y-0"
-      )
-      
-      // Hide after animation
-      setTimeout(() => {
-        this.menuTarget.classList.add("hidden")
-      }, 200)
+    if (this.isDisabled(item)) {
+      event.preventDefault()
+      event.stopPropagation()
+      return
     }
-  }
 
-  handleOutsideClick(event) {
-    if (this.isOpen && !this.element.contains(event.target)) {
+    // Close menu after selection (unless it's a submenu)
+    const submenu = this.submenuFor(item)
+    if (submenu) {
+      event.stopPropagation()
+      this.isSubmenuOpen(item) ? this.closeSubmenu(item) : this.openSubmenu(item, "first")
+    } else {
       this.close()
     }
   }
 
-  handleEscape(event) {
-    if (event.key === "Escape" && this.isOpen) {
-      this.close()
+  // Keyboard
+  handleKeydown(event) {
+    // Widgets inside the menu, such as the theme switch, handle their own keys
+    if (event.defaultPrevented) return
+
+    if (event.target === this.trigger) {
+      this.handleTriggerKeydown(event)
+    } else if (this.isOpen && event.target.closest('[role="menu"]')) {
+      this.handleMenuKeydown(event)
     }
   }
 
-  focusFirstMenuItem() {
-    if (!this.hasMenuTarget) return
-    
-    const firstMenuItem = this.menuTarget.querySelector(
-      'a, button, [tabindex]:not([tabindex="-1"])'
-    )
-    
-    if (firstMenuItem) {
-      firstMenuItem.focus()
+  handleTriggerKeydown(event) {
+    const focus = { ArrowDown: "first", ArrowUp: "last", Enter: "first", " ": "first" }[event.key]
+    if (!focus) return
+
+    event.preventDefault()
+    if (this.isOpen) {
+      this.focusItem(this.menuTarget, focus)
+    } else {
+      this.open({ focus })
     }
   }
 
   // Handle keyboard navigation in menu
   handleMenuKeydown(event) {
-    if (!this.isOpen) return
-    
-    const menuItems = Array.from(
-      this.menuTarget.querySelectorAll(
-        'a, button, [tabindex]:not([tabindex="-1"])'
-      )
-    )
-    
-    if (menuItems.length === 0) return
-    
-    const currentIndex = menuItems.indexOf(document.activeElement)
-    
+    const item = event.target.closest(ITEM_SELECTOR)
+    const menu = event.target.closest('[role="menu"]')
+    const parentItem = this.parentItemOf(menu)
+
     switch (event.key) {
       case "ArrowDown":
         event.preventDefault()
-        const nextIndex = (currentIndex + 1) % menuItems.length
-        menuItems[nextIndex].focus()
+        this.moveFocus(menu, item, 1)
         break
-        
+
       case "ArrowUp":
         event.preventDefault()
-        const prevIndex = currentIndex <= 0 ? menuItems.length - 1 : currentIndex - 1
-        menuItems[prevIndex].focus()
+        this.moveFocus(menu, item, -1)
         break
-        
+
       case "Home":
         event.preventDefault()
-        menuItems[0].focus()
+        this.focusItem(menu, "first")
         break
-        
+
       case "End":
         event.preventDefault()
-        menuItems[menuItems.length - 1].focus()
+        this.focusItem(menu, "last")
+        break
+
+      case "ArrowRight":
+        if (item && this.submenuFor(item) && !this.isDisabled(item)) {
+          event.preventDefault()
+          this.openSubmenu(item, "first")
+        }
+        break
+
+      case "ArrowLeft":
+        if (parentItem) {
+          event.preventDefault()
+          this.closeSubmenu(parentItem)
+          parentItem.focus()
+        }
+        break
+
+      case "Enter":
+      case " ":
+        if (!item) break
+        if (this.submenuFor(item) && !this.isDisabled(item)) {
+          event.preventDefault()
+          this.openSubmenu(item, "first")
+        } else if (event.key === " " && item.tagName === "A") {
+          // Space doesn't follow links natively
+          event.preventDefault()
+          item.click()
+        }
+        break
+
+      case "Escape":
+        event.preventDefault()
+        event.stopPropagation()
+        if (parentItem) {
+          this.closeSubmenu(parentItem)
+          parentItem.focus()
+        } else {
+          this.close()
+        }
         break
-        
+
       case "Tab":
         // Allow default tab behavior but close menu
-        this.close()
+        this.close({ restoreFocus: false })
         break
+
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.typeaheadTo(menu, item, event.key)
+        }
     }
   }
 
-  // Action to handle menu item selection
-  selectItem(event) {
-    // Close menu after selection (unless it's a submenu)
-    if (!event.target.closest('[data-submenu]')) {
+  handleOutsideClick(event) {
+    if (this.isOpen && !this.element.contains(event.target)) {
+      this.close({ restoreFocus: false })
+    }
+  }
+
+  // Escape pressed inside the menu is handled (and stopped) by handleMenuKeydown
+  handleEscape(event) {
+    if (event.key === "Escape" && this.isOpen) {
       this.close()
     }
   }
-}
\ No newline at end of file
+
+  // Focus
+  focusItem(menu, position) {
+    const items = this.enabledItemsOf(menu)
+    const item = position === "last" ? items[items.length - 1] : items[0]
+    item?.focus()
+  }
+
+  moveFocus(menu, current, step) {
+    const items = this.enabledItemsOf(menu)
+    if (items.length === 0) return
+
+    const index = items.indexOf(current)
+    const next = index === -1
+      ? (step > 0 ? 0 : items.length - 1)
+      : (index + step + items.length) % items.length
+    items[next].focus()
+  }
+
+  // Characters typed in quick succession build up a prefix; repeating a single
+  // character cycles through the items starting with it
+  typeaheadTo(menu, current, character) {
+    clearTimeout(this.typeaheadTimer)
+    this.typeaheadTimer = setTimeout(() => { this.typeahead = "" }, TYPEAHEAD_RESET)
+
+    this.typeahead += character.toLowerCase()
+    const repeated = [...this.typeahead].every(letter => letter === this.typeahead[0])
+    const prefix = repeated ? this.typeahead[0] : this.typeahead
+
+    const items = this.enabledItemsOf(menu)
+    const start = items.indexOf(current)
+    const ordered = [...items.slice(start + 1), ...items.slice(0, start + 1)]
+    const searchFrom = repeated || start === -1 ? ordered : [current, ...ordered]
+
+    searchFrom.find(item => this.itemLabel(item).startsWith(prefix))?.focus()
+  }
+
+  // Submenus
+  openSubmenu(item, focus) {
+    const submenu = this.submenuFor(item)
+    if (!submenu) return
+
+    this.clearHoverTimer(item)
+    const menu = item.closest('[role="menu"]')
+    this.itemsOf(menu).forEach(sibling => {
+      if (sibling !== item) this.closeSubmenu(sibling)
+    })
+
+    if (!this.isSubmenuOpen(item)) {
+      submenu.classList.remove("hidden")
+      item.setAttribute("aria-expanded", "true")
+      this.position(submenu, item, "right-start")
+    }
+
+    if (focus) this.focusItem(submenu, focus)
+  }
+
+  closeSubmenu(item) {
+    const submenu = this.submenuFor(item)
+    if (!submenu || !this.isSubmenuOpen(item)) return
+
+    this.clearHoverTimer(item)
+    this.closeSubmenus(submenu)
+    submenu.classList.add("hidden")
+    item.setAttribute("aria-expanded", "false")
+  }
+
+  closeSubmenus(menu) {
+    this.itemsOf(menu).forEach(item => this.closeSubmenu(item))
+  }
+
+  // Hover intent: a short delay before opening, and a longer one before
+  // closing so the pointer can cross to the submenu diagonally
+  setupHoverIntent() {
+    this.boundPointerEnter = (event) => {
+      if (event.pointerType !== "mouse") return
+
+      const item = this.submenuItemOf(event.currentTarget)
+      if (!item || this.isDisabled(item)) return
+
+      this.clearHoverTimer(item)
+      this.hoverTimers.set(item, setTimeout(() => this.openSubmenu(item), HOVER_OPEN_DELAY))
+    }
+
+    this.boundPointerLeave = (event) => {
+      if (event.pointerType !== "mouse") return
+
+      const item = this.submenuItemOf(event.currentTarget)
+      if (!item) return
+
+      this.clearHoverTimer(item)
+      this.hoverTimers.set(item, setTimeout(() => this.closeSubmenu(item), HOVER_CLOSE_DELAY))
+    }
+
+    this.submenus().forEach(submenu => {
+      submenu.addEventListener("pointerenter", this.boundPointerEnter)
+      submenu.addEventListener("pointerleave", this.boundPointerLeave)
+    })
+  }
+
+  clearHoverTimer(item) {
+    clearTimeout(this.hoverTimers.get(item))
+    this.hoverTimers.delete(item)
+  }
+
+  // Rendering
+  showMenu() {
+    clearTimeout(this.hideTimer)
+    this.menuTarget.classList.remove("hidden")
+    this.menuTarget.classList.add("transition-opacity", "duration-150", "ease-out")
+    this.position(this.menuTarget, this.trigger || this.element, this.placementValue)
+    this.startRepositioning()
+
+    // Trigger animation
+    requestAnimationFrame(() => {
+      this.menuTarget.classList.add("opacity-100")
+      this.menuTarget.classList.remove("opacity-0")
+    })
+  }
+
+  hideMenu() {
+    this.stopRepositioning()
+    this.menuTarget.classList.add("opacity-0")
+    this.menuTarget.classList.remove("opacity-100")
+
+    // Hide after animation
+    clearTimeout(this.hideTimer)
+    this.hideTimer = setTimeout(() => {
+      this.menuTarget.classList.add("hidden")
+    }, HIDE_DELAY)
+  }
+
+  // Places menu beside anchor on the preferred side ("bottom-start",
+  // "top-end", "right-start", ...). When it doesn't fit, it flips to the
+  // opposite side if that has more room, then shifts along the edge to stay
+  // inside the viewport; a menu taller than the room left scrolls.
+  position(menu, anchor, placement) {
+    const [side, align = "start"] = placement.split("-")
+    const vertical = side === "top" || side === "bottom"
+    const viewport = { width: document.documentElement.clientWidth, height: window.innerHeight }
+
+    Object.assign(menu.style, { position: "fixed", top: "0px", left: "0px", right: "auto", bottom: "auto", maxHeight: "", overflowY: "" })
+    if (menu === this.menuTarget && this.matchWidthValue) menu.style.minWidth = `${anchor.offsetWidth}px`
+
+    const rect = anchor.getBoundingClientRect()
+    const width = menu.offsetWidth
+    let height = menu.offsetHeight
+    let top
+    let left
+    let resolved
+
+    if (vertical) {
+      const below = viewport.height - rect.bottom - OFFSET - VIEWPORT_MARGIN
+      const above = rect.top - OFFSET - VIEWPORT_MARGIN
+      resolved = flip(side, "bottom", "top", height, below, above)
+
+      const room = resolved === "bottom" ? below : above
+      if (height > room) height = this.limitHeight(menu, room)
+
+      top = resolved === "bottom" ? rect.bottom + OFFSET : rect.top - OFFSET - height
+      left = align === "end" ? rect.right - width : rect.left
+    } else {
+      const after = viewport.width - rect.right - OFFSET - VIEWPORT_MARGIN
+      const before = rect.left - OFFSET - VIEWPORT_MARGIN
+      resolved = flip(side, "right", "left", width, after, before)
+
+      const room = viewport.height - 2 * VIEWPORT_MARGIN
+      if (height > room) height = this.limitHeight(menu, room)
+
+      left = resolved === "right" ? rect.right + OFFSET : rect.left - OFFSET - width
+      top = align === "end" ? rect.bottom - height : rect.top
+    }
+
+    menu.style.left = `${clamp(left, VIEWPORT_MARGIN, viewport.width - width - VIEWPORT_MARGIN)}px`
+    menu.style.top = `${clamp(top, VIEWPORT_MARGIN, viewport.height - height - VIEWPORT_MARGIN)}px`
+    menu.dataset.placement = `${resolved}-${align}`
+  }
+
+  limitHeight(menu, room) {
+    const height = Math.max(room, 0)
+    menu.style.maxHeight = `${height}px`
+    menu.style.overflowY = "auto"
+    return height
+  }
+
+  // Keep open menus attached to their triggers while the page scrolls or resizes
+  startRepositioning() {
+    window.addEventListener("resize", this.boundReposition)
+    window.addEventListener("scroll", this.boundReposition, { capture: true, passive: true })
+  }
+
+  stopRepositioning() {
+    window.removeEventListener("resize", this.boundReposition)
+    window.removeEventListener("scroll", this.boundReposition, { capture: true })
+    cancelAnimationFrame(this.repositionFrame)
+  }
+
+  scheduleReposition(event) {
+    // Scrolling inside the menu itself doesn't move it
+    if (event?.type === "scroll" && this.menuTarget.contains(event.target)) return
+
+    cancelAnimationFrame(this.repositionFrame)
+    this.repositionFrame = requestAnimationFrame(() => {
+      if (!this.isOpen) return
+
+      this.position(this.menuTarget, this.trigger || this.element, this.placementValue)
+      this.menuTarget.querySelectorAll('[aria-haspopup="menu"][aria-expanded="true"]').forEach(item => {
+        this.position(this.submenuFor(item), item, "right-start")
+      })
+    })
+  }
+
+  // Helpers
+  get trigger() {
+    if (this.hasTriggerTarget) return this.triggerTarget
+    return this.element.querySelector('[data-action*="dropdown#toggle"]')
+  }
+
+  setupAria() {
+    this.menuTarget.id ||= uniqueId("dropdown-menu")
+    if (!this.menuTarget.hasAttribute("role")) this.menuTarget.setAttribute("role", "menu")
+
+    const trigger = this.trigger
+    if (trigger) {
+      trigger.setAttribute("aria-haspopup", "menu")
+      trigger.setAttribute("aria-expanded", "false")
+      trigger.setAttribute("aria-controls", this.menuTarget.id)
+    }
+
+    this.menuTarget.querySelectorAll(ITEM_SELECTOR).forEach(item => {
+      item.tabIndex = -1
+
+      const submenu = this.submenuFor(item)
+      if (submenu) {
+        submenu.id ||= uniqueId("dropdown-submenu")
+        item.setAttribute("aria-expanded", "false")
+        item.setAttribute("aria-controls", submenu.id)
+      }
+    })
+  }
+
+  submenus() {
+    return [...this.menuTarget.querySelectorAll("[data-submenu]")]
+  }
+
+  // The submenu opened by item, if it is a submenu trigger
+  submenuFor(item) {
+    if (item.getAttribute("aria-haspopup") !== "menu") return null
+    return item.closest("[data-submenu]")?.querySelector(':scope > [role="menu"]') || null
+  }
+
+  submenuItemOf(container) {
+    return container.querySelector(`:scope > ${ITEM_SELECTOR.split(", ").join(", :scope > ")}`)
+  }
+
+  // The item that opened menu, or null for the top-level menu
+  parentItemOf(menu) {
+    if (menu === this.menuTarget) return null
+    return this.submenuItemOf(menu.closest("[data-submenu]"))
+  }
+
+  isSubmenuOpen(item) {
+    return item.getAttribute("aria-expanded") === "true"
+  }
+
+  // Items belonging to menu itself, not to its submenus
+  itemsOf(menu) {
+    return [...menu.querySelectorAll(ITEM_SELECTOR)].filter(item => item.closest('[role="menu"]') === menu)
+  }
+
+  enabledItemsOf(menu) {
+    return this.itemsOf(menu).filter(item => !this.isDisabled(item))
+  }
+
+  isDisabled(item) {
+    return item.getAttribute("aria-disabled") === "true" || item.disabled === true
+  }
+
+  itemLabel(item) {
+    return (item.getAttribute("aria-label") || item.textContent).trim().toLowerCase()
+  }
+}
+
+// Keeps the preferred side when the menu fits there or it has the most room
+function flip(side, after, before, size, roomAfter, roomBefore) {
+  const preferredRoom = side === after ? roomAfter : roomBefore
+  const otherRoom = side === after ? roomBefore : roomAfter
+  if (size <= preferredRoom || preferredRoom >= otherRoom) return side
+  return side === after ? before : after
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, max))
+}
+
+let nextId = 0
+function uniqueId(prefix) {
+  return `${prefix}-${++nextId}`
+}
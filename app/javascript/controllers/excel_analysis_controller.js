@@ -1,13 +1,28 @@
 import { Controller } from "@hotwired/stimulus"
-import { createConsumer } from "@rails/actioncable"
+import { subscribe } from "channels/consumer"
+import { renderMarkdownInto } from "lib/markdown"
+import { confirmDialog } from "lib/dialog"
+import { t, translateEvent, formatNumber, formatPercent } from "lib/i18n"
+
+const SEVERITY_STYLES = {
+  high: { classes: "bg-red-50 text-red-800" },
+  medium: { classes: "bg-yellow-50 text-yellow-800" },
+  low: { classes: "bg-blue-50 text-blue-800" }
+}
 
 // Connects to data-controller="excel-analysis"
 export default class extends Controller {
-  static targets = ["status", "progress", "progressBar", "message", "analyzeButton", "cancelButton", "results"]
+  static targets = [
+    "status", "progress", "progressBar", "message", "eta", "analyzeButton", "cancelButton",
+    "results", "details", "downloadLink", "issueExplorer", "correctionDiff"
+  ]
   static values = { 
     fileId: Number,
     userId: Number,
-    currentStatus: String
+    currentStatus: String,
+    queued: Boolean,
+    cancelUrl: String,
+    analyzeUrl: String
   }
 
   connect() {
@@ -20,17 +35,21 @@ export default class extends Controller {
 
     this.setupWebSocket()
     this.updateUI()
+    
+    // Ask for the ETA of an analysis that was already running on page load
+    if (this.currentStatusValue === 'processing') {
+      this.refreshStatus()
+    }
   }
 
   disconnect() {
     console.log("Excel Analysis controller disconnected")
+    this.stopCountdown()
     this.teardownWebSocket()
   }
 
   setupWebSocket() {
-    this.consumer = createConsumer()
-    
-    this.subscription = this.consumer.subscriptions.create(
+    this.subscription = subscribe(
       {
         channel: "ExcelAnalysisChannel",
         file_id: this.fileIdValue
@@ -38,12 +57,10 @@ export default class extends Controller {
       {
         connected: () => {
           console.log("Connected to Excel Analysis channel")
-          this.setConnectionStatus(true)
         },
 
         disconnected: () => {
           console.log("Disconnected from Excel Analysis channel")
-          this.setConnectionStatus(false)
         },
 
         received: (data) => {
@@ -59,11 +76,6 @@ export default class extends Controller {
       this.subscription.unsubscribe()
       this.subscription = null
     }
-    
-    if (this.consumer) {
-      this.consumer.disconnect()
-      this.consumer = null
-    }
   }
 
   handleWebSocketMessage(data) {
@@ -71,18 +83,31 @@ export default class extends Controller {
       case "status":
         this.updateStatus(data)
         break
+      case "progress":
+        this.updateProgress(translateEvent(data), data.progress)
+        break
       case "progress_update":
-        this.updateProgress(data.message, data.percentage)
+        this.updateProgress(translateEvent(data), data.percentage)
         break
       case "queued":
-        this.updateMessage("Analysis queued: " + data.message, "info")
-        this.setAnalyzing(true)
+        this.queuedValue = true
+        this.updateUI()
+        this.updateMessage(t("analysis.queued", { message: translateEvent(data) }), "info")
+        break
+      case "analysis_status":
+        this.handleAnalysisStatus(data)
         break
       case "analysis_complete":
+      case "completed":
         this.handleAnalysisComplete(data)
         break
+      case "cancelled":
+        this.handleCancelled(data)
+        break
       case "error":
-        this.updateMessage("Error: " + data.message, "error")
+        this.stopCountdown()
+        this.queuedValue = false
+        this.updateMessage(t("analysis.error", { message: translateEvent(data) }), "error")
         this.setAnalyzing(false)
         break
       default:
@@ -104,6 +129,82 @@ export default class extends Controller {
     this.updateUI()
   }
 
+  handleAnalysisStatus(data) {
+    this.currentStatusValue = data.status
+    this.updateUI()
+    
+    if (data.status === 'processing') {
+      this.updateProgress(t("analysis.in_progress"), data.progress)
+      this.startCountdown(data.estimated_completion)
+    } else {
+      this.stopCountdown()
+    }
+  }
+
+  handleCancelled(data) {
+    this.stopCountdown()
+    this.queuedValue = false
+    this.currentStatusValue = data.status || 'cancelled'
+    this.updateUI()
+    
+    if (data.user_tokens !== undefined) {
+      this.updateTokenDisplay(data.user_tokens)
+    }
+    
+    this.updateMessage(this.cancellationMessage(data.tokens_refunded), "warning")
+  }
+
+  cancellationMessage(tokensRefunded) {
+    return tokensRefunded > 0
+      ? t("analysis.cancelled_refunded", { count: tokensRefunded })
+      : t("analysis.cancelled_not_refunded")
+  }
+
+  // Counts down the server's estimate (in seconds) and asks for a fresh one
+  // when it runs out while the analysis is still going
+  startCountdown(seconds) {
+    this.stopCountdown()
+    if (seconds === null || seconds === undefined) return
+    
+    this.etaDeadline = Date.now() + seconds * 1000
+    this.renderCountdown()
+    this.countdownTimer = setInterval(() => this.renderCountdown(), 1000)
+  }
+
+  stopCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer)
+      this.countdownTimer = null
+    }
+    
+    clearTimeout(this.refreshTimer)
+    this.etaDeadline = null
+    if (this.hasEtaTarget) this.etaTarget.textContent = ""
+  }
+
+  renderCountdown() {
+    const remaining = Math.max(0, Math.round((this.etaDeadline - Date.now()) / 1000))
+    
+    if (this.hasEtaTarget) {
+      this.etaTarget.textContent = remaining > 0
+        ? t("analysis.remaining", { time: this.formatDuration(remaining) })
+        : t("analysis.finishing")
+    }
+    
+    if (remaining === 0) {
+      clearInterval(this.countdownTimer)
+      this.countdownTimer = null
+      this.refreshTimer = setTimeout(() => this.refreshStatus(), 5000)
+    }
+  }
+
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60)
+    const rest = String(seconds % 60).padStart(2, "0")
+    
+    return `${minutes}:${rest}`
+  }
+
   updateProgress(message, percentage) {
     if (this.hasMessageTarget) {
       this.messageTarget.textContent = message
@@ -115,7 +216,7 @@ export default class extends Controller {
       this.progressBarTarget.setAttribute("aria-valuenow", percentage)
     }
     
-    if (this.hasProgressTarget) {
+    if (this.hasProgressTarget && percentage !== undefined) {
       this.progressTarget.textContent = `${percentage}%`
     }
   }
@@ -136,68 +237,144 @@ export default class extends Controller {
   }
 
   handleAnalysisComplete(data) {
-    this.updateProgress("Analysis complete!", 100)
-    this.updateMessage("Analysis completed successfully", "success")
-    this.setAnalyzing(false)
+    this.stopCountdown()
+    this.currentStatusValue = data.status || 'analyzed'
+    this.updateUI()
+    this.updateProgress(t("analysis.complete"), 100)
+    this.updateMessage(t("analysis.completed"), "success")
     
     if (data.analysis) {
       this.displayAnalysisResults(data.analysis)
     }
     
-    // Reload the page to show updated results
-    setTimeout(() => {
-      window.location.reload()
-    }, 2000)
+    if (data.user_tokens !== undefined) {
+      this.updateTokenDisplay(data.user_tokens)
+    }
   }
 
+  // Everything below is built from text nodes; only the AI text is parsed,
+  // and that goes through the sanitizing Markdown renderer
   displayAnalysisResults(analysis) {
-    if (!this.hasResultsTarget) return
-    
-    this.resultsTarget.innerHTML = `
-      <div class="bg-white border border-gray-200 rounded-lg p-6 mt-4">
-        <h3 class="text-lg font-semibold mb-4">Analysis Results</h3>
-        
-        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-          <div class="text-center p-4 bg-red-50 rounded-lg">
-            <div class="text-2xl font-bold text-red-600">${analysis.error_count || 0}</div>
-            <div class="text-sm text-gray-600">Errors Found</div>
-          </div>
-          <div class="text-center p-4 bg-yellow-50 rounded-lg">
-            <div class="text-2xl font-bold text-yellow-600">${analysis.warning_count || 0}</div>
-            <div class="text-sm text-gray-600">Warnings</div>
-          </div>
-          <div class="text-center p-4 bg-green-50 rounded-lg">
-            <div class="text-2xl font-bold text-green-600">${analysis.confidence_score || 0}%</div>
-            <div class="text-sm text-gray-600">Confidence</div>
-          </div>
-        </div>
-        
-        ${analysis.ai_analysis ? `
-          <div class="mb-4">
-            <h4 class="font-medium mb-2">AI Analysis:</h4>
-            <div class="bg-gray-50 p-4 rounded-lg text-sm">
-              ${this.formatAnalysisText(analysis.ai_analysis)}
-            </div>
-          </div>
-        ` : ''}
-        
-        <div class="text-xs text-gray-500">
-          Analysis completed using AI Tier ${analysis.ai_tier_used || 1} • 
-          Provider: ${analysis.provider || 'Unknown'} • 
-          Tokens used: ${analysis.tokens_used || 0}
-        </div>
-      </div>
-    `
-    
-    this.resultsTarget.classList.remove("hidden")
-  }
-
-  formatAnalysisText(text) {
-    // Basic formatting - convert newlines to <br> and handle simple markdown
-    return text
-      .replace(/\n/g, '<br>')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
+    if (analysis.status && analysis.status !== 'completed') return
+    
+    if (this.hasResultsTarget) {
+      this.resultsTarget.replaceChildren(this.buildResultsCard(analysis))
+      this.resultsTarget.classList.remove("hidden")
+    }
+    
+    this.updateDetails(analysis)
+    this.updateDownloadLink(analysis.download_url)
+    this.updateIssueExplorer(analysis.detected_errors || [])
+    this.updateCorrectionDiff(analysis)
+  }
+
+  buildResultsCard(analysis) {
+    // Same classes as Ui::CardComponent
+    const card = this.buildElement("div", "bg-white rounded-lg shadow-sm border border-gray-200")
+    const header = this.buildElement("div", "border-b border-gray-200 px-6 py-4")
+    header.appendChild(this.buildElement("h2", "text-lg font-medium text-gray-900", t("analysis.results.title")))
+    
+    const body = this.buildElement("div", "px-6 py-4 space-y-4")
+    
+    if (analysis.analysis_summary) {
+      const summary = this.buildElement("div", "bg-gray-50 p-4 rounded-lg")
+      summary.appendChild(this.buildElement("p", "text-sm text-gray-700", analysis.analysis_summary))
+      body.appendChild(summary)
+    }
+    
+    body.append(this.buildCounts(analysis), this.buildSeverityBreakdown(analysis.severity_breakdown || {}))
+    
+    if (analysis.ai_analysis) {
+      const section = this.buildElement("div")
+      section.appendChild(this.buildElement("h3", "text-sm font-medium text-gray-900 mb-2", t("analysis.results.ai_analysis")))
+      
+      const text = this.buildElement("div", "bg-gray-50 p-4 rounded-lg text-sm text-gray-700")
+      renderMarkdownInto(text, analysis.ai_analysis)
+      section.appendChild(text)
+      body.appendChild(section)
+    }
+    
+    card.append(header, body)
+    return card
+  }
+
+  buildCounts(analysis) {
+    const grid = this.buildElement("div", "grid grid-cols-2 gap-4")
+    
+    const stat = (label, value, [boxClass, labelClass, valueClass]) => {
+      const box = this.buildElement("div", `${boxClass} p-4 rounded-lg`)
+      box.append(
+        this.buildElement("p", `text-sm font-medium ${labelClass}`, label),
+        this.buildElement("p", `mt-1 text-2xl font-semibold ${valueClass}`, formatNumber(value || 0))
+      )
+      return box
+    }
+    
+    grid.append(
+      stat(t("analysis.results.errors_found"), analysis.error_count, ["bg-red-50", "text-red-800", "text-red-900"]),
+      stat(t("analysis.results.errors_fixed"), analysis.fixed_count, ["bg-green-50", "text-green-800", "text-green-900"])
+    )
+    return grid
+  }
+
+  buildSeverityBreakdown(breakdown) {
+    const row = this.buildElement("div", "flex flex-wrap gap-2")
+    
+    Object.entries(SEVERITY_STYLES).forEach(([severity, { classes }]) => {
+      const count = breakdown[severity] || 0
+      row.appendChild(this.buildElement("span", `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${classes}`, `${t(`analysis.severity.${severity}`)}: ${formatNumber(count)}`))
+    })
+    
+    return row
+  }
+
+  updateDetails(analysis) {
+    if (!this.hasDetailsTarget) return
+    
+    const values = {
+      tier_name: analysis.tier_name,
+      confidence: formatPercent(analysis.confidence_score || 0, { digits: 0 }),
+      tokens_used: formatNumber(analysis.tokens_used ?? 0),
+      time_saved: t("analysis.results.time_saved", { count: analysis.estimated_time_saved ?? 0 })
+    }
+    
+    Object.entries(values).forEach(([key, value]) => {
+      const field = this.detailsTarget.querySelector(`[data-detail="${key}"]`)
+      if (field) field.textContent = value
+    })
+    
+    this.detailsTarget.classList.remove("hidden")
+  }
+
+  // The issue explorer re-renders itself when its issues value changes
+  updateIssueExplorer(issues) {
+    if (!this.hasIssueExplorerTarget) return
+    
+    this.issueExplorerTarget.setAttribute("data-issue-explorer-issues-value", JSON.stringify(issues))
+    this.issueExplorerTarget.classList.toggle("hidden", issues.length === 0)
+  }
+
+  // download_url is only set when the analysis has corrections to review
+  updateCorrectionDiff(analysis) {
+    if (!this.hasCorrectionDiffTarget) return
+    
+    const reviewable = Boolean(analysis.download_url)
+    this.correctionDiffTarget.classList.toggle("hidden", !reviewable)
+    if (reviewable) this.correctionDiffTarget.setAttribute("data-correction-diff-analysis-id-value", analysis.id)
+  }
+
+  updateDownloadLink(url) {
+    if (!this.hasDownloadLinkTarget) return
+    
+    if (url) this.downloadLinkTarget.href = url
+    this.downloadLinkTarget.classList.toggle("hidden", !url)
+  }
+
+  buildElement(tag, className = "", text = null) {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== null) element.textContent = text
+    return element
   }
 
   updateTokenDisplay(tokens) {
@@ -211,22 +388,24 @@ export default class extends Controller {
     const status = this.currentStatusValue
     
     if (this.hasStatusTarget) {
-      this.statusTarget.textContent = status
+      this.statusTarget.textContent = t(`files.statuses.${status}`)
       this.statusTarget.className = this.getStatusClass(status)
     }
     
     const isProcessing = status === 'processing'
-    const canAnalyze = status === 'uploaded' || status === 'analyzed'
+    // A queued file still holds its reserved tokens, so cancelling it refunds them
+    const isQueued = status === 'uploaded' && this.queuedValue
+    const canAnalyze = ['uploaded', 'analyzed', 'failed', 'cancelled'].includes(status)
     
-    this.setAnalyzing(isProcessing)
+    this.setAnalyzing(isProcessing || isQueued)
     
     if (this.hasAnalyzeButtonTarget) {
-      this.analyzeButtonTarget.disabled = !canAnalyze || isProcessing
-      this.analyzeButtonTarget.textContent = isProcessing ? 'Analyzing...' : 'Start Analysis'
+      this.analyzeButtonTarget.disabled = !canAnalyze || isProcessing || isQueued
+      this.analyzeButtonTarget.textContent = isProcessing || isQueued ? t("analysis.analyzing") : t("analysis.start")
     }
     
     if (this.hasCancelButtonTarget) {
-      this.cancelButtonTarget.style.display = isProcessing ? 'block' : 'none'
+      this.cancelButtonTarget.style.display = isProcessing || isQueued ? 'block' : 'none'
     }
   }
 
@@ -235,7 +414,8 @@ export default class extends Controller {
       uploaded: "px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full",
       processing: "px-2 py-1 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full",
       analyzed: "px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded-full",
-      failed: "px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full"
+      failed: "px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full",
+      cancelled: "px-2 py-1 text-xs font-medium bg-gray-100 text-gray-600 rounded-full"
     }
     
     return classes[status] || "px-2 py-1 text-xs font-medium bg-gray-100 text-gray-800 rounded-full"
@@ -248,37 +428,96 @@ export default class extends Controller {
     }
   }
 
-  setConnectionStatus(connected) {
-    const indicator = this.element.querySelector('[data-connection-status]')
-    if (indicator) {
-      indicator.className = connected 
-        ? "w-2 h-2 bg-green-400 rounded-full" 
-        : "w-2 h-2 bg-red-400 rounded-full"
-    }
-  }
-
   // Action methods
   requestAnalysis() {
+    // Over HTTP so the service worker can queue it until the connection returns
+    if (!navigator.onLine && this.analyzeUrlValue) {
+      this.requestAnalysisOffline()
+      return
+    }
+    
     if (!this.subscription) {
-      this.updateMessage("Not connected to analysis service", "error")
+      this.updateMessage(t("analysis.not_connected"), "error")
       return
     }
     
-    this.subscription.perform("request_analysis", {
+    const sent = this.subscription.perform("request_analysis", {
       file_id: this.fileIdValue
     })
     
-    this.updateMessage("Requesting analysis...", "info")
+    if (sent) {
+      this.updateMessage(t("analysis.requesting"), "info")
+    } else {
+      this.updateMessage(t("analysis.reconnecting"), "warning")
+    }
   }
 
-  cancelAnalysis() {
-    // Implementation would depend on backend support for cancellation
-    this.updateMessage("Cancellation requested...", "warning")
+  async requestAnalysisOffline() {
+    if (this.hasAnalyzeButtonTarget) this.analyzeButtonTarget.disabled = true
+    
+    try {
+      const response = await fetch(this.analyzeUrlValue, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        }
+      })
+      const data = await response.json()
+      
+      if (data.queued) {
+        this.updateMessage(data.message, "warning")
+      } else if (response.ok) {
+        this.updateMessage(data.message || t("analysis.queued_offline"), "info")
+      } else {
+        this.updateMessage(data.error || t("analysis.request_failed"), "error")
+        if (this.hasAnalyzeButtonTarget) this.analyzeButtonTarget.disabled = false
+      }
+    } catch (error) {
+      console.error("Analysis request failed:", error)
+      this.updateMessage(t("common.offline"), "error")
+      if (this.hasAnalyzeButtonTarget) this.analyzeButtonTarget.disabled = false
+    }
+  }
+
+  async cancelAnalysis() {
+    if (!this.cancelUrlValue) return
+    if (!(await confirmDialog({ title: t("analysis.cancel.title"), confirmLabel: t("analysis.cancel.confirm"), cancelLabel: t("analysis.cancel.keep"), tone: "danger" }))) return
+    
+    if (this.hasCancelButtonTarget) this.cancelButtonTarget.disabled = true
+    this.updateMessage(t("analysis.cancelling"), "warning")
+    
+    try {
+      const response = await fetch(this.cancelUrlValue, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        }
+      })
+      const data = await response.json()
+      
+      if (data.success) {
+        // The channel broadcast usually arrives first; this covers a dropped socket
+        this.handleCancelled({
+          status: data.status,
+          tokens_refunded: data.tokens_refunded,
+          user_tokens: data.tokens_remaining
+        })
+      } else {
+        this.updateMessage(data.message || t("analysis.cancel_failed"), "error")
+      }
+    } catch (error) {
+      console.error("Cancel request failed:", error)
+      this.updateMessage(t("common.network_error"), "error")
+    } finally {
+      if (this.hasCancelButtonTarget) this.cancelButtonTarget.disabled = false
+    }
   }
 
   refreshStatus() {
     if (!this.subscription) {
-      this.updateMessage("Not connected to analysis service", "error")
+      this.updateMessage(t("analysis.not_connected"), "error")
       return
     }
     
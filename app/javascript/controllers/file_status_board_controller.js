@@ -0,0 +1,199 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribe } from "channels/consumer"
+import { confirmDialog } from "lib/dialog"
+import { toast } from "lib/toast"
+import { t, translateEvent } from "lib/i18n"
+
+const STATUS_BADGES = {
+  uploaded: { classes: "bg-gray-100 text-gray-800" },
+  processing: { classes: "bg-yellow-100 text-yellow-800" },
+  analyzed: { classes: "bg-green-100 text-green-800" },
+  failed: { classes: "bg-red-100 text-red-800" },
+  cancelled: { classes: "bg-gray-100 text-gray-600" }
+}
+
+// Operations that ask first; titles and labels come from files.bulk.*
+const BULK_CONFIRMATIONS = {
+  analyze: { tone: "primary" },
+  delete: { tone: "danger" }
+}
+
+// Live status for every file on the index page, fed by one FileStatusChannel
+// subscription, plus bulk analyze/cancel/delete for the selected rows.
+// Connects to data-controller="file-status-board"
+export default class extends Controller {
+  static targets = ["row", "checkbox", "selectAll", "bulkBar", "selectedCount", "bulkButton"]
+  static values = {
+    fileIds: Array,
+    bulkUrl: String
+  }
+
+  connect() {
+    this.files = new Map()
+
+    if (this.fileIdsValue.length > 0) {
+      this.subscription = subscribe(
+        { channel: "FileStatusChannel", file_ids: this.fileIdsValue },
+        { received: (data) => this.handleMessage(data) }
+      )
+    }
+
+    this.updateSelection()
+  }
+
+  disconnect() {
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case "snapshot":
+        data.files.forEach(file => this.updateFile(file))
+        break
+      case "status":
+        this.updateFile(data)
+        if (data.event === "completed" || data.event === "failed") this.notifyFinished(data)
+        break
+    }
+  }
+
+  // Action methods
+  toggleAll() {
+    this.checkboxTargets.forEach(checkbox => { checkbox.checked = this.selectAllTarget.checked })
+    this.updateSelection()
+  }
+
+  updateSelection() {
+    const count = this.selectedIds.length
+
+    if (this.hasSelectedCountTarget) this.selectedCountTarget.textContent = `${count} selected`
+    if (this.hasBulkBarTarget) this.bulkBarTarget.classList.toggle("hidden", count === 0)
+    this.bulkButtonTargets.forEach(button => { button.disabled = count === 0 })
+
+    if (this.hasSelectAllTarget) {
+      this.selectAllTarget.checked = count > 0 && count === this.checkboxTargets.length
+      this.selectAllTarget.indeterminate = count > 0 && count < this.checkboxTargets.length
+    }
+  }
+
+  async bulk(event) {
+    const operation = event.params.operation
+    const fileIds = this.selectedIds
+    if (fileIds.length === 0) return
+
+    const confirmation = BULK_CONFIRMATIONS[operation]
+    if (confirmation && !(await confirmDialog({
+      title: t(`files.bulk.${operation}.confirm`, { count: fileIds.length }),
+      confirmLabel: t(`files.bulk.${operation}.label`),
+      cancelLabel: t("common.cancel"),
+      tone: confirmation.tone
+    }))) return
+
+    this.bulkButtonTargets.forEach(button => { button.disabled = true })
+
+    try {
+      const response = await fetch(this.bulkUrlValue, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ operation, file_ids: fileIds })
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || t("files.bulk.failed"))
+
+      this.applyResults(data)
+    } catch (error) {
+      console.error("Bulk action failed:", error)
+      toast.error(error.message)
+    } finally {
+      this.updateSelection()
+    }
+  }
+
+  applyResults(data) {
+    data.results.forEach(result => {
+      if (!result.success) return
+
+      if (result.status === "deleted") {
+        this.rowFor(result.file_id)?.remove()
+        this.files.delete(result.file_id)
+      } else {
+        this.updateFile({ file_id: result.file_id, status: result.status, progress: 0, message: result.message })
+      }
+    })
+
+    if (data.user_tokens !== undefined) {
+      document.querySelectorAll("[data-user-tokens]").forEach(element => { element.textContent = data.user_tokens })
+    }
+
+    const failures = data.results.filter(result => !result.success)
+    let message = t(`files.bulk.${data.operation}.done`, { count: data.succeeded })
+    if (failures.length > 0) message += ` ${t("files.bulk.skipped", { count: failures.length, reason: failures[0].message })}`
+
+    toast(message, { type: failures.length > 0 ? "warning" : "success" })
+  }
+
+  // Rendering
+  updateFile(update) {
+    const row = this.rowFor(update.file_id)
+    if (!row) return
+
+    const file = { ...this.files.get(update.file_id), ...this.definedFields(update) }
+    this.files.set(update.file_id, file)
+
+    const badge = STATUS_BADGES[file.status] || STATUS_BADGES.uploaded
+    const status = row.querySelector("[data-field=status]")
+    status.textContent = t(`files.statuses.${STATUS_BADGES[file.status] ? file.status : "uploaded"}`)
+    status.className = `inline-flex rounded-full px-2 text-xs font-semibold leading-5 ${badge.classes}`
+
+    const processing = file.status === "processing"
+    const progress = row.querySelector("[data-field=progress]")
+    progress.classList.toggle("hidden", !processing)
+    progress.firstElementChild.style.width = `${file.progress || 0}%`
+    progress.setAttribute("aria-valuenow", file.progress || 0)
+
+    const message = row.querySelector("[data-field=message]")
+    message.textContent = processing || file.status === "failed" ? translateEvent(file) : ""
+
+    this.setCount(row.querySelector("[data-field=errors]"), file.errors)
+    this.setCount(row.querySelector("[data-field=warnings]"), file.warnings)
+  }
+
+  setCount(element, count) {
+    element.textContent = count ?? "—"
+    element.classList.toggle("text-gray-400", count == null)
+  }
+
+  notifyFinished(file) {
+    const name = this.rowFor(file.file_id)?.dataset.fileName || t("files.file")
+
+    if (file.event === "completed") {
+      const url = this.rowFor(file.file_id)?.dataset.fileUrl
+      toast.success(t("files.analyzed", { name, errors: file.errors, warnings: file.warnings }), {
+        action: url ? { label: t("files.view_results"), onClick: () => window.location.assign(url) } : undefined
+      })
+    } else {
+      toast.error(t("files.failed", { name, message: translateEvent(file) || t("files.analysis_error") }))
+    }
+  }
+
+  // Helpers
+  get selectedIds() {
+    return this.checkboxTargets.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value))
+  }
+
+  rowFor(fileId) {
+    return this.rowTargets.find(row => Number(row.dataset.fileId) === fileId)
+  }
+
+  definedFields(update) {
+    return Object.fromEntries(Object.entries(update).filter(([key, value]) => value !== undefined && key !== "type"))
+  }
+}
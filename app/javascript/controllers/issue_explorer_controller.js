@@ -0,0 +1,345 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+// Static icon markup for issue rows (same icons the results card used server-side)
+const SEVERITY_ICONS = {
+  high: `<svg class="h-5 w-5 text-red-600" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" /></svg>`,
+  medium: `<svg class="h-5 w-5 text-yellow-600" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`,
+  low: `<svg class="h-5 w-5 text-blue-600" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clip-rule="evenodd" /></svg>`
+}
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 }
+
+// Labels live in analysis.issues.categories.*
+const CATEGORIES = ["formula_error", "circular_reference", "data_validation", "format_consistency", "other"]
+
+const STATE_BADGES = {
+  resolved: "bg-green-100 text-green-800",
+  ignored: "bg-gray-100 text-gray-600"
+}
+
+// Connects to data-controller="issue-explorer"
+export default class extends Controller {
+  static targets = [
+    "search", "severity", "sheet", "category", "state", "sort", "group",
+    "list", "empty", "count", "error"
+  ]
+  static values = {
+    issues: Array,
+    url: String
+  }
+
+  // Also runs when the controller connects, so this is the initial render too
+  issuesValueChanged() {
+    if (!this.hasListTarget) return
+
+    this.populateSheetOptions()
+    this.render()
+  }
+
+  // Action methods
+  filter() {
+    this.render()
+  }
+
+  resolve(event) {
+    this.updateState(event.params.index, "resolved")
+  }
+
+  ignore(event) {
+    this.updateState(event.params.index, "ignored")
+  }
+
+  reopen(event) {
+    this.updateState(event.params.index, "open")
+  }
+
+  // Asks the workbook preview to scroll to the issue's cell
+  locate(event) {
+    this.dispatch("locate", { detail: { reference: event.params.reference } })
+  }
+
+  // Asks the dependency graph to show the loop a circular reference is part of
+  graph(event) {
+    this.dispatch("graph", { detail: { reference: event.params.reference } })
+  }
+
+  async updateState(index, state) {
+    const issue = this.issuesValue.find(item => item.index === index)
+    if (!issue || issue.state === state) return
+
+    const previousState = issue.state
+    this.setIssueState(index, state)
+    this.clearError()
+
+    try {
+      const response = await fetch(this.urlValue.replace("INDEX", index), {
+        method: "PATCH",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ state })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || t("analysis.issues.update_failed"))
+      }
+    } catch (error) {
+      console.error("Issue update failed:", error)
+      this.setIssueState(index, previousState)
+      this.showError(error.message)
+    }
+  }
+
+  setIssueState(index, state) {
+    this.issuesValue = this.issuesValue.map(item => item.index === index ? { ...item, state } : item)
+  }
+
+  // Filtering, sorting and grouping
+  visibleIssues() {
+    const query = this.fieldValue("search").toLowerCase()
+    const severity = this.fieldValue("severity")
+    const sheet = this.fieldValue("sheet")
+    const category = this.fieldValue("category")
+    const state = this.fieldValue("state")
+
+    return this.issuesValue.filter(issue => {
+      if (severity && issue.severity !== severity) return false
+      if (sheet && issue.sheet !== sheet) return false
+      if (category && issue.category !== category) return false
+      if (state && (issue.state || "open") !== state) return false
+      if (query && !this.searchText(issue).includes(query)) return false
+      return true
+    })
+  }
+
+  searchText(issue) {
+    return [issue.message, issue.description, issue.suggestion, this.location(issue), issue.formula, issue.type]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase()
+  }
+
+  sortIssues(issues) {
+    const comparators = {
+      severity: (a, b) => this.severityRank(a) - this.severityRank(b) || this.compareLocation(a, b),
+      location: (a, b) => this.compareLocation(a, b),
+      category: (a, b) => this.categoryLabel(a).localeCompare(this.categoryLabel(b)) || this.compareLocation(a, b)
+    }
+
+    return [...issues].sort(comparators[this.fieldValue("sort")] || comparators.severity)
+  }
+
+  severityRank(issue) {
+    return SEVERITY_ORDER[issue.severity] ?? Object.keys(SEVERITY_ORDER).length
+  }
+
+  // Sheet, then column (A < B < AA), then row number
+  compareLocation(a, b) {
+    const sheetOrder = (a.sheet || "").localeCompare(b.sheet || "")
+    if (sheetOrder !== 0) return sheetOrder
+
+    const columnA = a.column || ""
+    const columnB = b.column || ""
+    if (columnA.length !== columnB.length) return columnA.length - columnB.length
+    if (columnA !== columnB) return columnA < columnB ? -1 : 1
+
+    return this.rowNumber(a) - this.rowNumber(b)
+  }
+
+  rowNumber(issue) {
+    const match = this.location(issue).match(/[A-Z]+\$?(\d+)/)
+    return match ? Number(match[1]) : 0
+  }
+
+  groupIssues(issues) {
+    const grouping = this.fieldValue("group")
+    if (!grouping) return [[null, issues]]
+
+    const groups = new Map()
+    issues.forEach(issue => {
+      const sheet = issue.sheet || t("analysis.issues.unknown_sheet")
+      const key = grouping === "column" ? t("analysis.issues.sheet_column", { sheet, column: issue.column || "?" }) : sheet
+
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(issue)
+    })
+
+    return [...groups.entries()]
+  }
+
+  // Rendering
+  render() {
+    if (!this.hasListTarget) return
+
+    const issues = this.sortIssues(this.visibleIssues())
+    const fragment = document.createDocumentFragment()
+
+    this.groupIssues(issues).forEach(([label, groupIssues]) => {
+      if (label) {
+        fragment.appendChild(this.buildElement("h4", "pt-2 text-xs font-semibold uppercase tracking-wide text-gray-500", t("analysis.issues.group", { label, count: groupIssues.length })))
+      }
+      groupIssues.forEach(issue => fragment.appendChild(this.buildIssue(issue)))
+    })
+
+    this.listTarget.replaceChildren(fragment)
+
+    if (this.hasEmptyTarget) {
+      this.emptyTarget.classList.toggle("hidden", issues.length > 0)
+    }
+
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = t("analysis.issues.shown", { count: issues.length, total: this.issuesValue.length })
+    }
+  }
+
+  buildIssue(issue) {
+    const state = issue.state || "open"
+
+    const item = this.buildElement("div", `bg-white border border-gray-200 rounded-lg p-3 ${state === "open" ? "" : "opacity-60"}`)
+    item.dataset.issueIndex = issue.index
+
+    const row = this.buildElement("div", "flex items-start")
+
+    const icon = this.buildElement("div", "flex-shrink-0")
+    icon.innerHTML = SEVERITY_ICONS[issue.severity] || SEVERITY_ICONS.low
+
+    const text = this.buildElement("div", "ml-3 flex-1 min-w-0")
+
+    const title = this.buildElement("div", "flex flex-wrap items-center gap-2")
+    title.appendChild(this.buildElement("p", "text-sm font-medium text-gray-900", issue.message || issue.type || t("analysis.issues.issue")))
+    title.appendChild(this.buildElement("span", "inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700", this.categoryLabel(issue)))
+
+    const badge = STATE_BADGES[state]
+    if (badge) {
+      title.appendChild(this.buildElement("span", `inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${badge}`, t(`analysis.issues.states.${state}`)))
+    }
+
+    text.appendChild(title)
+
+    const detail = this.buildElement("p", "mt-1 text-sm text-gray-500")
+    const location = this.location(issue)
+    const reference = this.cellReference(issue)
+
+    if (reference) {
+      const link = this.buildElement("button", "font-mono text-blue-600 hover:text-blue-800 hover:underline", location)
+      link.type = "button"
+      link.title = t("analysis.issues.show_in_preview")
+      link.dataset.action = "issue-explorer#locate"
+      link.setAttribute("data-issue-explorer-reference-param", reference)
+      detail.appendChild(link)
+    } else if (location) {
+      detail.appendChild(document.createTextNode(location))
+    }
+
+    if (issue.description) {
+      detail.appendChild(document.createTextNode(`${location ? " - " : ""}${issue.description}`))
+    }
+
+    if (detail.hasChildNodes()) text.appendChild(detail)
+
+    if (issue.suggestion) {
+      text.appendChild(this.buildElement("p", "mt-1 text-xs text-blue-700", issue.suggestion))
+    }
+
+    if (reference && issue.category === "circular_reference") {
+      const graphLink = this.buildElement("button", "mt-1 text-xs font-medium text-red-700 hover:text-red-900 hover:underline", t("analysis.issues.show_in_graph"))
+      graphLink.type = "button"
+      graphLink.dataset.action = "issue-explorer#graph"
+      graphLink.setAttribute("data-issue-explorer-reference-param", reference)
+      text.appendChild(graphLink)
+    }
+
+    row.append(icon, text, this.buildActions(issue.index, state))
+    item.appendChild(row)
+    return item
+  }
+
+  buildActions(index, state) {
+    const actions = this.buildElement("div", "ml-3 flex flex-shrink-0 items-center gap-2")
+
+    const button = (label, action, classes) => {
+      const element = this.buildElement("button", `text-xs font-medium ${classes}`, label)
+      element.type = "button"
+      element.dataset.action = `issue-explorer#${action}`
+      element.setAttribute("data-issue-explorer-index-param", index)
+      return element
+    }
+
+    if (state === "open") {
+      actions.append(
+        button(t("analysis.issues.resolve"), "resolve", "text-green-700 hover:text-green-900"),
+        button(t("analysis.issues.ignore"), "ignore", "text-gray-500 hover:text-gray-700")
+      )
+    } else {
+      actions.appendChild(button(t("analysis.issues.reopen"), "reopen", "text-blue-600 hover:text-blue-800"))
+    }
+
+    return actions
+  }
+
+  populateSheetOptions() {
+    if (!this.hasSheetTarget) return
+
+    const selected = this.sheetTarget.value
+    const sheets = [...new Set(this.issuesValue.map(issue => issue.sheet).filter(Boolean))].sort()
+
+    const allOption = this.buildElement("option", "", t("analysis.issues.all_sheets"))
+    allOption.value = ""
+
+    this.sheetTarget.replaceChildren(allOption, ...sheets.map(sheet => {
+      const option = this.buildElement("option", "", sheet)
+      option.value = sheet
+      return option
+    }))
+    this.sheetTarget.value = sheets.includes(selected) ? selected : ""
+  }
+
+  location(issue) {
+    if (issue.cell) return issue.cell
+    if (Array.isArray(issue.cells)) return issue.cells.join(", ")
+    if (issue.address) return issue.sheet ? `${issue.sheet}!${issue.address}` : issue.address
+    return issue.location || ""
+  }
+
+  // First cell of the issue as "Sheet!A1", or null when it has no cell address
+  cellReference(issue) {
+    const cell = this.location(issue).split(/[,:]/)[0].trim()
+    if (!/\$?[A-Z]+\$?\d+$/.test(cell)) return null
+
+    return cell.includes("!") || !issue.sheet ? cell : `${issue.sheet}!${cell}`
+  }
+
+  categoryLabel(issue) {
+    return t(`analysis.issues.categories.${CATEGORIES.includes(issue.category) ? issue.category : "other"}`)
+  }
+
+  fieldValue(name) {
+    const key = `has${name.charAt(0).toUpperCase()}${name.slice(1)}Target`
+    return this[key] ? this[`${name}Target`].value.trim() : ""
+  }
+
+  buildElement(tag, className = "", text = null) {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== null) element.textContent = text
+    return element
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+}
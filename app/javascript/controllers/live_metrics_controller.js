@@ -0,0 +1,190 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribe } from "channels/consumer"
+import { t, formatCurrency, formatNumber, formatRelativeTime, formatTime } from "lib/i18n"
+
+const MODE_CLASSES = {
+  live: ["bg-green-500"],
+  polling: ["bg-yellow-500"],
+  paused: ["bg-gray-400"]
+}
+
+const RELATIVE_UNITS = [
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1]
+]
+
+// Keeps metric cards current from a channel that pushes { type: "metrics",
+// metrics } and falls back to polling urlValue (same shape as `metrics`) while
+// the socket is down, but only while the tab is visible. Elements declare what
+// they show:
+//
+//   data-live-metrics-target="metric" data-metric="costs.today_cost" data-metric-format="currency"
+//   data-live-metrics-target="metric" data-metric="pipeline.sources.reddit.status" data-metric-labels='{"running":"실행 중"}'
+//   data-live-metrics-target="tone"   data-metric="pipeline.sources.reddit.status" data-metric-tones='{"running":"bg-green-500"}'
+//   data-live-metrics-target="toggle" data-metric="pipeline.sources.reddit.last_error"  (hidden while blank or zero)
+//
+// Connects to data-controller="live-metrics"
+export default class extends Controller {
+  static targets = ["metric", "tone", "toggle", "updatedAt", "mode", "modeIndicator"]
+  static values = {
+    url: String,
+    channel: String,
+    interval: { type: Number, default: 10000 }
+  }
+
+  connect() {
+    this.live = false
+    this.lastUpdate = Date.now()
+
+    this.handleVisibility = () => this.schedulePoll()
+    document.addEventListener("visibilitychange", this.handleVisibility)
+
+    if (this.channelValue) {
+      this.subscription = subscribe({ channel: this.channelValue }, {
+        connected: () => this.setLive(true),
+        disconnected: () => this.setLive(false),
+        rejected: () => this.setLive(false),
+        received: (data) => {
+          if (data.type === "metrics") this.apply(data.metrics)
+        }
+      })
+    }
+
+    this.schedulePoll()
+  }
+
+  disconnect() {
+    document.removeEventListener("visibilitychange", this.handleVisibility)
+    clearTimeout(this.pollTimer)
+
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+  }
+
+  // Action methods
+  refresh() {
+    this.lastUpdate = 0
+    this.poll()
+  }
+
+  setLive(live) {
+    this.live = live
+    this.schedulePoll()
+  }
+
+  // Polling
+  schedulePoll() {
+    clearTimeout(this.pollTimer)
+    this.renderMode()
+
+    if (this.live || document.hidden || !this.urlValue) return
+
+    // Coming back to a tab that missed a tick fetches straight away
+    const wait = Math.max(0, this.intervalValue - (Date.now() - this.lastUpdate))
+    this.pollTimer = setTimeout(() => this.poll(), wait)
+  }
+
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+
+    try {
+      const response = await fetch(this.urlValue, {
+        headers: { "Accept": "application/json" },
+        credentials: "same-origin"
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      this.apply(await response.json())
+    } catch (error) {
+      console.error("Failed to fetch metrics:", error)
+      this.lastUpdate = Date.now()
+    } finally {
+      this.polling = false
+      this.schedulePoll()
+    }
+  }
+
+  // Rendering
+  apply(metrics) {
+    if (!metrics) return
+
+    this.lastUpdate = Date.now()
+
+    this.metricTargets.forEach(element => {
+      element.textContent = this.format(this.read(metrics, element), element)
+    })
+
+    this.toneTargets.forEach(element => {
+      const tones = this.parseMap(element.dataset.metricTones)
+      const value = this.read(metrics, element)
+
+      element.classList.remove(...Object.values(tones).flatMap(classes => classes.split(" ")))
+      const classes = tones[value] ?? tones.default
+      if (classes) element.classList.add(...classes.split(" "))
+    })
+
+    this.toggleTargets.forEach(element => {
+      const value = this.read(metrics, element)
+      element.classList.toggle("hidden", value === null || value === undefined || value === "" || value === 0)
+    })
+
+    if (this.hasUpdatedAtTarget) {
+      this.updatedAtTarget.textContent = formatTime(metrics.updated_at || this.lastUpdate)
+    }
+  }
+
+  renderMode() {
+    const mode = this.live ? "live" : (document.hidden ? "paused" : "polling")
+
+    if (this.hasModeTarget) this.modeTarget.textContent = t(`metrics.modes.${mode}`)
+    if (this.hasModeIndicatorTarget) {
+      this.modeIndicatorTarget.classList.remove(...Object.values(MODE_CLASSES).flat())
+      this.modeIndicatorTarget.classList.add(...MODE_CLASSES[mode])
+    }
+  }
+
+  // Helpers
+  read(metrics, element) {
+    return element.dataset.metric.split(".").reduce((value, key) => value?.[key], metrics)
+  }
+
+  format(value, element) {
+    if (value === null || value === undefined || value === "") return element.dataset.metricEmpty ?? "—"
+
+    const labels = this.parseMap(element.dataset.metricLabels)
+    if (labels[value] !== undefined) return labels[value]
+
+    switch (element.dataset.metricFormat) {
+      case "number":
+        return formatNumber(Number(value))
+      case "currency":
+        return formatCurrency(Number(value))
+      case "percent":
+        return `${formatNumber(Number(value))}%`
+      case "relative-time":
+        return this.relativeTime(value)
+      default:
+        return String(value)
+    }
+  }
+
+  relativeTime(value) {
+    const seconds = Math.round((new Date(value) - Date.now()) / 1000)
+    const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) || RELATIVE_UNITS.at(-1)
+
+    return formatRelativeTime(Math.round(seconds / size), unit)
+  }
+
+  parseMap(json) {
+    if (!json) return {}
+
+    this.maps ||= new Map()
+    if (!this.maps.has(json)) this.maps.set(json, JSON.parse(json))
+    return this.maps.get(json)
+  }
+}
@@ -0,0 +1,55 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, currentLocale } from "lib/i18n"
+import { toast } from "lib/toast"
+
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365
+
+// Interface language switcher. The choice is kept in a cookie (which is all
+// guests have) and, when urlValue is set, saved to the profile, which the
+// server prefers over the cookie. Both the server-rendered pages and the
+// client catalogs follow <html lang>, so the page reloads to switch.
+//
+//   <select data-controller="locale" data-action="change->locale#choose"
+//           data-locale-url-value="/api/v1/locale">...</select>
+//
+// Connects to data-controller="locale"
+export default class extends Controller {
+  static values = { url: String }
+
+  // Action methods
+  async choose() {
+    const locale = this.element.value
+    if (locale === currentLocale()) return
+
+    document.cookie = `locale=${locale}; path=/; max-age=${COOKIE_MAX_AGE}; SameSite=Lax`
+
+    if (this.urlValue && !(await this.save(locale))) {
+      this.element.value = currentLocale()
+      toast.error(t("locale.save_failed"))
+      return
+    }
+
+    window.location.reload()
+  }
+
+  // Helpers
+  async save(locale) {
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        credentials: "same-origin",
+        body: JSON.stringify({ locale })
+      })
+
+      return response.ok
+    } catch (error) {
+      console.error("Failed to save locale:", error)
+      return false
+    }
+  }
+}
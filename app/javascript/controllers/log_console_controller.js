@@ -0,0 +1,282 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribe } from "channels/consumer"
+import { RingBuffer } from "lib/ring_buffer"
+import { t, translateEvent, formatDateTime, formatTime } from "lib/i18n"
+
+const ROW_HEIGHT = 24
+const OVERSCAN = 10
+const BOTTOM_THRESHOLD = 4
+
+const SOURCES = ["stackoverflow", "reddit", "oppadu"]
+
+// Known event types; anything else is filtered as "other"
+const EVENT_STYLES = {
+  collection_start: { icon: "🚀", classes: "text-blue-400" },
+  collection_stop: { icon: "⏹️", classes: "text-yellow-400" },
+  item_collected: { icon: "📄", classes: "text-gray-100" },
+  batch_complete: { icon: "✅", classes: "text-green-400" },
+  error: { icon: "❌", classes: "text-red-400" }
+}
+
+const OTHER_STYLE = { icon: "•", classes: "text-gray-400" }
+
+// Live DataPipelineChannel log. Entries live in a ring buffer of capacityValue
+// and only the rows inside the viewport are in the DOM, so long collection
+// runs keep a flat memory and render cost. All scraped text goes through
+// textContent; nothing from the feed is parsed as HTML.
+// Connects to data-controller="log-console"
+export default class extends Controller {
+  static targets = [
+    "viewport", "spacer", "rows", "empty", "sourceFilter", "typeFilter", "search",
+    "followButton", "count", "details"
+  ]
+  static values = {
+    capacity: { type: Number, default: 2000 }
+  }
+
+  connect() {
+    this.buffer = new RingBuffer(this.capacityValue)
+    this.visible = []
+    this.nextId = 0
+    this.following = true
+    this.unseen = 0
+    this.selectedId = null
+    this.readFilters()
+
+    this.subscription = subscribe(
+      { channel: "DataPipelineChannel" },
+      { received: (data) => this.append(data) }
+    )
+
+    this.render()
+  }
+
+  disconnect() {
+    if (this.subscription) {
+      this.subscription.unsubscribe()
+      this.subscription = null
+    }
+    cancelAnimationFrame(this.frame)
+  }
+
+  append(data) {
+    const entry = {
+      id: this.nextId++,
+      timestamp: data.timestamp || new Date().toISOString(),
+      source: data.source,
+      type: data.type,
+      key: data.key || null,
+      params: data.params || {},
+      message: translateEvent(data),
+      item: data.item || null
+    }
+    entry.text = this.searchText(entry)
+
+    const evicted = this.buffer.push(entry)
+    if (evicted && this.visible[0] === evicted) {
+      this.visible.shift()
+      // Keep the rows under a paused reader from sliding up
+      if (!this.following) this.viewportTarget.scrollTop -= ROW_HEIGHT
+    }
+
+    if (this.matches(entry)) {
+      this.visible.push(entry)
+      if (!this.following) this.unseen++
+    }
+
+    this.scheduleRender()
+  }
+
+  // Action methods
+  filter() {
+    this.readFilters()
+    this.visible = this.buffer.toArray().filter(entry => this.matches(entry))
+    this.unseen = 0
+    this.scheduleRender()
+  }
+
+  scroll() {
+    const viewport = this.viewportTarget
+    const atBottom = viewport.scrollHeight - viewport.scrollTop - viewport.clientHeight <= BOTTOM_THRESHOLD
+
+    // Scrolling up to read pauses following; scrolling back down resumes it
+    if (atBottom !== this.following) this.setFollowing(atBottom)
+    this.scheduleRender()
+  }
+
+  toggleFollow() {
+    this.setFollowing(!this.following)
+    this.scheduleRender()
+  }
+
+  select(event) {
+    const row = event.target.closest("[data-entry-id]")
+    if (!row) return
+
+    const id = Number(row.dataset.entryId)
+    this.selectedId = this.selectedId === id ? null : id
+    this.scheduleRender()
+  }
+
+  clear() {
+    this.buffer.clear()
+    this.visible = []
+    this.unseen = 0
+    this.selectedId = null
+    this.scheduleRender()
+  }
+
+  // One JSON object per line, exactly what is on screen after filtering. The
+  // key and params are kept so an export reads the same in either language.
+  export() {
+    const lines = this.visible.map(({ timestamp, source, type, key, params, message, item }) => JSON.stringify({ timestamp, source, type, key, params, message, item }))
+    const blob = new Blob([lines.join("\n") + (lines.length ? "\n" : "")], { type: "application/x-ndjson" })
+    const link = document.createElement("a")
+
+    link.href = URL.createObjectURL(blob)
+    link.download = `pipeline-log-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  setFollowing(following) {
+    this.following = following
+    if (following) this.unseen = 0
+  }
+
+  // Filtering
+  readFilters() {
+    this.sources = new Set(this.sourceFilterTargets.filter(input => input.checked).map(input => input.value))
+    this.types = new Set(this.typeFilterTargets.filter(input => input.checked).map(input => input.value))
+    this.query = this.hasSearchTarget ? this.searchTarget.value.trim().toLowerCase() : ""
+  }
+
+  matches(entry) {
+    const type = EVENT_STYLES[entry.type] ? entry.type : "other"
+    const typeGroup = type.startsWith("collection_") ? "collection" : type
+
+    if (this.sourceFilterTargets.length > 0 && !this.sources.has(entry.source)) return false
+    if (this.typeFilterTargets.length > 0 && !this.types.has(typeGroup)) return false
+    return !this.query || entry.text.includes(this.query)
+  }
+
+  searchText(entry) {
+    return [entry.message, entry.item?.title, entry.item?.content, sourceLabel(entry.source), entry.source]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase()
+  }
+
+  // Rendering
+  scheduleRender() {
+    if (this.frame) return
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.render()
+    })
+  }
+
+  render() {
+    const viewport = this.viewportTarget
+    const total = this.visible.length
+
+    this.spacerTarget.style.height = `${total * ROW_HEIGHT}px`
+    if (this.following) viewport.scrollTop = viewport.scrollHeight
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const last = Math.min(total, Math.ceil((viewport.scrollTop + viewport.clientHeight) / ROW_HEIGHT) + OVERSCAN)
+
+    this.rowsTarget.style.transform = `translateY(${first * ROW_HEIGHT}px)`
+    this.rowsTarget.replaceChildren(...this.visible.slice(first, last).map(entry => this.buildRow(entry)))
+
+    this.emptyTarget.classList.toggle("hidden", total > 0)
+    this.renderStatus()
+    this.renderDetails()
+  }
+
+  buildRow(entry) {
+    const style = EVENT_STYLES[entry.type] || OTHER_STYLE
+    const row = document.createElement("div")
+    row.className = `flex cursor-pointer items-center gap-2 truncate px-2 ${style.classes} ${entry.id === this.selectedId ? "bg-gray-700" : "hover:bg-gray-800"}`
+    row.style.height = `${ROW_HEIGHT}px`
+    row.dataset.entryId = entry.id
+
+    const time = document.createElement("span")
+    time.className = "flex-shrink-0 text-gray-500"
+    time.textContent = `[${formatTime(entry.timestamp)}]`
+
+    const source = document.createElement("span")
+    source.className = "flex-shrink-0 text-gray-400"
+    source.textContent = sourceLabel(entry.source) || "—"
+
+    const text = document.createElement("span")
+    text.className = "truncate"
+    text.textContent = `${style.icon} ${this.summary(entry)}`
+
+    row.append(time, source, text)
+    return row
+  }
+
+  summary(entry) {
+    if (entry.type === "item_collected" && entry.item) {
+      return entry.item.content ? `${entry.item.title} — ${entry.item.content}` : entry.item.title
+    }
+    return entry.message
+  }
+
+  renderStatus() {
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = t("pipeline.console.count", {
+        visible: this.visible.length,
+        count: this.buffer.length,
+        capacity: this.capacityValue
+      })
+    }
+
+    if (this.hasFollowButtonTarget) {
+      this.followButtonTarget.textContent = this.following
+        ? t("pipeline.console.pause")
+        : t("pipeline.console.resume", { count: this.unseen })
+      this.followButtonTarget.setAttribute("aria-pressed", !this.following)
+    }
+  }
+
+  renderDetails() {
+    if (!this.hasDetailsTarget) return
+
+    const entry = this.visible.find(candidate => candidate.id === this.selectedId)
+    this.detailsTarget.classList.toggle("hidden", !entry)
+    if (!entry) return
+
+    const fields = [
+      [t("pipeline.console.fields.time"), formatDateTime(entry.timestamp, { dateStyle: "medium", timeStyle: "medium" })],
+      [t("pipeline.console.fields.source"), sourceLabel(entry.source)],
+      [t("pipeline.console.fields.type"), entry.type],
+      [t("pipeline.console.fields.message"), entry.message],
+      [t("pipeline.console.fields.title"), entry.item?.title],
+      [t("pipeline.console.fields.content"), entry.item?.content],
+      [t("pipeline.console.fields.images"), entry.item?.has_images ? t("common.yes") : null]
+    ].filter(([, value]) => value)
+
+    this.detailsTarget.replaceChildren(...fields.map(([label, value]) => {
+      const row = document.createElement("div")
+      row.className = "flex gap-3"
+
+      const term = document.createElement("dt")
+      term.className = "w-16 flex-shrink-0 text-gray-500"
+      term.textContent = label
+
+      const description = document.createElement("dd")
+      description.className = "whitespace-pre-wrap break-words text-gray-200"
+      description.textContent = value
+
+      row.append(term, description)
+      return row
+    }))
+  }
+}
+
+function sourceLabel(source) {
+  return SOURCES.includes(source) ? t(`pipeline.sources.${source}`) : source
+}
@@ -1,40 +1,41 @@
 import { Controller } from "@hotwired/stimulus"
+import { trapFocus } from "lib/dialog"
 
+// Slide-over navigation for small screens. While open, focus is trapped in
+// the panel, the page behind is inert and doesn't scroll, Escape closes it and
+// focus returns to the button that opened it.
 // Connects to data-controller="mobile-menu"
 export default class extends Controller {
-  static targets = ["menu", "backdrop"]
+  static targets = ["container", "menu", "backdrop", "trigger"]
 
   connect() {
     this.isOpen = false
-    
-    // Close menu on escape key
-    this.boundHandleEscape = this.handleEscape.bind(this)
-    document.addEventListener("keydown", this.boundHandleEscape)
   }
 
   disconnect() {
-    document.removeEventListener("keydown", this.boundHandleEscape)
+    this.releaseFocus?.()
   }
 
   open() {
+    if (this.isOpen) return
+
     this.isOpen = true
     this.showElements()
-    this.lockBodyScroll()
-    
-    // Focus trap for accessibility
-    this.trapFocus()
+    this.triggerTargets.forEach(trigger => trigger.setAttribute("aria-expanded", "true"))
+
+    const layer = this.hasContainerTarget ? this.containerTarget : this.menuTarget
+    this.releaseFocus = trapFocus(layer, { onEscape: () => this.close() })
   }
 
   close() {
+    if (!this.isOpen) return
+
     this.isOpen = false
     this.hideElements()
-    this.unlockBodyScroll()
-    
-    // Return focus to trigger button
-    const menuButton = document.querySelector('[data-action*="mobile-menu#open"]')
-    if (menuButton) {
-      menuButton.focus()
-    }
+    this.triggerTargets.forEach(trigger => trigger.setAttribute("aria-expanded", "false"))
+
+    this.releaseFocus?.()
+    this.releaseFocus = null
   }
 
   toggle() {
@@ -45,12 +46,6 @@ export default class extends Controller {
     }
   }
 
-  handleEscape(event) {
-    if (event.key === "Escape" && this.isOpen) {
-      this.close()
-    }
-  }
-
   showElements() {
     if (this.hasBackdropTarget) {
       this.backdropTarget.classList.remove("hidden")
@@ -59,7 +54,7 @@ export default class extends Controller {
         this.backdropTarget.classList.add("opacity-100")
       })
     }
-    
+
     if (this.hasMenuTarget) {
       this.menuTarget.classList.remove("hidden")
       // Trigger slide-in animation
@@ -77,7 +72,7 @@ export default class extends Controller {
         this.backdropTarget.classList.add("hidden")
       }, 300)
     }
-    
+
     if (this.hasMenuTarget) {
       this.menuTarget.classList.add("translate-x-full")
       this.menuTarget.classList.remove("translate-x-0")
@@ -86,49 +81,4 @@ export default class extends Controller {
       }, 300)
     }
   }
-
-  lockBodyScroll() {
-    document.body.style.overflow = "hidden"
-  }
-
-  unlockBodyScroll() {
-    document.body.style.overflow = ""
-  }
-
-  trapFocus() {
-    if (!this.hasMenuTarget) return
-
-    const focusableElements = this.menuTarget.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    )
-    
-    if (focusableElements.length === 0) return
-
-    const firstElement = focusableElements[0]
-    const lastElement = focusableElements[focusableElements.length - 1]
-
-    // Focus first element
-    firstElement.focus()
-
-    // Handle tab navigation
-    this.boundHandleTab = (event) => {
-      if (event.key !== "Tab") return
-
-      if (event.shiftKey) {
-        // Shift + Tab
-        if (document.activeElement === firstElement) {
-          event.preventDefault()
-          lastElement.focus()
-        }
-      } else {
-        // Tab
-        if (document.activeElement === lastElement) {
-          event.preventDefault()
-          firstElement.focus()
-        }
-      }
-    }
-
-    document.addEventListener("keydown", this.boundHandleTab)
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,108 @@
+import { Controller } from "@hotwired/stimulus"
+import { onOfflineQueue, replayOfflineQueue, requestQueueStatus, shareOfflineMessages } from "lib/offline"
+import { t, currentLocale } from "lib/i18n"
+
+const BANNER_TONES = {
+  offline: "bg-amber-500 text-white",
+  syncing: "bg-blue-600 text-white",
+  online: "bg-green-600 text-white",
+  warning: "bg-red-600 text-white"
+}
+
+const RESULT_DURATION = 6000
+
+// Banner across the top of every page while the browser is offline, with the
+// number of uploads and analyze requests waiting in the service worker queue.
+// Connects to data-controller="offline-status"
+export default class extends Controller {
+  static targets = ["banner", "message"]
+
+  connect() {
+    this.pending = 0
+    this.result = null
+
+    this.handleOnline = () => this.online()
+    this.handleOffline = () => this.render()
+    window.addEventListener("online", this.handleOnline)
+    window.addEventListener("offline", this.handleOffline)
+
+    this.stopListening = onOfflineQueue(data => this.handleQueue(data))
+    requestQueueStatus()
+    this.shareMessages()
+    this.render()
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.handleOnline)
+    window.removeEventListener("offline", this.handleOffline)
+    this.stopListening()
+    clearTimeout(this.resultTimer)
+  }
+
+  // The worker fills in %{sent} and %{total} itself and picks the plural
+  // form for the total, so both forms go over with the placeholders kept
+  shareMessages() {
+    const body = count => t("offline.notification.body", { count, sent: "%{sent}", total: "%{total}" })
+
+    shareOfflineMessages({
+      locale: currentLocale(),
+      replayed: { title: t("offline.notification.title"), body: { one: body(1), other: body(2) } }
+    })
+  }
+
+  online() {
+    replayOfflineQueue()
+    this.render()
+  }
+
+  handleQueue(data) {
+    switch (data.type) {
+      case "offline-queue:status":
+        this.pending = data.pending
+        break
+      case "offline-queue:replayed":
+        this.showResult(data.results)
+        break
+    }
+
+    this.render()
+  }
+
+  showResult(results) {
+    const failed = results.filter(result => !result.ok)
+    const sent = results.length - failed.length
+
+    let message = t("offline.replayed", { count: sent })
+    if (failed.length > 0) {
+      message += ` ${t("offline.replay_failed", { count: failed.length, error: failed[0].data?.error || `HTTP ${failed[0].status}` })}`
+    }
+
+    this.result = { message, tone: failed.length > 0 ? "warning" : "online" }
+
+    clearTimeout(this.resultTimer)
+    this.resultTimer = setTimeout(() => {
+      this.result = null
+      this.render()
+    }, RESULT_DURATION)
+  }
+
+  // Rendering
+  render() {
+    const waiting = this.pending > 0 ? ` ${t("offline.waiting", { count: this.pending })}` : ""
+
+    if (!navigator.onLine) {
+      this.show("offline", `${t("offline.offline")}${waiting}`)
+    } else if (this.result) {
+      this.show(this.result.tone, this.result.message)
+    } else if (this.pending > 0) {
+      this.show("syncing", t("offline.syncing", { count: this.pending }))
+    } else {
+      this.bannerTarget.classList.add("hidden")
+    }
+  }
+
+  show(tone, message) {
+    this.messageTarget.textContent = message
+    this.bannerTarget.className = `px-4 py-2 text-center text-sm font-medium ${BANNER_TONES[tone]}`
+  }
+}
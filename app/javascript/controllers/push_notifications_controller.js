@@ -0,0 +1,209 @@
+import { Controller } from "@hotwired/stimulus"
+import { currentPushSubscription, pushRequest, pushSupported, subscribePush, unsubscribePush } from "lib/push_notifications"
+import { t, formatDate, formatDateTime } from "lib/i18n"
+
+// Turns Web Push on or off for this browser and lists every device that
+// receives notifications, each with a test and a remove button.
+// Connects to data-controller="push-notifications"
+export default class extends Controller {
+  static targets = ["status", "enableButton", "disableButton", "devices", "error"]
+  static values = {
+    url: String,
+    publicKey: String
+  }
+
+  connect() {
+    this.devices = []
+    this.endpoint = null
+
+    if (!pushSupported()) {
+      this.setStatus(t("push.unsupported"))
+      this.toggleButtons({ enable: false, disable: false })
+      return
+    }
+
+    if (!this.publicKeyValue) {
+      this.setStatus(t("push.not_configured"))
+      this.toggleButtons({ enable: false, disable: false })
+      return
+    }
+
+    this.load()
+  }
+
+  async load() {
+    this.clearError()
+
+    try {
+      const [data, subscription] = await Promise.all([pushRequest(this.urlValue), currentPushSubscription()])
+
+      this.devices = data.devices
+      this.endpoint = subscription?.endpoint || null
+      this.render()
+    } catch (error) {
+      console.error("Failed to load push devices:", error)
+      this.showError(error.message)
+    }
+  }
+
+  // Action methods
+  async enable() {
+    this.clearError()
+    this.toggleButtons({ enable: false, disable: false })
+
+    try {
+      const device = await subscribePush(this.publicKeyValue)
+      this.endpoint = device.endpoint
+      this.devices = [device, ...this.devices.filter(existing => existing.id !== device.id)]
+    } catch (error) {
+      console.error("Failed to enable push notifications:", error)
+      this.showError(error.message)
+    } finally {
+      this.render()
+    }
+  }
+
+  async disable() {
+    this.clearError()
+    this.toggleButtons({ enable: false, disable: false })
+
+    try {
+      const endpoint = await unsubscribePush()
+      const device = this.devices.find(existing => existing.endpoint === endpoint)
+      if (device) await this.destroy(device)
+      this.endpoint = null
+    } catch (error) {
+      console.error("Failed to disable push notifications:", error)
+      this.showError(error.message)
+    } finally {
+      this.render()
+    }
+  }
+
+  async remove(event) {
+    const device = this.devices.find(existing => existing.id === event.params.id)
+    if (!device) return
+
+    this.clearError()
+
+    try {
+      if (device.endpoint === this.endpoint) {
+        await unsubscribePush()
+        this.endpoint = null
+      }
+      await this.destroy(device)
+    } catch (error) {
+      console.error("Failed to remove device:", error)
+      this.showError(error.message)
+    } finally {
+      this.render()
+    }
+  }
+
+  async test(event) {
+    const button = event.currentTarget
+    this.clearError()
+    button.disabled = true
+
+    try {
+      await pushRequest(`${this.urlValue}/${event.params.id}/test`, { method: "POST" })
+      button.textContent = t("push.sent")
+    } catch (error) {
+      console.error("Test notification failed:", error)
+      this.showError(error.message)
+      this.load()
+    } finally {
+      setTimeout(() => {
+        button.disabled = false
+        button.textContent = t("push.test")
+      }, 3000)
+    }
+  }
+
+  async destroy(device) {
+    await pushRequest(`${this.urlValue}/${device.id}`, { method: "DELETE" })
+    this.devices = this.devices.filter(existing => existing.id !== device.id)
+  }
+
+  // Rendering
+  render() {
+    const subscribed = this.devices.some(device => device.endpoint === this.endpoint)
+
+    if (Notification.permission === "denied") {
+      this.setStatus(t("push.blocked"))
+    } else if (subscribed) {
+      this.setStatus(t("push.subscribed"))
+    } else {
+      this.setStatus(t("push.prompt"))
+    }
+
+    this.toggleButtons({ enable: !subscribed && Notification.permission !== "denied", disable: subscribed })
+    this.renderDevices()
+  }
+
+  renderDevices() {
+    if (!this.hasDevicesTarget) return
+
+    this.devicesTarget.classList.toggle("hidden", this.devices.length === 0)
+    this.devicesTarget.replaceChildren(...this.devices.map(device => {
+      const item = document.createElement("li")
+      item.className = "flex items-center justify-between py-2"
+
+      const details = document.createElement("div")
+      const name = document.createElement("p")
+      name.className = "text-sm text-gray-900 dark:text-white"
+      name.textContent = device.endpoint === this.endpoint ? t("push.this_device", { name: device.device_name }) : device.device_name
+
+      const meta = document.createElement("p")
+      meta.className = "text-xs text-gray-500 dark:text-gray-400"
+      meta.textContent = device.last_used_at
+        ? t("push.last_notified", { time: formatDateTime(device.last_used_at) })
+        : t("push.added", { date: formatDate(device.created_at) })
+
+      details.append(name, meta)
+
+      const actions = document.createElement("div")
+      actions.className = "flex items-center space-x-2"
+      actions.append(
+        this.deviceButton(t("push.test"), "push-notifications#test", device.id),
+        this.deviceButton(t("push.remove"), "push-notifications#remove", device.id)
+      )
+
+      item.append(details, actions)
+      return item
+    }))
+  }
+
+  deviceButton(label, action, id) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+    button.textContent = label
+    button.dataset.action = action
+    button.setAttribute("data-push-notifications-id-param", id)
+    return button
+  }
+
+  toggleButtons({ enable, disable }) {
+    if (this.hasEnableButtonTarget) this.enableButtonTarget.classList.toggle("hidden", !enable)
+    if (this.hasDisableButtonTarget) this.disableButtonTarget.classList.toggle("hidden", !disable)
+  }
+
+  setStatus(message) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = message
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+}
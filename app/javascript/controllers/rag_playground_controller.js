@@ -0,0 +1,663 @@
+import { Controller } from "@hotwired/stimulus"
+import { Chart, registerables } from "chart.js"
+import { t, formatNumber, formatPercent, formatDateTime as formatLocalDateTime } from "lib/i18n"
+
+Chart.register(...registerables)
+
+const MAX_CONFIGURATIONS = 4
+const CONFIGURATION_NAMES = ["A", "B", "C", "D"]
+const DEFAULT_CONFIGURATION = { top_k: 5, similarity_threshold: 0.7, index: "hybrid" }
+
+const INDEXES = ["hybrid", "semantic", "keyword"]
+
+const HISTORY_METRICS = {
+  avg_search_time_ms: { format: value => formatMs(value) },
+  avg_generation_time_ms: { format: value => formatMs(value) },
+  avg_documents_retrieved: { format: value => t("playground.documents", { count: formatNumber(value, { maximumFractionDigits: 1 }) }) },
+  avg_similarity: { format: value => formatPercent(value) }
+}
+
+const GRID_CLASSES = {
+  1: "grid grid-cols-1 gap-4",
+  2: "grid grid-cols-1 gap-4 lg:grid-cols-2",
+  3: "grid grid-cols-1 gap-4 lg:grid-cols-3",
+  4: "grid grid-cols-1 gap-4 lg:grid-cols-2 xl:grid-cols-4"
+}
+
+const CHART_COLOR = "#3b82f6"
+
+const INPUT_CLASS = "mt-1 w-full rounded-md border border-gray-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+
+// Runs one query under up to four retrieval configurations side by side and
+// highlights the query terms in every retrieved chunk. Queries saved into the
+// regression set are rerun together, and each rerun's averages are charted so
+// a change to the index or the defaults can be judged against earlier runs.
+// Connects to data-controller="rag-playground"
+export default class extends Controller {
+  static targets = [
+    "query", "generate", "configurations", "addConfiguration", "runButton", "saveButton",
+    "error", "results", "savedQueries", "runAllButton", "regressionStatus", "regressionResults",
+    "historyMetric", "historyChart", "historyTable", "recentRuns"
+  ]
+  static values = {
+    searchUrl: String,
+    queriesUrl: String,
+    regressionUrl: String,
+    historyUrl: String
+  }
+
+  connect() {
+    this.configurations = [{ ...DEFAULT_CONFIGURATION }, { ...DEFAULT_CONFIGURATION, index: "semantic" }]
+    this.history = { batches: [], recent_runs: [] }
+
+    const canvas = document.createElement("canvas")
+    canvas.setAttribute("role", "img")
+    this.historyEmpty = document.createElement("p")
+    this.historyEmpty.className = "hidden absolute inset-0 flex items-center justify-center text-sm text-gray-500"
+    this.historyEmpty.textContent = t("playground.no_regression_history")
+    this.historyChartTarget.classList.add("relative")
+    this.historyChartTarget.replaceChildren(canvas, this.historyEmpty)
+    this.historyChart = new Chart(canvas, this.historyChartConfig())
+
+    this.renderConfigurations()
+    this.loadSavedQueries()
+    this.loadHistory()
+  }
+
+  disconnect() {
+    this.historyChart.destroy()
+  }
+
+  // Action methods
+  async run(event) {
+    event?.preventDefault()
+    const query = this.queryTarget.value.trim()
+    if (!query) return this.showError(t("playground.errors.query_required"))
+
+    this.clearError()
+    this.setBusy(this.runButtonTarget, true, t("playground.running"))
+
+    try {
+      const data = await this.request(this.searchUrlValue, {
+        method: "POST",
+        body: { query, configurations: this.configurations, generate: this.generateTarget.checked }
+      })
+      this.renderResults(data.query, data.results)
+      this.loadHistory()
+    } catch (error) {
+      this.showError(t("playground.errors.search_failed", { message: error.message }))
+    } finally {
+      this.setBusy(this.runButtonTarget, false)
+    }
+  }
+
+  async save() {
+    const query = this.queryTarget.value.trim()
+    if (!query) return this.showError(t("playground.errors.save_query_required"))
+
+    this.clearError()
+    this.setBusy(this.saveButtonTarget, true, t("playground.saving"))
+
+    try {
+      await this.request(this.queriesUrlValue, { method: "POST", body: { query, configurations: this.configurations } })
+      this.loadSavedQueries()
+    } catch (error) {
+      this.showError(t("playground.errors.save_failed", { message: error.message }))
+    } finally {
+      this.setBusy(this.saveButtonTarget, false)
+    }
+  }
+
+  async runAll() {
+    this.clearError()
+    this.setBusy(this.runAllButtonTarget, true, t("playground.rerunning"))
+    this.regressionStatusTarget.textContent = t("playground.regression_running")
+
+    try {
+      const data = await this.request(this.regressionUrlValue, { method: "POST", body: { generate: this.generateTarget.checked } })
+      this.regressionStatusTarget.textContent = this.batchSummary(data.batch)
+      this.renderRegressionResults(data.results)
+      this.loadHistory()
+    } catch (error) {
+      this.regressionStatusTarget.textContent = ""
+      this.showError(t("playground.errors.regression_failed", { message: error.message }))
+    } finally {
+      this.setBusy(this.runAllButtonTarget, false)
+    }
+  }
+
+  addConfiguration() {
+    if (this.configurations.length >= MAX_CONFIGURATIONS) return
+
+    this.configurations.push({ ...this.configurations[this.configurations.length - 1] })
+    this.renderConfigurations()
+  }
+
+  removeConfiguration(index) {
+    if (this.configurations.length <= 1) return
+
+    this.configurations.splice(index, 1)
+    this.renderConfigurations()
+  }
+
+  updateConfiguration(index, key, value) {
+    this.configurations[index][key] = key === "index" ? value : Number(value)
+    if (key === "index") this.renderConfigurations()
+  }
+
+  loadSaved(saved) {
+    this.queryTarget.value = saved.query
+    this.configurations = saved.configurations.map(settings => ({
+      ...DEFAULT_CONFIGURATION,
+      ...settings,
+      similarity_threshold: settings.similarity_threshold ?? DEFAULT_CONFIGURATION.similarity_threshold
+    }))
+    this.renderConfigurations()
+    this.queryTarget.focus()
+  }
+
+  async deleteSaved(saved) {
+    try {
+      await this.request(`${this.queriesUrlValue}/${saved.id}`, { method: "DELETE" })
+      this.loadSavedQueries()
+    } catch (error) {
+      this.showError(t("playground.errors.delete_failed", { message: error.message }))
+    }
+  }
+
+  changeHistoryMetric() {
+    this.renderHistoryChart()
+  }
+
+  // Loading
+  async loadSavedQueries() {
+    try {
+      const data = await this.request(this.queriesUrlValue)
+      this.savedQueries = data.queries
+      this.renderSavedQueries()
+    } catch (error) {
+      this.showError(t("playground.errors.load_queries_failed", { message: error.message }))
+    }
+  }
+
+  async loadHistory() {
+    try {
+      this.history = await this.request(this.historyUrlValue)
+      this.renderHistory()
+    } catch (error) {
+      this.showError(t("playground.errors.load_history_failed", { message: error.message }))
+    }
+  }
+
+  async request(url, { method = "GET", body = null } = {}) {
+    const headers = { "Accept": "application/json" }
+    if (method !== "GET") headers["X-CSRF-Token"] = document.querySelector('meta[name="csrf-token"]')?.content
+    if (body) headers["Content-Type"] = "application/json"
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      credentials: "same-origin",
+      body: body ? JSON.stringify(body) : null
+    })
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) throw new Error(this.errorMessage(data, response.status))
+    return data
+  }
+
+  // Validation details first, then the translation of the server's error
+  // code; the English message is the fallback for codes without one
+  errorMessage(data, status) {
+    if (data.details?.errors?.length) return data.details.errors.join(", ")
+
+    const key = data.code && `playground.errors.codes.${data.code.toLowerCase()}`
+    if (key && t(key) !== key) return t(key)
+
+    return data.message || data.error || `HTTP ${status}`
+  }
+
+  // Rendering
+  renderConfigurations() {
+    this.configurationsTarget.replaceChildren(...this.configurations.map((settings, index) => {
+      const card = document.createElement("div")
+      card.className = "rounded-lg border border-gray-200 p-3"
+
+      const header = document.createElement("div")
+      header.className = "mb-2 flex items-center justify-between"
+
+      const title = document.createElement("span")
+      title.className = "text-sm font-semibold text-gray-900"
+      title.textContent = t("playground.configuration", { name: CONFIGURATION_NAMES[index] })
+      header.append(title)
+
+      if (this.configurations.length > 1) {
+        const remove = document.createElement("button")
+        remove.type = "button"
+        remove.className = "text-xs text-gray-500 hover:text-red-600"
+        remove.textContent = t("common.delete")
+        remove.setAttribute("aria-label", t("playground.remove_configuration", { name: CONFIGURATION_NAMES[index] }))
+        remove.addEventListener("click", () => this.removeConfiguration(index))
+        header.append(remove)
+      }
+
+      const indexField = this.selectField(t("playground.index"), settings.index, indexOptions(), value => this.updateConfiguration(index, "index", value))
+      const topKField = this.numberField("Top-k", settings.top_k, { min: 1, max: 20, step: 1 }, value => this.updateConfiguration(index, "top_k", value))
+      const thresholdField = this.numberField(t("playground.similarity_threshold"), settings.similarity_threshold, { min: 0, max: 1, step: 0.05 }, value => this.updateConfiguration(index, "similarity_threshold", value))
+
+      // Keyword search has no similarity cut-off
+      if (settings.index === "keyword") {
+        thresholdField.querySelector("input").disabled = true
+        thresholdField.title = t("playground.keyword_threshold_hint")
+      }
+
+      const fields = document.createElement("div")
+      fields.className = "grid grid-cols-3 gap-2"
+      fields.append(indexField, topKField, thresholdField)
+
+      card.append(header, fields)
+      return card
+    }))
+
+    this.addConfigurationTarget.disabled = this.configurations.length >= MAX_CONFIGURATIONS
+  }
+
+  renderResults(query, results) {
+    const terms = queryTerms(query)
+    const grid = document.createElement("div")
+    grid.className = GRID_CLASSES[results.length] || GRID_CLASSES[MAX_CONFIGURATIONS]
+
+    grid.append(...results.map((result, index) => {
+      const column = document.createElement("section")
+      column.className = "rounded-lg border border-gray-200 bg-white p-4"
+
+      const title = document.createElement("h5")
+      title.className = "font-semibold text-gray-900"
+      title.textContent = t("playground.configuration", { name: CONFIGURATION_NAMES[index] })
+
+      const subtitle = document.createElement("p")
+      subtitle.className = "mb-3 text-xs text-gray-500"
+      subtitle.textContent = settingsLabel(result.settings)
+
+      column.append(title, subtitle, this.metricsList(result.metrics))
+
+      if (result.error) {
+        column.append(this.errorBox(result.error))
+        return column
+      }
+
+      if (result.answer) {
+        const answer = document.createElement("div")
+        answer.className = "mb-3 whitespace-pre-line rounded-md bg-gray-50 p-3 text-sm text-gray-800"
+        answer.textContent = result.answer
+        column.append(answer)
+      }
+
+      const documents = document.createElement("ol")
+      documents.className = "space-y-2"
+
+      if (result.documents.length === 0) {
+        const empty = document.createElement("li")
+        empty.className = "text-sm text-gray-500"
+        empty.textContent = t("playground.no_documents")
+        documents.append(empty)
+      }
+
+      result.documents.forEach(doc => documents.append(this.documentItem(doc, terms)))
+      column.append(documents)
+      return column
+    }))
+
+    this.resultsTarget.replaceChildren(grid)
+    this.resultsTarget.classList.remove("hidden")
+  }
+
+  documentItem(doc, terms) {
+    const item = document.createElement("li")
+    item.className = "rounded-md border border-gray-200 p-3"
+
+    const meta = document.createElement("div")
+    meta.className = "mb-1 flex items-center justify-between text-xs text-gray-500"
+
+    const source = document.createElement("span")
+    source.textContent = [doc.source, doc.search_type && indexLabel(doc.search_type)].filter(Boolean).join(" · ") || `#${doc.id}`
+
+    const similarity = document.createElement("span")
+    similarity.className = "font-medium text-gray-700"
+    similarity.textContent = doc.similarity == null ? "" : t("playground.similarity", { value: formatPercent(doc.similarity) })
+
+    const content = document.createElement("p")
+    content.className = "max-h-40 overflow-y-auto whitespace-pre-line text-sm text-gray-800"
+    content.append(...highlight(doc.content || "", terms))
+
+    meta.append(source, similarity)
+    item.append(meta, content)
+    return item
+  }
+
+  metricsList(metrics) {
+    const list = document.createElement("dl")
+    list.className = "mb-3 grid grid-cols-2 gap-x-3 gap-y-1 text-xs"
+
+    const entries = [
+      [t("playground.metrics.search_time"), formatMs(metrics.search_time_ms)],
+      [t("playground.metrics.generation_time"), formatMs(metrics.generation_time_ms)],
+      [t("playground.metrics.documents"), t("playground.documents", { count: metrics.documents_retrieved })],
+      [t("playground.metrics.avg_similarity"), metrics.avg_similarity == null ? "—" : formatPercent(metrics.avg_similarity)]
+    ]
+
+    entries.forEach(([label, value]) => {
+      const term = document.createElement("dt")
+      term.className = "text-gray-500"
+      term.textContent = label
+
+      const detail = document.createElement("dd")
+      detail.className = "text-right font-medium text-gray-900"
+      detail.textContent = value
+
+      list.append(term, detail)
+    })
+    return list
+  }
+
+  renderSavedQueries() {
+    this.runAllButtonTarget.disabled = this.savedQueries.length === 0
+
+    if (this.savedQueries.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "py-3 text-sm text-gray-500"
+      empty.textContent = t("playground.no_saved_queries")
+      this.savedQueriesTarget.replaceChildren(empty)
+      return
+    }
+
+    this.savedQueriesTarget.replaceChildren(...this.savedQueries.map(saved => {
+      const item = document.createElement("li")
+      item.className = "flex items-start justify-between gap-4 py-3"
+
+      const text = document.createElement("div")
+      text.className = "min-w-0"
+
+      const query = document.createElement("p")
+      query.className = "truncate text-sm font-medium text-gray-900"
+      query.textContent = saved.query
+
+      const settings = document.createElement("p")
+      settings.className = "text-xs text-gray-500"
+      settings.textContent = saved.configurations.map(settingsLabel).join(" / ")
+
+      const actions = document.createElement("div")
+      actions.className = "flex flex-shrink-0 gap-2"
+      actions.append(
+        this.textButton(t("playground.load"), "text-blue-600 hover:text-blue-800", () => this.loadSaved(saved)),
+        this.textButton(t("common.delete"), "text-gray-500 hover:text-red-600", () => this.deleteSaved(saved))
+      )
+
+      text.append(query, settings)
+      item.append(text, actions)
+      return item
+    }))
+  }
+
+  renderRegressionResults(results) {
+    const table = document.createElement("table")
+    table.className = "min-w-full divide-y divide-gray-200 text-sm"
+
+    const head = document.createElement("thead")
+    head.append(tableRow([t("playground.columns.query"), t("playground.columns.settings"), t("playground.metrics.search_time"), t("playground.metrics.generation_time"), t("playground.metrics.documents")], "th", "px-3 py-2 text-left text-xs font-medium uppercase text-gray-500"))
+
+    const body = document.createElement("tbody")
+    body.className = "divide-y divide-gray-100"
+    results.forEach(result => result.runs.forEach((run, index) => {
+      const row = tableRow([
+        index === 0 ? result.query : "",
+        settingsLabel(run.settings),
+        run.error ? t("playground.run_error", { message: run.error }) : formatMs(run.metrics.search_time_ms),
+        formatMs(run.metrics.generation_time_ms),
+        t("playground.documents", { count: run.metrics.documents_retrieved })
+      ], "td", "px-3 py-2 text-gray-700")
+      if (run.error) row.classList.add("bg-red-50")
+      body.append(row)
+    }))
+
+    table.append(head, body)
+    this.regressionResultsTarget.replaceChildren(table)
+    this.regressionResultsTarget.classList.remove("hidden")
+  }
+
+  renderHistory() {
+    this.renderHistoryChart()
+    this.renderHistoryTable()
+    this.renderRecentRuns()
+  }
+
+  renderHistoryChart() {
+    const batches = this.history.batches
+    const [runs] = this.historyChart.data.datasets
+
+    this.historyChart.data.labels = batches.map(batch => formatDateTime(batch.started_at))
+    runs.label = this.historyMetricTarget.selectedOptions[0]?.text || ""
+    runs.data = batches.map(batch => batch[this.historyMetricTarget.value] || 0)
+    this.historyChart.update()
+    this.historyEmpty.classList.toggle("hidden", batches.length > 0)
+  }
+
+  // Ticks and tooltips go through the picked metric's formatter
+  historyChartConfig() {
+    const format = value => (HISTORY_METRICS[this.historyMetricTarget.value] || HISTORY_METRICS.avg_search_time_ms).format(value)
+
+    return {
+      type: "line",
+      data: {
+        labels: [],
+        datasets: [{ label: "", data: [], borderColor: CHART_COLOR, backgroundColor: `${CHART_COLOR}1a`, borderWidth: 2, fill: "origin", pointBackgroundColor: "#fff" }]
+      },
+      options: {
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        scales: {
+          x: { ticks: { autoSkip: true, maxTicksLimit: 8, maxRotation: 0 }, grid: { display: false } },
+          y: { beginAtZero: true, ticks: { maxTicksLimit: 5, callback: value => format(value) } }
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { label: context => `${context.dataset.label}: ${format(context.parsed.y)}` } }
+        }
+      }
+    }
+  }
+
+  renderHistoryTable() {
+    const rows = [...this.history.batches].reverse().map(batch => {
+      const row = tableRow([
+        formatDateTime(batch.started_at),
+        batch.failures > 0 ? t("playground.runs_with_failures", { count: batch.runs, failures: batch.failures }) : t("playground.runs", { count: batch.runs }),
+        formatMs(batch.avg_search_time_ms),
+        formatMs(batch.avg_generation_time_ms),
+        batch.avg_documents_retrieved == null ? "—" : HISTORY_METRICS.avg_documents_retrieved.format(batch.avg_documents_retrieved),
+        batch.avg_similarity == null ? "—" : HISTORY_METRICS.avg_similarity.format(batch.avg_similarity)
+      ], "td", "px-3 py-2 text-gray-700")
+      if (batch.failures > 0) row.classList.add("bg-red-50")
+      return row
+    })
+
+    this.historyTableTarget.replaceChildren(...rows)
+  }
+
+  renderRecentRuns() {
+    const runs = this.history.recent_runs
+
+    if (runs.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "py-2 text-sm text-gray-500"
+      empty.textContent = t("playground.no_recent_runs")
+      this.recentRunsTarget.replaceChildren(empty)
+      return
+    }
+
+    this.recentRunsTarget.replaceChildren(...runs.map(run => {
+      const item = document.createElement("li")
+      item.className = "flex justify-between gap-4 py-2 text-sm"
+
+      const label = document.createElement("span")
+      label.className = "truncate text-gray-700"
+      label.textContent = `${run.query} — ${settingsLabel(run.settings)}`
+
+      const value = document.createElement("span")
+      value.className = run.error ? "flex-shrink-0 text-red-600" : "flex-shrink-0 text-gray-500"
+      value.textContent = run.error ? t("playground.failed") : `${formatMs(run.search_time_ms)} · ${t("playground.documents", { count: run.documents_retrieved })}`
+
+      item.append(label, value)
+      return item
+    }))
+  }
+
+  // Helpers
+  selectField(labelText, selected, options, onChange) {
+    const label = this.fieldLabel(labelText)
+    const select = document.createElement("select")
+    select.className = INPUT_CLASS
+
+    Object.entries(options).forEach(([value, text]) => {
+      const option = document.createElement("option")
+      option.value = value
+      option.textContent = text
+      option.selected = value === selected
+      select.append(option)
+    })
+
+    select.addEventListener("change", () => onChange(select.value))
+    label.append(select)
+    return label
+  }
+
+  numberField(labelText, value, { min, max, step }, onChange) {
+    const label = this.fieldLabel(labelText)
+    const input = document.createElement("input")
+    input.type = "number"
+    input.className = INPUT_CLASS
+    Object.assign(input, { min, max, step, value })
+
+    input.addEventListener("change", () => {
+      const clamped = Math.min(Math.max(Number(input.value) || min, min), max)
+      input.value = clamped
+      onChange(clamped)
+    })
+    label.append(input)
+    return label
+  }
+
+  fieldLabel(text) {
+    const label = document.createElement("label")
+    label.className = "block text-xs text-gray-600"
+    label.textContent = text
+    return label
+  }
+
+  textButton(text, colorClass, onClick) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = `text-sm font-medium ${colorClass}`
+    button.textContent = text
+    button.addEventListener("click", onClick)
+    return button
+  }
+
+  errorBox(message) {
+    const box = document.createElement("div")
+    box.className = "rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700"
+    box.textContent = t("playground.errors.search_failed", { message })
+    return box
+  }
+
+  batchSummary(batch) {
+    const parts = [
+      t("playground.summary.runs", { count: batch.runs }),
+      t("playground.summary.avg_search", { time: formatMs(batch.avg_search_time_ms) })
+    ]
+    if (batch.avg_generation_time_ms != null) parts.push(t("playground.summary.avg_generation", { time: formatMs(batch.avg_generation_time_ms) }))
+    if (batch.failures > 0) parts.push(t("playground.summary.failures", { count: batch.failures }))
+    return parts.join(" · ")
+  }
+
+  setBusy(button, busy, busyText = "") {
+    if (busy) {
+      button.dataset.idleText = button.textContent
+      button.textContent = busyText
+    } else if (button.dataset.idleText) {
+      button.textContent = button.dataset.idleText
+    }
+    button.disabled = busy
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  clearError() {
+    this.errorTarget.textContent = ""
+    this.errorTarget.classList.add("hidden")
+  }
+}
+
+function indexLabel(index) {
+  return INDEXES.includes(index) ? t(`playground.indexes.${index}`) : index
+}
+
+function indexOptions() {
+  return Object.fromEntries(INDEXES.map(index => [index, indexLabel(index)]))
+}
+
+function settingsLabel(settings) {
+  const parts = [indexLabel(settings.index), `top-k ${settings.top_k}`]
+  if (settings.similarity_threshold != null) {
+    parts.push(t("playground.threshold", { value: formatNumber(settings.similarity_threshold, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) }))
+  }
+  return parts.join(" · ")
+}
+
+// Words of two or more characters, longest first so overlapping terms
+// highlight the longer match
+function queryTerms(query) {
+  const terms = query.toLowerCase().split(/[\s,.;:!?()[\]{}"'“”‘’]+/).filter(term => term.length >= 2)
+  return [...new Set(terms)].sort((a, b) => b.length - a.length)
+}
+
+// Text and <mark> nodes for text with every term highlighted
+function highlight(text, terms) {
+  if (terms.length === 0) return [document.createTextNode(text)]
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "giu")
+  return text.split(pattern).filter(part => part !== "").map(part => {
+    if (!terms.includes(part.toLowerCase())) return document.createTextNode(part)
+
+    const mark = document.createElement("mark")
+    mark.className = "rounded bg-yellow-200 px-0.5 text-gray-900"
+    mark.textContent = part
+    return mark
+  })
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function tableRow(cells, tag, className) {
+  const row = document.createElement("tr")
+  row.append(...cells.map(text => {
+    const cell = document.createElement(tag)
+    cell.className = className
+    cell.textContent = text
+    return cell
+  }))
+  return row
+}
+
+function formatMs(value) {
+  return value == null ? "—" : `${formatNumber(Math.round(value))}ms`
+}
+
+function formatDateTime(value) {
+  return formatLocalDateTime(value, { month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" })
+}
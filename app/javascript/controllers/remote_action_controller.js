@@ -0,0 +1,97 @@
+import { Controller } from "@hotwired/stimulus"
+import { alertDialog, confirmDialog } from "lib/dialog"
+import { toast, toastAfterReload } from "lib/toast"
+import { t } from "lib/i18n"
+
+// A button that sends one JSON request and reports the outcome, for admin
+// endpoints answering { success, message, error }. Optionally asks first,
+// shows part of the response in a dialog, or reloads the page (the success
+// toast survives the reload).
+//
+//   <button data-controller="remote-action" data-action="remote-action#perform"
+//           data-remote-action-url-value="/admin/knowledge_base/datasets/1/process"
+//           data-remote-action-confirm-value="Start processing this dataset?"
+//           data-remote-action-failure-value="Couldn't start processing"
+//           data-remote-action-reload-value="true">Process</button>
+//
+// success may reference response keys: "Done in {estimated_time} minutes".
+// Connects to data-controller="remote-action"
+export default class extends Controller {
+  static values = {
+    url: String,
+    method: { type: String, default: "post" },
+    params: Object,
+    confirm: String,
+    tone: { type: String, default: "primary" },
+    success: String,
+    failure: String,
+    details: String,
+    reload: Boolean
+  }
+
+  // Action methods
+  async perform(event) {
+    event?.preventDefault()
+    if (this.element.disabled) return
+
+    if (this.confirmValue && !(await confirmDialog({ title: this.confirmValue, tone: this.toneValue }))) return
+
+    this.element.disabled = true
+    try {
+      const data = await this.request()
+
+      if (data.success) {
+        this.succeed(data)
+      } else {
+        toast.error(data.error || this.failureTitle, { title: this.failureTitle })
+      }
+    } catch (error) {
+      toast.error(error.message, { title: this.failureTitle })
+    } finally {
+      this.element.disabled = false
+    }
+  }
+
+  // Helpers
+  async request() {
+    const method = this.methodValue.toUpperCase()
+    const headers = { Accept: "application/json" }
+    let body
+
+    if (method !== "GET") {
+      headers["X-CSRF-Token"] = document.querySelector('meta[name="csrf-token"]')?.content
+      if (Object.keys(this.paramsValue).length > 0) {
+        headers["Content-Type"] = "application/json"
+        body = JSON.stringify(this.paramsValue)
+      }
+    }
+
+    const response = await fetch(this.urlValue, { method, headers, body })
+    return response.json()
+  }
+
+  succeed(data) {
+    if (this.detailsValue) {
+      alertDialog({ title: this.successMessage(data), details: data[this.detailsValue] })
+      return
+    }
+
+    const message = this.successMessage(data)
+    if (this.reloadValue) {
+      toastAfterReload(message, { type: "success" })
+      window.location.reload()
+    } else {
+      toast.success(message)
+    }
+  }
+
+  get failureTitle() {
+    return this.failureValue || t("common.request_failed")
+  }
+
+  successMessage(data) {
+    if (!this.successValue) return data.message || t("common.done")
+
+    return this.successValue.replace(/\{(\w+)\}/g, (match, key) => data[key] ?? match)
+  }
+}
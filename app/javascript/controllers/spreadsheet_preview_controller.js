@@ -0,0 +1,324 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+const ROW_HEIGHT = 28
+const COLUMN_WIDTH = 120
+const GUTTER_WIDTH = 56
+const OVERSCAN = 8
+const RETRY_DELAY = 5000
+const MAX_RETRY_DELAY = 60000
+
+// Read-only workbook grid. Only the cells inside the viewport (plus a few rows
+// of overscan) exist in the DOM; rows are fetched from the server in chunks as
+// they scroll into view. A chunk that fails to load is not requested again
+// until its retry delay (doubling with each failure) passes or the user asks.
+// Connects to data-controller="spreadsheet-preview"
+export default class extends Controller {
+  static targets = ["tabs", "viewport", "canvas", "formulaBar", "status"]
+  static values = { url: String }
+
+  connect() {
+    this.sheets = []
+    this.sheet = null
+    this.chunkSize = 500
+    this.chunks = new Map()
+    this.pending = new Set()
+    this.failed = new Map()
+    this.retryTimer = null
+    this.highlight = null
+    this.frame = null
+
+    this.ready = this.loadSheets()
+  }
+
+  disconnect() {
+    cancelAnimationFrame(this.frame)
+    clearTimeout(this.retryTimer)
+  }
+
+  async loadSheets() {
+    this.setStatus(t("files.preview.loading"))
+
+    try {
+      const data = await this.fetchJSON(this.urlValue)
+
+      this.sheets = data.sheets || []
+      this.chunkSize = data.chunk_size || this.chunkSize
+      this.renderTabs()
+
+      if (this.sheets.length > 0) {
+        this.showSheet(this.sheets[0].name)
+      } else {
+        this.setStatus(t("files.preview.empty"))
+      }
+    } catch (error) {
+      console.error("Failed to load workbook preview:", error)
+      this.setStatus(error.message || t("files.preview.load_failed"))
+    }
+  }
+
+  // Action methods
+  selectSheet(event) {
+    this.showSheet(event.params.sheet)
+  }
+
+  scroll() {
+    this.scheduleRender()
+  }
+
+  retry() {
+    this.failed.clear()
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    this.showDimensions()
+    this.render()
+  }
+
+  inspect(event) {
+    const cell = event.target.closest("[data-cell]")
+    if (!cell || !this.hasFormulaBarTarget) return
+
+    const { value, formula } = this.cellAt(Number(cell.dataset.row), Number(cell.dataset.column))
+    this.formulaBarTarget.textContent = `${cell.dataset.cell}  ${formula || value || ""}`
+  }
+
+  // Scrolls to and highlights a reference like "Sheet1!C12", "C12" or "A1:A10"
+  async reveal(event) {
+    const target = this.parseReference(event.detail?.reference)
+    if (!target) return
+
+    await this.ready
+
+    if (target.sheet && target.sheet !== this.sheet?.name) {
+      if (!this.sheets.some(sheet => sheet.name === target.sheet)) return
+      this.showSheet(target.sheet)
+    }
+
+    const viewport = this.viewportTarget
+    viewport.scrollTop = Math.max(0, target.row * ROW_HEIGHT - viewport.clientHeight / 2)
+    viewport.scrollLeft = Math.max(0, GUTTER_WIDTH + (target.column - 1) * COLUMN_WIDTH - viewport.clientWidth / 2)
+
+    this.highlight = target
+    this.render()
+    this.element.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+
+  // Sheets
+  showSheet(name) {
+    const sheet = this.sheets.find(candidate => candidate.name === name)
+    if (!sheet) return
+
+    this.sheet = sheet
+    this.chunks = new Map()
+    this.pending = new Set()
+    this.failed = new Map()
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    this.highlight = null
+
+    this.canvasTarget.style.width = `${GUTTER_WIDTH + sheet.column_count * COLUMN_WIDTH}px`
+    this.canvasTarget.style.height = `${(sheet.row_count + 1) * ROW_HEIGHT}px`
+    this.viewportTarget.scrollTop = 0
+    this.viewportTarget.scrollLeft = 0
+
+    if (this.hasFormulaBarTarget) this.formulaBarTarget.textContent = ""
+    this.showDimensions()
+
+    this.renderTabs()
+    this.render()
+  }
+
+  renderTabs() {
+    if (!this.hasTabsTarget) return
+
+    this.tabsTarget.replaceChildren(...this.sheets.map(sheet => {
+      const active = sheet.name === this.sheet?.name
+      const tab = document.createElement("button")
+
+      tab.type = "button"
+      tab.textContent = sheet.name
+      tab.className = `px-3 py-1.5 text-sm font-medium rounded-t-md border-b-2 whitespace-nowrap ${active ? "border-blue-600 text-blue-700" : "border-transparent text-gray-500 hover:text-gray-700"}`
+      tab.setAttribute("role", "tab")
+      tab.setAttribute("aria-selected", active)
+      tab.dataset.action = "spreadsheet-preview#selectSheet"
+      tab.setAttribute("data-spreadsheet-preview-sheet-param", sheet.name)
+
+      return tab
+    }))
+  }
+
+  // Rows
+  ensureChunk(index) {
+    if (this.chunks.has(index) || this.pending.has(index)) return
+    if (Date.now() < (this.failed.get(index)?.retryAt ?? 0)) return
+
+    const sheetName = this.sheet.name
+    const url = new URL(this.urlValue, window.location.origin)
+    url.searchParams.set("sheet", sheetName)
+    url.searchParams.set("chunk", index)
+
+    this.pending.add(index)
+
+    this.fetchJSON(url)
+      .then(data => {
+        if (this.sheet?.name !== sheetName) return
+
+        this.chunks.set(index, data.rows || [])
+        if (this.failed.delete(index) && this.failed.size === 0) this.showDimensions()
+        this.scheduleRender()
+      })
+      .catch(error => {
+        console.error("Failed to load rows:", error)
+        if (this.sheet?.name === sheetName) this.chunkFailed(index)
+      })
+      .finally(() => {
+        if (this.sheet?.name === sheetName) this.pending.delete(index)
+      })
+  }
+
+  // Waits out the delay before the next automatic attempt; the status line
+  // offers to try again right away
+  chunkFailed(index) {
+    const attempts = (this.failed.get(index)?.attempts ?? 0) + 1
+    const delay = Math.min(RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY)
+
+    this.failed.set(index, { attempts, retryAt: Date.now() + delay })
+
+    clearTimeout(this.retryTimer)
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.render()
+    }, delay)
+
+    const retry = document.createElement("button")
+    retry.type = "button"
+    retry.className = "ml-2 font-medium text-blue-600 hover:text-blue-800"
+    retry.textContent = t("files.preview.retry")
+    retry.dataset.action = "spreadsheet-preview#retry"
+
+    this.setStatus(t("files.preview.rows_failed", { seconds: Math.round(delay / 1000) }), retry)
+  }
+
+  cellAt(row, column) {
+    const chunk = this.chunks.get(Math.floor((row - 1) / this.chunkSize))
+    const cell = chunk?.[(row - 1) % this.chunkSize]?.[column - 1]
+
+    if (Array.isArray(cell)) return { value: cell[0], formula: cell[1], loaded: true }
+    return { value: cell, formula: null, loaded: chunk !== undefined }
+  }
+
+  // Rendering
+  scheduleRender() {
+    if (this.frame) return
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null
+      this.render()
+    })
+  }
+
+  render() {
+    if (!this.sheet) return
+
+    const { scrollTop, scrollLeft, clientHeight, clientWidth } = this.viewportTarget
+    const { row_count: rowCount, column_count: columnCount } = this.sheet
+
+    const firstRow = Math.max(1, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const lastRow = Math.min(rowCount, Math.ceil((scrollTop + clientHeight) / ROW_HEIGHT) + OVERSCAN)
+    const firstColumn = Math.max(1, Math.floor(scrollLeft / COLUMN_WIDTH))
+    const lastColumn = Math.min(columnCount, Math.ceil((scrollLeft + clientWidth) / COLUMN_WIDTH) + 1)
+
+    const fragment = document.createDocumentFragment()
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      this.ensureChunk(Math.floor((row - 1) / this.chunkSize))
+
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        fragment.appendChild(this.buildCell(row, column))
+      }
+    }
+
+    // Headers are drawn last, pinned to the current scroll offset, so they sit
+    // above the cells like frozen panes
+    for (let row = firstRow; row <= lastRow; row++) {
+      fragment.appendChild(this.buildHeader(String(row), scrollLeft, row * ROW_HEIGHT, GUTTER_WIDTH, "text-right pr-2"))
+    }
+
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      fragment.appendChild(this.buildHeader(this.columnName(column), GUTTER_WIDTH + (column - 1) * COLUMN_WIDTH, scrollTop, COLUMN_WIDTH, "text-center"))
+    }
+
+    fragment.appendChild(this.buildHeader("", scrollLeft, scrollTop, GUTTER_WIDTH, ""))
+
+    this.canvasTarget.replaceChildren(fragment)
+  }
+
+  buildCell(row, column) {
+    const { value, formula, loaded } = this.cellAt(row, column)
+    const highlighted = this.highlight?.row === row && this.highlight?.column === column
+
+    const cell = document.createElement("div")
+    cell.className = `absolute truncate border-b border-r border-gray-100 px-2 text-xs leading-7 ${formula ? "text-blue-900" : "text-gray-900"} ${loaded ? "" : "bg-gray-50"} ${highlighted ? "ring-2 ring-inset ring-orange-500 bg-orange-50" : ""}`
+    cell.style.cssText = `top:${row * ROW_HEIGHT}px;left:${GUTTER_WIDTH + (column - 1) * COLUMN_WIDTH}px;width:${COLUMN_WIDTH}px;height:${ROW_HEIGHT}px`
+    cell.textContent = value ?? ""
+
+    cell.dataset.cell = `${this.columnName(column)}${row}`
+    cell.dataset.row = row
+    cell.dataset.column = column
+    if (formula) cell.title = formula
+
+    return cell
+  }
+
+  buildHeader(text, left, top, width, alignment) {
+    const header = document.createElement("div")
+    header.className = `absolute z-10 border-b border-r border-gray-200 bg-gray-50 text-xs font-medium leading-7 text-gray-500 ${alignment}`
+    header.style.cssText = `top:${top}px;left:${left}px;width:${width}px;height:${ROW_HEIGHT}px`
+    header.textContent = text
+
+    return header
+  }
+
+  // Helpers
+  parseReference(reference) {
+    const match = String(reference || "").match(/^(?:'?(.+?)'?!)?\$?([A-Z]{1,3})\$?(\d+)/)
+    if (!match) return null
+
+    return { sheet: match[1] || null, column: this.columnNumber(match[2]), row: Number(match[3]) }
+  }
+
+  columnName(number) {
+    let name = ""
+
+    for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name
+    }
+
+    return name
+  }
+
+  columnNumber(name) {
+    return [...name].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0)
+  }
+
+  showDimensions() {
+    if (!this.sheet) return
+
+    this.setStatus(t("files.preview.dimensions", {
+      rows: t("files.preview.rows", { count: this.sheet.row_count }),
+      columns: t("files.preview.columns", { count: this.sheet.column_count })
+    }))
+  }
+
+  setStatus(message, ...actions) {
+    if (this.hasStatusTarget) this.statusTarget.replaceChildren(message, ...actions)
+  }
+
+  async fetchJSON(url) {
+    const response = await fetch(url, { headers: { "Accept": "application/json" } })
+    const data = await response.json()
+
+    if (!response.ok) throw new Error(data.error || t("common.request_failed"))
+    return data
+  }
+}
@@ -1,167 +1,231 @@
 import { Controller } from "@hotwired/stimulus"
 
+const THEMES = ["light", "dark", "system"]
+const ACCENT_COLORS = ["blue", "violet", "emerald", "orange", "rose"]
+const DEFAULTS = { theme: "system", highContrast: false, accent: "blue" }
+
+const STORAGE_KEY = "appearance"
+const COOKIE_MAX_AGE = 60 * 60 * 24 * 365
+const THEME_COLORS = { light: "#ffffff", dark: "#111827" }
+
+const OPTION_CLASSES = {
+  selected: ["bg-white", "text-gray-900", "shadow-sm", "dark:bg-gray-600", "dark:text-white"],
+  unselected: ["text-gray-500", "hover:text-gray-700", "dark:text-gray-400", "dark:hover:text-gray-200"]
+}
+const ACCENT_CLASSES = {
+  selected: ["ring-2", "ring-offset-2", "ring-gray-900", "dark:ring-white", "dark:ring-offset-gray-800"],
+  unselected: ["ring-0"]
+}
+
+const darkQuery = window.matchMedia("(prefers-color-scheme: dark)")
+
+// Appearance shared by every theme controller on the page. It starts from the
+// values the server rendered on <html> (the signed-in user's profile, or
+// cookies for guests) and falls back to localStorage, then the defaults.
+let appearance = null
+
+function currentAppearance() {
+  if (appearance) return appearance
+
+  const root = document.documentElement.dataset
+  const stored = readStored()
+
+  appearance = {
+    theme: pick(root.themePreferenceValue, stored.theme, THEMES) || DEFAULTS.theme,
+    highContrast: root.themeHighContrastValue !== undefined
+      ? root.themeHighContrastValue === "true"
+      : Boolean(stored.highContrast ?? DEFAULTS.highContrast),
+    accent: pick(root.themeAccentValue, stored.accent, ACCENT_COLORS) || DEFAULTS.accent
+  }
+
+  apply(appearance)
+  storeLocally(appearance)
+
+  darkQuery.addEventListener("change", () => {
+    if (appearance.theme !== "system") return
+
+    apply(appearance)
+    announce()
+  })
+
+  return appearance
+}
+
+// Light, dark or system theme plus high contrast and an accent color. <html>
+// carries one instance with the server's values; every toggle on the page is
+// another instance over the same state, so changing it anywhere updates them
+// all. A change applies at once, is kept in localStorage and cookies (the fast
+// path, so the next page renders right before any request completes) and is
+// saved to the profile when the <html> instance has a urlValue.
+//
+//   data-theme-target="option" data-action="theme#choose" data-theme-choice-param="system"
+//   data-theme-target="highContrast" data-action="theme#toggleHighContrast"
+//   data-theme-target="accent" data-action="theme#chooseAccent" data-theme-accent-param="violet"
+//
 // Connects to data-controller="theme"
 export default class extends Controller {
-  static values = { 
-    value: String 
+  static targets = ["option", "highContrast", "accent"]
+  static values = {
+    preference: String,
+    highContrast: Boolean,
+    accent: String,
+    url: String
   }
-  static targets = ["switch", "handle", "lightIcon", "darkIcon", "lightLabel", "darkLabel"]
 
   connect() {
-    // Apply initial theme
-    const initialTheme = this.valueValue || this.getStoredTheme() || this.getSystemTheme()
-    this.applyTheme(initialTheme)
-    this.updateToggleUI(initialTheme)
-    
-    // Listen for system theme changes
-    this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)')
-    this.boundHandleChange = this.handleSystemThemeChange.bind(this)
-    this.mediaQuery.addEventListener('change', this.boundHandleChange)
+    this.render = this.render.bind(this)
+    document.addEventListener("theme:changed", this.render)
+
+    currentAppearance()
+    this.render()
   }
 
   disconnect() {
-    if (this.mediaQuery) {
-      this.mediaQuery.removeEventListener('change', this.boundHandleChange)
-    }
+    document.removeEventListener("theme:changed", this.render)
   }
 
-  toggle() {
-    const currentTheme = this.getCurrentTheme()
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark'
-    this.setTheme(newTheme)
+  // Action methods
+  choose(event) {
+    if (THEMES.includes(event.params.choice)) this.update({ theme: event.params.choice })
   }
 
-  setTheme(theme) {
-    this.applyTheme(theme)
-    this.storeTheme(theme)
-    this.updateCookie(theme)
-    this.updateToggleUI(theme)
-    
-    // Dispatch custom event for other components
-    this.dispatch('changed', { 
-      detail: { theme } 
-    })
+  // Switches between light and dark, resolving "system" to whichever is showing
+  toggle() {
+    this.update({ theme: resolvedTheme(currentAppearance()) === "dark" ? "light" : "dark" })
   }
 
-  applyTheme(theme) {
-    const html = document.documentElement
-    
-    if (theme === 'dark') {
-      html.classList.add('dark')
-    } else {
-      html.classList.remove('dark')
-    }
-    
-    // Update theme-color meta tag for mobile browsers
-    this.updateThemeColorMeta(theme)
-    
-    // Store current theme
-    this.currentTheme = theme
+  toggleHighContrast() {
+    this.update({ highContrast: !currentAppearance().highContrast })
   }
 
-  getCurrentTheme() {
-    return this.currentTheme || 
-           this.getStoredTheme() || 
-           this.getSystemTheme()
+  chooseAccent(event) {
+    if (ACCENT_COLORS.includes(event.params.accent)) this.update({ accent: event.params.accent })
   }
 
-  getStoredTheme() {
-    return localStorage.getItem('theme')
-  }
+  update(changes) {
+    appearance = { ...currentAppearance(), ...changes }
 
-  getSystemTheme() {
-    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+    apply(appearance)
+    storeLocally(appearance)
+    announce()
+    this.save(appearance)
   }
 
-  storeTheme(theme) {
-    localStorage.setItem('theme', theme)
-  }
+  async save({ theme, highContrast, accent }) {
+    const url = document.documentElement.dataset.themeUrlValue
+    if (!url) return
 
-  updateCookie(theme) {
-    // Set cookie for server-side rendering
-    document.cookie = `theme=${theme}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`
-  }
+    try {
+      const response = await fetch(url, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        credentials: "same-origin",
+        body: JSON.stringify({ appearance: { theme, high_contrast: highContrast, accent_color: accent } })
+      })
 
-  updateThemeColorMeta(theme) {
-    let metaThemeColor = document.querySelector('meta[name="theme-color"]')
-    
-    if (!metaThemeColor) {
-      metaThemeColor = document.createElement('meta')
-      metaThemeColor.name = 'theme-color'
-      document.head.appendChild(metaThemeColor)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    } catch (error) {
+      // Still applied and stored on this device; the profile catches up on the next change
+      console.error("Failed to save appearance:", error)
     }
-    
-    // Set appropriate theme color
-    metaThemeColor.content = theme === 'dark' ? '#111827' : '#ffffff'
   }
 
-  updateToggleUI(theme) {
-    const isDark = theme === 'dark'
-    
-    // Update switch position and background
-    if (this.hasHandleTarget) {
-      if (isDark) {
-        this.handleTarget.classList.remove('translate-x-0')
-        this.handleTarget.classList.add('translate-x-5')
-      } else {
-        this.handleTarget.classList.remove('translate-x-5')
-        this.handleTarget.classList.add('translate-x-0')
-      }
-    }
+  // Rendering
+  render() {
+    const { theme, highContrast, accent } = currentAppearance()
 
-    if (this.hasSwitchTarget) {
-      if (isDark) {
-        this.switchTarget.classList.remove('bg-gray-200')
-        this.switchTarget.classList.add('bg-blue-600')
-      } else {
-        this.switchTarget.classList.remove('bg-blue-600')
-        this.switchTarget.classList.add('bg-gray-200')
-      }
-      
-      // Update aria-checked
-      this.switchTarget.setAttribute('aria-checked', isDark.toString())
-    }
-  }
-
-  handleSystemThemeChange(event) {
-    // Only auto-switch if user hasn't manually set a preference
-    if (!this.getStoredTheme()) {
-      const newTheme = event.matches ? 'dark' : 'light'
-      this.applyTheme(newTheme)
-      this.updateToggleUI(newTheme)
-    }
-  }
-
-  // Action to set specific theme
-  setLight() {
-    this.setTheme('light')
-  }
-
-  setDark() {
-    this.setTheme('dark')
-  }
+    this.optionTargets.forEach(option => {
+      const selected = option.dataset.themeChoiceParam === theme
+      option.setAttribute("aria-checked", String(selected))
+      option.tabIndex = selected ? 0 : -1
+      option.classList.remove(...OPTION_CLASSES[selected ? "unselected" : "selected"])
+      option.classList.add(...OPTION_CLASSES[selected ? "selected" : "unselected"])
+    })
 
-  setSystem() {
-    // Remove stored preference to follow system
-    localStorage.removeItem('theme')
-    this.updateCookie('system')
-    
-    const systemTheme = this.getSystemTheme()
-    this.applyTheme(systemTheme)
-    this.updateToggleUI(systemTheme)
-    
-    this.dispatch('changed', { 
-      detail: { theme: 'system', resolved: systemTheme } 
+    this.highContrastTargets.forEach(control => {
+      if (control.type === "checkbox") control.checked = highContrast
+      else control.setAttribute("aria-checked", String(highContrast))
     })
-  }
 
-  // Helper method to check if dark mode is active
-  get isDark() {
-    return this.getCurrentTheme() === 'dark'
+    this.accentTargets.forEach(swatch => {
+      const selected = swatch.dataset.themeAccentParam === accent
+      swatch.setAttribute("aria-checked", String(selected))
+      swatch.classList.remove(...ACCENT_CLASSES[selected ? "unselected" : "selected"])
+      swatch.classList.add(...ACCENT_CLASSES[selected ? "selected" : "unselected"])
+    })
   }
 
-  // Helper method to check if light mode is active
-  get isLight() {
-    return this.getCurrentTheme() === 'light'
-  }
-}
\ No newline at end of file
+  // Arrow keys move between the options of a radiogroup, as for native radios
+  navigate(event) {
+    const keys = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }
+    if (!(event.key in keys)) return
+
+    const group = event.currentTarget.closest('[role="radiogroup"]')
+    const options = [...group.querySelectorAll('[role="radio"]')]
+    const next = options[(options.indexOf(event.currentTarget) + keys[event.key] + options.length) % options.length]
+
+    event.preventDefault()
+    next.focus()
+    next.click()
+  }
+}
+
+// Helpers
+function apply(current) {
+  const root = document.documentElement
+  const theme = resolvedTheme(current)
+
+  root.classList.toggle("dark", theme === "dark")
+  root.classList.toggle("high-contrast", current.highContrast)
+  root.dataset.accent = current.accent
+  root.style.colorScheme = theme
+
+  let meta = document.querySelector('meta[name="theme-color"]')
+  if (!meta) {
+    meta = document.createElement("meta")
+    meta.name = "theme-color"
+    document.head.appendChild(meta)
+  }
+  meta.content = THEME_COLORS[theme]
+}
+
+function resolvedTheme({ theme }) {
+  if (theme !== "system") return theme
+  return darkQuery.matches ? "dark" : "light"
+}
+
+function announce() {
+  document.dispatchEvent(new CustomEvent("theme:changed", {
+    detail: { ...appearance, resolved: resolvedTheme(appearance) }
+  }))
+}
+
+// Cookies let the server render the right classes for guests
+function storeLocally({ theme, highContrast, accent }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ theme, highContrast, accent }))
+  } catch {
+    // Private browsing can refuse storage; cookies still carry the choice
+  }
+
+  const cookie = `; path=/; max-age=${COOKIE_MAX_AGE}; SameSite=Lax`
+  document.cookie = `theme=${theme}${cookie}`
+  document.cookie = `high_contrast=${highContrast}${cookie}`
+  document.cookie = `accent_color=${accent}${cookie}`
+}
+
+function readStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function pick(serverValue, storedValue, allowed) {
+  return [serverValue, storedValue].find(value => allowed.includes(value))
+}
@@ -0,0 +1,604 @@
+import { Controller } from "@hotwired/stimulus"
+import { inspectWorkbook } from "lib/workbook_preflight"
+import { inspectDataset } from "lib/dataset_preflight"
+import { t, formatList, formatNumber } from "lib/i18n"
+
+const RESUME_PREFIX = "upload:"
+const MAX_ATTEMPTS = 6
+
+const INSPECTORS = {
+  workbook: inspectWorkbook,
+  dataset: inspectDataset
+}
+
+const PROBLEM_CLASSES = {
+  error: "text-red-600",
+  warning: "text-amber-700",
+  info: "text-gray-500"
+}
+
+// Queues one or more files and uploads them with real byte progress. Files
+// larger than one chunk go through /api/v1/uploads in pieces; after a dropped
+// connection (or a page reload) the upload continues from the byte count the
+// server reports. Completed uploads are submitted to urlValue by upload_id.
+// With preflightValue set, each file is inspected in a Web Worker when it is
+// added: workbooks by default, or JSONL datasets with preflightType "dataset"
+// (checked for requiredFields and previewed). For workbooks the server's token
+// estimate is shown before anything is spent.
+// Connects to data-controller="upload"
+export default class extends Controller {
+  static targets = ["input", "dropzone", "queue", "submit", "estimate"]
+  static values = {
+    url: String,
+    chunkUrl: String,
+    chunkSize: { type: Number, default: 5 * 1024 * 1024 },
+    maxSize: Number,
+    accept: String,
+    redirect: String,
+    redirectMultiple: String,
+    reload: Boolean,
+    preflight: Boolean,
+    preflightType: { type: String, default: "workbook" },
+    requiredFields: Array,
+    estimateUrl: String
+  }
+
+  connect() {
+    this.items = []
+    this.nextId = 0
+    this.running = false
+  }
+
+  disconnect() {
+    this.items.forEach(item => item.request?.abort())
+  }
+
+  // Action methods
+  browse() {
+    if (!this.inputTarget.disabled) this.inputTarget.click()
+  }
+
+  select() {
+    this.addFiles(this.inputTarget.files)
+    this.inputTarget.value = ""
+  }
+
+  dragOver(event) {
+    event.preventDefault()
+    this.dropzoneTarget.classList.add("border-primary", "bg-primary/10")
+  }
+
+  dragLeave() {
+    this.dropzoneTarget.classList.remove("border-primary", "bg-primary/10")
+  }
+
+  drop(event) {
+    event.preventDefault()
+    this.dragLeave()
+    this.addFiles(event.dataTransfer.files)
+  }
+
+  async upload(event) {
+    event?.preventDefault()
+    if (this.running) return
+
+    this.running = true
+    this.updateSubmit()
+
+    for (const item of this.items) {
+      if (item.status === "checking") await item.checking
+      if (item.status === "queued") await this.uploadItem(item)
+    }
+
+    this.running = false
+    this.updateSubmit()
+    this.finish()
+  }
+
+  cancel(event) {
+    const item = this.findItem(event)
+    if (!item) return
+
+    item.cancelled = true
+    item.request?.abort()
+
+    if (item.uploadId) {
+      this.request("DELETE", `${this.chunkUrlValue}/${item.uploadId}`).catch(() => {})
+      localStorage.removeItem(this.resumeKey(item.file))
+      item.uploadId = null
+    }
+
+    this.setStatus(item, "cancelled")
+  }
+
+  retry(event) {
+    const item = this.findItem(event)
+    if (!item) return
+
+    item.error = null
+    item.cancelled = false
+    this.setStatus(item, "queued")
+    this.upload()
+  }
+
+  remove(event) {
+    const item = this.findItem(event)
+    if (!item || item.status === "uploading") return
+
+    this.items = this.items.filter(candidate => candidate !== item)
+    item.row.remove()
+    this.updateSubmit()
+    this.renderEstimate()
+  }
+
+  // Queue
+  addFiles(fileList) {
+    Array.from(fileList).forEach(file => {
+      const item = { id: this.nextId++, file, status: "queued", loaded: 0, error: null }
+
+      item.row = this.buildRow(item)
+      this.items.push(item)
+      this.queueTarget.appendChild(item.row)
+
+      const problem = this.validate(file)
+      if (problem) {
+        item.error = problem
+        this.setStatus(item, "failed")
+      } else if (this.preflightValue) {
+        item.checking = this.preflight(item)
+      } else {
+        this.setStatus(item, "queued")
+      }
+    })
+
+    this.updateSubmit()
+  }
+
+  // Mirrors the server's checks so obvious mistakes never cost a round trip
+  validate(file) {
+    const extension = `.${file.name.split(".").pop().toLowerCase()}`
+    const allowed = this.acceptValue.split(",").map(type => type.trim()).filter(Boolean)
+
+    if (allowed.length > 0 && !allowed.includes(extension)) {
+      return { code: "INVALID_FILE_TYPE", message: t("files.upload.errors.invalid_type", { types: formatList(allowed) }) }
+    }
+
+    if (this.maxSizeValue && file.size > this.maxSizeValue) {
+      return { code: "FILE_TOO_LARGE", message: t("files.upload.errors.too_large", { size: Math.round(this.maxSizeValue / 1024 / 1024) }) }
+    }
+
+    if (file.size === 0) {
+      return { code: "EMPTY_FILE", message: t("files.upload.errors.empty") }
+    }
+
+    return null
+  }
+
+  // Blocking problems fail the item before upload; warnings are only shown.
+  // The server re-checks everything, so a failed inspection never blocks.
+  async preflight(item) {
+    this.setStatus(item, "checking")
+
+    try {
+      const inspect = INSPECTORS[this.preflightTypeValue] || inspectWorkbook
+      const { stats, problems } = await inspect(item.file, {
+        maxSize: this.maxSizeValue,
+        requiredFields: this.requiredFieldsValue,
+        onProgress: progress => this.setStatus(item, "checking", t("files.upload.checking_progress", { percent: Math.round(progress * 100) }))
+      })
+      const blocking = problems.find(problem => problem.level === "error")
+
+      item.stats = stats
+      item.problems = problems.filter(problem => problem !== blocking)
+
+      if (blocking) {
+        item.error = { code: blocking.code, message: blocking.message }
+      } else if (this.hasEstimateUrlValue) {
+        item.estimate = await this.fetchEstimate(stats)
+      }
+    } catch (error) {
+      console.error("Preflight check failed:", error)
+    }
+
+    if (!this.items.includes(item)) return
+
+    this.renderPreflight(item)
+    this.setStatus(item, item.error ? "failed" : "queued")
+    this.renderEstimate()
+  }
+
+  async fetchEstimate(stats) {
+    const response = await this.request(
+      "POST",
+      this.estimateUrlValue,
+      JSON.stringify({
+        file_size: stats.fileSize,
+        sheet_count: stats.sheetCount,
+        row_count: stats.rowCount,
+        cell_count: stats.cellCount,
+        formula_count: stats.formulaCount
+      }),
+      { "Content-Type": "application/json" }
+    )
+
+    return response.ok ? response.data : null
+  }
+
+  findItem(event) {
+    return this.items.find(item => item.id === event.params.id)
+  }
+
+  // Uploading
+  async uploadItem(item) {
+    this.setStatus(item, "uploading")
+
+    try {
+      // Offline, a single request can be queued by the service worker; chunks cannot
+      const response = item.file.size > this.chunkSizeValue && this.hasChunkUrlValue && navigator.onLine
+        ? await this.uploadChunked(item)
+        : await this.uploadWhole(item)
+
+      if (item.cancelled) return
+
+      if (response.data.queued) {
+        this.setStatus(item, "waiting")
+      } else if (response.ok) {
+        item.result = response.data
+        this.setStatus(item, "done")
+      } else {
+        item.error = this.errorFrom(response.data)
+        this.setStatus(item, "failed")
+      }
+    } catch (error) {
+      if (item.cancelled) return
+
+      console.error("Upload failed:", error)
+      item.error = { code: "NETWORK_ERROR", message: t("files.upload.errors.interrupted") }
+      this.setStatus(item, "failed")
+    }
+  }
+
+  uploadWhole(item) {
+    const body = new FormData()
+    body.append("file", item.file)
+
+    return this.request("POST", this.urlValue, body, {}, item, loaded => this.setProgress(item, loaded))
+  }
+
+  async uploadChunked(item) {
+    const { file } = item
+    let received = await this.openUpload(item)
+    if (received === null) return item.openResponse
+
+    let attempts = 0
+
+    while (received < file.size) {
+      if (item.cancelled) return { ok: false, data: {} }
+
+      const chunk = file.slice(received, received + this.chunkSizeValue)
+      const offset = received
+
+      try {
+        const response = await this.request(
+          "PATCH",
+          `${this.chunkUrlValue}/${item.uploadId}`,
+          chunk,
+          { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) },
+          item,
+          loaded => this.setProgress(item, offset + loaded)
+        )
+
+        if (response.ok || response.status === 409) {
+          // A 409 means the server has a different count; continue from it
+          received = response.data.received_bytes
+          attempts = 0
+          this.setProgress(item, received)
+        } else if (response.status === 404) {
+          localStorage.removeItem(this.resumeKey(file))
+          return response
+        } else {
+          throw new Error(response.data.error || t("files.upload.errors.chunk_rejected"))
+        }
+      } catch (error) {
+        if (item.cancelled || ++attempts >= MAX_ATTEMPTS) throw error
+
+        this.setStatus(item, "uploading", t("files.upload.retrying", { attempt: attempts, max: MAX_ATTEMPTS - 1 }))
+        await this.backoff(attempts)
+        received = await this.resumeOffset(item, received)
+        this.setStatus(item, "uploading")
+      }
+    }
+
+    this.setStatus(item, "processing")
+    localStorage.removeItem(this.resumeKey(file))
+
+    return this.request(
+      "POST",
+      this.urlValue,
+      JSON.stringify({ upload_id: item.uploadId }),
+      { "Content-Type": "application/json" },
+      item
+    )
+  }
+
+  // Returns the byte count to continue from, or null when the upload could not
+  // be opened (item.openResponse then carries the server's answer)
+  async openUpload(item) {
+    const { file } = item
+    const savedId = localStorage.getItem(this.resumeKey(file))
+
+    if (savedId) {
+      const response = await this.request("GET", `${this.chunkUrlValue}/${savedId}`)
+      if (response.ok) {
+        item.uploadId = savedId
+        this.setProgress(item, response.data.received_bytes)
+        return response.data.received_bytes
+      }
+
+      localStorage.removeItem(this.resumeKey(file))
+    }
+
+    const response = await this.request(
+      "POST",
+      this.chunkUrlValue,
+      JSON.stringify({ filename: file.name, size: file.size, content_type: file.type }),
+      { "Content-Type": "application/json" }
+    )
+
+    if (!response.ok) {
+      item.openResponse = response
+      return null
+    }
+
+    item.uploadId = response.data.upload_id
+    this.chunkSizeValue = response.data.chunk_size || this.chunkSizeValue
+    localStorage.setItem(this.resumeKey(file), item.uploadId)
+
+    return 0
+  }
+
+  async resumeOffset(item, fallback) {
+    try {
+      const response = await this.request("GET", `${this.chunkUrlValue}/${item.uploadId}`)
+      return response.ok ? response.data.received_bytes : fallback
+    } catch {
+      return fallback
+    }
+  }
+
+  // Waits 1s, 2s, 4s... or until the browser reports it is back online
+  backoff(attempt) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer)
+        window.removeEventListener("online", done)
+        resolve()
+      }
+      const timer = setTimeout(done, Math.min(1000 * 2 ** (attempt - 1), 30000))
+      window.addEventListener("online", done)
+    })
+  }
+
+  // XHR rather than fetch, because only XHR reports upload progress
+  request(method, url, body = null, headers = {}, item = null, onProgress = null) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest()
+      xhr.open(method, url)
+      xhr.responseType = "json"
+
+      Object.entries({ "Accept": "application/json", "X-CSRF-Token": this.csrfToken, ...headers })
+        .forEach(([name, value]) => { if (value) xhr.setRequestHeader(name, value) })
+
+      if (onProgress) xhr.upload.onprogress = event => onProgress(event.loaded)
+
+      xhr.onload = () => resolve({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, data: xhr.response || {} })
+      xhr.onerror = () => reject(new Error(t("common.network_error")))
+      xhr.onabort = () => reject(new Error(t("files.upload.errors.cancelled")))
+
+      if (item) item.request = xhr
+      xhr.send(body)
+    })
+  }
+
+  errorFrom(data) {
+    return {
+      code: data.details?.reason || data.code || "UPLOAD_ERROR",
+      message: data.error || data.message || t("files.upload.errors.failed")
+    }
+  }
+
+  // Once the queue is drained, go to the new file(s) if everything went through
+  finish() {
+    const done = this.items.filter(item => item.status === "done")
+    if (done.length === 0 || done.length !== this.items.length) return
+
+    if (done.length === 1 && this.redirectValue && done[0].result?.file_id) {
+      window.location.href = this.redirectValue.replace("FILE_ID", done[0].result.file_id)
+    } else if (this.redirectMultipleValue) {
+      window.location.href = this.redirectMultipleValue
+    } else if (this.reloadValue) {
+      window.location.reload()
+    }
+  }
+
+  // Rendering
+  buildRow(item) {
+    const row = this.buildElement("li", "rounded-lg border border-gray-200 bg-white p-3")
+
+    const header = this.buildElement("div", "flex items-center justify-between gap-2")
+    const name = this.buildElement("span", "truncate text-sm font-medium text-gray-900", item.file.name)
+    name.title = item.file.name
+
+    const actions = this.buildElement("div", "flex flex-shrink-0 items-center gap-2")
+    item.statusLabel = this.buildElement("span", "text-xs text-gray-500")
+    item.cancelButton = this.buildButton(t("common.cancel"), "cancel", item)
+    item.retryButton = this.buildButton(t("files.upload.retry"), "retry", item)
+    item.removeButton = this.buildButton(t("files.upload.remove"), "remove", item)
+    actions.append(item.statusLabel, item.cancelButton, item.retryButton, item.removeButton)
+    header.append(name, actions)
+
+    const track = this.buildElement("div", "mt-2 h-1.5 w-full rounded-full bg-gray-200")
+    item.bar = this.buildElement("div", "h-1.5 rounded-full bg-blue-600 transition-all")
+    item.bar.style.width = "0%"
+    track.appendChild(item.bar)
+
+    item.detail = this.buildElement("div", "mt-1 flex justify-between text-xs text-gray-500")
+    item.sizeLabel = this.buildElement("span", null, this.formatBytes(item.file.size))
+    item.percentLabel = this.buildElement("span")
+    item.detail.append(item.sizeLabel, item.percentLabel)
+
+    item.errorLabel = this.buildElement("p", "mt-1 hidden text-xs text-red-600")
+    item.errorLabel.setAttribute("role", "alert")
+
+    item.preflightDetails = this.buildElement("div", "mt-2 hidden space-y-1 text-xs")
+
+    row.append(header, track, item.detail, item.errorLabel, item.preflightDetails)
+    return row
+  }
+
+  renderPreflight(item) {
+    const { stats, problems = [], estimate } = item
+    const details = []
+
+    if (stats?.sheetCount > 0) {
+      const summary = [
+        t("files.upload.stats.sheets", { count: stats.sheetCount }),
+        t("files.upload.stats.rows", { count: stats.rowCount }),
+        t("files.upload.stats.columns", { count: Math.max(...stats.sheets.map(sheet => sheet.columns)) }),
+        t("files.upload.stats.formulas", { count: stats.formulaCount })
+      ]
+      details.push(this.buildElement("p", "text-gray-600", summary.join(" · ")))
+
+      const names = this.buildElement("p", "truncate text-gray-500", t("files.upload.stats.sheet_names", { names: formatList(stats.sheets.map(sheet => sheet.name)) }))
+      names.title = names.textContent
+      details.push(names)
+    }
+
+    if (stats?.recordCount > 0) {
+      const summary = [
+        t("files.upload.stats.records", { count: stats.recordCount }),
+        t("files.upload.stats.valid", { count: stats.validCount }),
+        t("files.upload.stats.repeated_questions", { count: stats.duplicateQuestions })
+      ]
+      details.push(this.buildElement("p", "text-gray-600", summary.join(" · ")))
+    }
+
+    if (estimate) {
+      const line = this.buildElement("p", estimate.affordable ? "font-medium text-gray-900" : "font-medium text-red-600")
+      line.textContent = t("files.upload.estimate.file", { count: estimate.total_tokens, tier: estimate.tier_name })
+      if (!estimate.affordable) line.textContent += ` ${t("files.upload.estimate.available", { count: estimate.tokens_available })}`
+      details.push(line)
+    }
+
+    problems.forEach(problem => {
+      details.push(this.buildElement("p", PROBLEM_CLASSES[problem.level] || PROBLEM_CLASSES.info, `${problem.message} (${problem.code})`))
+    })
+
+    // Paged records, field coverage and duplicates; see dataset_preview_controller
+    if (stats?.preview?.length > 0) {
+      const preview = this.buildElement("div", "pt-1")
+      preview.dataset.controller = "dataset-preview"
+      preview.dataset.datasetPreviewReportValue = JSON.stringify(stats)
+      details.push(preview)
+    }
+
+    item.preflightDetails.replaceChildren(...details)
+    this.toggle(item.preflightDetails, details.length > 0)
+  }
+
+  // Total for everything still waiting to upload
+  renderEstimate() {
+    if (!this.hasEstimateTarget) return
+
+    this.defaultEstimate ??= this.estimateTarget.textContent
+    const estimates = this.items.filter(item => item.status === "queued" && item.estimate).map(item => item.estimate)
+
+    if (estimates.length === 0) {
+      this.estimateTarget.textContent = this.defaultEstimate
+      this.estimateTarget.classList.remove("text-red-600")
+      return
+    }
+
+    const total = estimates.reduce((sum, estimate) => sum + estimate.total_tokens, 0)
+    const available = estimates[0].tokens_available
+
+    this.estimateTarget.textContent = t("files.upload.estimate.total", { count: total, available })
+    this.estimateTarget.classList.toggle("text-red-600", total > available)
+  }
+
+  buildButton(text, action, item) {
+    const button = this.buildElement("button", "text-xs font-medium text-blue-600 hover:text-blue-800", text)
+    button.type = "button"
+    button.dataset.action = `upload#${action}`
+    button.setAttribute("data-upload-id-param", item.id)
+    return button
+  }
+
+  buildElement(tag, className, text) {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+
+  setStatus(item, status, note = null) {
+    item.status = status
+    item.statusLabel.textContent = note || t(`files.upload.statuses.${status}`)
+
+    this.toggle(item.cancelButton, status === "uploading" || status === "processing")
+    this.toggle(item.retryButton, (status === "failed" && !this.isFinalError(item.error)) || status === "cancelled")
+    this.toggle(item.removeButton, status !== "uploading" && status !== "processing" && status !== "done" && status !== "waiting")
+
+    item.bar.classList.toggle("bg-green-600", status === "done")
+    item.bar.classList.toggle("bg-amber-500", status === "waiting")
+    item.bar.classList.toggle("bg-red-500", status === "failed")
+    if (status === "done") this.setProgress(item, item.file.size)
+
+    this.toggle(item.errorLabel, status === "failed" && item.error)
+    if (item.error) item.errorLabel.textContent = `${item.error.message} (${item.error.code})`
+
+    this.updateSubmit()
+  }
+
+  // Client-side rejections won't change on retry, so only Remove is offered
+  isFinalError(error) {
+    return [
+      "INVALID_FILE_TYPE", "FILE_TOO_LARGE", "EMPTY_FILE", "EMPTY_WORKBOOK", "PASSWORD_PROTECTED", "CORRUPTED_FILE",
+      "EMPTY_DATASET", "INVALID_DATASET", "INVALID_JSON", "INVALID_RECORD", "MISSING_FIELDS"
+    ].includes(error?.code)
+  }
+
+  setProgress(item, loaded) {
+    item.loaded = Math.min(loaded, item.file.size)
+    const percent = item.file.size ? Math.round(item.loaded / item.file.size * 100) : 100
+
+    item.bar.style.width = `${percent}%`
+    item.percentLabel.textContent = `${this.formatBytes(item.loaded)} · ${percent}%`
+  }
+
+  updateSubmit() {
+    if (!this.hasSubmitTarget) return
+
+    const queued = this.items.filter(item => item.status === "queued").length
+    this.submitTarget.disabled = this.running || queued === 0
+  }
+
+  toggle(element, visible) {
+    element.classList.toggle("hidden", !visible)
+  }
+
+  formatBytes(bytes) {
+    const digits = bytes < 1024 * 1024 ? 1 : 2
+    const amount = formatNumber(bytes / 1024 ** (digits === 1 ? 1 : 2), { minimumFractionDigits: digits, maximumFractionDigits: digits })
+
+    return `${amount} ${digits === 1 ? "KB" : "MB"}`
+  }
+
+  resumeKey(file) {
+    return `${RESUME_PREFIX}${this.urlValue}:${file.name}:${file.size}:${file.lastModified}`
+  }
+
+  get csrfToken() {
+    return document.querySelector('meta[name="csrf-token"]')?.content
+  }
+}
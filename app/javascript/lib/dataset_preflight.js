@@ -0,0 +1,44 @@
+// Main-thread side of workers/dataset_preflight. One worker is shared by all
+// callers; replies are matched to requests by id, and progress messages are
+// passed to the caller's onProgress until the final reply arrives.
+
+let worker = null
+let nextId = 0
+const pending = new Map()
+
+function getWorker() {
+  if (worker) return worker
+
+  worker = new Worker(import.meta.resolve("workers/dataset_preflight"), { type: "module" })
+  worker.onmessage = (event) => {
+    const { id, error, progress, ...result } = event.data
+    const request = pending.get(id)
+    if (!request) return
+
+    if (progress !== undefined) {
+      request.onProgress?.(progress)
+      return
+    }
+
+    pending.delete(id)
+    error ? request.reject(new Error(error)) : request.resolve(result)
+  }
+  worker.onerror = (event) => {
+    pending.forEach(request => request.reject(new Error(event.message || "Dataset check failed")))
+    pending.clear()
+    worker.terminate()
+    worker = null
+  }
+
+  return worker
+}
+
+// Resolves to { stats, problems }; see the worker for their shape
+export function inspectDataset(file, { maxSize, requiredFields = [], onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++
+
+    pending.set(id, { resolve, reject, onProgress })
+    getWorker().postMessage({ id, file, maxSize, requiredFields })
+  })
+}
@@ -0,0 +1,248 @@
+// Modal building blocks shared by the dialog controller, the mobile menu and
+// page scripts: a focus trap that makes the rest of the page inert, locks
+// scrolling and hands focus back on release, plus promise-based replacements
+// for window.confirm() and window.alert().
+//
+//   const release = trapFocus(panel, { onEscape: close })
+//   if (await confirmDialog({ title: "Delete dataset?", tone: "danger" })) { ... }
+
+import { t } from "lib/i18n"
+
+const FOCUSABLE = [
+  "a[href]", "area[href]", "button:not([disabled])", "input:not([disabled]):not([type=hidden])",
+  "select:not([disabled])", "textarea:not([disabled])", "iframe", "audio[controls]", "video[controls]",
+  "[contenteditable]:not([contenteditable=false])", "[tabindex]:not([tabindex='-1'])"
+].join(", ")
+
+const TONE_CLASSES = {
+  danger: "bg-red-600 hover:bg-red-700 focus-visible:ring-red-500",
+  primary: "bg-blue-600 hover:bg-blue-700 focus-visible:ring-blue-500"
+}
+
+// Open traps, innermost last; only the top one handles keys
+const layers = []
+let dialogCount = 0
+
+export function focusableElements(container) {
+  return [...container.querySelectorAll(FOCUSABLE)].filter(element =>
+    !element.closest("[inert]") && element.getClientRects().length > 0
+  )
+}
+
+// Keeps keyboard focus inside container until the returned release function
+// is called. Everything outside it becomes inert (toasts excepted, so their
+// actions stay usable), the page stops scrolling, Escape calls onEscape, and
+// focus goes back to whatever had it before.
+export function trapFocus(container, { onEscape, initialFocus, returnFocus = document.activeElement } = {}) {
+  const layer = { container, onEscape, inerted: inertOutside(container) }
+  layers.push(layer)
+
+  if (layers.length === 1) {
+    document.addEventListener("keydown", handleKeydown, true)
+    document.documentElement.style.overflow = "hidden"
+  }
+
+  const target = typeof initialFocus === "string" ? container.querySelector(initialFocus) : initialFocus
+  ;(target || focusableElements(container)[0] || container).focus()
+
+  let released = false
+  return function release() {
+    if (released) return
+    released = true
+
+    const index = layers.indexOf(layer)
+    if (index !== -1) layers.splice(index, 1)
+    layer.inerted.forEach(element => { element.inert = false })
+
+    if (layers.length === 0) {
+      document.removeEventListener("keydown", handleKeydown, true)
+      document.documentElement.style.overflow = ""
+    }
+
+    if (returnFocus?.isConnected) returnFocus.focus()
+  }
+}
+
+// Resolves to true when confirmed, false when cancelled or dismissed
+export function confirmDialog({ title, message, confirmLabel = t("common.confirm"), cancelLabel = t("common.cancel"), tone = "primary" }) {
+  return new Promise(resolve => {
+    const { actions, show, close } = buildDialog({ title, message, role: "alertdialog", onClose: resolve })
+
+    const cancel = buildButton(cancelLabel, "secondary")
+    cancel.addEventListener("click", () => close(false))
+
+    const confirm = buildButton(confirmLabel, tone)
+    confirm.addEventListener("click", () => close(true))
+
+    actions.append(cancel, confirm)
+    show(tone === "danger" ? cancel : confirm)
+  })
+}
+
+// Informational dialog; details (an object or string) is shown preformatted
+export function alertDialog({ title, message, details, closeLabel = t("common.close") }) {
+  return new Promise(resolve => {
+    const { body, actions, show, close } = buildDialog({ title, message, role: "dialog", onClose: () => resolve() })
+
+    if (details !== undefined) {
+      const pre = document.createElement("pre")
+      pre.className = "mt-3 max-h-80 overflow-auto rounded-md bg-gray-50 p-3 text-xs text-gray-800 dark:bg-gray-900 dark:text-gray-200"
+      pre.textContent = typeof details === "string" ? details : JSON.stringify(details, null, 2)
+      body.append(pre)
+    }
+
+    const button = buildButton(closeLabel, "primary")
+    button.addEventListener("click", () => close())
+    actions.append(button)
+    show(button)
+  })
+}
+
+// Gives data-confirm on links, buttons and forms (as written by
+// button_to/link_to `data: { confirm: }`) a confirmation dialog. Rails UJS
+// isn't loaded, so without this the attribute does nothing.
+export function installConfirmHandler() {
+  document.addEventListener("click", async (event) => {
+    const element = event.target.closest("a[data-confirm], button[data-confirm], input[type=submit][data-confirm]")
+    if (!element || element.dataset.confirmed === "true") return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    if (!(await confirmDialog({ title: element.dataset.confirm, tone: element.dataset.confirmTone }))) return
+
+    if (element.form && element.type === "submit") {
+      element.dataset.confirmed = "true"
+      element.form.requestSubmit(element)
+      delete element.dataset.confirmed
+    } else if (element.href) {
+      window.location.assign(element.href)
+    }
+  }, true)
+
+  document.addEventListener("submit", async (event) => {
+    const form = event.target
+    if (!form.matches("form[data-confirm]") || form.dataset.confirmed === "true") return
+
+    event.preventDefault()
+    if (!(await confirmDialog({ title: form.dataset.confirm, tone: form.dataset.confirmTone }))) return
+
+    form.dataset.confirmed = "true"
+    form.requestSubmit(event.submitter)
+    delete form.dataset.confirmed
+  }, true)
+}
+
+// Helpers
+function handleKeydown(event) {
+  const layer = layers[layers.length - 1]
+  if (!layer) return
+
+  if (event.key === "Escape" && layer.onEscape) {
+    event.preventDefault()
+    event.stopPropagation()
+    layer.onEscape(event)
+    return
+  }
+
+  if (event.key !== "Tab") return
+
+  const focusable = focusableElements(layer.container)
+  if (focusable.length === 0) {
+    event.preventDefault()
+    return
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+  const outside = !layer.container.contains(document.activeElement)
+
+  if (event.shiftKey && (document.activeElement === first || outside)) {
+    event.preventDefault()
+    last.focus()
+  } else if (!event.shiftKey && (document.activeElement === last || outside)) {
+    event.preventDefault()
+    first.focus()
+  }
+}
+
+// Marks the siblings of container and of each of its ancestors inert,
+// returning the elements changed so release can undo exactly those
+function inertOutside(container) {
+  const changed = []
+  let node = container
+
+  while (node && node !== document.body && node.parentElement) {
+    for (const sibling of node.parentElement.children) {
+      if (sibling === node || sibling.inert || sibling.matches("script, [data-toast-region]")) continue
+
+      sibling.inert = true
+      changed.push(sibling)
+    }
+    node = node.parentElement
+  }
+
+  return changed
+}
+
+function buildDialog({ title, message, role, onClose }) {
+  const id = `dialog-${++dialogCount}`
+  const dialog = document.createElement("div")
+  dialog.className = "fixed inset-0 z-[70] flex items-center justify-center bg-gray-900/50 p-4"
+
+  const panel = document.createElement("div")
+  panel.className = "w-full max-w-md rounded-lg bg-white p-6 shadow-xl dark:bg-gray-800"
+  panel.setAttribute("role", role)
+  panel.setAttribute("aria-modal", "true")
+  panel.setAttribute("aria-labelledby", `${id}-title`)
+  panel.tabIndex = -1
+
+  const body = document.createElement("div")
+  const heading = document.createElement("h2")
+  heading.id = `${id}-title`
+  heading.className = "text-lg font-medium text-gray-900 dark:text-white"
+  heading.textContent = title
+  body.append(heading)
+
+  if (message) {
+    const text = document.createElement("p")
+    text.id = `${id}-message`
+    text.className = "mt-2 whitespace-pre-line text-sm text-gray-600 dark:text-gray-300"
+    text.textContent = message
+    panel.setAttribute("aria-describedby", text.id)
+    body.append(text)
+  }
+
+  const actions = document.createElement("div")
+  actions.className = "mt-6 flex justify-end gap-3"
+
+  panel.append(body, actions)
+  dialog.append(panel)
+
+  let release = null
+  const close = (result) => {
+    release?.()
+    dialog.remove()
+    onClose(result)
+  }
+
+  const show = (initialFocus) => {
+    document.body.append(dialog)
+    release = trapFocus(panel, { onEscape: () => close(false), initialFocus })
+  }
+
+  dialog.addEventListener("click", (event) => {
+    if (event.target === dialog) close(false)
+  })
+
+  return { body, actions, show, close }
+}
+
+function buildButton(label, tone) {
+  const button = document.createElement("button")
+  button.type = "button"
+  button.textContent = label
+  button.className = tone === "secondary"
+    ? "rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200"
+    : `rounded-md px-4 py-2 text-sm font-medium text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 ${TONE_CLASSES[tone] || TONE_CLASSES.primary}`
+  return button
+}
@@ -0,0 +1,75 @@
+// Subsequence matching for quick-open style search: every character of the
+// query must appear in the text in order. Matches at word starts and runs of
+// consecutive characters score higher, so "kbd" ranks "Knowledge Base
+// Datasets" above a title that merely contains those letters.
+
+const WORD_BOUNDARY = /[\s\-_/.:()[\]]/
+
+// Returns { score, positions } or null when text doesn't match. positions are
+// the indexes in text of the matched characters, for highlighting. Matching
+// is tried from every occurrence of the first character, so "dash" lines up
+// with "dashboard" in "Admin dashboard" rather than the "d" of "Admin".
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  if (!needle) return { score: 0, positions: [] }
+  if (!text) return null
+
+  const haystack = text.toLowerCase()
+  let best = null
+  let start = haystack.indexOf(needle[0])
+
+  while (start !== -1) {
+    const match = matchFrom(needle, text, haystack, start)
+    if (!match) break
+    if (!best || match.score > best.score) best = match
+
+    start = haystack.indexOf(needle[0], start + 1)
+  }
+
+  return best
+}
+
+function matchFrom(needle, text, haystack, start) {
+  const positions = []
+  let score = 0
+  let from = start
+  let previous = -2
+
+  for (const character of needle) {
+    const index = haystack.indexOf(character, from)
+    if (index === -1) return null
+
+    score += 1
+    if (index === previous + 1) score += 5
+    if (index === 0 || WORD_BOUNDARY.test(text[index - 1])) score += 8
+
+    positions.push(index)
+    previous = index
+    from = index + 1
+  }
+
+  if (start === 0 && haystack.startsWith(needle)) score += 20
+  score -= positions[0] * 0.2
+  score -= text.length * 0.01
+
+  return { score, positions }
+}
+
+// Splits text into [{ text, match }] runs for rendering highlighted matches
+export function highlightRuns(text, positions) {
+  const matched = new Set(positions)
+  const runs = []
+
+  for (let index = 0; index < text.length; index++) {
+    const match = matched.has(index)
+    const last = runs[runs.length - 1]
+
+    if (last && last.match === match) {
+      last.text += text[index]
+    } else {
+      runs.push({ text: text[index], match })
+    }
+  }
+
+  return runs
+}
@@ -0,0 +1,113 @@
+import en from "locales/en"
+import ko from "locales/ko"
+
+// Client-side message catalog shared by every controller. The locale comes
+// from <html lang>, which the server sets from the user's saved preference
+// (or the locale cookie for guests), so server and client always agree.
+//
+//   t("pipeline.events.batch_complete", { count: 10 })   // "Processed a batch of 10 items"
+//   formatCurrency(0.0123)                               // "$0.0123" / "US$0.0123"
+//
+// Messages use Rails-style %{name} placeholders. A message given as an object
+// of plural forms ({ one, other }, plus an optional zero) is picked with
+// Intl.PluralRules from params.count. Missing keys fall back to English, then
+// to the key itself so gaps are visible rather than blank.
+
+const CATALOGS = { en, ko }
+export const LOCALES = Object.keys(CATALOGS)
+export const DEFAULT_LOCALE = "en"
+
+const formatters = new Map()
+
+export function currentLocale() {
+  const lang = document.documentElement.lang?.split("-")[0]
+  return CATALOGS[lang] ? lang : DEFAULT_LOCALE
+}
+
+export function t(key, params = {}) {
+  const locale = currentLocale()
+  let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+  if (message == null) return key
+
+  if (typeof message === "object") message = pluralize(message, params.count, locale)
+  return interpolate(message, params)
+}
+
+// Channel events carry { key, params } instead of finished sentences; older
+// payloads that still send a plain message are shown as-is
+export function translateEvent(data) {
+  if (data.key) return t(data.key, data.params || {})
+  return data.message || ""
+}
+
+// Formatting
+export function formatNumber(value, options = {}) {
+  return formatter("number", options).format(value)
+}
+
+export function formatPercent(ratio, { digits = 1 } = {}) {
+  return formatter("number", { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits }).format(ratio)
+}
+
+// Costs are tracked in USD; payments are in KRW and pass the currency in
+export function formatCurrency(amount, { currency = "USD", minimumFractionDigits, maximumFractionDigits } = {}) {
+  return formatter("number", { style: "currency", currency, minimumFractionDigits, maximumFractionDigits }).format(amount)
+}
+
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  return formatter("date", options).format(new Date(value))
+}
+
+export function formatTime(value, options = { timeStyle: "medium" }) {
+  return formatter("date", options).format(new Date(value))
+}
+
+export function formatDateTime(value, options = { dateStyle: "medium", timeStyle: "short" }) {
+  return formatter("date", options).format(new Date(value))
+}
+
+export function formatRelativeTime(value, unit) {
+  return formatter("relative", { numeric: "auto" }).format(value, unit)
+}
+
+export function formatList(items, options = { type: "conjunction" }) {
+  return formatter("list", options).format(items)
+}
+
+// Helpers
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalog)
+}
+
+function pluralize(forms, count, locale) {
+  if (count === 0 && forms.zero != null) return forms.zero
+
+  const rule = new Intl.PluralRules(locale).select(count ?? 0)
+  return forms[rule] ?? forms.other
+}
+
+function interpolate(message, params) {
+  return message.replace(/%\{(\w+)\}/g, (match, name) => {
+    const value = params[name]
+    if (value == null) return match
+    return typeof value === "number" ? formatNumber(value) : String(value)
+  })
+}
+
+// Intl formatters are costly to build, so keep one per locale and options
+function formatter(kind, options) {
+  const locale = currentLocale()
+  const cacheKey = `${kind}:${locale}:${JSON.stringify(options)}`
+
+  if (!formatters.has(cacheKey)) {
+    const Formatter = {
+      number: Intl.NumberFormat,
+      date: Intl.DateTimeFormat,
+      relative: Intl.RelativeTimeFormat,
+      list: Intl.ListFormat
+    }[kind]
+    formatters.set(cacheKey, new Formatter(locale, options))
+  }
+
+  return formatters.get(cacheKey)
+}
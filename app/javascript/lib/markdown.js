@@ -0,0 +1,43 @@
+import { Marked } from "marked"
+import DOMPurify from "dompurify"
+
+// Markdown rendering for AI and user supplied text. Output always goes through
+// an allow-list sanitizer, so raw HTML in the source never reaches the page.
+
+const ALLOWED_TAGS = [
+  "p", "br", "hr", "strong", "em", "del", "code", "pre", "blockquote",
+  "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "a",
+  "table", "thead", "tbody", "tr", "th", "td"
+]
+
+const ALLOWED_ATTR = ["href", "title", "align", "start"]
+
+const marked = new Marked({ gfm: true, breaks: true })
+
+const purifier = DOMPurify(window)
+
+// Links open in a new tab without giving it access to this window
+purifier.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A") {
+    node.setAttribute("target", "_blank")
+    node.setAttribute("rel", "noopener noreferrer")
+  }
+})
+
+export function renderMarkdown(text) {
+  if (!text) return ""
+
+  return purifier.sanitize(marked.parse(String(text)), {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|#)/i
+  })
+}
+
+// Replaces the element's content with the rendered Markdown
+export function renderMarkdownInto(element, text) {
+  element.innerHTML = renderMarkdown(text)
+  element.classList.add("markdown-body")
+
+  return element
+}
@@ -0,0 +1,40 @@
+// Page side of the service worker's offline support: the queue of requests
+// made while offline, and clearing saved pages when nobody is signed in.
+import { serviceWorkerSupported } from "lib/service_worker"
+
+export function onOfflineQueue(callback) {
+  if (!serviceWorkerSupported()) return () => {}
+
+  const listener = (event) => {
+    if (event.data?.type?.startsWith("offline-queue:")) callback(event.data)
+  }
+
+  navigator.serviceWorker.addEventListener("message", listener)
+  return () => navigator.serviceWorker.removeEventListener("message", listener)
+}
+
+export function requestQueueStatus() {
+  postToWorker({ type: "offline-queue:status" })
+}
+
+// Background Sync replays on its own where supported; this covers the rest
+export function replayOfflineQueue() {
+  postToWorker({ type: "offline-queue:replay" })
+}
+
+// Text for the worker's own notifications, in the page's language
+export function shareOfflineMessages(messages) {
+  postToWorker({ type: "offline:messages", messages })
+}
+
+// Saved pages belong to whoever was signed in; drop them on sign-out
+export function clearOfflineData() {
+  postToWorker({ type: "offline:clear" })
+}
+
+async function postToWorker(message) {
+  if (!serviceWorkerSupported()) return
+
+  const registration = await navigator.serviceWorker.ready
+  registration.active?.postMessage(message)
+}
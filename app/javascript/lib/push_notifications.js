@@ -0,0 +1,83 @@
+// Browser side of Web Push: the PushManager subscription for this device and
+// its record in /api/v1/push_subscriptions. The endpoint last saved from this
+// browser is remembered so a rotated subscription is re-saved on page load.
+import { serviceWorkerRegistration, serviceWorkerSupported } from "lib/service_worker"
+
+const SUBSCRIPTIONS_URL = "/api/v1/push_subscriptions"
+const STORAGE_KEY = "push:endpoint"
+
+export function pushSupported() {
+  return serviceWorkerSupported() && "PushManager" in window && "Notification" in window
+}
+
+export async function currentPushSubscription() {
+  if (!pushSupported()) return null
+
+  const registration = await serviceWorkerRegistration()
+  return registration.pushManager.getSubscription()
+}
+
+// Asks for permission if needed; resolves to the saved device record
+export async function subscribePush(publicKey) {
+  const permission = await Notification.requestPermission()
+  if (permission !== "granted") {
+    throw new Error(permission === "denied"
+      ? "Notifications are blocked. Allow them for this site in your browser settings."
+      : "Notification permission was not granted.")
+  }
+
+  const registration = await serviceWorkerRegistration()
+  const subscription = await registration.pushManager.getSubscription() || await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: decodeBase64Url(publicKey)
+  })
+
+  return saveSubscription(subscription)
+}
+
+// Unsubscribes this browser; the server record is removed by the caller
+export async function unsubscribePush() {
+  const subscription = await currentPushSubscription()
+  if (subscription) await subscription.unsubscribe()
+  localStorage.removeItem(STORAGE_KEY)
+  return subscription?.endpoint || null
+}
+
+export async function syncPushSubscription() {
+  if (!pushSupported() || Notification.permission !== "granted") return
+
+  const saved = localStorage.getItem(STORAGE_KEY)
+  if (!saved) return
+
+  const subscription = await currentPushSubscription()
+  if (subscription && subscription.endpoint !== saved) await saveSubscription(subscription)
+}
+
+export async function pushRequest(url, { method = "GET", body = null } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      "Accept": "application/json",
+      "Content-Type": "application/json",
+      "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+    },
+    body: body ? JSON.stringify(body) : null
+  })
+
+  if (response.status === 204) return null
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(data.error || "Request failed")
+  return data
+}
+
+async function saveSubscription(subscription) {
+  const device = await pushRequest(SUBSCRIPTIONS_URL, { method: "POST", body: { subscription: subscription.toJSON() } })
+  localStorage.setItem(STORAGE_KEY, subscription.endpoint)
+  return device
+}
+
+function decodeBase64Url(value) {
+  const base64 = (value + "=".repeat((4 - value.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/")
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
@@ -0,0 +1,35 @@
+// Fixed-capacity FIFO for live feeds: once full, each push drops the oldest
+// entry, so memory stays flat however long a stream runs.
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity
+    this.clear()
+  }
+
+  // Returns the evicted entry, if the push overflowed the buffer
+  push(item) {
+    let evicted
+
+    if (this.length === this.capacity) {
+      evicted = this.items[this.start]
+      this.items[this.start] = item
+      this.start = (this.start + 1) % this.capacity
+    } else {
+      this.items[(this.start + this.length) % this.capacity] = item
+      this.length++
+    }
+
+    return evicted
+  }
+
+  clear() {
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.length = 0
+  }
+
+  // Oldest first
+  toArray() {
+    return Array.from({ length: this.length }, (_, index) => this.items[(this.start + index) % this.capacity])
+  }
+}
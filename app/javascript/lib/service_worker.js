@@ -0,0 +1,27 @@
+// Registers app/views/pwa/service-worker.js.erb (served at /service-worker.js) once
+// per page load. Callers that need the registration, e.g. to manage push
+// subscriptions, await `serviceWorkerRegistration()`.
+
+let registration = null
+
+export function serviceWorkerSupported() {
+  return "serviceWorker" in navigator
+}
+
+export function registerServiceWorker() {
+  if (!serviceWorkerSupported()) return Promise.reject(new Error("Service workers are not supported in this browser"))
+
+  registration ||= navigator.serviceWorker.register("/service-worker.js", { scope: "/" }).catch(error => {
+    console.error("Service worker registration failed:", error)
+    registration = null
+    throw error
+  })
+
+  return registration
+}
+
+// Resolves once the worker is active, which pushManager.subscribe() requires
+export async function serviceWorkerRegistration() {
+  await registerServiceWorker()
+  return navigator.serviceWorker.ready
+}
@@ -0,0 +1,163 @@
+// Stacked, auto-dismissing notifications in place of window.alert(). Toasts
+// pile up in the bottom-right corner, newest last, and pause their timer while
+// hovered or focused. Errors stay until dismissed and are announced assertively.
+//
+//   toast.success("Dataset processed")
+//   toast.error("Upload failed", { action: { label: "Retry", onClick: retry } })
+//   toastAfterReload("Training started", { type: "success" }); location.reload()
+
+import { t } from "lib/i18n"
+
+const TYPES = {
+  success: { icon: "M5 13l4 4L19 7", classes: "text-green-500", duration: 5000 },
+  error: { icon: "M6 18L18 6M6 6l12 12", classes: "text-red-500", duration: 0 },
+  warning: { icon: "M12 9v3.75m0 3.75h.007M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z", classes: "text-yellow-500", duration: 7000 },
+  info: { icon: "M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z", classes: "text-blue-500", duration: 5000 }
+}
+
+const MAX_VISIBLE = 5
+const PENDING_KEY = "toast:pending"
+
+let region = null
+
+export function toast(message, { type = "info", title, duration, action } = {}) {
+  const config = TYPES[type] || TYPES.info
+  const element = buildToast(message, { type, title, action, config })
+  const container = ensureRegion()
+
+  container.append(element)
+  while (container.children.length > MAX_VISIBLE) container.firstElementChild.remove()
+  requestAnimationFrame(() => element.classList.remove("opacity-0", "translate-y-2"))
+
+  const timeout = duration ?? config.duration
+  if (timeout > 0) startTimer(element, timeout)
+
+  return { dismiss: () => dismiss(element) }
+}
+
+toast.success = (message, options) => toast(message, { ...options, type: "success" })
+toast.error = (message, options) => toast(message, { ...options, type: "error" })
+toast.warning = (message, options) => toast(message, { ...options, type: "warning" })
+toast.info = (message, options) => toast(message, { ...options, type: "info" })
+
+// Queues a toast for the next page load, for actions that end in a reload
+export function toastAfterReload(message, options = {}) {
+  const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || "[]")
+  pending.push({ message, options })
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending))
+}
+
+export function flushPendingToasts() {
+  const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || "[]")
+  sessionStorage.removeItem(PENDING_KEY)
+  pending.forEach(({ message, options }) => toast(message, options))
+}
+
+// Helpers
+function ensureRegion() {
+  if (region?.isConnected) return region
+
+  region = document.createElement("div")
+  region.dataset.toastRegion = ""
+  region.className = "pointer-events-none fixed inset-x-4 bottom-4 z-[80] flex flex-col items-end gap-2 sm:left-auto sm:right-4 sm:w-96"
+  region.setAttribute("aria-label", t("toast.region"))
+  document.body.append(region)
+  return region
+}
+
+function buildToast(message, { type, title, action, config }) {
+  const element = document.createElement("div")
+  element.className = "pointer-events-auto flex w-full items-start gap-3 rounded-lg bg-white p-4 shadow-lg ring-1 ring-black/5 transition duration-200 opacity-0 translate-y-2 dark:bg-gray-800 dark:ring-white/10"
+  element.setAttribute("role", type === "error" ? "alert" : "status")
+  element.setAttribute("aria-live", type === "error" ? "assertive" : "polite")
+  element.dataset.toastType = type
+
+  const icon = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+  icon.setAttribute("class", `h-5 w-5 flex-shrink-0 ${config.classes}`)
+  icon.setAttribute("fill", "none")
+  icon.setAttribute("viewBox", "0 0 24 24")
+  icon.setAttribute("stroke", "currentColor")
+  icon.setAttribute("aria-hidden", "true")
+  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
+  path.setAttribute("stroke-linecap", "round")
+  path.setAttribute("stroke-linejoin", "round")
+  path.setAttribute("stroke-width", "2")
+  path.setAttribute("d", config.icon)
+  icon.append(path)
+
+  const body = document.createElement("div")
+  body.className = "min-w-0 flex-1"
+
+  if (title) {
+    const heading = document.createElement("p")
+    heading.className = "text-sm font-medium text-gray-900 dark:text-white"
+    heading.textContent = title
+    body.append(heading)
+  }
+
+  const text = document.createElement("p")
+  text.className = title ? "mt-1 text-sm text-gray-600 dark:text-gray-300" : "text-sm text-gray-900 dark:text-white"
+  text.textContent = message
+  body.append(text)
+
+  if (action) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "mt-2 text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+    button.textContent = action.label
+    button.addEventListener("click", () => {
+      action.onClick()
+      dismiss(element)
+    })
+    body.append(button)
+  }
+
+  const close = document.createElement("button")
+  close.type = "button"
+  close.className = "flex-shrink-0 rounded-md text-gray-400 hover:text-gray-500 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+  close.setAttribute("aria-label", t("toast.dismiss"))
+  close.textContent = "×"
+  close.addEventListener("click", () => dismiss(element))
+
+  element.append(icon, body, close)
+  return element
+}
+
+// Counts down only while the toast is neither hovered nor focused
+function startTimer(element, duration) {
+  let remaining = duration
+  let startedAt = 0
+  let timer = null
+  const holds = new Set()
+
+  const resume = () => {
+    startedAt = Date.now()
+    timer = setTimeout(() => dismiss(element), remaining)
+  }
+  const hold = (reason) => {
+    if (holds.size === 0) {
+      clearTimeout(timer)
+      remaining -= Date.now() - startedAt
+    }
+    holds.add(reason)
+  }
+  const release = (reason) => {
+    if (holds.delete(reason) && holds.size === 0) resume()
+  }
+
+  element.addEventListener("mouseenter", () => hold("hover"))
+  element.addEventListener("mouseleave", () => release("hover"))
+  element.addEventListener("focusin", () => hold("focus"))
+  element.addEventListener("focusout", (event) => {
+    if (!element.contains(event.relatedTarget)) release("focus")
+  })
+
+  resume()
+}
+
+function dismiss(element) {
+  if (!element.isConnected) return
+
+  element.classList.add("opacity-0")
+  setTimeout(() => element.remove(), 200)
+}
@@ -0,0 +1,38 @@
+// Main-thread side of workers/workbook_preflight. One worker is shared by all
+// callers and requests are matched to replies by id.
+
+let worker = null
+let nextId = 0
+const pending = new Map()
+
+function getWorker() {
+  if (worker) return worker
+
+  worker = new Worker(import.meta.resolve("workers/workbook_preflight"), { type: "module" })
+  worker.onmessage = (event) => {
+    const { id, error, ...result } = event.data
+    const request = pending.get(id)
+    if (!request) return
+
+    pending.delete(id)
+    error ? request.reject(new Error(error)) : request.resolve(result)
+  }
+  worker.onerror = (event) => {
+    pending.forEach(request => request.reject(new Error(event.message || "Workbook check failed")))
+    pending.clear()
+    worker.terminate()
+    worker = null
+  }
+
+  return worker
+}
+
+// Resolves to { stats, problems }; see the worker for their shape
+export function inspectWorkbook(file, { maxSize } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++
+
+    pending.set(id, { resolve, reject })
+    getWorker().postMessage({ id, file, maxSize })
+  })
+}
@@ -0,0 +1,476 @@
+// English messages, the fallback for keys missing from other catalogs.
+// Keep keys in sync with ko.js; see lib/i18n for placeholders and plurals.
+export default {
+  common: {
+    cancel: "Cancel",
+    close: "Close",
+    confirm: "Confirm",
+    delete: "Delete",
+    done: "Done",
+    yes: "Yes",
+    request_failed: "Request failed",
+    network_error: "Network error. Please try again.",
+    offline: "You're offline. Try again when you reconnect."
+  },
+
+  toast: {
+    region: "Notifications",
+    dismiss: "Dismiss"
+  },
+
+  locale: {
+    label: "Language",
+    save_failed: "Couldn't save your language"
+  },
+
+  offline: {
+    offline: "You're offline. Pages you've opened before are still available.",
+    waiting: { one: "%{count} queued request will be sent when you reconnect.", other: "%{count} queued requests will be sent when you reconnect." },
+    syncing: { one: "Sending %{count} queued request…", other: "Sending %{count} queued requests…" },
+    replayed: { one: "Back online. Sent %{count} queued request.", other: "Back online. Sent %{count} queued requests." },
+    replay_failed: { one: "%{count} could not be completed: %{error}.", other: "%{count} could not be completed: %{error}." },
+    notification: {
+      title: "Back online",
+      body: { one: "%{sent} of %{total} queued request was sent.", other: "%{sent} of %{total} queued requests were sent." }
+    }
+  },
+
+  connection: {
+    connecting: "Connecting",
+    connected: "Connected",
+    reconnecting: "Reconnecting",
+    disconnected: "Offline"
+  },
+
+  push: {
+    unsupported: "This browser does not support push notifications.",
+    not_configured: "Push notifications are not configured on this server.",
+    blocked: "Notifications are blocked for this site in your browser settings.",
+    subscribed: "This device is notified when analyses and chat replies finish.",
+    prompt: "Get a notification on this device when an analysis or chat reply is ready.",
+    this_device: "%{name} (this device)",
+    last_notified: "Last notified %{time}",
+    added: "Added %{date}",
+    test: "Test",
+    sent: "Sent",
+    remove: "Remove"
+  },
+
+  command_palette: {
+    sections: {
+      recent: "Recent",
+      files: "Files",
+      conversations: "Conversations",
+      navigation: "Navigation",
+      actions: "Actions",
+      admin: "Admin",
+      admin_actions: "Admin actions"
+    },
+    untitled_conversation: "Untitled conversation",
+    messages: { one: "%{count} message", other: "%{count} messages" },
+    no_matches: "No matches",
+    empty: "Nothing here yet"
+  },
+
+  chat: {
+    send_failed: "Failed to send message",
+    send_failed_retry: "Failed to send message. Please try again.",
+    generate_failed: "Failed to generate response",
+    reply_failed: "The answer broke off before it finished",
+    tokens: { one: "%{count} token", other: "%{count} tokens" },
+    attached: "File attached",
+    attach_failed: "Failed to attach file",
+    attach_failed_retry: "Failed to attach file. Please try again.",
+    copied: "Copied to clipboard",
+    copy_failed: "Couldn't copy the message",
+    edit_label: "Edit your message",
+    resend: "Save and resend",
+    actions: {
+      copy: "Copy",
+      edit: "Edit and resend",
+      regenerate: "Regenerate",
+      regenerate_tier2: "Regenerate with the Tier 2 model",
+      retry: "Ask again",
+      up: "Good answer",
+      down: "Bad answer"
+    },
+    feedback: {
+      comment: "Comment",
+      placeholder_up: "What was helpful? (optional)",
+      placeholder_down: "What was wrong? (optional)",
+      send: "Send feedback",
+      failed: "Couldn't send feedback",
+      thanks: "Thanks for the feedback"
+    },
+    discard: {
+      title: "Continue from here?",
+      message: {
+        one: "The message after this point will be removed.",
+        other: "The %{count} messages after this point will be removed."
+      },
+      confirm: "Continue"
+    },
+    context: {
+      loading: "Loading sheet…",
+      load_failed: "Couldn't load the workbook",
+      invalid_reference: "Enter a range in this workbook, e.g. Sheet1!B4:F30",
+      too_many: "You can add up to %{count} ranges",
+      clipped: "Showing %{range}; type a reference for cells further out",
+      remove: "Remove %{reference}",
+      sent: "Cells sent as context",
+      suggestions: {
+        circular_reference: "Why is %{reference} circular?",
+        formula_error: "What's wrong with the formula in %{reference}?",
+        data_validation: "Is the data in %{reference} valid?",
+        format_consistency: "Why is %{reference} formatted differently?",
+        other: "Explain the issue in %{reference}"
+      }
+    }
+  },
+
+  files: {
+    file: "File",
+    analyzed: "%{name} analyzed: %{errors} errors, %{warnings} warnings",
+    failed: "%{name} failed: %{message}",
+    analysis_error: "analysis error",
+    view_results: "View results",
+    statuses: {
+      uploaded: "Uploaded",
+      processing: "Processing",
+      analyzed: "Completed",
+      failed: "Failed",
+      cancelled: "Cancelled"
+    },
+    bulk: {
+      failed: "Bulk action failed",
+      skipped: "%{count} skipped (%{reason})",
+      analyze: {
+        label: "Analyze",
+        confirm: {
+          one: "This will use tokens to analyze the selected file. Continue?",
+          other: "This will use tokens to analyze %{count} files. Continue?"
+        },
+        done: { one: "%{count} file queued", other: "%{count} files queued" }
+      },
+      cancel: {
+        done: { one: "%{count} file cancelled", other: "%{count} files cancelled" }
+      },
+      delete: {
+        label: "Delete",
+        confirm: {
+          one: "Delete the selected file? This cannot be undone.",
+          other: "Delete %{count} files? This cannot be undone."
+        },
+        done: { one: "%{count} file deleted", other: "%{count} files deleted" }
+      }
+    },
+    preview: {
+      loading: "Loading workbook...",
+      empty: "This workbook has no sheets to preview.",
+      load_failed: "Failed to load workbook preview",
+      dimensions: "%{rows} × %{columns}",
+      rows: { one: "%{count} row", other: "%{count} rows" },
+      columns: { one: "%{count} column", other: "%{count} columns" },
+      rows_failed: "Couldn't load some rows. Trying again in %{seconds}s.",
+      retry: "Retry now"
+    },
+    upload: {
+      statuses: {
+        checking: "Checking",
+        queued: "Ready",
+        uploading: "Uploading",
+        waiting: "Sends when online",
+        processing: "Processing",
+        done: "Uploaded",
+        failed: "Failed",
+        cancelled: "Cancelled"
+      },
+      checking_progress: "Checking %{percent}%",
+      retrying: "Connection lost, retrying (%{attempt}/%{max})...",
+      retry: "Retry",
+      remove: "Remove",
+      errors: {
+        invalid_type: "Invalid file type. Allowed types: %{types}",
+        too_large: "File too large. Maximum size is %{size}MB",
+        empty: "File is empty",
+        interrupted: "Upload interrupted. Check your connection and retry.",
+        chunk_rejected: "Chunk rejected",
+        cancelled: "Upload cancelled",
+        failed: "Upload failed"
+      },
+      stats: {
+        sheets: { one: "%{count} sheet", other: "%{count} sheets" },
+        rows: { one: "%{count} row", other: "%{count} rows" },
+        columns: { one: "%{count} column", other: "%{count} columns" },
+        formulas: { one: "%{count} formula", other: "%{count} formulas" },
+        sheet_names: "Sheets: %{names}",
+        records: { one: "%{count} record", other: "%{count} records" },
+        valid: "%{count} valid",
+        repeated_questions: { one: "%{count} repeated question", other: "%{count} repeated questions" }
+      },
+      estimate: {
+        file: { one: "Estimated cost: ~%{count} token · %{tier}", other: "Estimated cost: ~%{count} tokens · %{tier}" },
+        available: "(you have %{count})",
+        total: { one: "Estimated cost: ~%{count} token (you have %{available})", other: "Estimated cost: ~%{count} tokens (you have %{available})" }
+      }
+    },
+    dataset: {
+      field_coverage: "Field coverage",
+      required: "%{name} (required)",
+      repeated_questions: {
+        line: "Repeated questions (line → first seen): %{pairs}",
+        record: "Repeated questions (record → first seen): %{pairs}"
+      },
+      more: { one: "and %{count} more", other: "and %{count} more" },
+      all: { line: "All lines", record: "All records" },
+      problems_only: "Problems only (%{count})",
+      location: { line: "Line", record: "#" },
+      status: "Status",
+      nothing_to_show: "Nothing to show",
+      missing_badge: "missing",
+      missing: "Missing %{fields}",
+      repeats: { line: "Repeats line %{location}", record: "Repeats record %{location}" },
+      ok: "OK",
+      previous: "Previous",
+      next: "Next",
+      page: "Page %{page} of %{pages}",
+      first_problems: { one: "Showing the first problem", other: "Showing the first %{count} problems" },
+      first_records: { one: "Showing the first record of %{total}", other: "Showing the first %{count} of %{total} records" }
+    }
+  },
+
+  analysis: {
+    queued: "Analysis queued: %{message}",
+    queued_offline: "Queued for analysis",
+    error: "Error: %{message}",
+    in_progress: "Analysis in progress...",
+    remaining: "About %{time} remaining",
+    finishing: "Finishing up...",
+    complete: "Analysis complete!",
+    completed: "Analysis completed successfully",
+    analyzing: "Analyzing...",
+    start: "Start Analysis",
+    not_connected: "Not connected to analysis service",
+    requesting: "Requesting analysis...",
+    reconnecting: "Connection lost. Analysis will be requested when reconnected...",
+    request_failed: "Failed to request analysis",
+    cancelling: "Cancelling analysis...",
+    cancel_failed: "Failed to cancel analysis",
+    cancelled_refunded: {
+      one: "Analysis cancelled. %{count} token was refunded.",
+      other: "Analysis cancelled. %{count} tokens were refunded."
+    },
+    cancelled_not_refunded: "Analysis cancelled. Tokens already spent on AI processing are not refunded.",
+    cancel: {
+      title: "Cancel this analysis?",
+      confirm: "Cancel analysis",
+      keep: "Keep running"
+    },
+    queued_successfully: "Analysis queued successfully",
+    retry: {
+      title: "Retry analysis?",
+      message: "This will cost tokens.",
+      confirm: "Retry"
+    },
+    progress: {
+      starting: "Starting analysis...",
+      structure: "Analyzing Excel file structure...",
+      preparing_ai: "Excel analysis complete. Preparing AI analysis...",
+      running_ai: "Running AI analysis...",
+      saving: "AI analysis complete. Saving results...",
+      completed: "Analysis completed successfully!"
+    },
+    results: {
+      title: "Analysis Results",
+      ai_analysis: "AI Analysis",
+      errors_found: "Errors Found",
+      errors_fixed: "Errors Fixed",
+      time_saved: { one: "~%{count} minute", other: "~%{count} minutes" }
+    },
+    severity: {
+      high: "High",
+      medium: "Medium",
+      low: "Low"
+    },
+    issues: {
+      issue: "Issue",
+      categories: {
+        formula_error: "Formula error",
+        circular_reference: "Circular reference",
+        data_validation: "Data validation",
+        format_consistency: "Format consistency",
+        other: "Other"
+      },
+      states: {
+        resolved: "Resolved",
+        ignored: "Ignored"
+      },
+      resolve: "Resolve",
+      ignore: "Ignore",
+      reopen: "Reopen",
+      all_sheets: "All sheets",
+      unknown_sheet: "Unknown sheet",
+      sheet_column: "%{sheet} · Column %{column}",
+      group: "%{label} (%{count})",
+      shown: "%{count} of %{total}",
+      show_in_preview: "Show in workbook preview",
+      show_in_graph: "Show in dependency graph",
+      update_failed: "Failed to update issue"
+    },
+    corrections: {
+      decisions: {
+        pending: "Pending",
+        accepted: "Accepted",
+        rejected: "Rejected"
+      },
+      position: "%{current} of %{total}",
+      unknown_cell: "Unknown cell",
+      empty: "(empty)",
+      confidence: "%{percent} confidence",
+      stale: "The AI expected \"%{expected}\" in this cell, but the uploaded workbook contains \"%{actual}\".",
+      summary: "%{accepted} accepted · %{rejected} rejected · %{pending} pending",
+      download: {
+        one: "Download with %{applied} of %{count} correction (accepted only)",
+        other: "Download with %{applied} of %{count} corrections (accepted only)"
+      },
+      load_failed: "Failed to load corrections",
+      save_failed: "Failed to save decision"
+    }
+  },
+
+  graph: {
+    loading: "Building the dependency graph...",
+    load_failed: "Couldn't build the dependency graph",
+    no_cell: "Enter a cell such as Sheet1!B4",
+    cells: { one: "%{count} cell", other: "%{count} cells" },
+    references: { one: "%{count} reference", other: "%{count} references" },
+    truncated: "only the first %{count} are shown",
+    cycle_count: { one: "%{count} circular reference", other: "%{count} circular references" },
+    more_cycles: "and %{count} more",
+    range: "Range read as a whole",
+    empty: "Empty",
+    reads: "Reads %{count}",
+    read_by: "Read by %{count}",
+    trace_precedents: "Trace precedents",
+    trace_dependents: "Trace dependents",
+    show_in_preview: "Show in preview"
+  },
+
+  metrics: {
+    modes: {
+      live: "Live",
+      polling: "Polling",
+      paused: "Paused"
+    }
+  },
+
+  costs: {
+    daily_cost: "Daily cost",
+    daily_budget: "Daily budget (%{monthly}/month)",
+    no_data: "No data",
+    no_costs: "No costs in this period",
+    requests: { one: "%{count} request", other: "%{count} requests" },
+    load_failed: "Couldn't load cost data: %{message}",
+    providers: {
+      unknown: "Unknown"
+    },
+    tiers: {
+      tier1: "Tier 1 (fast)",
+      tier2: "Tier 2 (thorough)",
+      rule_based: "Rule-based"
+    },
+    features: {
+      excel_analysis: "Excel analysis",
+      ai_chat: "AI chat"
+    }
+  },
+
+  pipeline: {
+    sources: {
+      stackoverflow: "Stack Overflow",
+      reddit: "Reddit",
+      oppadu: "Oppadu"
+    },
+    events: {
+      collection_start: "Started collecting from %{source}",
+      collection_stop: "Stopped collecting from %{source}",
+      item_collected: "Collected a new post",
+      batch_complete: { one: "Processed a batch of %{count} item", other: "Processed a batch of %{count} items" },
+      error: "%{message}"
+    },
+    console: {
+      count: "Showing %{visible} of %{count} (keeps up to %{capacity})",
+      pause: "Pause auto-scroll",
+      resume: { zero: "Resume auto-scroll", one: "Resume auto-scroll (%{count} new entry)", other: "Resume auto-scroll (%{count} new entries)" },
+      fields: {
+        time: "Time",
+        source: "Source",
+        type: "Type",
+        message: "Message",
+        title: "Title",
+        content: "Content",
+        images: "Images"
+      }
+    }
+  },
+
+  playground: {
+    running: "Running...",
+    saving: "Saving...",
+    rerunning: "Re-running...",
+    regression_running: "Re-running the regression set...",
+    configuration: "Configuration %{name}",
+    remove_configuration: "Remove configuration %{name}",
+    index: "Index",
+    similarity_threshold: "Similarity threshold",
+    keyword_threshold_hint: "Keyword search ignores the threshold",
+    no_documents: "No documents retrieved",
+    similarity: "Similarity %{value}",
+    documents: { one: "%{count} doc", other: "%{count} docs" },
+    no_saved_queries: "No saved queries. Run a search and save it to the regression set.",
+    load: "Load",
+    run_error: "Error: %{message}",
+    no_regression_history: "The regression set hasn't been run yet",
+    runs: { one: "%{count} run", other: "%{count} runs" },
+    runs_with_failures: "%{count} runs (%{failures} failed)",
+    no_recent_runs: "No recent runs",
+    failed: "Failed",
+    threshold: "threshold %{value}",
+    errors: {
+      query_required: "Enter a question to search",
+      save_query_required: "Enter a question to save",
+      search_failed: "Search failed: %{message}",
+      save_failed: "Couldn't save the query: %{message}",
+      regression_failed: "Regression run failed: %{message}",
+      delete_failed: "Couldn't delete the query: %{message}",
+      load_queries_failed: "Couldn't load the regression set: %{message}",
+      load_history_failed: "Couldn't load run history: %{message}",
+      codes: {
+        invalid_query: "the query is invalid",
+        query_not_found: "the saved query no longer exists",
+        empty_regression_set: "the regression set has no saved queries"
+      }
+    },
+    metrics: {
+      search_time: "Search time",
+      generation_time: "Generation time",
+      documents: "Documents",
+      avg_similarity: "Avg. similarity"
+    },
+    columns: {
+      query: "Query",
+      settings: "Settings"
+    },
+    summary: {
+      runs: { one: "%{count} run", other: "%{count} runs" },
+      avg_search: "avg. search %{time}",
+      avg_generation: "avg. generation %{time}",
+      failures: { one: "%{count} failure", other: "%{count} failures" }
+    },
+    indexes: {
+      hybrid: "Hybrid",
+      semantic: "Semantic",
+      keyword: "Keyword"
+    }
+  }
+}
@@ -0,0 +1,460 @@
+// Korean messages. Keys mirror en.js; anything missing falls back to English.
+export default {
+  common: {
+    cancel: "취소",
+    close: "닫기",
+    confirm: "확인",
+    delete: "삭제",
+    done: "완료",
+    yes: "있음",
+    request_failed: "요청에 실패했습니다",
+    network_error: "네트워크 오류입니다. 다시 시도해주세요.",
+    offline: "오프라인 상태입니다. 다시 연결되면 시도해주세요."
+  },
+
+  toast: {
+    region: "알림",
+    dismiss: "닫기"
+  },
+
+  locale: {
+    label: "언어",
+    save_failed: "언어 설정을 저장하지 못했습니다"
+  },
+
+  offline: {
+    offline: "오프라인 상태입니다. 이전에 연 페이지는 계속 볼 수 있습니다.",
+    waiting: { other: "대기 중인 요청 %{count}개는 다시 연결되면 전송됩니다." },
+    syncing: { other: "대기 중인 요청 %{count}개를 전송하는 중…" },
+    replayed: { other: "다시 온라인 상태입니다. 대기 중이던 요청 %{count}개를 전송했습니다." },
+    replay_failed: { other: "%{count}개는 완료하지 못했습니다: %{error}." },
+    notification: {
+      title: "다시 온라인 상태입니다",
+      body: { other: "대기 중이던 요청 %{total}개 중 %{sent}개를 전송했습니다." }
+    }
+  },
+
+  connection: {
+    connecting: "연결 중",
+    connected: "연결됨",
+    reconnecting: "다시 연결 중",
+    disconnected: "오프라인"
+  },
+
+  push: {
+    unsupported: "이 브라우저는 푸시 알림을 지원하지 않습니다.",
+    not_configured: "이 서버에는 푸시 알림이 설정되어 있지 않습니다.",
+    blocked: "브라우저 설정에서 이 사이트의 알림이 차단되어 있습니다.",
+    subscribed: "분석과 채팅 답변이 끝나면 이 기기로 알림을 보냅니다.",
+    prompt: "분석이나 채팅 답변이 준비되면 이 기기로 알림을 받으세요.",
+    this_device: "%{name} (이 기기)",
+    last_notified: "마지막 알림 %{time}",
+    added: "%{date}에 추가됨",
+    test: "테스트",
+    sent: "전송됨",
+    remove: "제거"
+  },
+
+  command_palette: {
+    sections: {
+      recent: "최근",
+      files: "파일",
+      conversations: "대화",
+      navigation: "이동",
+      actions: "작업",
+      admin: "관리자",
+      admin_actions: "관리자 작업"
+    },
+    untitled_conversation: "제목 없는 대화",
+    messages: { other: "메시지 %{count}개" },
+    no_matches: "일치하는 항목이 없습니다",
+    empty: "아직 항목이 없습니다"
+  },
+
+  chat: {
+    send_failed: "메시지를 보내지 못했습니다",
+    send_failed_retry: "메시지를 보내지 못했습니다. 다시 시도해주세요.",
+    generate_failed: "응답을 생성하지 못했습니다",
+    reply_failed: "답변이 끝나기 전에 중단되었습니다",
+    tokens: { other: "토큰 %{count}개" },
+    attached: "파일이 첨부되었습니다",
+    attach_failed: "파일을 첨부하지 못했습니다",
+    attach_failed_retry: "파일을 첨부하지 못했습니다. 다시 시도해주세요.",
+    copied: "클립보드에 복사했습니다",
+    copy_failed: "메시지를 복사하지 못했습니다",
+    edit_label: "메시지 수정",
+    resend: "저장 후 다시 보내기",
+    actions: {
+      copy: "복사",
+      edit: "수정 후 다시 보내기",
+      regenerate: "다시 생성",
+      regenerate_tier2: "Tier 2 모델로 다시 생성",
+      retry: "다시 질문하기",
+      up: "좋은 답변",
+      down: "부족한 답변"
+    },
+    feedback: {
+      comment: "의견",
+      placeholder_up: "어떤 점이 도움이 되었나요? (선택)",
+      placeholder_down: "어떤 점이 잘못되었나요? (선택)",
+      send: "피드백 보내기",
+      failed: "피드백을 보내지 못했습니다",
+      thanks: "피드백을 보내주셔서 감사합니다"
+    },
+    discard: {
+      title: "여기서부터 이어갈까요?",
+      message: { other: "이 지점 이후의 메시지 %{count}개가 삭제됩니다." },
+      confirm: "계속"
+    },
+    context: {
+      loading: "시트를 불러오는 중…",
+      load_failed: "통합 문서를 불러오지 못했습니다",
+      invalid_reference: "이 통합 문서의 범위를 입력하세요 (예: Sheet1!B4:F30)",
+      too_many: "범위는 최대 %{count}개까지 추가할 수 있습니다",
+      clipped: "%{range}만 표시됩니다. 그 밖의 셀은 참조를 직접 입력하세요",
+      remove: "%{reference} 제거",
+      sent: "컨텍스트로 보낸 셀",
+      suggestions: {
+        circular_reference: "%{reference}에 순환 참조가 생긴 이유는?",
+        formula_error: "%{reference}의 수식에 어떤 문제가 있나요?",
+        data_validation: "%{reference}의 데이터가 올바른가요?",
+        format_consistency: "%{reference}의 서식이 다른 이유는?",
+        other: "%{reference}의 문제를 설명해 주세요"
+      }
+    }
+  },
+
+  files: {
+    file: "파일",
+    analyzed: "%{name} 분석 완료: 오류 %{errors}개, 경고 %{warnings}개",
+    failed: "%{name} 분석 실패: %{message}",
+    analysis_error: "분석 오류",
+    view_results: "결과 보기",
+    statuses: {
+      uploaded: "업로드됨",
+      processing: "처리 중",
+      analyzed: "완료",
+      failed: "실패",
+      cancelled: "취소됨"
+    },
+    bulk: {
+      failed: "일괄 작업에 실패했습니다",
+      skipped: "%{count}개 건너뜀 (%{reason})",
+      analyze: {
+        label: "분석",
+        confirm: { other: "선택한 파일 %{count}개를 분석하는 데 토큰이 사용됩니다. 계속할까요?" },
+        done: { other: "파일 %{count}개 분석 대기 중" }
+      },
+      cancel: {
+        done: { other: "파일 %{count}개 분석 취소됨" }
+      },
+      delete: {
+        label: "삭제",
+        confirm: { other: "선택한 파일 %{count}개를 삭제할까요? 되돌릴 수 없습니다." },
+        done: { other: "파일 %{count}개 삭제됨" }
+      }
+    },
+    preview: {
+      loading: "통합 문서를 불러오는 중...",
+      empty: "미리 볼 시트가 없는 통합 문서입니다.",
+      load_failed: "통합 문서 미리보기를 불러오지 못했습니다",
+      dimensions: "%{rows} × %{columns}",
+      rows: { other: "%{count}행" },
+      columns: { other: "%{count}열" },
+      rows_failed: "일부 행을 불러오지 못했습니다. %{seconds}초 후에 다시 시도합니다.",
+      retry: "지금 다시 시도"
+    },
+    upload: {
+      statuses: {
+        checking: "확인 중",
+        queued: "준비됨",
+        uploading: "업로드 중",
+        waiting: "온라인이 되면 전송",
+        processing: "처리 중",
+        done: "업로드됨",
+        failed: "실패",
+        cancelled: "취소됨"
+      },
+      checking_progress: "확인 중 %{percent}%",
+      retrying: "연결이 끊겼습니다. 다시 시도하는 중 (%{attempt}/%{max})...",
+      retry: "다시 시도",
+      remove: "제거",
+      errors: {
+        invalid_type: "허용되지 않는 파일 형식입니다. 허용 형식: %{types}",
+        too_large: "파일이 너무 큽니다. 최대 크기는 %{size}MB입니다",
+        empty: "빈 파일입니다",
+        interrupted: "업로드가 중단되었습니다. 연결을 확인한 후 다시 시도하세요.",
+        chunk_rejected: "업로드 조각이 거부되었습니다",
+        cancelled: "업로드가 취소되었습니다",
+        failed: "업로드에 실패했습니다"
+      },
+      stats: {
+        sheets: { other: "시트 %{count}개" },
+        rows: { other: "%{count}행" },
+        columns: { other: "%{count}열" },
+        formulas: { other: "수식 %{count}개" },
+        sheet_names: "시트: %{names}",
+        records: { other: "레코드 %{count}개" },
+        valid: "유효 %{count}개",
+        repeated_questions: { other: "중복 질문 %{count}개" }
+      },
+      estimate: {
+        file: { other: "예상 비용: 약 %{count}토큰 · %{tier}" },
+        available: "(보유: %{count})",
+        total: { other: "예상 비용: 약 %{count}토큰 (보유: %{available})" }
+      }
+    },
+    dataset: {
+      field_coverage: "필드 채움 비율",
+      required: "%{name} (필수)",
+      repeated_questions: {
+        line: "중복 질문 (줄 → 처음 나온 줄): %{pairs}",
+        record: "중복 질문 (레코드 → 처음 나온 레코드): %{pairs}"
+      },
+      more: { other: "외 %{count}개" },
+      all: { line: "모든 줄", record: "모든 레코드" },
+      problems_only: "문제만 보기 (%{count})",
+      location: { line: "줄", record: "#" },
+      status: "상태",
+      nothing_to_show: "표시할 항목이 없습니다",
+      missing_badge: "누락",
+      missing: "누락: %{fields}",
+      repeats: { line: "%{location}번 줄과 중복", record: "%{location}번 레코드와 중복" },
+      ok: "정상",
+      previous: "이전",
+      next: "다음",
+      page: "%{page} / %{pages} 페이지",
+      first_problems: { other: "처음 %{count}개 문제만 표시" },
+      first_records: { other: "레코드 %{total}개 중 처음 %{count}개만 표시" }
+    }
+  },
+
+  analysis: {
+    queued: "분석 대기 중: %{message}",
+    queued_offline: "분석 대기열에 추가되었습니다",
+    error: "오류: %{message}",
+    in_progress: "분석 중...",
+    remaining: "약 %{time} 남음",
+    finishing: "마무리하는 중...",
+    complete: "분석 완료!",
+    completed: "분석이 완료되었습니다",
+    analyzing: "분석 중...",
+    start: "분석 시작",
+    not_connected: "분석 서비스에 연결되어 있지 않습니다",
+    requesting: "분석을 요청하는 중...",
+    reconnecting: "연결이 끊겼습니다. 다시 연결되면 분석을 요청합니다...",
+    request_failed: "분석을 요청하지 못했습니다",
+    cancelling: "분석을 취소하는 중...",
+    cancel_failed: "분석을 취소하지 못했습니다",
+    cancelled_refunded: { other: "분석이 취소되었습니다. 토큰 %{count}개가 환불되었습니다." },
+    cancelled_not_refunded: "분석이 취소되었습니다. 이미 AI 처리에 사용된 토큰은 환불되지 않습니다.",
+    cancel: {
+      title: "분석을 취소할까요?",
+      confirm: "분석 취소",
+      keep: "계속 진행"
+    },
+    queued_successfully: "분석이 대기열에 추가되었습니다",
+    retry: {
+      title: "분석을 다시 시도할까요?",
+      message: "토큰이 사용됩니다.",
+      confirm: "다시 시도"
+    },
+    progress: {
+      starting: "분석을 시작하는 중...",
+      structure: "Excel 파일 구조를 분석하는 중...",
+      preparing_ai: "Excel 분석 완료. AI 분석을 준비하는 중...",
+      running_ai: "AI 분석 중...",
+      saving: "AI 분석 완료. 결과를 저장하는 중...",
+      completed: "분석이 완료되었습니다!"
+    },
+    results: {
+      title: "분석 결과",
+      ai_analysis: "AI 분석",
+      errors_found: "발견된 오류",
+      errors_fixed: "수정된 오류",
+      time_saved: { other: "약 %{count}분" }
+    },
+    severity: {
+      high: "높음",
+      medium: "보통",
+      low: "낮음"
+    },
+    issues: {
+      issue: "문제",
+      categories: {
+        formula_error: "수식 오류",
+        circular_reference: "순환 참조",
+        data_validation: "데이터 유효성",
+        format_consistency: "서식 일관성",
+        other: "기타"
+      },
+      states: {
+        resolved: "해결됨",
+        ignored: "무시됨"
+      },
+      resolve: "해결",
+      ignore: "무시",
+      reopen: "다시 열기",
+      all_sheets: "모든 시트",
+      unknown_sheet: "알 수 없는 시트",
+      sheet_column: "%{sheet} · %{column}열",
+      group: "%{label} (%{count})",
+      shown: "%{total}개 중 %{count}개",
+      show_in_preview: "통합 문서 미리보기에서 보기",
+      show_in_graph: "종속성 그래프에서 보기",
+      update_failed: "문제 상태를 변경하지 못했습니다"
+    },
+    corrections: {
+      decisions: {
+        pending: "대기",
+        accepted: "수락됨",
+        rejected: "거절됨"
+      },
+      position: "%{total}개 중 %{current}번째",
+      unknown_cell: "알 수 없는 셀",
+      empty: "(비어 있음)",
+      confidence: "신뢰도 %{percent}",
+      stale: "AI는 이 셀에 \"%{expected}\"이(가) 있을 것으로 예상했지만 업로드한 통합 문서에는 \"%{actual}\"이(가) 있습니다.",
+      summary: "수락 %{accepted} · 거절 %{rejected} · 대기 %{pending}",
+      download: { other: "수정 %{count}개 중 승인한 %{applied}개를 적용해 다운로드" },
+      load_failed: "수정 사항을 불러오지 못했습니다",
+      save_failed: "결정을 저장하지 못했습니다"
+    }
+  },
+
+  graph: {
+    loading: "의존성 그래프를 만드는 중...",
+    load_failed: "의존성 그래프를 만들지 못했습니다",
+    no_cell: "Sheet1!B4 같은 셀을 입력하세요",
+    cells: { other: "셀 %{count}개" },
+    references: { other: "참조 %{count}개" },
+    truncated: "처음 %{count}개만 표시됩니다",
+    cycle_count: { other: "순환 참조 %{count}개" },
+    more_cycles: "외 %{count}개",
+    range: "범위 전체로 참조됨",
+    empty: "비어 있음",
+    reads: "참조하는 셀 %{count}개",
+    read_by: "참조되는 곳 %{count}개",
+    trace_precedents: "참조하는 셀 추적",
+    trace_dependents: "참조되는 곳 추적",
+    show_in_preview: "미리보기에서 보기"
+  },
+
+  metrics: {
+    modes: {
+      live: "실시간",
+      polling: "주기적 갱신",
+      paused: "일시정지"
+    }
+  },
+
+  costs: {
+    daily_cost: "일일 비용",
+    daily_budget: "일일 예산 (월 %{monthly})",
+    no_data: "데이터 없음",
+    no_costs: "이 기간에는 비용이 없습니다",
+    requests: { other: "%{count}건" },
+    load_failed: "비용 데이터를 불러오지 못했습니다: %{message}",
+    providers: {
+      unknown: "알 수 없음"
+    },
+    tiers: {
+      tier1: "Tier 1 (빠른 분석)",
+      tier2: "Tier 2 (정밀 분석)",
+      rule_based: "규칙 기반"
+    },
+    features: {
+      excel_analysis: "Excel 분석",
+      ai_chat: "AI 채팅"
+    }
+  },
+
+  pipeline: {
+    sources: {
+      stackoverflow: "스택 오버플로우",
+      reddit: "레딧",
+      oppadu: "오빠두"
+    },
+    events: {
+      collection_start: "%{source} 데이터 수집 시작",
+      collection_stop: "%{source} 데이터 수집 중지",
+      item_collected: "새 게시물 수집됨",
+      batch_complete: { other: "%{count}개 항목의 배치 처리 완료" },
+      error: "%{message}"
+    },
+    console: {
+      count: "%{visible} / %{count}개 표시 (최대 %{capacity}개 보관)",
+      pause: "자동 스크롤 일시정지",
+      resume: { zero: "자동 스크롤 재개", other: "자동 스크롤 재개 (새 로그 %{count}개)" },
+      fields: {
+        time: "시간",
+        source: "소스",
+        type: "유형",
+        message: "메시지",
+        title: "제목",
+        content: "내용",
+        images: "이미지"
+      }
+    }
+  },
+
+  playground: {
+    running: "실행 중...",
+    saving: "저장 중...",
+    rerunning: "재실행 중...",
+    regression_running: "회귀 세트를 재실행하고 있습니다...",
+    configuration: "설정 %{name}",
+    remove_configuration: "설정 %{name} 삭제",
+    index: "인덱스",
+    similarity_threshold: "유사도 임계값",
+    keyword_threshold_hint: "키워드 검색에는 임계값이 적용되지 않습니다",
+    no_documents: "검색된 문서가 없습니다",
+    similarity: "유사도 %{value}",
+    documents: { other: "%{count}개" },
+    no_saved_queries: "저장된 쿼리가 없습니다. 검색 후 회귀 세트에 저장하세요.",
+    load: "불러오기",
+    run_error: "오류: %{message}",
+    no_regression_history: "아직 회귀 세트 실행 기록이 없습니다",
+    runs: { other: "%{count}회" },
+    runs_with_failures: "%{count}회 (실패 %{failures})",
+    no_recent_runs: "최근 실행 기록이 없습니다",
+    failed: "실패",
+    threshold: "임계값 %{value}",
+    errors: {
+      query_required: "검색할 질문을 입력해주세요",
+      save_query_required: "저장할 질문을 입력해주세요",
+      search_failed: "검색 실행 실패: %{message}",
+      save_failed: "쿼리 저장 실패: %{message}",
+      regression_failed: "회귀 세트 실행 실패: %{message}",
+      delete_failed: "쿼리 삭제 실패: %{message}",
+      load_queries_failed: "회귀 세트를 불러오지 못했습니다: %{message}",
+      load_history_failed: "실행 기록을 불러오지 못했습니다: %{message}",
+      codes: {
+        invalid_query: "쿼리가 올바르지 않습니다",
+        query_not_found: "저장된 쿼리를 찾을 수 없습니다",
+        empty_regression_set: "회귀 세트에 저장된 쿼리가 없습니다"
+      }
+    },
+    metrics: {
+      search_time: "검색 시간",
+      generation_time: "생성 시간",
+      documents: "검색 문서",
+      avg_similarity: "평균 유사도"
+    },
+    columns: {
+      query: "쿼리",
+      settings: "설정"
+    },
+    summary: {
+      runs: { other: "%{count}회 실행" },
+      avg_search: "평균 검색 %{time}",
+      avg_generation: "평균 생성 %{time}",
+      failures: { other: "실패 %{count}회" }
+    },
+    indexes: {
+      hybrid: "하이브리드",
+      semantic: "시맨틱",
+      keyword: "키워드"
+    }
+  }
+}
@@ -0,0 +1,328 @@
+// Validates a knowledge-base dataset off the main thread before it is
+// uploaded. JSONL files are streamed line by line, so a 100MB file is never
+// held in memory whole; a .json file holding one array is parsed at once.
+// Every record must be an object with the required fields as non-blank
+// strings, which is what the RAG import needs to index it.
+//
+// Message in:  { id, file, maxSize, requiredFields }
+// Message out: { id, progress } while reading, then { id, stats, problems } or { id, error }
+
+const PREVIEW_LIMIT = 200
+const PROBLEM_ROW_LIMIT = 200
+const LISTED_LOCATIONS = 10
+const PREVIEW_TEXT_LENGTH = 300
+const PROGRESS_STEP = 0.02
+
+self.onmessage = async (event) => {
+  const { id, file, maxSize, requiredFields = [] } = event.data
+
+  try {
+    self.postMessage({ id, ...(await inspect(file, maxSize, requiredFields, progress => self.postMessage({ id, progress }))) })
+  } catch (error) {
+    self.postMessage({ id, error: error.message || "Could not read dataset" })
+  }
+}
+
+async function inspect(file, maxSize, requiredFields, onProgress) {
+  const problems = []
+  const report = new Report(requiredFields)
+
+  if (maxSize && file.size > maxSize) {
+    problems.push(problem("error", "FILE_TOO_LARGE", `File is ${formatMegabytes(file.size)}; the limit is ${formatMegabytes(maxSize)}.`))
+    return { stats: report.stats(file), problems }
+  }
+
+  const head = (await file.slice(0, 1024).text()).replace(/^\uFEFF/, "").trimStart()
+
+  if (file.name.toLowerCase().endsWith(".json") && head.startsWith("[")) {
+    await inspectArray(file, report, problems)
+  } else {
+    await inspectLines(file, report, onProgress)
+  }
+
+  // A .json file that failed to parse has nothing more to report
+  if (problems.length === 0) problems.push(...report.problems())
+  return { stats: report.stats(file), problems }
+}
+
+// JSONL: one record per line, blank lines ignored
+async function inspectLines(file, report, onProgress) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ""
+  let line = 0
+  let bytesRead = 0
+  let reported = 0
+
+  report.unit = "line"
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += value
+    let start = 0
+    let newline
+
+    while ((newline = buffer.indexOf("\n", start)) !== -1) {
+      report.addLine(++line, buffer.slice(start, newline))
+      start = newline + 1
+    }
+    buffer = buffer.slice(start)
+
+    // Characters rather than bytes, which is close enough for a progress bar
+    bytesRead += value.length
+    const progress = Math.min(bytesRead / file.size, 1)
+    if (progress - reported >= PROGRESS_STEP) {
+      reported = progress
+      onProgress(progress)
+    }
+  }
+
+  if (buffer) report.addLine(++line, buffer)
+}
+
+// .json: a single array of records
+async function inspectArray(file, report, problems) {
+  const text = (await file.text()).replace(/^\uFEFF/, "")
+  report.unit = "record"
+
+  let records
+  try {
+    records = JSON.parse(text)
+  } catch (error) {
+    const line = errorLine(error, text)
+    problems.push(problem("error", "INVALID_JSON", `The file is not valid JSON${line ? ` (line ${line})` : ""}: ${error.message}`))
+    return
+  }
+
+  if (!Array.isArray(records)) {
+    problems.push(problem("error", "INVALID_DATASET", "A .json dataset must be an array of records."))
+    return
+  }
+
+  records.forEach((record, index) => report.addRecord(index + 1, record, null))
+}
+
+class Report {
+  constructor(requiredFields) {
+    this.requiredFields = requiredFields
+    this.unit = "line"
+    this.records = 0
+    this.valid = 0
+    this.invalidJson = []
+    this.invalidJsonCount = 0
+    this.notObjects = []
+    this.notObjectCount = 0
+    this.missingFields = []
+    this.missingFieldCount = 0
+    this.fieldCounts = new Map()
+    this.questions = new Map()
+    this.pairs = new Set()
+    this.duplicateQuestions = 0
+    this.exactDuplicates = 0
+    this.duplicates = []
+    this.preview = []
+    this.problemRows = []
+  }
+
+  addLine(location, text) {
+    if (location === 1) text = text.replace(/^\uFEFF/, "")
+    text = text.replace(/\r$/, "")
+    if (!text.trim()) return
+
+    let record
+    try {
+      record = JSON.parse(text)
+    } catch (error) {
+      this.invalidJsonCount++
+      if (this.invalidJson.length < LISTED_LOCATIONS) this.invalidJson.push(location)
+      this.addRow({ location, raw: truncate(text), error: error.message })
+      return
+    }
+
+    this.addRecord(location, record, text)
+  }
+
+  addRecord(location, record, text) {
+    this.records++
+
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+      this.notObjectCount++
+      if (this.notObjects.length < LISTED_LOCATIONS) this.notObjects.push(location)
+      this.addRow({ location, raw: truncate(text ?? JSON.stringify(record)), error: "Record is not a JSON object" })
+      return
+    }
+
+    Object.entries(record).forEach(([field, value]) => {
+      if (!isBlank(value)) this.fieldCounts.set(field, (this.fieldCounts.get(field) || 0) + 1)
+    })
+
+    const missing = this.requiredFields.filter(field => typeof record[field] !== "string" || isBlank(record[field]))
+    if (missing.length > 0) {
+      this.missingFieldCount++
+      if (this.missingFields.length < LISTED_LOCATIONS) this.missingFields.push({ location, fields: missing })
+      this.addRow({ location, record: previewRecord(record), missing })
+      return
+    }
+
+    this.valid++
+    this.addRow({ location, record: previewRecord(record), duplicateOf: this.checkDuplicate(location, record) })
+  }
+
+  // Questions are compared case- and whitespace-insensitively; a repeated
+  // question with the same answer is also counted as an exact duplicate.
+  // Only hashes are kept, so memory stays flat on large files. Returns where
+  // the question first appeared, or null.
+  checkDuplicate(location, record) {
+    const questionKey = normalize(record.question ?? JSON.stringify(record))
+    if (!questionKey) return null
+
+    const questionHash = hash(questionKey)
+    const pairHash = hash(`${questionKey}\u0000${normalize(record.answer ?? "")}`)
+    const firstLocation = this.questions.get(questionHash)
+
+    if (firstLocation === undefined) {
+      this.questions.set(questionHash, location)
+      this.pairs.add(pairHash)
+      return null
+    }
+
+    this.duplicateQuestions++
+    if (this.pairs.has(pairHash)) this.exactDuplicates++
+    this.pairs.add(pairHash)
+    if (this.duplicates.length < LISTED_LOCATIONS) this.duplicates.push({ location, firstLocation })
+    return firstLocation
+  }
+
+  addRow(row) {
+    const isProblem = Boolean(row.error || row.missing || row.duplicateOf)
+
+    if (this.preview.length < PREVIEW_LIMIT) this.preview.push(row)
+    if (isProblem && this.problemRows.length < PROBLEM_ROW_LIMIT) this.problemRows.push(row)
+  }
+
+  stats(file) {
+    const fields = [...this.fieldCounts.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .map(([name, count]) => ({ name, count, required: this.requiredFields.includes(name) }))
+
+    this.requiredFields.forEach(name => {
+      if (!this.fieldCounts.has(name)) fields.push({ name, count: 0, required: true })
+    })
+
+    return {
+      fileSize: file.size,
+      unit: this.unit,
+      recordCount: this.records + this.invalidJsonCount,
+      validCount: this.valid,
+      invalidJsonCount: this.invalidJsonCount,
+      invalidJson: this.invalidJson,
+      notObjectCount: this.notObjectCount,
+      missingFieldCount: this.missingFieldCount,
+      missingFields: this.missingFields,
+      duplicateQuestions: this.duplicateQuestions,
+      exactDuplicates: this.exactDuplicates,
+      duplicates: this.duplicates,
+      fields,
+      requiredFields: this.requiredFields,
+      preview: this.preview,
+      problemRows: this.problemRows
+    }
+  }
+
+  problems() {
+    const problems = []
+    const unit = this.unit
+
+    if (this.records + this.invalidJsonCount === 0) {
+      problems.push(problem("error", "EMPTY_DATASET", "This file has no records."))
+    }
+
+    if (this.invalidJsonCount > 0) {
+      problems.push(problem("error", "INVALID_JSON", `Invalid JSON on ${listLocations(unit, this.invalidJson, this.invalidJsonCount)}.`))
+    }
+
+    if (this.notObjectCount > 0) {
+      problems.push(problem("error", "INVALID_RECORD", `Records must be JSON objects; see ${listLocations(unit, this.notObjects, this.notObjectCount)}.`))
+    }
+
+    if (this.missingFieldCount > 0) {
+      const listed = this.missingFields.map(({ location, fields }) => `${location} (${fields.join(", ")})`)
+      const more = this.missingFieldCount - listed.length
+      problems.push(problem(
+        "error",
+        "MISSING_FIELDS",
+        `Missing required fields on ${unit}${this.missingFieldCount === 1 ? "" : "s"} ${listed.join(", ")}${more > 0 ? ` and ${more.toLocaleString()} more` : ""}.`
+      ))
+    }
+
+    if (this.duplicateQuestions > 0) {
+      problems.push(problem(
+        "warning",
+        "DUPLICATES",
+        `${this.duplicateQuestions.toLocaleString()} repeated ${this.duplicateQuestions === 1 ? "question" : "questions"}, ${this.exactDuplicates.toLocaleString()} with the same answer as before.`
+      ))
+    }
+
+    return problems
+  }
+}
+
+// Helpers
+function problem(level, code, message) {
+  return { level, code, message }
+}
+
+function listLocations(unit, locations, total) {
+  const more = total - locations.length
+  return `${unit}${total === 1 ? "" : "s"} ${locations.join(", ")}${more > 0 ? ` and ${more.toLocaleString()} more` : ""}`
+}
+
+// Newer engines name the line in the message; older ones give a character position
+function errorLine(error, text) {
+  const line = error.message.match(/line (\d+)/)?.[1]
+  if (line) return Number(line)
+
+  const position = error.message.match(/position (\d+)/)?.[1]
+  if (position === undefined) return null
+  return text.slice(0, Number(position)).split("\n").length
+}
+
+function previewRecord(record) {
+  return Object.fromEntries(Object.entries(record).map(([field, value]) => [
+    field,
+    truncate(typeof value === "string" ? value : JSON.stringify(value))
+  ]))
+}
+
+function truncate(text) {
+  return text.length > PREVIEW_TEXT_LENGTH ? `${text.slice(0, PREVIEW_TEXT_LENGTH)}…` : text
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, " ").trim()
+}
+
+// 53-bit string hash (cyrb53); collisions are negligible at dataset sizes
+function hash(text) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index)
+    h1 = Math.imul(h1 ^ code, 2654435761)
+    h2 = Math.imul(h2 ^ code, 1597334677)
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`
+}
@@ -0,0 +1,284 @@
+// Reads a workbook off the main thread and reports its shape plus anything
+// that would make the upload fail or waste tokens. XLSX/XLSM files are read
+// straight from the ZIP directory with Blob slices, and sheet XML is streamed
+// through DecompressionStream, so large files are never held in memory whole.
+//
+// Message in:  { id, file, maxSize }
+// Message out: { id, stats, problems } or { id, error }
+
+const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04]
+const END_OF_DIRECTORY = 0x06054b50
+const DIRECTORY_ENTRY = 0x02014b50
+
+self.onmessage = async (event) => {
+  const { id, file, maxSize } = event.data
+
+  try {
+    self.postMessage({ id, ...(await inspect(file, maxSize)) })
+  } catch (error) {
+    self.postMessage({ id, error: error.message || "Could not read workbook" })
+  }
+}
+
+async function inspect(file, maxSize) {
+  const problems = []
+  const extension = file.name.split(".").pop().toLowerCase()
+  const stats = { fileSize: file.size, sheets: [], sheetCount: 0, rowCount: 0, cellCount: 0, formulaCount: 0 }
+
+  if (maxSize && file.size > maxSize) {
+    problems.push(problem("error", "FILE_TOO_LARGE", `File is ${formatMegabytes(file.size)}; the limit is ${formatMegabytes(maxSize)}.`))
+    return { stats, problems }
+  }
+
+  const header = new Uint8Array(await file.slice(0, 8).arrayBuffer())
+
+  if (extension === "csv") {
+    Object.assign(stats, await inspectCsv(file))
+  } else if (startsWith(header, OLE2_SIGNATURE) && (extension === "xlsx" || extension === "xlsm")) {
+    // Encrypted OOXML workbooks are wrapped in an OLE2 container
+    problems.push(problem("error", "PASSWORD_PROTECTED", "This workbook is password protected. Remove the password in Excel and upload it again."))
+    return { stats, problems }
+  } else if (extension === "xls") {
+    if (!startsWith(header, OLE2_SIGNATURE)) {
+      problems.push(problem("error", "CORRUPTED_FILE", "This does not look like an Excel 97-2003 workbook."))
+    } else {
+      problems.push(problem("info", "LEGACY_FORMAT", "Sheet details for .xls files are only available after upload."))
+    }
+    return { stats, problems }
+  } else if (!startsWith(header, ZIP_SIGNATURE)) {
+    problems.push(problem("error", "CORRUPTED_FILE", "This file is not a valid Excel workbook."))
+    return { stats, problems }
+  } else {
+    Object.assign(stats, await inspectXlsx(file, problems))
+  }
+
+  stats.sheetCount = stats.sheets.length
+  stats.rowCount = sum(stats.sheets, "rows")
+  stats.cellCount = sum(stats.sheets, "cells")
+  stats.formulaCount = sum(stats.sheets, "formulas")
+
+  if (stats.cellCount === 0) {
+    problems.push(problem("error", "EMPTY_WORKBOOK", "This workbook has no data in any sheet."))
+  }
+
+  return { stats, problems }
+}
+
+// XLSX / XLSM
+async function inspectXlsx(file, problems) {
+  const entries = await readDirectory(file)
+
+  if (entries.has("xl/vbaProject.bin")) {
+    problems.push(problem("warning", "MACROS", "This workbook contains VBA macros. Macros are not analyzed or run."))
+  }
+
+  const workbook = await readText(file, entries.get("xl/workbook.xml"))
+  const relations = await readText(file, entries.get("xl/_rels/workbook.xml.rels"))
+
+  if (/<workbookProtection\b/.test(workbook)) {
+    problems.push(problem("warning", "PROTECTED_STRUCTURE", "The workbook structure is protected; some sheets may not be analyzed."))
+  }
+
+  const targets = {}
+  for (const match of relations.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = attribute(match[0], "Id")
+    const target = attribute(match[0], "Target")
+    if (id && target) targets[id] = target.startsWith("/") ? target.slice(1) : `xl/${target}`
+  }
+
+  const sheets = []
+  for (const match of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = decodeEntities(attribute(match[0], "name") || "")
+    const path = targets[attribute(match[0], "r:id")]
+    const entry = entries.get(path)
+
+    const sheet = { name, rows: 0, columns: 0, cells: 0, formulas: 0, protected: false }
+    if (entry) await scanSheet(file, entry, sheet)
+    if (sheet.protected) {
+      problems.push(problem("warning", "PROTECTED_SHEET", `Sheet "${name}" is protected; locked cells cannot be corrected.`))
+    }
+
+    sheets.push(sheet)
+  }
+
+  return { sheets }
+}
+
+// Counts rows, columns, values and formulas while the sheet XML streams past.
+// Chunks are cut at the last ">" so no tag is ever split between two scans.
+async function scanSheet(file, entry, sheet) {
+  let carry = ""
+
+  const scan = (text) => {
+    for (const match of text.matchAll(/<row\b[^>]*\br="(\d+)"/g)) {
+      sheet.rows = Math.max(sheet.rows, Number(match[1]))
+    }
+    for (const match of text.matchAll(/<c\b[^>]*\br="([A-Z]+)\d+"/g)) {
+      sheet.columns = Math.max(sheet.columns, columnNumber(match[1]))
+    }
+    sheet.cells += count(text, /<v>|<is>/g)
+    sheet.formulas += count(text, /<f[\s>/]/g)
+    if (!sheet.protected && /<sheetProtection\b/.test(text)) sheet.protected = true
+  }
+
+  await streamEntry(file, entry, (chunk) => {
+    const text = carry + chunk
+    const cut = text.lastIndexOf(">") + 1
+
+    scan(text.slice(0, cut))
+    carry = text.slice(cut)
+  })
+
+  scan(carry)
+}
+
+// ZIP reading
+async function readDirectory(file) {
+  const tailLength = Math.min(file.size, 65557)
+  const tail = new DataView(await file.slice(file.size - tailLength).arrayBuffer())
+
+  let end = -1
+  for (let offset = tail.byteLength - 22; offset >= 0; offset--) {
+    if (tail.getUint32(offset, true) === END_OF_DIRECTORY) {
+      end = offset
+      break
+    }
+  }
+  if (end === -1) throw new Error("This file is not a valid Excel workbook.")
+
+  const directorySize = tail.getUint32(end + 12, true)
+  const directoryOffset = tail.getUint32(end + 16, true)
+  const directory = new DataView(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer())
+  const decoder = new TextDecoder()
+  const entries = new Map()
+
+  for (let offset = 0; offset + 46 <= directory.byteLength && directory.getUint32(offset, true) === DIRECTORY_ENTRY;) {
+    const nameLength = directory.getUint16(offset + 28, true)
+    const extraLength = directory.getUint16(offset + 30, true)
+    const commentLength = directory.getUint16(offset + 32, true)
+    const name = decoder.decode(new Uint8Array(directory.buffer, offset + 46, nameLength))
+
+    entries.set(name, {
+      method: directory.getUint16(offset + 10, true),
+      compressedSize: directory.getUint32(offset + 20, true),
+      localOffset: directory.getUint32(offset + 42, true)
+    })
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+async function entryStream(file, entry) {
+  const local = new DataView(await file.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer())
+  const start = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true)
+  const data = file.slice(start, start + entry.compressedSize).stream()
+
+  if (entry.method === 0) return data
+  if (entry.method === 8) return data.pipeThrough(new DecompressionStream("deflate-raw"))
+  throw new Error("This workbook uses an unsupported compression method.")
+}
+
+async function streamEntry(file, entry, onText) {
+  const reader = (await entryStream(file, entry)).pipeThrough(new TextDecoderStream()).getReader()
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    onText(value)
+  }
+}
+
+async function readText(file, entry) {
+  if (!entry) return ""
+
+  let text = ""
+  await streamEntry(file, entry, (chunk) => { text += chunk })
+  return text
+}
+
+// CSV
+async function inspectCsv(file) {
+  const sheet = { name: file.name.replace(/\.csv$/i, ""), rows: 0, columns: 0, cells: 0, formulas: 0, protected: false }
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader()
+
+  let quoted = false
+  let columns = 1
+  let rowHasValue = false
+  let fieldHasValue = false
+
+  const endField = () => {
+    if (fieldHasValue) sheet.cells++
+    rowHasValue ||= fieldHasValue
+    fieldHasValue = false
+  }
+
+  const endRow = () => {
+    endField()
+    if (rowHasValue) {
+      sheet.rows++
+      sheet.columns = Math.max(sheet.columns, columns)
+    }
+    columns = 1
+    rowHasValue = false
+  }
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    for (const char of value) {
+      if (char === '"') {
+        quoted = !quoted
+        fieldHasValue = true
+      } else if (quoted) {
+        fieldHasValue = true
+      } else if (char === ",") {
+        endField()
+        columns++
+      } else if (char === "\n") {
+        endRow()
+      } else if (char !== "\r" && char !== " ") {
+        fieldHasValue = true
+      }
+    }
+  }
+  endRow()
+
+  return { sheets: [sheet] }
+}
+
+// Helpers
+function problem(level, code, message) {
+  return { level, code, message }
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, index) => bytes[index] === byte)
+}
+
+function attribute(tag, name) {
+  return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1]
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(lt|gt|quot|apos|amp);/g, (_, entity) => ({ lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" })[entity])
+}
+
+function columnNumber(letters) {
+  return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0)
+}
+
+function count(text, pattern) {
+  return text.match(pattern)?.length || 0
+}
+
+function sum(sheets, key) {
+  return sheets.reduce((total, sheet) => total + sheet[key], 0)
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`
+}
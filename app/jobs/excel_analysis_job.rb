@@ -18,20 +18,24 @@ class ExcelAnalysisJob < ApplicationJob
       return
     end
     
+    # The tokens reserved when the analysis was queued are now spent on it
+    reserved_tokens = excel_file.claim_reserved_tokens!
+    
     # Update status to processing
     excel_file.update!(status: 'processing')
-    broadcast_progress(excel_file, "Starting analysis...", 0)
+    broadcast_progress(excel_file, :starting, 0)
     
     begin
       # Step 1: Excel file analysis
-      broadcast_progress(excel_file, "Analyzing Excel file structure...", 10)
+      broadcast_progress(excel_file, :structure, 10)
       analyzer = ExcelAnalysis::AnalyzeErrors::ExcelAnalyzerService.new(excel_file.file_path)
       detected_errors = analyzer.analyze
       
-      broadcast_progress(excel_file, "Excel analysis complete. Preparing AI analysis...", 30)
+      broadcast_progress(excel_file, :preparing_ai, 30)
+      return if cancelled_during_run?(excel_file, refund: reserved_tokens)
       
       # Step 2: AI analysis
-      broadcast_progress(excel_file, "Running AI analysis...", 40)
+      broadcast_progress(excel_file, :running_ai, 40)
       ai_handler = AiIntegration::MultiProvider::AiAnalysisHandler.new(
         errors: detected_errors,
         user: user,
@@ -41,11 +45,14 @@ class ExcelAnalysisJob < ApplicationJob
       ai_result = ai_handler.execute
       
       unless ai_result.success?
-        handle_analysis_failure(excel_file, ai_result.error.message)
+        handle_analysis_failure(excel_file, ai_result.error.message, refund: reserved_tokens)
         return
       end
       
-      broadcast_progress(excel_file, "AI analysis complete. Saving results...", 80)
+      # Stop before saving results or charging tokens if the user cancelled meanwhile
+      return if cancelled_during_run?(excel_file, refund: reserved_tokens)
+      
+      broadcast_progress(excel_file, :saving, 80)
       
       # Step 3: Save analysis results
       analysis = Analysis.create!(
@@ -54,39 +61,73 @@ class ExcelAnalysisJob < ApplicationJob
         detected_errors: detected_errors,
         ai_analysis: ai_result.value[:analysis],
         ai_tier_used: ai_result.value[:tier_used],
+        provider: ai_result.value[:provider],
         tokens_used: ai_result.value[:tokens_used],
-        confidence_score: ai_result.value[:confidence_score]
+        cost: AiCostMonitoring::Services::CostLedger.cost_for(ai_result.value[:tokens_used], ai_result.value[:tier_used]),
+        confidence_score: ai_result.value[:confidence_score],
+        status: :completed
       )
       
-      # Step 4: Deduct tokens from user
-      user.decrement!(:tokens, ai_result.value[:tokens_used])
+      # Step 4: Charge what the analysis actually used. The reservation was
+      # only an advance: a cheaper run gives the difference back.
+      user.decrement!(:tokens, ai_result.value[:tokens_used] - reserved_tokens)
       
       # Step 5: Update file status
       excel_file.update!(status: 'analyzed')
       
-      broadcast_progress(excel_file, "Analysis completed successfully!", 100)
+      broadcast_progress(excel_file, :completed, 100)
       
       # Broadcast completion
       broadcast_completion(excel_file, analysis)
       
+      Notifications::Jobs::DeliverPushJob.notify(
+        user,
+        Notifications::Models::PushMessage.analysis_completed(excel_file, analysis)
+      )
+      
       Rails.logger.info("Excel analysis completed for file #{file_id}")
       
     rescue StandardError => e
       Rails.logger.error("Excel analysis failed for file #{file_id}: #{e.message}")
       Rails.logger.error(e.backtrace.join("\n"))
       
-      handle_analysis_failure(excel_file, e.message)
+      handle_analysis_failure(excel_file, e.message, refund: reserved_tokens)
     end
   end
 
   private
 
-  def broadcast_progress(excel_file, message, progress)
+  # Nothing is delivered to a cancelled run, so the claimed reservation goes
+  # back; the cancel request itself found it already claimed and refunded 0
+  def cancelled_during_run?(excel_file, refund: 0)
+    return false unless excel_file.reload.cancelled?
+    
+    Rails.logger.info("Analysis cancelled mid-run for file #{excel_file.id}")
+    return true unless refund.positive?
+    
+    excel_file.user.add_tokens!(refund)
+    ActionCable.server.broadcast(
+      "excel_analysis_#{excel_file.id}",
+      {
+        type: 'cancelled',
+        status: excel_file.status,
+        tokens_refunded: refund,
+        user_tokens: excel_file.user.reload.tokens,
+        timestamp: Time.current
+      }
+    )
+    true
+  end
+
+  # Progress steps are sent as keys into the client-side catalog
+  # (analysis.progress.*) so the page can show them in the user's language
+  def broadcast_progress(excel_file, step, progress)
     ActionCable.server.broadcast(
       "excel_analysis_#{excel_file.id}",
       {
         type: 'progress',
-        message: message,
+        key: "analysis.progress.#{step}",
+        params: {},
         progress: progress,
         status: excel_file.status,
         timestamp: Time.current
@@ -99,7 +140,7 @@ class ExcelAnalysisJob < ApplicationJob
       "excel_analysis_#{excel_file.id}",
       {
         type: 'completed',
-        message: 'Analysis completed successfully',
+        key: 'analysis.completed',
         progress: 100,
         status: excel_file.status,
         analysis: serialize_analysis(analysis),
@@ -108,8 +149,10 @@ class ExcelAnalysisJob < ApplicationJob
     )
   end
 
-  def handle_analysis_failure(excel_file, error_message)
+  # A failed analysis gives back the reservation it claimed
+  def handle_analysis_failure(excel_file, error_message, refund: 0)
     excel_file.update!(status: 'failed')
+    excel_file.user.add_tokens!(refund) if refund.positive?
     
     ActionCable.server.broadcast(
       "excel_analysis_#{excel_file.id}",
@@ -120,16 +163,14 @@ class ExcelAnalysisJob < ApplicationJob
         timestamp: Time.current
       }
     )
+    
+    Notifications::Jobs::DeliverPushJob.notify(
+      excel_file.user,
+      Notifications::Models::PushMessage.analysis_failed(excel_file, error_message)
+    )
   end
 
   def serialize_analysis(analysis)
-    {
-      id: analysis.id,
-      ai_tier_used: analysis.ai_tier_used,
-      tokens_used: analysis.tokens_used,
-      confidence_score: analysis.confidence_score,
-      errors_found: analysis.detected_errors&.size || 0,
-      created_at: analysis.created_at
-    }
+    ExcelAnalysis::Models::AnalysisResult.new(analysis).to_h
   end
-end
\ No newline at end of file
+end
@@ -5,6 +5,13 @@ class Analysis < ApplicationRecord
   belongs_to :excel_file
   belongs_to :user
   
+  ISSUE_STATES = %w[open resolved ignored].freeze
+  CORRECTION_DECISIONS = %w[pending accepted rejected].freeze
+  TIER_NAMES = {
+    'tier1' => 'Basic AI (GPT-3.5/Haiku)',
+    'tier2' => 'Advanced AI (GPT-4/Opus)'
+  }.freeze
+  
   # Enums
   enum :ai_tier_used, { rule_based: 0, tier1: 1, tier2: 2 }
   enum :status, { pending: 0, processing: 1, completed: 2, failed: 3 }
@@ -23,6 +30,7 @@ class Analysis < ApplicationRecord
   
   # Callbacks
   before_save :calculate_counts
+  after_commit :broadcast_dashboard_metrics, on: [:create, :update], if: :saved_change_to_cost?
   
   # Instance methods
   def successful?
@@ -36,10 +44,38 @@ class Analysis < ApplicationRecord
   end
   
   def tier_name
-    case ai_tier_used
-    when 'tier1' then 'Basic AI (GPT-3.5/Haiku)'
-    when 'tier2' then 'Advanced AI (GPT-4/Opus)'
-    else 'Rule-based'
+    TIER_NAMES.fetch(ai_tier_used, 'Rule-based')
+  end
+  
+  # Review state of a detected error, keyed by its index in detected_errors
+  def issue_state(index)
+    (issue_states || {}).fetch(index.to_s, 'open')
+  end
+  
+  def update_issue_state!(index, state)
+    states = (issue_states || {}).except(index.to_s)
+    states[index.to_s] = state unless state == 'open'
+    
+    update!(issue_states: states)
+  end
+  
+  # Review decision on an AI correction, keyed by its index in corrections
+  def correction_decision(index)
+    (correction_decisions || {}).fetch(index.to_s, 'pending')
+  end
+  
+  def update_correction_decision!(index, decision)
+    decisions = (correction_decisions || {}).except(index.to_s)
+    decisions[index.to_s] = decision unless decision == 'pending'
+    
+    update!(correction_decisions: decisions)
+  end
+  
+  # Corrections the user accepted, with their original indexes. Ones the AI
+  # left without a corrected value have nothing to write and are skipped.
+  def accepted_corrections
+    Array(corrections).each_with_index.select do |correction, index|
+      correction_decision(index) == 'accepted' && !correction.to_h.stringify_keys['corrected'].nil?
     end
   end
   
@@ -59,4 +95,8 @@ class Analysis < ApplicationRecord
       self.fixed_count = corrections.size
     end
   end
+  
+  def broadcast_dashboard_metrics
+    AdminDashboard::Jobs::BroadcastMetricsJob.perform_later
+  end
 end
\ No newline at end of file
@@ -1,6 +1,8 @@
 # frozen_string_literal: true
 
 class ChatConversation < ApplicationRecord
+  include FuzzySearchable
+  
   # Associations
   belongs_to :user
   belongs_to :excel_file, optional: true
@@ -17,6 +19,7 @@ class ChatConversation < ApplicationRecord
   scope :recent, -> { order(updated_at: :desc) }
   scope :active, -> { where(status: :active) }
   scope :with_file, -> { where.not(excel_file_id: nil) }
+  fuzzy_searchable_by :title
   
   # Callbacks
   before_create :set_default_title
@@ -30,6 +33,18 @@ class ChatConversation < ApplicationRecord
     increment!(:total_tokens_used, tokens)
   end
   
+  # Deletes everything said after +message+ so the conversation can carry on
+  # from it: used to regenerate a reply or resend an edited question. Tokens
+  # already spent stay in total_tokens_used.
+  def rewind_to!(message)
+    transaction do
+      later = messages.where('id > ?', message.id)
+      removed = later.count
+      later.destroy_all
+      decrement!(:message_count, removed) if removed.positive?
+    end
+  end
+  
   def average_tokens_per_message
     return 0 if message_count.zero?
     
@@ -23,6 +23,12 @@ class ChatMessage < ApplicationRecord
   # Callbacks
   after_create :update_conversation_stats
   
+  # A question whose reply broke off part-way through streaming; it can be
+  # asked again from the conversation
+  def failed?
+    metadata.to_h['failed'] == true
+  end
+  
   private
   
   def update_conversation_stats
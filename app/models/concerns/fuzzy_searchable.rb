@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+# Subsequence search on one text column, the server half of the command
+# palette's fuzzy matching: "q3 rpt" finds "Q3 Sales Report.xlsx". The
+# browser ranks what comes back.
+module FuzzySearchable
+  extend ActiveSupport::Concern
+
+  class_methods do
+    def fuzzy_searchable_by(column)
+      scope :fuzzy_search, lambda { |query|
+        characters = query.to_s.gsub(/\s+/, '').chars
+        next all if characters.empty?
+
+        pattern = "%#{characters.map { |character| sanitize_sql_like(character) }.join('%')}%"
+        where(arel_table[column].matches(pattern))
+      }
+    end
+  end
+end
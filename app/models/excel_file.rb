@@ -1,6 +1,11 @@
 # frozen_string_literal: true
 
 class ExcelFile < ApplicationRecord
+  include FuzzySearchable
+  
+  # Tokens taken when an analysis is queued, before the AI cost is known
+  ANALYSIS_BASE_COST = 10
+  
   # Associations
   belongs_to :user
   has_many :analyses, dependent: :destroy
@@ -19,6 +24,7 @@ class ExcelFile < ApplicationRecord
   scope :by_status, ->(status) { where(status: status) }
   scope :analyzed, -> { where(status: :analyzed) }
   scope :processing_or_analyzed, -> { where(status: [:processing, :analyzed]) }
+  fuzzy_searchable_by :original_name
   
   # Instance methods
   def latest_analysis
@@ -63,13 +69,44 @@ class ExcelFile < ApplicationRecord
   end
   
   def can_be_analyzed?
-    uploaded? || failed?
+    uploaded? || failed? || cancelled?
   end
   
   def can_be_cancelled?
     uploaded? || processing?
   end
   
+  # Queuing an analysis takes its base cost up front and keeps it here until
+  # the job starts. Cancelling before then gives back exactly what was taken.
+  def reserve_analysis_tokens!(amount)
+    with_lock do
+      user.consume_tokens!(amount)
+      update!(reserved_tokens: reserved_tokens + amount)
+    end
+  end
+  
+  # Called by the job as it starts: the reservation becomes part of what the
+  # analysis costs and can no longer be refunded by cancelling
+  def claim_reserved_tokens!
+    with_lock do
+      claimed = reserved_tokens
+      update!(reserved_tokens: 0) if claimed.positive?
+      claimed
+    end
+  end
+  
+  # Returns the tokens still held for a job that never started
+  def release_reserved_tokens!
+    with_lock do
+      released = reserved_tokens
+      if released.positive?
+        user.add_tokens!(released)
+        update!(reserved_tokens: 0)
+      end
+      released
+    end
+  end
+  
   def analysis_progress
     case status
     when 'uploaded'
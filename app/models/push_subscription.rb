@@ -0,0 +1,57 @@
+# frozen_string_literal: true
+
+class PushSubscription < ApplicationRecord
+  belongs_to :user
+  
+  BROWSERS = { 'Edg' => 'Edge', 'Firefox' => 'Firefox', 'Chrome' => 'Chrome', 'Safari' => 'Safari' }.freeze
+  PLATFORMS = { 'Android' => 'Android', 'iPhone' => 'iOS', 'iPad' => 'iOS', 'Mac OS' => 'macOS', 'Windows' => 'Windows', 'Linux' => 'Linux' }.freeze
+  
+  # Browser push services we deliver to. The server POSTs to whatever endpoint
+  # is stored, so anything else (internal hosts, metadata addresses) is refused.
+  PUSH_SERVICE_HOSTS = [
+    /\Afcm\.googleapis\.com\z/,
+    /\Aupdates\.push\.services\.mozilla\.com\z/,
+    /\A(?:[a-z0-9-]+\.)+push\.apple\.com\z/,
+    /\A(?:[a-z0-9-]+\.)+notify\.windows\.com\z/
+  ].freeze
+  
+  # Validations
+  validates :endpoint, presence: true, uniqueness: true, format: { with: %r{\Ahttps://}, message: 'must be an https URL' }
+  validate :endpoint_on_push_service
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+  
+  # Scopes
+  scope :recent, -> { order(Arel.sql('COALESCE(last_used_at, created_at) DESC')) }
+  
+  # Instance methods
+  def device_name
+    browser = BROWSERS.find { |token, _| user_agent.to_s.include?(token) }&.last
+    platform = PLATFORMS.find { |token, _| user_agent.to_s.include?(token) }&.last
+    
+    [browser, platform].compact.join(' on ').presence || 'Unknown device'
+  end
+  
+  def touch_last_used!
+    update_column(:last_used_at, Time.current)
+  end
+  
+  # An https URL on the default port of one of PUSH_SERVICE_HOSTS
+  def self.push_service_endpoint?(endpoint)
+    uri = URI.parse(endpoint.to_s)
+    return false unless uri.is_a?(URI::HTTPS) && uri.port == 443 && uri.userinfo.nil?
+    
+    host = uri.host.to_s.downcase
+    PUSH_SERVICE_HOSTS.any? { |pattern| pattern.match?(host) }
+  rescue URI::InvalidURIError
+    false
+  end
+  
+  private
+  
+  def endpoint_on_push_service
+    return if endpoint.blank? || !endpoint.start_with?('https://')
+    
+    errors.add(:endpoint, 'must belong to a browser push service') unless self.class.push_service_endpoint?(endpoint)
+  end
+end
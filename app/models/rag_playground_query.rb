@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+# A query saved into the RAG playground's regression set, together with the
+# retrieval configurations it should be rerun under.
+class RagPlaygroundQuery < ApplicationRecord
+  belongs_to :user
+  has_many :runs, class_name: 'RagPlaygroundRun', dependent: :nullify
+  
+  # Validations
+  validates :query, presence: true, length: { maximum: 1000 }
+  validate :configurations_present
+  
+  # Scopes
+  scope :recent, -> { order(created_at: :desc) }
+  
+  private
+  
+  def configurations_present
+    errors.add(:configurations, 'must include at least one configuration') unless configurations.is_a?(Array) && configurations.any?
+  end
+end
@@ -0,0 +1,16 @@
+# frozen_string_literal: true
+
+# Timings and retrieval stats for one query under one configuration in the
+# RAG playground. Runs from the same regression rerun share a batch_id.
+class RagPlaygroundRun < ApplicationRecord
+  belongs_to :user
+  belongs_to :rag_playground_query, optional: true
+  
+  # Validations
+  validates :query, presence: true
+  
+  # Scopes
+  scope :recent, -> { order(created_at: :desc) }
+  scope :regression, -> { where.not(batch_id: nil) }
+  scope :succeeded, -> { where(error: nil) }
+end
@@ -10,16 +10,29 @@ class User < ApplicationRecord
   has_many :payment_intents, dependent: :destroy
   has_many :payments, dependent: :destroy
   has_one :subscription, dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
+  has_many :rag_playground_queries, dependent: :destroy
+  has_many :rag_playground_runs, dependent: :destroy
   
   # Enums
   enum :role, { user: 0, admin: 1, super_admin: 2 }
   enum :tier, { free: 0, basic: 1, pro: 2, enterprise: 3 }
   
+  # Appearance preferences, applied by the theme controller on every device
+  THEMES = %w[light dark system].freeze
+  ACCENT_COLORS = %w[blue violet emerald orange rose].freeze
+  
+  # Interface languages; the client-side catalogs live in app/javascript/locales
+  LOCALES = %w[en ko].freeze
+  
   # Validations
   validates :email, presence: true, uniqueness: { case_sensitive: false }
   validates :email, format: { with: URI::MailTo::EMAIL_REGEXP }
   validates :name, presence: true
   validates :tokens, presence: true, numericality: { greater_than_or_equal_to: 0 }
+  validates :theme, inclusion: { in: THEMES }
+  validates :accent_color, inclusion: { in: ACCENT_COLORS }
+  validates :locale, inclusion: { in: LOCALES }
   
   # Callbacks
   before_create :generate_referral_code
@@ -47,6 +60,10 @@ class User < ApplicationRecord
     end
   end
   
+  def appearance
+    { theme: theme, high_contrast: high_contrast, accent_color: accent_color }
+  end
+  
   def has_active_subscription?
     subscription.present? && subscription.active?
   end
@@ -57,5 +57,11 @@ module ExcelappRails
     
     # Time zone
     config.time_zone = "Asia/Seoul"
+    
+    # Interface languages. Korean falls back to English for anything not yet
+    # translated on the server side.
+    config.i18n.available_locales = [:en, :ko]
+    config.i18n.default_locale = :en
+    config.i18n.fallbacks = [:en]
   end
 end
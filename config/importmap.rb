@@ -1,3 +1,14 @@
 # Pin npm packages by running ./bin/importmap
 
 pin "application"
+pin "@hotwired/stimulus", to: "stimulus.min.js"
+pin "@hotwired/stimulus-loading", to: "stimulus-loading.js"
+pin "@rails/actioncable", to: "actioncable.esm.js"
+pin_all_from "app/javascript/controllers", under: "controllers"
+pin_all_from "app/javascript/channels", under: "channels"
+pin_all_from "app/javascript/lib", under: "lib"
+pin_all_from "app/javascript/locales", under: "locales"
+pin_all_from "app/javascript/workers", under: "workers", preload: false
+pin "marked" # @18.0.14
+pin "dompurify" # @3.4.16
+pin "chart.js" # @4.5.1
@@ -30,6 +30,9 @@ Rails.application.routes.draw do
   namespace :api do
     namespace :v1 do
       resources :files, only: [:create, :show, :index, :destroy] do
+        collection do
+          post :estimate
+        end
         member do
           post :analyze
           get :download
@@ -40,6 +43,20 @@ Rails.application.routes.draw do
       
       resources :analyses, only: [:show, :index]
       
+      resources :uploads, only: [:create, :show, :update, :destroy]
+      
+      resources :push_subscriptions, only: [:index, :create, :destroy] do
+        member do
+          post :test
+        end
+        collection do
+          post :rotate
+        end
+      end
+      
+      resource :appearance, only: [:show, :update]
+      resource :locale, only: [:show, :update]
+      
       resources :payments, only: [:create, :index, :show] do
         collection do
           post :confirm
@@ -97,6 +114,7 @@ Rails.application.routes.draw do
   # Admin routes
   namespace :admin do
     root "dashboard#index"
+    get "dashboard/metrics", to: "dashboard#metrics", as: :dashboard_metrics
     resources :users
     resources :analyses, only: [:index, :show]
     resources :stats, only: [:index]
@@ -166,22 +184,43 @@ Rails.application.routes.draw do
         post "indices/:index_id/optimize", to: "indices#optimize", as: :optimize_index
         get "embedding_jobs", to: "embedding_jobs#index"
         post "embedding_jobs", to: "embedding_jobs#create"
-        post "test_search", to: "dashboard#test_search"
+        
+        # Search playground and regression set
+        post "playground/search", to: "playground#search", as: :playground_search
+        get "playground/queries", to: "playground#queries", as: :playground_queries
+        post "playground/queries", to: "playground#save_query"
+        delete "playground/queries/:id", to: "playground#destroy_query", as: :playground_query
+        post "playground/regression", to: "playground#run_regression", as: :playground_regression
+        get "playground/history", to: "playground#history", as: :playground_history
       end
     end
   end
   
   # Feature routes
   resources :excel_files do
+    collection do
+      post :bulk
+    end
     member do
       post :analyze
       get :download_corrected
+      get :preview
+      get :dependencies
+      get :corrections
+      patch "issues/:issue_index", action: :update_issue, as: :issue
+      patch "corrections/:correction_index", action: :review_correction, as: :correction
     end
   end
   
   resources :chat_conversations do
     member do
       post :send_message
+      post :regenerate
+      post :retry_message
+      patch :edit_message
+      post :attach_file
+      get :cell_context
+      get :export
     end
   end
   
@@ -0,0 +1,5 @@
+class AddIssueStatesToAnalyses < ActiveRecord::Migration[8.0]
+  def change
+    add_column :analyses, :issue_states, :json
+  end
+end
@@ -0,0 +1,5 @@
+class AddCorrectionDecisionsToAnalyses < ActiveRecord::Migration[8.0]
+  def change
+    add_column :analyses, :correction_decisions, :json
+  end
+end
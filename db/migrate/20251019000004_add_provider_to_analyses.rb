@@ -0,0 +1,5 @@
+class AddProviderToAnalyses < ActiveRecord::Migration[8.0]
+  def change
+    add_column :analyses, :provider, :string
+  end
+end
@@ -0,0 +1,29 @@
+class CreateRagPlaygroundTables < ActiveRecord::Migration[8.0]
+  def change
+    create_table :rag_playground_queries do |t|
+      t.references :user, null: false, foreign_key: true
+      t.text :query, null: false
+      t.jsonb :configurations, null: false, default: []
+
+      t.timestamps
+    end
+
+    create_table :rag_playground_runs do |t|
+      t.references :user, null: false, foreign_key: true
+      t.references :rag_playground_query, foreign_key: { on_delete: :nullify }
+      t.string :batch_id
+      t.text :query, null: false
+      t.jsonb :settings, null: false, default: {}
+      t.integer :search_time_ms
+      t.integer :generation_time_ms
+      t.integer :documents_retrieved, null: false, default: 0
+      t.decimal :avg_similarity, precision: 5, scale: 4
+      t.text :error
+
+      t.timestamps
+    end
+
+    add_index :rag_playground_runs, :batch_id
+    add_index :rag_playground_runs, :created_at
+  end
+end
@@ -0,0 +1,7 @@
+class AddAppearanceToUsers < ActiveRecord::Migration[8.0]
+  def change
+    add_column :users, :theme, :string, null: false, default: "system"
+    add_column :users, :high_contrast, :boolean, null: false, default: false
+    add_column :users, :accent_color, :string, null: false, default: "blue"
+  end
+end
@@ -0,0 +1,5 @@
+class AddLocaleToUsers < ActiveRecord::Migration[8.0]
+  def change
+    add_column :users, :locale, :string, null: false, default: "en"
+  end
+end
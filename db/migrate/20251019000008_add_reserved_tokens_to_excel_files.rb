@@ -0,0 +1,5 @@
+class AddReservedTokensToExcelFiles < ActiveRecord::Migration[8.0]
+  def change
+    add_column :excel_files, :reserved_tokens, :integer, null: false, default: 0
+  end
+end
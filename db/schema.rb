@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
+ActiveRecord::Schema[8.0].define(version: 2025_10_19_000008) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -57,6 +57,9 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
     t.text "analysis_summary"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.json "issue_states"
+    t.json "correction_decisions"
+    t.string "provider"
     t.index ["ai_tier_used"], name: "index_analyses_on_ai_tier_used"
     t.index ["confidence_score"], name: "index_analyses_on_confidence_score"
     t.index ["created_at"], name: "index_analyses_on_created_at"
@@ -115,6 +118,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
     t.string "file_format"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.integer "reserved_tokens", default: 0, null: false
     t.index ["content_hash"], name: "index_excel_files_on_content_hash"
     t.index ["created_at"], name: "index_excel_files_on_created_at"
     t.index ["status"], name: "index_excel_files_on_status"
@@ -185,6 +189,19 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
     t.index ["user_id"], name: "index_payments_on_user_id"
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.bigint "user_id", null: false
+    t.text "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.string "auth_key", null: false
+    t.string "user_agent"
+    t.datetime "last_used_at"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "rag_documents", force: :cascade do |t|
     t.text "content", null: false
     t.jsonb "metadata", default: {}, null: false
@@ -201,6 +218,34 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
     t.check_constraint "tokens > 0", name: "tokens_positive"
   end
 
+  create_table "rag_playground_queries", force: :cascade do |t|
+    t.bigint "user_id", null: false
+    t.text "query", null: false
+    t.jsonb "configurations", default: [], null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["user_id"], name: "index_rag_playground_queries_on_user_id"
+  end
+
+  create_table "rag_playground_runs", force: :cascade do |t|
+    t.bigint "user_id", null: false
+    t.bigint "rag_playground_query_id"
+    t.string "batch_id"
+    t.text "query", null: false
+    t.jsonb "settings", default: {}, null: false
+    t.integer "search_time_ms"
+    t.integer "generation_time_ms"
+    t.integer "documents_retrieved", default: 0, null: false
+    t.decimal "avg_similarity", precision: 5, scale: 4
+    t.text "error"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["batch_id"], name: "index_rag_playground_runs_on_batch_id"
+    t.index ["created_at"], name: "index_rag_playground_runs_on_created_at"
+    t.index ["rag_playground_query_id"], name: "index_rag_playground_runs_on_rag_playground_query_id"
+    t.index ["user_id"], name: "index_rag_playground_runs_on_user_id"
+  end
+
   create_table "solid_cable_messages", force: :cascade do |t|
     t.binary "channel", null: false
     t.binary "payload", null: false
@@ -382,6 +427,10 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
     t.datetime "confirmation_sent_at"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.string "theme", default: "system", null: false
+    t.boolean "high_contrast", default: false, null: false
+    t.string "accent_color", default: "blue", null: false
+    t.string "locale", default: "en", null: false
     t.index ["confirmation_token"], name: "index_users_on_confirmation_token", unique: true
     t.index ["email"], name: "index_users_on_email", unique: true
     t.index ["referral_code"], name: "index_users_on_referral_code", unique: true
@@ -402,6 +451,10 @@ ActiveRecord::Schema[8.0].define(version: 2025_07_18_000001) do
   add_foreign_key "payment_intents", "users"
   add_foreign_key "payments", "payment_intents"
   add_foreign_key "payments", "users"
+  add_foreign_key "push_subscriptions", "users"
+  add_foreign_key "rag_playground_queries", "users"
+  add_foreign_key "rag_playground_runs", "rag_playground_queries", on_delete: :nullify
+  add_foreign_key "rag_playground_runs", "users"
   add_foreign_key "solid_queue_blocked_executions", "solid_queue_jobs", column: "job_id", on_delete: :cascade
   add_foreign_key "solid_queue_claimed_executions", "solid_queue_jobs", column: "job_id", on_delete: :cascade
   add_foreign_key "solid_queue_failed_executions", "solid_queue_jobs", column: "job_id", on_delete: :cascade
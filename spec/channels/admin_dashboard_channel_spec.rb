@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AdminDashboardChannel, type: :channel do
+  let(:admin) { create(:user, :admin) }
+  
+  describe '#subscribed' do
+    it 'streams dashboard metrics to admins' do
+      stub_connection current_user: admin
+      
+      subscribe
+      
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_from('admin_dashboard')
+    end
+    
+    it 'sends a metrics snapshot built from real costs' do
+      create(:analysis, cost: 1.25)
+      create(:analysis, :tier2, cost: 3.5)
+      stub_connection current_user: admin
+      
+      subscribe
+      
+      metrics = transmissions.last['metrics']
+      expect(transmissions.last['type']).to eq('metrics')
+      expect(metrics['costs']).to include('total_cost' => 4.75, 'today_cost' => 4.75, 'top_tier' => Analysis::TIER_NAMES['tier2'])
+      expect(metrics['pipeline']['sources'].keys).to match_array(DataPipeline::PipelineController::SUPPORTED_SOURCES)
+    end
+    
+    it 'rejects users who are not admins' do
+      stub_connection current_user: create(:user)
+      
+      subscribe
+      
+      expect(subscription).to be_rejected
+    end
+  end
+  
+  describe '.broadcast_metrics' do
+    it 'pushes the snapshot to the dashboard stream' do
+      expect {
+        described_class.broadcast_metrics
+      }.to have_broadcasted_to('admin_dashboard').with(a_hash_including('type' => 'metrics'))
+    end
+  end
+end
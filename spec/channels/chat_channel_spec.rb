@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ChatChannel, type: :channel do
+  let(:user) { create(:user) }
+  let(:conversation) { user.chat_conversations.create! }
+  
+  before do
+    stub_connection current_user: user
+  end
+  
+  describe '#subscribed' do
+    it 'streams replies for the conversation' do
+      subscribe(conversation_id: conversation.id)
+      
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_from("chat_conversation_#{conversation.id}")
+    end
+    
+    it 'rejects conversations owned by another user' do
+      other_conversation = create(:user).chat_conversations.create!
+      
+      subscribe(conversation_id: other_conversation.id)
+      
+      expect(subscription).to be_rejected
+    end
+    
+    it 'rejects a missing conversation id' do
+      subscribe
+      
+      expect(subscription).to be_rejected
+    end
+  end
+end
@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe DataPipelineChannel, type: :channel do
+  describe '#subscribed' do
+    it 'streams the pipeline log to admins' do
+      stub_connection current_user: create(:user, :admin)
+      
+      subscribe
+      
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_from('data_pipeline_logs')
+    end
+    
+    it 'rejects other users' do
+      stub_connection current_user: create(:user)
+      
+      subscribe
+      
+      expect(subscription).to be_rejected
+    end
+  end
+  
+  describe '.broadcast_batch_complete' do
+    it 'sends a message key and params instead of a sentence' do
+      expect {
+        described_class.broadcast_batch_complete('reddit', 10)
+      }.to have_broadcasted_to('data_pipeline_logs').with(
+        a_hash_including(
+          source: 'reddit',
+          type: 'batch_complete',
+          key: 'pipeline.events.batch_complete',
+          params: { count: 10 }
+        )
+      )
+    end
+  end
+  
+  describe '.broadcast_error' do
+    it 'passes the error text through as a param' do
+      expect {
+        described_class.broadcast_error('stackoverflow', 'rate limited')
+      }.to have_broadcasted_to('data_pipeline_logs').with(
+        a_hash_including(key: 'pipeline.events.error', params: { message: 'rate limited' })
+      )
+    end
+  end
+end
@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe FileStatusChannel, type: :channel do
+  let(:user) { create(:user) }
+  let!(:first_file) { create(:excel_file, user: user, status: 'uploaded') }
+  let!(:second_file) { create(:excel_file, user: user, status: 'processing') }
+  
+  before do
+    stub_connection current_user: user
+  end
+  
+  describe '#subscribed' do
+    it 'streams every listed file over one subscription' do
+      subscribe(file_ids: [first_file.id, second_file.id])
+      
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_from("excel_analysis_#{first_file.id}")
+      expect(subscription).to have_stream_from("excel_analysis_#{second_file.id}")
+    end
+    
+    it 'sends a snapshot of each file' do
+      subscribe(file_ids: [first_file.id, second_file.id])
+      
+      expect(transmissions.last['type']).to eq('snapshot')
+      expect(transmissions.last['files']).to contain_exactly(
+        a_hash_including('file_id' => first_file.id, 'status' => 'uploaded'),
+        a_hash_including('file_id' => second_file.id, 'status' => 'processing')
+      )
+    end
+    
+    it 'ignores files owned by other users' do
+      other_file = create(:excel_file, user: create(:user))
+      
+      subscribe(file_ids: [first_file.id, other_file.id])
+      
+      expect(subscription).not_to have_stream_from("excel_analysis_#{other_file.id}")
+    end
+    
+    it 'rejects when none of the files belong to the user' do
+      subscribe(file_ids: [create(:excel_file, user: create(:user)).id])
+      
+      expect(subscription).to be_rejected
+    end
+  end
+end
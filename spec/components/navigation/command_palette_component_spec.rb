@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+
+RSpec.describe Navigation::CommandPaletteComponent, type: :component do
+  def command_ids(user, path: "/")
+    render_inline(described_class.new(current_user: user, current_path: path))
+    JSON.parse(page.find("[data-controller='command-palette']", visible: :all)["data-command-palette-commands-value"]).map { |command| command["id"] }
+  end
+
+  it "leaves admin commands out for regular users" do
+    ids = command_ids(create(:user))
+
+    expect(ids).to include("nav:settings", "action:toggle-theme")
+    expect(ids.grep(/\Aadmin:/)).to be_empty
+  end
+
+  it "includes admin pages and actions for admins" do
+    expect(command_ids(create(:user, :admin))).to include("admin:pipeline", "admin:start-collection")
+  end
+
+  it "offers to analyze the file being viewed" do
+    user = create(:user)
+    file = create(:excel_file, user: user, status: :uploaded)
+
+    expect(command_ids(user, path: "/excel_files/#{file.id}")).to include("action:analyze-file")
+    expect(command_ids(user, path: "/excel_files/#{create(:excel_file).id}")).not_to include("action:analyze-file")
+  end
+end
@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Api::V1::AnalysesController, type: :controller do
+  let(:user) { create(:user) }
+  let(:excel_file) { create(:excel_file, :analyzed, user: user) }
+  let!(:analysis) { create(:analysis, excel_file: excel_file, user: user) }
+  
+  before do
+    allow(controller).to receive(:current_user).and_return(user)
+  end
+  
+  describe 'GET #index' do
+    it "lists the user's analyses" do
+      create(:analysis)
+      
+      get :index
+      
+      json = JSON.parse(response.body)
+      expect(json['analyses'].map { |item| item['id'] }).to eq([analysis.id])
+      expect(json['pagination']['total_count']).to eq(1)
+    end
+  end
+  
+  describe 'GET #show' do
+    it 'returns the analysis with its issues' do
+      get :show, params: { id: analysis.id }
+      
+      expect(response).to have_http_status(:ok)
+      json = JSON.parse(response.body)['analysis']
+      expect(json).to include('detected_errors', 'severity_breakdown')
+      expect(json['id']).to eq(analysis.id)
+      expect(json['file']).to eq('id' => excel_file.id, 'original_name' => excel_file.original_name)
+    end
+    
+    it "does not expose other users' analyses" do
+      get :show, params: { id: create(:analysis).id }
+      
+      expect(response).to have_http_status(:not_found)
+    end
+  end
+end
@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Api::V1::AppearancesController, type: :controller do
+  let(:user) { create(:user) }
+  
+  before do
+    allow(controller).to receive(:current_user).and_return(user)
+  end
+  
+  describe 'GET #show' do
+    it 'returns the defaults for a new user' do
+      get :show
+      
+      expect(JSON.parse(response.body)).to eq('theme' => 'system', 'high_contrast' => false, 'accent_color' => 'blue')
+    end
+  end
+  
+  describe 'PATCH #update' do
+    it 'saves the appearance to the profile' do
+      patch :update, params: { appearance: { theme: 'dark', high_contrast: true, accent_color: 'violet' } }, as: :json
+      
+      expect(response).to have_http_status(:ok)
+      expect(user.reload.appearance).to eq(theme: 'dark', high_contrast: true, accent_color: 'violet')
+    end
+    
+    it 'rejects an unknown theme' do
+      patch :update, params: { appearance: { theme: 'sepia' } }, as: :json
+      
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(user.reload.theme).to eq('system')
+    end
+  end
+end
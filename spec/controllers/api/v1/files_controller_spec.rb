@@ -93,6 +93,35 @@ RSpec.describe Api::V1::FilesController, type: :controller do
       json = JSON.parse(response.body)
       expect(json['error']).to eq('Invalid file')
     end
+    
+    context 'with a chunked upload' do
+      let(:store) { ExcelUpload::Services::ChunkedUploadStore.new(user) }
+      let(:upload_id) do
+        store.create(filename: 'sample.xlsx', size: file.size).value[:upload_id].tap do |id|
+          store.append(id, 0, file.open)
+        end
+      end
+      
+      after { store.discard(upload_id) }
+      
+      it 'keeps the upload when processing fails so it can be retried' do
+        allow(mock_handler).to receive(:execute).and_return(
+          Common::Result.failure(Common::Errors::ValidationError.new(message: 'Invalid file'))
+        )
+        
+        post :create, params: { upload_id: upload_id }
+        
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(store.status(upload_id)).to include(complete: true)
+      end
+      
+      it 'removes the upload once it has been processed' do
+        post :create, params: { upload_id: upload_id }
+        
+        expect(response).to have_http_status(:created)
+        expect(store.status(upload_id)).to be_nil
+      end
+    end
   end
   
   describe 'DELETE #destroy' do
@@ -110,6 +139,27 @@ RSpec.describe Api::V1::FilesController, type: :controller do
     end
   end
   
+  describe 'POST #analyze' do
+    it 'queues the file for analysis' do
+      allow(ExcelAnalysisJob).to receive(:perform_later)
+      
+      post :analyze, params: { id: excel_file.id }
+      
+      expect(response).to have_http_status(:accepted)
+      expect(JSON.parse(response.body)).to include('file_id' => excel_file.id, 'status' => 'uploaded')
+      expect(ExcelAnalysisJob).to have_received(:perform_later).with(excel_file.id, user.id)
+    end
+    
+    it 'rejects files that are already analyzed' do
+      analyzed_file = create(:excel_file, :analyzed, user: user)
+      
+      post :analyze, params: { id: analyzed_file.id }
+      
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(JSON.parse(response.body)['error']).to eq('File is not ready for analysis')
+    end
+  end
+  
   describe 'POST #cancel' do
     let(:excel_file) { create(:excel_file, user: user, status: 'processing') }
     
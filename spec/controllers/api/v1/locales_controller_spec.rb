@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Api::V1::LocalesController, type: :controller do
+  let(:user) { create(:user) }
+  
+  before do
+    allow(controller).to receive(:current_user).and_return(user)
+  end
+  
+  describe 'GET #show' do
+    it 'returns English for a new user' do
+      get :show
+      
+      expect(JSON.parse(response.body)).to eq('locale' => 'en', 'available' => %w[en ko])
+    end
+  end
+  
+  describe 'PATCH #update' do
+    it 'saves the language to the profile' do
+      patch :update, params: { locale: 'ko' }, as: :json
+      
+      expect(response).to have_http_status(:ok)
+      expect(user.reload.locale).to eq('ko')
+    end
+    
+    it 'rejects a language without a catalog' do
+      patch :update, params: { locale: 'fr' }, as: :json
+      
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(user.reload.locale).to eq('en')
+    end
+  end
+end
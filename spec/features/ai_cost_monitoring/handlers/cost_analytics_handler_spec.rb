@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiCostMonitoring::Handlers::CostAnalyticsHandler do
+  describe '#execute' do
+    it 'defaults to the last 30 days' do
+      result = described_class.new.execute
+      
+      expect(result).to be_success
+      expect(result.value).to include(from: (Date.current - 29).iso8601, to: Date.current.iso8601)
+      expect(result.value[:ledger]).to be_a(AiCostMonitoring::Services::CostLedger)
+    end
+    
+    it 'accepts an explicit range' do
+      result = described_class.new(from: '2025-09-01', to: '2025-09-30').execute
+      
+      expect(result.value).to include(from: '2025-09-01', to: '2025-09-30')
+    end
+    
+    it 'rejects dates that do not parse' do
+      result = described_class.new(from: 'last week').execute
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors]).to include('from must be a date (YYYY-MM-DD)')
+    end
+    
+    it 'rejects a range that ends before it starts' do
+      result = described_class.new(from: '2025-09-30', to: '2025-09-01').execute
+      
+      expect(result.error.details[:errors]).to eq(['from must be on or before to'])
+    end
+    
+    it 'rejects ranges longer than a year' do
+      result = described_class.new(from: '2024-01-01', to: '2025-06-30').execute
+      
+      expect(result).to be_failure
+    end
+  end
+end
@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiCostMonitoring::Services::CostLedger do
+  let(:user) { create(:user) }
+  let(:ledger) { described_class.new(from: 2.days.ago.to_date, to: Date.current) }
+  
+  describe '.cost_for' do
+    it 'prices tokens at the tier rate' do
+      expect(described_class.cost_for(2_000, 'tier2')).to eq(0.06)
+      expect(described_class.cost_for(2_000, 'tier1')).to eq(0.002)
+    end
+    
+    it 'accepts the tier as a number' do
+      expect(described_class.cost_for(2_000, 2)).to eq(0.06)
+    end
+  end
+  
+  describe '#rows' do
+    it 'groups analysis spend by day, provider and tier' do
+      create(:analysis, user: user, provider: 'openai', cost: 1.5, tokens_used: 100)
+      create(:analysis, user: user, provider: 'openai', cost: 0.5, tokens_used: 50)
+      create(:analysis, :tier2, user: user, provider: 'anthropic', cost: 2.0)
+      
+      expect(ledger.rows).to contain_exactly(
+        a_hash_including(date: Date.current.iso8601, feature: 'excel_analysis', provider: 'openai', tier: 'tier1', requests: 2, tokens: 150, cost: 2.0),
+        a_hash_including(date: Date.current.iso8601, feature: 'excel_analysis', provider: 'anthropic', tier: 'tier2', requests: 1, cost: 2.0)
+      )
+    end
+    
+    it 'prices assistant chat replies from their tokens' do
+      conversation = user.chat_conversations.create!
+      conversation.messages.create!(user: user, role: 'assistant', content: 'Hi', provider: 'anthropic', ai_tier_used: 2, tokens_used: 1_000)
+      conversation.messages.create!(user: user, role: 'user', content: 'Hello', tokens_used: 500)
+      
+      expect(ledger.rows).to contain_exactly(
+        a_hash_including(feature: 'ai_chat', provider: 'anthropic', tier: 'tier2', requests: 1, cost: 0.03)
+      )
+    end
+    
+    it 'leaves out spend outside the range' do
+      create(:analysis, user: user, cost: 1.0, created_at: 5.days.ago)
+      
+      expect(ledger.rows).to be_empty
+    end
+    
+    it 'includes analyses run from an upload' do
+      excel_file = create(:excel_file, user: user, status: 'uploaded')
+      analyzer = instance_double(ExcelAnalysis::AnalyzeErrors::ExcelAnalyzerService, analyze: [])
+      ai_handler = double(execute: Common::Result.success({
+        analysis: 'AI analysis result',
+        tier_used: 'tier2',
+        provider: 'anthropic',
+        tokens_used: 2_000,
+        confidence_score: 0.9
+      }))
+      allow(ExcelAnalysis::AnalyzeErrors::ExcelAnalyzerService).to receive(:new).and_return(analyzer)
+      stub_const('AiIntegration::MultiProvider::AiAnalysisHandler', double(new: ai_handler))
+      allow(ActionCable.server).to receive(:broadcast)
+      allow(Notifications::Jobs::DeliverPushJob).to receive(:notify)
+      
+      ExcelAnalysisJob.new.perform(excel_file.id, user.id)
+      
+      expect(ledger.rows).to contain_exactly(
+        a_hash_including(feature: 'excel_analysis', provider: 'anthropic', tier: 'tier2', requests: 1, tokens: 2_000, cost: 0.06)
+      )
+    end
+    
+    it 'labels analyses without a recorded provider as unknown' do
+      create(:analysis, user: user, cost: 1.0)
+      
+      expect(ledger.rows.first[:provider]).to eq('unknown')
+    end
+  end
+  
+  describe '#models' do
+    it 'totals spend per provider and tier, most expensive first' do
+      create(:analysis, user: user, provider: 'openai', cost: 1.0, tokens_used: 1_000)
+      create(:analysis, :tier2, user: user, provider: 'anthropic', cost: 3.0, tokens_used: 1_000)
+      
+      expect(ledger.models.map { |model| model.values_at(:provider, :tier, :cost) }).to eq([
+        ['anthropic', 'tier2', 3.0],
+        ['openai', 'tier1', 1.0]
+      ])
+      expect(ledger.models.first[:cost_per_1k_tokens]).to eq(3.0)
+    end
+  end
+end
@@ -0,0 +1,55 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiIntegration::Handlers::FeedbackHandler do
+  let(:user) { create(:user) }
+  let(:conversation) { user.chat_conversations.create! }
+  let(:reply) do
+    conversation.messages.create!(
+      user: user,
+      role: 'assistant',
+      content: 'Use XLOOKUP instead.',
+      provider: 'openai',
+      ai_tier_used: 1,
+      metadata: { 'model' => 'gpt-3.5-turbo' }
+    )
+  end
+  
+  def feedback(rating, text = nil, message: reply)
+    described_class.new(user: user, conversation_id: conversation.id, message_id: message.id, rating: rating, feedback_text: text).execute
+  end
+  
+  describe '#execute' do
+    it 'saves the rating and comment on the reply' do
+      result = feedback('1', 'Wrong function')
+      
+      expect(result).to be_success
+      expect(reply.reload).to have_attributes(user_rating: 1, user_feedback: 'Wrong function')
+      expect(AiFeedback.last).to have_attributes(rating: 1, ai_tier_used: 1, provider: 'openai')
+    end
+    
+    it 'counts the rating towards the model metrics' do
+      feedback(5)
+      
+      metric = AiProviderMetric.find_by!(provider: 'openai', model: 'gpt-3.5-turbo', tier: 1)
+      expect(metric).to have_attributes(total_requests: 1, positive_feedback_count: 1)
+    end
+    
+    it 'accepts one rating per reply' do
+      feedback(5)
+      
+      expect(feedback(1).error.message).to eq('Feedback already submitted')
+    end
+    
+    it 'rejects ratings outside 1 to 5' do
+      expect(feedback('6').error.message).to eq('Invalid rating')
+    end
+    
+    it 'only rates assistant replies' do
+      question = conversation.messages.create!(user: user, role: 'user', content: 'How do I look up a value?')
+      
+      expect(feedback(5, message: question).error.message).to eq('Message not found')
+    end
+  end
+end
@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiIntegration::Handlers::RagPlaygroundHandler do
+  let(:user) { create(:user, :admin) }
+  let(:runner) { instance_double(AiIntegration::RagSystem::PlaygroundRunner) }
+  
+  describe '#execute' do
+    it 'runs the query once per configuration' do
+      configurations = [{ 'index' => 'hybrid' }, { 'index' => 'keyword' }]
+      configurations.each do |settings|
+        expect(runner).to receive(:run).with('VLOOKUP', settings, generate: true).and_return(settings: settings)
+      end
+      
+      result = described_class.new(user: user, query: ' VLOOKUP ', configurations: configurations, generate: 'true', runner: runner).execute
+      
+      expect(result).to be_success
+      expect(result.value[:query]).to eq('VLOOKUP')
+      expect(result.value[:results].size).to eq(2)
+    end
+    
+    it 'requires a query' do
+      result = described_class.new(user: user, query: '', configurations: [{}], runner: runner).execute
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors]).to include('Query cannot be blank')
+    end
+    
+    it 'limits how many configurations can be compared' do
+      result = described_class.new(user: user, query: 'VLOOKUP', configurations: Array.new(5) { {} }, runner: runner).execute
+      
+      expect(result.error.details[:errors]).to eq(['No more than 4 configurations can be compared'])
+    end
+  end
+end
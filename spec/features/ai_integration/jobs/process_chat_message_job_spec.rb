@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiIntegration::Jobs::ProcessChatMessageJob do
+  let(:user) { create(:user, tokens: 100) }
+  let(:conversation) { user.chat_conversations.create! }
+  let(:message) { conversation.messages.create!(user: user, role: 'user', content: 'Why is C2 #DIV/0!?') }
+  let(:chat_service) { instance_double(AiIntegration::MultiProvider::ChatService, provider: 'openai') }
+  
+  before do
+    allow(AiIntegration::MultiProvider::ChatService).to receive(:new).and_return(chat_service)
+    allow(ActionCable.server).to receive(:broadcast)
+  end
+  
+  def perform
+    described_class.new.perform(conversation_id: conversation.id, message_id: message.id)
+  end
+  
+  it 'raises for a retry when nothing was streamed yet' do
+    allow(chat_service).to receive(:generate_response).and_raise(Timeout::Error)
+    
+    expect { perform }.to raise_error(Timeout::Error)
+    expect(message.reload.metadata.to_h).not_to include('failed')
+  end
+  
+  it 'marks the message failed instead of retrying once the reply has started streaming' do
+    allow(chat_service).to receive(:generate_response) do |**, &on_delta|
+      on_delta.call('B1 is ')
+      raise Timeout::Error, 'stream dropped'
+    end
+    
+    expect { perform }.not_to raise_error
+    expect(message.reload.metadata).to include('failed' => true, 'error' => 'stream dropped')
+    expect(conversation.messages.where(role: 'assistant')).to be_empty
+    expect(ActionCable.server).to have_received(:broadcast).with(
+      "chat_conversation_#{conversation.id}",
+      hash_including(type: 'error', failed_message_id: message.id)
+    )
+  end
+  
+  it 'keeps the saved reply when a step after saving it fails' do
+    allow(chat_service).to receive(:generate_response) do |**, &on_delta|
+      on_delta.call('B1 is zero')
+      Common::Result.success({ content: 'B1 is zero', tokens_used: 5, model: 'gpt-4o-mini' })
+    end
+    user.update!(tokens: 1) # too few for the charge
+    
+    expect { perform }.not_to raise_error
+    expect(message.reload.metadata.to_h).not_to include('failed')
+    expect(conversation.messages.where(role: 'assistant').count).to eq(1)
+    expect(ActionCable.server).not_to have_received(:broadcast).with("chat_conversation_#{conversation.id}", hash_including(type: 'error'))
+  end
+end
@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiIntegration::RagSystem::PlaygroundRunner do
+  let(:user) { create(:user, :admin) }
+  let(:orchestrator) { instance_double(AiIntegration::RagSystem::RagOrchestrator) }
+  let(:runner) { described_class.new(user: user, orchestrator: orchestrator) }
+  let(:documents) do
+    [
+      { id: 1, content: 'VLOOKUP returns #N/A when the value is missing', metadata: { 'source' => 'reddit' }, similarity: 0.91 },
+      { id: 2, content: 'Use INDEX and MATCH instead of VLOOKUP', metadata: {}, similarity: 0.79 }
+    ]
+  end
+  
+  describe '.normalize_settings' do
+    it 'fills in defaults' do
+      expect(described_class.normalize_settings({})).to eq(
+        'top_k' => 5, 'similarity_threshold' => 0.7, 'index' => 'hybrid'
+      )
+    end
+    
+    it 'clamps top-k and the threshold and falls back from unknown indexes' do
+      settings = described_class.normalize_settings(top_k: 500, similarity_threshold: '1.5', index: 'bogus')
+      
+      expect(settings).to eq('top_k' => 20, 'similarity_threshold' => 1.0, 'index' => 'hybrid')
+    end
+    
+    it 'drops the threshold for keyword search' do
+      expect(described_class.normalize_settings(index: 'keyword')['similarity_threshold']).to be_nil
+    end
+  end
+  
+  describe '#run' do
+    it 'searches with the given settings and records the run' do
+      expect(orchestrator).to receive(:enhance_query_with_rag)
+        .with('VLOOKUP 오류', limit: 3, search_type: :semantic, similarity_threshold: 0.8)
+        .and_return(relevant_documents: documents)
+      
+      result = nil
+      expect {
+        result = runner.run('VLOOKUP 오류', { 'top_k' => '3', 'similarity_threshold' => '0.8', 'index' => 'semantic' })
+      }.to change(RagPlaygroundRun, :count).by(1)
+      
+      run = RagPlaygroundRun.last
+      expect(run.settings).to eq('top_k' => 3, 'similarity_threshold' => 0.8, 'index' => 'semantic')
+      expect(run.documents_retrieved).to eq(2)
+      expect(run.avg_similarity.to_f).to eq(0.85)
+      expect(run.search_time_ms).to be >= 0
+      expect(run.generation_time_ms).to be_nil
+      expect(result[:documents].first).to include(id: 1, source: 'reddit', similarity: 0.91)
+      expect(result[:answer]).to be_nil
+    end
+    
+    it 'times answer generation when asked to' do
+      allow(orchestrator).to receive(:enhance_query_with_rag).and_return(relevant_documents: documents)
+      allow(orchestrator).to receive(:build_rag_prompt).and_return(system_prompt: 'system', user_prompt: 'user')
+      chat_service = instance_double(AiIntegration::MultiProvider::ChatService)
+      allow(AiIntegration::MultiProvider::ChatService).to receive(:new).and_return(chat_service)
+      allow(chat_service).to receive(:generate_response)
+        .and_return(Common::Result.success(content: 'Use IFERROR', tokens_used: 10, model: 'gpt'))
+      
+      result = runner.run('VLOOKUP', {}, generate: true)
+      
+      expect(result[:answer]).to eq('Use IFERROR')
+      expect(result[:metrics][:generation_time_ms]).to be >= 0
+    end
+    
+    it 'records failed searches instead of raising' do
+      allow(orchestrator).to receive(:enhance_query_with_rag).and_raise(StandardError, 'vector store unavailable')
+      
+      result = runner.run('VLOOKUP', {}, batch_id: 'batch-1')
+      
+      expect(result[:error]).to eq('vector store unavailable')
+      expect(RagPlaygroundRun.last).to have_attributes(error: 'vector store unavailable', batch_id: 'batch-1', documents_retrieved: 0)
+    end
+  end
+end
@@ -0,0 +1,51 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AiIntegration::Services::ConversationExporter do
+  let(:user) { create(:user) }
+  let(:conversation) { user.chat_conversations.create!(title: 'Budget formulas') }
+  let(:exporter) { described_class.new(conversation) }
+  
+  before do
+    conversation.messages.create!(user: user, role: 'user', content: 'Sum column B?')
+    conversation.messages.create!(
+      user: user,
+      role: 'assistant',
+      content: 'Use =SUM(B:B).',
+      tokens_used: 42,
+      ai_tier_used: 2,
+      provider: 'anthropic',
+      metadata: { 'model' => 'claude-3-opus-20240229' }
+    )
+  end
+  
+  describe '#export' do
+    it 'writes Markdown with the model and token details of each reply' do
+      markdown = exporter.export('md')
+      
+      expect(markdown).to start_with("# Budget formulas\n")
+      expect(markdown).to include('## You', 'Sum column B?', '## Assistant', 'Use =SUM(B:B).')
+      expect(markdown).to include('claude-3-opus-20240229 · tier 2 · 42 tokens')
+    end
+    
+    it 'writes JSON with the message metadata' do
+      data = JSON.parse(exporter.export('json'))
+      
+      expect(data['title']).to eq('Budget formulas')
+      expect(data['messages'].last).to include(
+        'role' => 'assistant',
+        'model' => 'claude-3-opus-20240229',
+        'provider' => 'anthropic',
+        'ai_tier_used' => 2,
+        'tokens_used' => 42
+      )
+    end
+  end
+  
+  describe '#filename' do
+    it 'is named after the conversation' do
+      expect(exporter.filename('json')).to eq('budget-formulas.json')
+    end
+  end
+end
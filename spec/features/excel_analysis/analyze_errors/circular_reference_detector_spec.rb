@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::AnalyzeErrors::CircularReferenceDetector do
+  let(:path) { Rails.root.join('tmp', "circular_#{SecureRandom.hex(4)}.xlsx").to_s }
+  
+  before do
+    package = Axlsx::Package.new
+    package.workbook.add_worksheet(name: 'Inputs') do |sheet|
+      sheet.add_row [10, '=A1*2', '=Totals!A1+1']
+    end
+    package.workbook.add_worksheet(name: 'Totals') do |sheet|
+      sheet.add_row ['=Inputs!C1-5']
+      sheet.add_row ['=A2+1']
+    end
+    package.serialize(path)
+  end
+  
+  after { FileUtils.rm_f(path) }
+  
+  it 'reports each loop once with its path' do
+    errors = described_class.new.analyze(path)
+    
+    expect(errors.map { |error| error[:cells] }).to contain_exactly(
+      ['Inputs!C1', 'Totals!A1'],
+      ['Totals!A2']
+    )
+    expect(errors.first).to include(type: 'circular_reference', severity: 'high', cell: 'Inputs!C1')
+    expect(errors.first[:description]).to start_with('Inputs!C1 → Totals!A1 → Inputs!C1')
+  end
+  
+  it 'returns nothing for a missing file' do
+    expect(described_class.new.analyze('missing.xlsx')).to eq([])
+  end
+end
@@ -0,0 +1,87 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Handlers::BulkFileActionHandler do
+  let(:user) { create(:user, tokens: 100) }
+  let(:uploaded_file) { create(:excel_file, user: user, status: 'uploaded') }
+  let(:analyzed_file) { create(:excel_file, :analyzed, user: user) }
+  
+  def execute(operation, files)
+    described_class.new(user: user, file_ids: files.map(&:id), operation: operation).execute
+  end
+  
+  describe '#execute' do
+    it 'queues analysis for files that are ready' do
+      allow(ExcelAnalysisJob).to receive(:perform_later)
+      
+      result = execute('analyze', [uploaded_file, analyzed_file])
+      
+      expect(result).to be_success
+      expect(result.value).to include(succeeded: 1, failed: 1)
+      expect(ExcelAnalysisJob).to have_received(:perform_later).with(uploaded_file.id, user.id).once
+    end
+    
+    it 'leaves the balance unchanged after analyzing and then cancelling' do
+      allow(ExcelAnalysisJob).to receive(:perform_later)
+      allow(ActionCable.server).to receive(:broadcast)
+      failed_file = create(:excel_file, :failed, user: user)
+      
+      execute('analyze', [uploaded_file, failed_file])
+      expect(user.reload.tokens).to eq(100 - 2 * ExcelFile::ANALYSIS_BASE_COST)
+      
+      result = execute('cancel', [uploaded_file, failed_file])
+      
+      expect(result.value[:succeeded]).to eq(2)
+      expect(user.reload.tokens).to eq(100)
+      
+      # Nothing left to cancel, so repeating the cancel pays out nothing
+      result = execute('cancel', [uploaded_file, failed_file])
+      
+      expect(result.value[:failed]).to eq(2)
+      expect(user.reload.tokens).to eq(100)
+    end
+    
+    it 'refuses to analyze without tokens for every file' do
+      allow(ExcelAnalysisJob).to receive(:perform_later)
+      user.update!(tokens: ExcelFile::ANALYSIS_BASE_COST)
+      failed_file = create(:excel_file, :failed, user: user)
+      
+      result = execute('analyze', [uploaded_file, failed_file])
+      
+      expect(result.value).to include(succeeded: 1, failed: 1)
+      expect(user.reload.tokens).to eq(0)
+      expect(ExcelAnalysisJob).to have_received(:perform_later).once
+    end
+    
+    it 'deletes the selected files' do
+      result = execute('delete', [uploaded_file, analyzed_file])
+      
+      expect(result.value[:succeeded]).to eq(2)
+      expect(user.excel_files.count).to eq(0)
+    end
+    
+    it 'reports files that cannot be cancelled' do
+      result = execute('cancel', [analyzed_file])
+      
+      expect(result.value[:results].first).to include(file_id: analyzed_file.id, success: false)
+    end
+    
+    it 'rejects files owned by other users' do
+      other_file = create(:excel_file, user: create(:user))
+      
+      result = execute('delete', [uploaded_file, other_file])
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors]).to include('Some files were not found')
+      expect(ExcelFile.exists?(other_file.id)).to be true
+    end
+    
+    it 'rejects unknown operations' do
+      result = execute('archive', [uploaded_file])
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors].first).to include('Operation must be one of')
+    end
+  end
+end
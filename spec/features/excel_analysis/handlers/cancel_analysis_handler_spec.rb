@@ -0,0 +1,74 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Handlers::CancelAnalysisHandler do
+  let(:user) { create(:user, tokens: 50) }
+  
+  before do
+    allow(ExcelAnalysisJob).to receive(:perform_later)
+    allow(ActionCable.server).to receive(:broadcast)
+  end
+  
+  def cancel(excel_file)
+    described_class.new(excel_file: excel_file, user: user).execute
+  end
+  
+  describe '#execute' do
+    it 'leaves the balance unchanged after uploading for analysis and cancelling' do
+      file = fixture_file_upload('sample.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      upload = ExcelUpload::Handlers::ProcessUploadHandler.new(file: file, user: user).execute
+      excel_file = ExcelFile.find(upload.value[:file_id])
+      
+      expect(user.reload.tokens).to eq(50 - ExcelFile::ANALYSIS_BASE_COST)
+      
+      result = cancel(excel_file)
+      
+      expect(result).to be_success
+      expect(result.value[:tokens_refunded]).to eq(ExcelFile::ANALYSIS_BASE_COST)
+      expect(user.reload.tokens).to eq(50)
+      expect(excel_file.reload).to be_cancelled
+    end
+    
+    it 'cannot be repeated to collect more tokens' do
+      excel_file = create(:excel_file, user: user)
+      excel_file.reserve_analysis_tokens!(ExcelFile::ANALYSIS_BASE_COST)
+      cancel(excel_file)
+      
+      result = cancel(excel_file)
+      
+      expect(result).to be_failure
+      expect(result.error.code).to eq('CANNOT_CANCEL')
+      expect(user.reload.tokens).to eq(50)
+    end
+    
+    it 'refunds nothing once the job has claimed the reservation' do
+      excel_file = create(:excel_file, user: user)
+      excel_file.reserve_analysis_tokens!(ExcelFile::ANALYSIS_BASE_COST)
+      excel_file.claim_reserved_tokens!
+      excel_file.update!(status: 'processing')
+      
+      result = cancel(excel_file)
+      
+      expect(result).to be_success
+      expect(result.value[:tokens_refunded]).to eq(0)
+      expect(user.reload.tokens).to eq(50 - ExcelFile::ANALYSIS_BASE_COST)
+    end
+    
+    it 'rejects an uploaded file with no analysis queued' do
+      excel_file = create(:excel_file, user: user, status: 'uploaded')
+      
+      result = cancel(excel_file)
+      
+      expect(result).to be_failure
+      expect(result.error.code).to eq('CANNOT_CANCEL')
+      expect(user.reload.tokens).to eq(50)
+    end
+    
+    it 'rejects files owned by other users' do
+      excel_file = create(:excel_file, user: create(:user), status: 'processing')
+      
+      expect(cancel(excel_file)).to be_failure
+    end
+  end
+end
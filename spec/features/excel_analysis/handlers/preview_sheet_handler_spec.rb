@@ -0,0 +1,51 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Handlers::PreviewSheetHandler do
+  let(:user) { create(:user) }
+  let(:csv) do
+    Tempfile.new(['preview', '.csv']).tap do |file|
+      file.write("Name,Amount\nWidget,10\n")
+      file.flush
+    end
+  end
+  let(:excel_file) { create(:excel_file, user: user, original_name: 'preview.csv', file_path: csv.path) }
+  
+  before { allow(ExcelAnalysis::Jobs::WarmSheetPreviewJob).to receive(:perform_later) }
+  after { csv.close! }
+  
+  def execute(**options)
+    described_class.new(excel_file: excel_file, user: user, **options).execute
+  end
+  
+  describe '#execute' do
+    it 'lists the sheets and caches the workbook in the background' do
+      expect(execute).to be_success
+      expect(ExcelAnalysis::Jobs::WarmSheetPreviewJob).to have_received(:perform_later).with(excel_file.id)
+    end
+    
+    it 'does not queue another warm-up while one is cached or pending' do
+      allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+      
+      2.times { expect(execute).to be_success }
+      
+      expect(ExcelAnalysis::Jobs::WarmSheetPreviewJob).to have_received(:perform_later).once
+    end
+    
+    it 'returns the requested chunk of a sheet' do
+      sheet = execute.value[:sheets].first[:name]
+      
+      result = execute(sheet: sheet, chunk: 0)
+      
+      expect(result.value[:rows]).to eq([%w[Name Amount], %w[Widget 10]])
+    end
+    
+    it 'rejects a negative chunk' do
+      result = execute(sheet: 'preview', chunk: -1)
+      
+      expect(result).to be_failure
+      expect(result.error.code).to eq('VALIDATION_ERROR')
+    end
+  end
+end
@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Handlers::UpdateIssueStateHandler do
+  let(:user) { create(:user) }
+  let(:excel_file) { create(:excel_file, user: user, status: 'analyzed') }
+  let!(:analysis) { create(:analysis, excel_file: excel_file, user: user, status: :completed) }
+  
+  def execute(issue_index: 1, state: 'resolved', as: user)
+    described_class.new(excel_file: excel_file, user: as, issue_index: issue_index, state: state).execute
+  end
+  
+  it 'saves the state on the analysis' do
+    result = execute
+    
+    expect(result).to be_success
+    expect(result.value).to include(issue_index: 1, state: 'resolved')
+    expect(analysis.reload.issue_state(1)).to eq('resolved')
+    expect(analysis.issue_state(0)).to eq('open')
+  end
+  
+  it 'drops the stored state when an issue is reopened' do
+    execute(state: 'ignored')
+    execute(state: 'open')
+    
+    expect(analysis.reload.issue_states).to eq({})
+  end
+  
+  it 'rejects unknown states' do
+    result = execute(state: 'deleted')
+    
+    expect(result).to be_failure
+    expect(result.error.details[:errors]).to include(a_string_starting_with('State must be one of'))
+  end
+  
+  it 'rejects issue indexes outside detected errors' do
+    expect(execute(issue_index: 2)).to be_failure
+    expect(execute(issue_index: 'abc')).to be_failure
+  end
+  
+  it 'rejects users who do not own the file' do
+    expect(execute(as: create(:user))).to be_failure
+    expect(analysis.reload.issue_states).to be_nil
+  end
+end
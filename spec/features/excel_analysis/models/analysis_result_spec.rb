@@ -0,0 +1,67 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Models::AnalysisResult do
+  let(:user) { create(:user) }
+  let(:excel_file) { create(:excel_file, user: user) }
+  let(:analysis) { create(:analysis, excel_file: excel_file, user: user, status: :completed) }
+  
+  subject(:result) { described_class.new(analysis).to_h }
+  
+  it 'includes the counts and details shown on the results card' do
+    expect(result).to include(
+      id: analysis.id,
+      status: 'completed',
+      error_count: 2,
+      tier_name: analysis.tier_name,
+      tokens_used: 15,
+      confidence_score: 0.95
+    )
+  end
+  
+  it 'counts detected errors per severity' do
+    expect(result[:severity_breakdown]).to eq('high' => 1, 'medium' => 1, 'low' => 0)
+  end
+  
+  it 'reduces structured AI analysis to its text' do
+    expect(result[:ai_analysis]).to eq('Found 2 errors in the Excel file')
+  end
+  
+  it 'passes plain AI analysis text through unchanged' do
+    analysis.update!(ai_analysis: "## Summary\n\n| Cell | Issue |")
+    
+    expect(result[:ai_analysis]).to eq("## Summary\n\n| Cell | Issue |")
+  end
+  
+  describe 'detected_errors' do
+    before do
+      analysis.update!(detected_errors: [
+        { type: 'formula_error', cell: 'Revenue!C12', severity: 'high', message: '#DIV/0!' },
+        { type: 'format_inconsistency', cells: ['B1:B20'], severity: 'low', message: 'Mixed formats' },
+        { type: 'formula_error', error_type: 'circular_reference', cell: 'Sheet1!A1', severity: 'high', message: 'Loop' }
+      ])
+      analysis.update_issue_state!(1, 'ignored')
+    end
+    
+    it 'annotates each issue for the explorer' do
+      first, second, third = result[:detected_errors]
+      
+      expect(first).to include('index' => 0, 'sheet' => 'Revenue', 'column' => 'C', 'category' => 'formula_error', 'state' => 'open')
+      expect(second).to include('index' => 1, 'sheet' => nil, 'column' => 'B', 'category' => 'format_consistency', 'state' => 'ignored')
+      expect(third).to include('category' => 'circular_reference')
+    end
+  end
+  
+  describe 'download_url' do
+    it 'is nil without corrections' do
+      expect(result[:download_url]).to be_nil
+    end
+    
+    it 'points at the corrected download when corrections exist' do
+      analysis.update!(corrections: [{ cell: 'A1', value: '=IFERROR(B1/C1, 0)' }])
+      
+      expect(result[:download_url]).to eq("/excel_files/#{excel_file.id}/download_corrected")
+    end
+  end
+end
@@ -0,0 +1,32 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Models::CellRange do
+  it 'parses sheet-qualified ranges in any case and corner order' do
+    range = described_class.parse("'Q1 Sales'!f30:b4")
+    
+    expect([range.sheet, range.first_row, range.first_column, range.last_row, range.last_column]).to eq(['Q1 Sales', 4, 2, 30, 6])
+    expect(range.to_s).to eq("'Q1 Sales'!B4:F30")
+    expect(range.cell_count).to eq(135)
+  end
+  
+  it 'treats a single address as a one-cell range on the default sheet' do
+    range = described_class.parse('$C$4', default_sheet: 'Sheet1')
+    
+    expect(range.to_s).to eq('Sheet1!C4')
+    expect(range.each_cell.map(&:to_s)).to eq(['Sheet1!C4'])
+  end
+  
+  it 'walks the cells row by row' do
+    range = described_class.parse('A1:B2')
+    
+    expect(range.each_cell.map(&:address)).to eq(%w[A1 B1 A2 B2])
+  end
+  
+  it 'returns nil for anything that is not a range' do
+    expect(described_class.parse('Sheet1')).to be_nil
+    expect(described_class.parse('A0')).to be_nil
+    expect(described_class.parse(nil)).to be_nil
+  end
+end
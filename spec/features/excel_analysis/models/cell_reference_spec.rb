@@ -0,0 +1,23 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Models::CellReference do
+  it 'parses sheet-qualified and absolute references' do
+    reference = described_class.parse("'Q1 Sales'!$AB$12")
+    
+    expect([reference.sheet, reference.column, reference.row]).to eq(['Q1 Sales', 28, 12])
+    expect(reference.to_s).to eq('Q1 Sales!AB12')
+  end
+  
+  it 'uses the first cell of a range and the default sheet' do
+    reference = described_class.parse('A1:A10', default_sheet: 'Sheet1')
+    
+    expect(reference.to_s).to eq('Sheet1!A1')
+  end
+  
+  it 'returns nil for anything that is not a cell address' do
+    expect(described_class.parse('N/A')).to be_nil
+    expect(described_class.parse(nil)).to be_nil
+  end
+end
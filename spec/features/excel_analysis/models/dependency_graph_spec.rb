@@ -0,0 +1,79 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Models::DependencyGraph do
+  subject(:graph) { described_class.new('Sheet1' => [40, 3], 'Q1 Sales' => [5, 2]) }
+  
+  describe '.references' do
+    it 'finds cells and ranges, skipping strings, functions and other workbooks' do
+      formula = %q{=SUM(A1:B2)+'Q1 Sales'!$C$3*LOG10(5)&"D4"+[Book2]Sheet1!Z9}
+      
+      expect(described_class.references(formula, 'Sheet1').map(&:to_s)).to eq(['Sheet1!A1:B2', "'Q1 Sales'!C3"])
+    end
+  end
+  
+  describe '#cycles' do
+    it 'follows a loop across sheets from its top-left cell' do
+      graph.add_cell('Sheet1', 1, 1, formula: '=B1+1')
+      graph.add_cell('Sheet1', 1, 2, formula: "='Q1 Sales'!A1*2")
+      graph.add_cell('Q1 Sales', 1, 1, formula: '=Sheet1!A1')
+      
+      expect(graph.cycles).to eq([['Sheet1!A1', 'Sheet1!B1', 'Q1 Sales!A1']])
+      expect(graph.cycle_edges).to include(['Sheet1!B1', 'Sheet1!A1'], ['Sheet1!A1', 'Q1 Sales!A1'])
+    end
+    
+    it 'reports a self-reference as a loop of one' do
+      graph.add_cell('Sheet1', 3, 3, formula: '=C3*2')
+      
+      expect(graph.cycles).to eq([['Sheet1!C3']])
+    end
+    
+    it 'finds loops through a large range as a single range node' do
+      1.upto(30) { |row| graph.add_cell('Sheet1', row, 1, value: row) }
+      graph.add_cell('Sheet1', 31, 1, formula: '=SUM(A1:A40)')
+      
+      expect(graph.precedents('Sheet1!A31')).to eq(['Sheet1!A1:A40'])
+      expect(graph.cycles).to eq([['Sheet1!A31', 'Sheet1!A1:A40']])
+    end
+    
+    it 'ignores chains that do not loop' do
+      graph.add_cell('Sheet1', 1, 1, value: 10)
+      graph.add_cell('Sheet1', 1, 2, formula: '=A1*2')
+      graph.add_cell('Sheet1', 1, 3, formula: '=SUM(A1:B1)')
+      
+      expect(graph.cycles).to be_empty
+      expect(graph.precedents('Sheet1!C1')).to eq(['Sheet1!A1', 'Sheet1!B1'])
+    end
+  end
+  
+  describe '#neighborhood' do
+    before do
+      graph.add_cell('Sheet1', 1, 1, value: 10)
+      graph.add_cell('Sheet1', 1, 2, formula: '=A1*2')
+      graph.add_cell('Sheet1', 1, 3, formula: '=B1+1')
+      graph.add_cell('Sheet1', 2, 3, formula: '=C1')
+    end
+    
+    it 'walks precedents and dependents separately up to the depth' do
+      keys, truncated = graph.neighborhood('Sheet1!B1', depth: 1)
+      
+      expect(keys).to eq(['Sheet1!B1', 'Sheet1!A1', 'Sheet1!C1'])
+      expect(truncated).to be(false)
+    end
+    
+    it 'stops at the limit' do
+      keys, truncated = graph.neighborhood('Sheet1!A1', direction: :dependents, depth: 3, limit: 2)
+      
+      expect(keys).to eq(['Sheet1!A1', 'Sheet1!B1'])
+      expect(truncated).to be(true)
+    end
+  end
+  
+  describe '#find' do
+    it 'resolves sheetless references on the first sheet' do
+      expect(graph.find('b4')).to eq('Sheet1!B4')
+      expect(graph.find('Missing!A1')).to be_nil
+    end
+  end
+end
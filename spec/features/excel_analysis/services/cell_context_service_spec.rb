@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Services::CellContextService do
+  let(:csv) do
+    Tempfile.new(['context', '.csv']).tap do |file|
+      file.write("Name,Amount\n")
+      file.write("Rent,1200\n")
+      file.write("Food,\n")
+      file.flush
+    end
+  end
+  let(:user) { create(:user) }
+  let(:excel_file) { create(:excel_file, user: user, original_name: 'context.csv', file_path: csv.path) }
+  let(:sheet) { service.sheets.first[:name] }
+  
+  subject(:service) { described_class.new(excel_file) }
+  
+  after { csv.close! }
+  
+  describe '#normalize' do
+    it 'qualifies, clamps and de-duplicates references into this workbook' do
+      references = ['a1:b2', "#{sheet}!A1:B2", 'A2:Z900', 'Missing!A1', 'nonsense']
+      
+      expect(service.normalize(references)).to eq(["#{sheet}!A1:B2", "#{sheet}!A2:B3"])
+    end
+    
+    it 'keeps at most MAX_RANGES ranges' do
+      references = (1..8).map { |row| "A#{row}" }
+      
+      expect(service.normalize(references).size).to eq(described_class::MAX_RANGES)
+    end
+  end
+  
+  describe '#describe' do
+    it 'lists the non-empty cells of each range' do
+      expect(service.describe(['A2:B3'])).to eq("#{sheet}!A2:B3\nA2: Rent\nB2: 1200\nA3: Food")
+    end
+    
+    it 'is nil when nothing points into the workbook' do
+      expect(service.describe(['Missing!A1'])).to be_nil
+    end
+  end
+  
+  describe '#suggestions' do
+    let(:analysis) { create(:analysis, excel_file: excel_file, user: user, status: :completed) }
+    
+    before do
+      analysis.update!(detected_errors: [
+        { type: 'format_inconsistency', cells: ['B1:B20'], severity: 'low', message: 'Mixed formats' },
+        { type: 'formula_error', error_type: 'circular_reference', cell: 'Sheet1!A1', severity: 'high', message: 'Loop' },
+        { type: 'formula_error', cell: 'Revenue!C12', severity: 'medium', message: '#DIV/0!' },
+        { type: 'formula_error', severity: 'high', message: 'No location' }
+      ])
+      analysis.update_issue_state!(2, 'ignored')
+    end
+    
+    it 'offers open issues with a location, most severe first' do
+      expect(service.suggestions(analysis)).to eq([
+        { category: 'circular_reference', reference: 'Sheet1!A1', message: 'Loop' },
+        { category: 'format_consistency', reference: "#{sheet}!B1:B20", message: 'Mixed formats' }
+      ])
+    end
+    
+    it 'offers nothing before the analysis has finished' do
+      analysis.update!(status: :processing)
+      
+      expect(service.suggestions(analysis)).to eq([])
+    end
+  end
+end
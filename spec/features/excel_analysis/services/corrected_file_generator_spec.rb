@@ -0,0 +1,90 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Services::CorrectedFileGenerator do
+  let(:user) { create(:user) }
+  let(:csv) do
+    Tempfile.new(['ledger', '.csv']).tap do |file|
+      file.write("Item,Amount,Total\nA,10,#DIV/0!\nB,20,30\n")
+      file.flush
+    end
+  end
+  let(:excel_file) { create(:excel_file, user: user, original_name: 'ledger.csv', file_path: csv.path) }
+  let(:analysis) do
+    create(:analysis, excel_file: excel_file, user: user, status: :completed, corrections: [
+      { cell: 'C2', original: '#DIV/0!', corrected: '=IFERROR(B2/0, 0)', explanation: 'Guard division' },
+      { cell: 'Sheet1!B3', original: '20', corrected: '25', explanation: 'Typo' }
+    ])
+  end
+  
+  subject(:result) { described_class.new(excel_file: excel_file, analysis: analysis).generate }
+  
+  after { csv.close! }
+  
+  it 'applies the accepted corrections' do
+    analysis.update_correction_decision!(0, 'accepted')
+    analysis.update_correction_decision!(1, 'accepted')
+    rows = CSV.parse(result.value[:content])
+    
+    expect(result).to be_success
+    expect(result.value[:applied_count]).to eq(2)
+    expect(rows[1][2]).to eq('=IFERROR(B2/0, 0)')
+    expect(rows[2][1]).to eq('25')
+  end
+  
+  it 'leaves pending and rejected corrections out' do
+    analysis.update_correction_decision!(0, 'accepted')
+    analysis.update_correction_decision!(1, 'rejected')
+    rows = CSV.parse(result.value[:content])
+    
+    expect(result.value[:applied_count]).to eq(1)
+    expect(rows[2][1]).to eq('20')
+    
+    analysis.update_correction_decision!(1, 'pending')
+    rows = CSV.parse(described_class.new(excel_file: excel_file, analysis: analysis).generate.value[:content])
+    
+    expect(rows[2][1]).to eq('20')
+  end
+  
+  it 'skips accepted corrections without a corrected value instead of blanking the cell' do
+    analysis.update!(corrections: analysis.corrections + [{ cell: 'A2', original: 'A', corrected: nil, explanation: 'Unsure' }])
+    (0..2).each { |index| analysis.update_correction_decision!(index, 'accepted') }
+    rows = CSV.parse(result.value[:content])
+    
+    expect(result.value[:applied_count]).to eq(2)
+    expect(rows[1][0]).to eq('A')
+  end
+  
+  context 'with an xlsx upload' do
+    let(:xlsx) do
+      Tempfile.new(['codes', '.xlsx']).tap do |file|
+        workbook = RubyXL::Workbook.new
+        workbook.worksheets.first.add_cell(0, 0, 'Code')
+        workbook.write(file.path)
+      end
+    end
+    let(:inputs) { %w[010 0x1A 1_000 007 42 -3.5] }
+    
+    before do
+      excel_file.update!(original_name: 'codes.xlsx', file_path: xlsx.path)
+      analysis.update!(corrections: inputs.each_with_index.map { |input, row| { cell: "A#{row + 2}", corrected: input } })
+      inputs.each_index { |index| analysis.update_correction_decision!(index, 'accepted') }
+    end
+    
+    after { xlsx.close! }
+    
+    it 'writes plain decimals as numbers and everything else as text' do
+      sheet = RubyXL::Parser.parse_buffer(result.value[:content]).worksheets.first
+      values = (1..6).map { |row| sheet[row][0].value }
+      
+      expect(values).to eq(['010', '0x1A', '1_000', '007', 42, -3.5])
+    end
+  end
+  
+  it 'fails for formats it cannot write' do
+    excel_file.update!(file_path: csv.path.sub(/\.csv\z/, '.xls'))
+    
+    expect(result).to be_failure
+  end
+end
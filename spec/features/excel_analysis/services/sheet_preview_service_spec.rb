@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelAnalysis::Services::SheetPreviewService do
+  let(:csv) do
+    Tempfile.new(['preview', '.csv']).tap do |file|
+      file.write("Name,Amount,Note\n")
+      1.upto(1200) { |i| file.write("Item #{i},#{i * 1.5},\n") }
+      file.flush
+    end
+  end
+  let(:excel_file) { create(:excel_file, original_name: 'preview.csv', file_path: csv.path) }
+  
+  subject(:service) { described_class.new(excel_file) }
+  
+  after { csv.close! }
+  
+  it 'lists sheets with their dimensions' do
+    expect(service.sheets).to contain_exactly(
+      a_hash_including(row_count: 1201, column_count: 3)
+    )
+  end
+  
+  it 'returns rows in fixed-size chunks' do
+    sheet = service.sheets.first[:name]
+    
+    first_chunk = service.chunk(sheet, 0)
+    last_chunk = service.chunk(sheet, 2)
+    
+    expect(first_chunk.size).to eq(described_class::CHUNK_SIZE)
+    expect(first_chunk.first).to eq(%w[Name Amount Note])
+    expect(first_chunk.second).to eq(['Item 1', '1.5'])
+    expect(last_chunk.size).to eq(1201 - 2 * described_class::CHUNK_SIZE)
+  end
+  
+  it 'returns an empty chunk past the end of the sheet' do
+    expect(service.chunk(service.sheets.first[:name], 10)).to eq([])
+  end
+  
+  it 'yields every chunk of a sheet in order' do
+    chunks = service.each_chunk(service.sheets.first[:name]).to_a
+    
+    expect(chunks.map(&:size)).to eq([500, 500, 201])
+    expect(chunks.last.last).to eq(['Item 1200', '1800'])
+  end
+  
+  it 'keeps the cache when the record changes but the file does not' do
+    allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+    service.sheets
+    
+    expect(Roo::Spreadsheet).not_to receive(:open)
+    excel_file.update!(status: 'analyzed')
+    described_class.new(excel_file.reload).sheets
+  end
+end
@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelUpload::Handlers::EstimateAnalysisHandler do
+  let(:user) { create(:user, tokens: 100) }
+  let(:stats) { { file_size: 2.megabytes, sheet_count: 3, row_count: 1_000, cell_count: 10_000, formula_count: 250 } }
+  
+  subject { described_class.new(user: user, stats: stats) }
+  
+  describe '#execute' do
+    it 'estimates a basic tier analysis' do
+      result = subject.execute
+      
+      expect(result).to be_success
+      expect(result.value).to include(
+        tier: 1,
+        tier_name: 'Basic AI (GPT-3.5/Haiku)',
+        upload_tokens: 10,
+        analysis_tokens: 10 + 5,
+        total_tokens: 25,
+        affordable: true
+      )
+    end
+    
+    it 'grows with the number of formulas' do
+      small = described_class.new(user: user, stats: stats).execute.value[:analysis_tokens]
+      large = described_class.new(user: user, stats: stats.merge(formula_count: 25_000)).execute.value[:analysis_tokens]
+      
+      expect(large).to be > small
+    end
+    
+    context 'with a large file from a pro user' do
+      let(:user) { create(:user, :pro, tokens: 500) }
+      let(:stats) { super().merge(file_size: 20.megabytes) }
+      
+      it 'uses the advanced tier' do
+        expect(subject.execute.value).to include(tier: 2, tier_name: 'Advanced AI (GPT-4/Opus)')
+      end
+    end
+    
+    context 'with a large file from a free user' do
+      let(:stats) { super().merge(file_size: 20.megabytes) }
+      
+      it 'stays on the basic tier' do
+        expect(subject.execute.value[:tier]).to eq(1)
+      end
+    end
+    
+    context 'when the user cannot cover the estimate' do
+      let(:user) { create(:user, tokens: 12) }
+      
+      it 'marks the estimate as unaffordable' do
+        expect(subject.execute.value[:affordable]).to be false
+      end
+    end
+    
+    context 'with invalid statistics' do
+      let(:stats) { { file_size: 0, formula_count: -1 } }
+      
+      it 'returns a validation error' do
+        result = subject.execute
+        
+        expect(result).to be_failure
+        expect(result.error.details[:errors]).to include(
+          'File size must be a positive number',
+          'Formula count must be a non-negative number'
+        )
+      end
+    end
+  end
+end
@@ -61,6 +61,7 @@ RSpec.describe ExcelUpload::Handlers::ProcessUploadHandler do
         
         expect(result).to be_failure
         expect(result.error.message).to include('Invalid file type')
+        expect(result.error.details[:reason]).to eq('INVALID_FILE_TYPE')
         expect(ExcelFile.count).to eq(0)
       end
     end
@@ -73,6 +74,7 @@ RSpec.describe ExcelUpload::Handlers::ProcessUploadHandler do
         
         expect(result).to be_failure
         expect(result.error.message).to eq('File is required')
+        expect(result.error.details[:reason]).to eq('FILE_REQUIRED')
         expect(ExcelFile.count).to eq(0)
       end
     end
@@ -87,6 +89,7 @@ RSpec.describe ExcelUpload::Handlers::ProcessUploadHandler do
         
         expect(result).to be_failure
         expect(result.error.message).to include('File too large')
+        expect(result.error.details[:reason]).to eq('FILE_TOO_LARGE')
         expect(ExcelFile.count).to eq(0)
       end
     end
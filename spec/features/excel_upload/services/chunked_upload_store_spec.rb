@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExcelUpload::Services::ChunkedUploadStore do
+  let(:user) { create(:user) }
+  let(:content) { "Name,Amount\nWidget,10\nGadget,20\n" }
+  
+  subject(:store) { described_class.new(user) }
+  
+  let(:upload_id) { store.create(filename: 'data.csv', size: content.bytesize, content_type: 'text/csv').value[:upload_id] }
+  
+  after { store.discard(upload_id) }
+  
+  it 'assembles chunks appended at the reported offset' do
+    store.append(upload_id, 0, StringIO.new(content[0, 10]))
+    status = store.append(upload_id, 10, StringIO.new(content[10..]))
+    
+    expect(status).to include(received_bytes: content.bytesize, complete: true)
+    
+    store.with_uploaded_file(upload_id) do |file|
+      expect(file.original_filename).to eq('data.csv')
+      expect(file.read).to eq(content)
+    end
+  end
+  
+  it 'closes the assembled file after handing it out' do
+    store.append(upload_id, 0, StringIO.new(content))
+    handed_out = store.with_uploaded_file(upload_id) { |file| file.tempfile }
+    
+    expect(handed_out).to be_closed
+  end
+  
+  it 'does not append the same chunk twice when retries overlap' do
+    chunk = content[0, 10]
+    
+    results = 2.times.map do
+      Thread.new do
+        store.append(upload_id, 0, StringIO.new(chunk))
+      rescue described_class::OffsetMismatch => e
+        e
+      end
+    end.map(&:value)
+    
+    expect(results.count { |result| result.is_a?(described_class::OffsetMismatch) }).to eq(1)
+    expect(store.status(upload_id)[:received_bytes]).to eq(10)
+  end
+  
+  it 'rejects a chunk at the wrong offset with the server byte count' do
+    store.append(upload_id, 0, StringIO.new(content[0, 10]))
+    
+    expect { store.append(upload_id, 4, StringIO.new(content[4, 10])) }
+      .to raise_error(described_class::OffsetMismatch) { |error| expect(error.received_bytes).to eq(10) }
+  end
+  
+  it 'does not hand out an incomplete upload' do
+    store.append(upload_id, 0, StringIO.new(content[0, 10]))
+    
+    store.with_uploaded_file(upload_id) { |file| expect(file).to be_nil }
+  end
+  
+  it 'limits how many uploads a user can have open' do
+    ids = Array.new(described_class::MAX_OPEN_UPLOADS) { store.create(filename: 'data.csv', size: 10).value[:upload_id] }
+    
+    result = store.create(filename: 'data.csv', size: 10)
+    
+    expect(result).to be_failure
+    expect(result.error.details[:reason]).to eq('TOO_MANY_UPLOADS')
+  ensure
+    ids&.each { |id| store.discard(id) }
+  end
+  
+  it 'purges uploads left untouched past the expiry' do
+    store.append(upload_id, 0, StringIO.new(content[0, 10]))
+    
+    described_class.purge_expired
+    expect(store.status(upload_id)).to include(received_bytes: 10)
+    
+    expect(described_class.purge_expired(now: described_class::EXPIRES_IN.from_now + 1.minute)).to be >= 1
+    expect(store.status(upload_id)).to be_nil
+  end
+  
+  it 'keeps uploads private to their owner' do
+    expect(described_class.new(create(:user)).status(upload_id)).to be_nil
+  end
+  
+  it 'rejects files over the size limit' do
+    result = store.create(filename: 'big.csv', size: described_class::MAX_UPLOAD_SIZE + 1)
+    
+    expect(result).to be_failure
+    expect(result.error.details[:reason]).to eq('FILE_TOO_LARGE')
+  end
+  
+  it 'ignores ids that are not upload ids' do
+    expect(store.status('../../etc')).to be_nil
+  end
+end
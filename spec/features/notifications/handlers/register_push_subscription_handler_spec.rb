@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Notifications::Handlers::RegisterPushSubscriptionHandler do
+  let(:user) { create(:user) }
+  let(:subscription) do
+    {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/device-1',
+      keys: { p256dh: 'BPublicKey', auth: 'AuthSecret' }
+    }
+  end
+  let(:chrome_on_mac) { 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36' }
+  
+  def execute(params = subscription, owner = user)
+    described_class.new(user: owner, subscription: params, user_agent: chrome_on_mac).execute
+  end
+  
+  describe '#execute' do
+    it 'saves the device' do
+      result = execute
+      
+      expect(result).to be_success
+      expect(result.value).to include(endpoint: subscription[:endpoint], device_name: 'Chrome on macOS')
+      expect(user.push_subscriptions.count).to eq(1)
+    end
+    
+    it 'updates the existing record when the same browser subscribes again' do
+      execute
+      result = execute(subscription.deep_merge(keys: { auth: 'NewSecret' }))
+      
+      expect(result).to be_success
+      expect(PushSubscription.count).to eq(1)
+      expect(PushSubscription.last.auth_key).to eq('NewSecret')
+    end
+    
+    it 'moves the device to whoever subscribed last' do
+      execute
+      other_user = create(:user)
+      execute(subscription, other_user)
+      
+      expect(user.push_subscriptions).to be_empty
+      expect(other_user.push_subscriptions.count).to eq(1)
+    end
+    
+    it 'rejects endpoints outside the known push services' do
+      result = execute(subscription.merge(endpoint: 'https://internal.example.com/admin'))
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors]).to include('Endpoint must belong to a browser push service')
+      expect(PushSubscription.count).to eq(0)
+    end
+    
+    it 'accepts the push services of the major browsers' do
+      %w[
+        https://updates.push.services.mozilla.com/wpush/v2/abc
+        https://web.push.apple.com/QGx1
+        https://wns2-par02p.notify.windows.com/w/?token=abc
+      ].each { |endpoint| expect(execute(subscription.merge(endpoint: endpoint))).to be_success }
+    end
+    
+    it 'rejects incomplete subscriptions' do
+      result = execute({ endpoint: 'http://insecure.example.com', keys: {} })
+      
+      expect(result).to be_failure
+      expect(result.error.details[:errors]).to include(
+        'Endpoint must be an https URL',
+        'p256dh key is required',
+        'auth key is required'
+      )
+    end
+  end
+end
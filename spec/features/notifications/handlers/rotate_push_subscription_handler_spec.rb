@@ -0,0 +1,48 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Notifications::Handlers::RotatePushSubscriptionHandler do
+  let(:user) { create(:user) }
+  let!(:old_subscription) do
+    user.push_subscriptions.create!(
+      endpoint: 'https://fcm.googleapis.com/fcm/send/device-1',
+      p256dh_key: 'BPublicKey',
+      auth_key: 'AuthSecret'
+    )
+  end
+  let(:new_subscription) do
+    { endpoint: 'https://fcm.googleapis.com/fcm/send/device-2', keys: { p256dh: 'BNewKey', auth: 'NewSecret' } }
+  end
+  
+  def execute(auth: 'AuthSecret', subscription: new_subscription)
+    described_class.new(
+      previous: { endpoint: old_subscription.endpoint, auth: auth },
+      subscription: subscription
+    ).execute
+  end
+  
+  describe '#execute' do
+    it 'replaces the old subscription for the same user' do
+      result = execute
+      
+      expect(result).to be_success
+      expect(user.push_subscriptions.pluck(:endpoint)).to eq(['https://fcm.googleapis.com/fcm/send/device-2'])
+    end
+    
+    it 'requires the old subscription auth secret' do
+      result = execute(auth: 'Guess')
+      
+      expect(result).to be_failure
+      expect(result.error).to be_a(Common::Errors::AuthorizationError)
+      expect(user.push_subscriptions.pluck(:endpoint)).to eq([old_subscription.endpoint])
+    end
+    
+    it 'keeps the old subscription when the new one is rejected' do
+      result = execute(subscription: new_subscription.merge(endpoint: 'https://internal.example.com/hook'))
+      
+      expect(result).to be_failure
+      expect(PushSubscription.count).to eq(1)
+    end
+  end
+end
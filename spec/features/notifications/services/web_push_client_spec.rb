@@ -0,0 +1,143 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Notifications::Services::WebPushClient do
+  let(:vapid_keys) { described_class.generate_vapid_keys }
+  let(:browser_key) { OpenSSL::PKey::EC.generate('prime256v1') }
+  let(:browser_public) { browser_key.public_key.to_bn.to_s(2) }
+  let(:auth_secret) { SecureRandom.random_bytes(16) }
+  let(:user) { create(:user) }
+  let(:subscription) do
+    user.push_subscriptions.create!(
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc123',
+      p256dh_key: Base64.urlsafe_encode64(browser_public, padding: false),
+      auth_key: Base64.urlsafe_encode64(auth_secret, padding: false)
+    )
+  end
+  
+  around do |example|
+    original = ENV.to_h.slice('VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY')
+    ENV['VAPID_PUBLIC_KEY'] = vapid_keys[:public_key]
+    ENV['VAPID_PRIVATE_KEY'] = vapid_keys[:private_key]
+    example.run
+  ensure
+    ENV.delete('VAPID_PUBLIC_KEY')
+    ENV.delete('VAPID_PRIVATE_KEY')
+    ENV.update(original)
+  end
+  
+  # Decrypts the way a browser would, per RFC 8291
+  def decrypt(body)
+    salt = body.byteslice(0, 16)
+    key_length = body.byteslice(20, 1).unpack1('C')
+    server_public = body.byteslice(21, key_length)
+    ciphertext = body.byteslice(21 + key_length..)
+    
+    group = OpenSSL::PKey::EC::Group.new('prime256v1')
+    shared_secret = browser_key.dh_compute_key(OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(server_public, 2)))
+    hkdf = ->(ikm, s, info, length) { OpenSSL::KDF.hkdf(ikm, salt: s, info: info.b, length: length, hash: 'SHA256') }
+    ikm = hkdf.call(shared_secret, auth_secret, "WebPush: info\0".b + browser_public + server_public, 32)
+    
+    cipher = OpenSSL::Cipher.new('aes-128-gcm').decrypt
+    cipher.key = hkdf.call(ikm, salt, "Content-Encoding: aes128gcm\0", 16)
+    cipher.iv = hkdf.call(ikm, salt, "Content-Encoding: nonce\0", 12)
+    cipher.auth_tag = ciphertext.byteslice(-16, 16)
+    
+    (cipher.update(ciphertext.byteslice(0...-16)) + cipher.final).delete_suffix("\x02")
+  end
+  
+  describe '#encrypt' do
+    it 'produces an aes128gcm body the subscriber can decrypt' do
+      body = described_class.new.encrypt('{"title":"Done"}', browser_public, auth_secret)
+      
+      expect(body.byteslice(16, 4).unpack1('N')).to eq(described_class::RECORD_SIZE)
+      expect(decrypt(body)).to eq('{"title":"Done"}')
+    end
+    
+    # RFC 8291, Appendix A
+    context 'with the RFC 8291 example keys' do
+      def rfc(value)
+        Base64.urlsafe_decode64(value + '=' * (-value.length % 4))
+      end
+      
+      let(:server_public) { rfc('BP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A8') }
+      let(:server_key) { described_class.key_pair(rfc('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw'), server_public) }
+      let(:user_agent_public) { rfc('BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4') }
+      let(:rfc_auth_secret) { rfc('BTBZMqHH6r4Tts7J_aSIgg') }
+      let(:salt) { rfc('DGv6ra1nlYgDCS1FRnbzlw') }
+      
+      it 'builds the key pair from its raw parts' do
+        expect(server_key.public_key.to_bn.to_s(2)).to eq(server_public)
+      end
+      
+      it 'produces the example message body' do
+        body = described_class.new.encrypt(
+          'When I grow up, I want to be a watermelon',
+          user_agent_public,
+          rfc_auth_secret,
+          server_key: server_key,
+          salt: salt
+        )
+        
+        expect(Base64.urlsafe_encode64(body, padding: false)).to eq(
+          'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_' \
+          'yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+        )
+      end
+    end
+  end
+  
+  describe '#deliver' do
+    it 'posts the encrypted payload with a VAPID authorization header' do
+      allow(HTTParty).to receive(:post).and_return(double(success?: true, code: 201))
+      
+      result = described_class.new.deliver(subscription, { title: 'Done' })
+      
+      expect(result).to be_success
+      expect(HTTParty).to have_received(:post) do |endpoint, options|
+        expect(endpoint).to eq(subscription.endpoint)
+        expect(options[:headers]['Content-Encoding']).to eq('aes128gcm')
+        expect(options[:headers]['Authorization']).to start_with('vapid t=').and end_with("k=#{vapid_keys[:public_key]}")
+        
+        token = options[:headers]['Authorization'][/t=([^,]+)/, 1]
+        public_key = OpenSSL::PKey::EC.new(
+          OpenSSL::ASN1::Sequence([
+            OpenSSL::ASN1::Sequence([OpenSSL::ASN1::ObjectId('id-ecPublicKey'), OpenSSL::ASN1::ObjectId('prime256v1')]),
+            OpenSSL::ASN1::BitString(Base64.urlsafe_decode64(vapid_keys[:public_key]))
+          ]).to_der
+        )
+        claims = JWT.decode(token, public_key, true, algorithm: 'ES256').first
+        expect(claims['aud']).to eq('https://fcm.googleapis.com')
+        
+        expect(JSON.parse(decrypt(options[:body]))).to eq('title' => 'Done')
+      end
+    end
+    
+    it 'reports gone subscriptions as expired' do
+      allow(HTTParty).to receive(:post).and_return(double(success?: false, code: 410))
+      
+      result = described_class.new.deliver(subscription, { title: 'Done' })
+      
+      expect(result).to be_failure
+      expect(result.error.code).to eq('SUBSCRIPTION_EXPIRED')
+    end
+    
+    it 'refuses endpoints outside the known push services' do
+      subscription.update_column(:endpoint, 'https://169.254.169.254/latest/meta-data')
+      allow(HTTParty).to receive(:post)
+      
+      result = described_class.new.deliver(subscription, { title: 'Done' })
+      
+      expect(result.error.code).to eq('INVALID_ENDPOINT')
+      expect(HTTParty).not_to have_received(:post)
+    end
+  end
+  
+  it 'refuses to build a client without VAPID keys' do
+    ENV.delete('VAPID_PRIVATE_KEY')
+    
+    expect(described_class).not_to be_enabled
+    expect { described_class.new }.to raise_error(/VAPID_PRIVATE_KEY/)
+  end
+end
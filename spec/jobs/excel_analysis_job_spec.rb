@@ -50,6 +50,7 @@ RSpec.describe ExcelAnalysisJob, type: :job do
       expect(analysis.ai_tier_used).to eq('tier1')
       expect(analysis.tokens_used).to eq(15)
       expect(analysis.confidence_score).to eq(0.95)
+      expect(analysis.status).to eq('completed')
     end
     
     it 'handles cancelled files' do
@@ -62,6 +63,80 @@ RSpec.describe ExcelAnalysisJob, type: :job do
       expect(excel_file.reload.status).to eq('cancelled')
     end
     
+    it 'stops without charging tokens when cancelled during AI analysis' do
+      allow(@mock_ai_handler).to receive(:execute) do
+        excel_file.update!(status: 'cancelled')
+        Common::Result.success({
+          analysis: 'AI analysis result',
+          tier_used: 'tier1',
+          tokens_used: 15,
+          confidence_score: 0.95
+        })
+      end
+      
+      expect {
+        subject.perform(excel_file.id, user.id)
+      }.not_to change { Analysis.count }
+      
+      expect(excel_file.reload.status).to eq('cancelled')
+      expect(user.reload.tokens).to eq(100)
+    end
+    
+    it 'counts the tokens reserved at queue time towards the charge' do
+      excel_file.reserve_analysis_tokens!(10)
+      
+      subject.perform(excel_file.id, user.id)
+      
+      expect(user.reload.tokens).to eq(85) # 100 - 10 reserved - 5 more
+      expect(excel_file.reload.reserved_tokens).to eq(0)
+    end
+    
+    it 'gives back the reservation when cancelled during AI analysis' do
+      excel_file.reserve_analysis_tokens!(10)
+      allow(@mock_ai_handler).to receive(:execute) do
+        excel_file.update!(status: 'cancelled')
+        Common::Result.success({
+          analysis: 'AI analysis result',
+          tier_used: 'tier1',
+          tokens_used: 15,
+          confidence_score: 0.95
+        })
+      end
+      
+      subject.perform(excel_file.id, user.id)
+      
+      expect(user.reload.tokens).to eq(100)
+      expect(ActionCable.server).to have_received(:broadcast).with(
+        "excel_analysis_#{excel_file.id}",
+        hash_including(type: 'cancelled', tokens_refunded: 10)
+      )
+    end
+    
+    it 'gives back the part of the reservation the analysis did not use' do
+      excel_file.reserve_analysis_tokens!(10)
+      allow(@mock_ai_handler).to receive(:execute).and_return(
+        Common::Result.success({
+          analysis: 'AI analysis result',
+          tier_used: 'tier1',
+          tokens_used: 4,
+          confidence_score: 0.95
+        })
+      )
+      
+      subject.perform(excel_file.id, user.id)
+      
+      expect(user.reload.tokens).to eq(96) # 100 - 4 used
+    end
+    
+    it 'gives back the reservation when the analysis fails' do
+      excel_file.reserve_analysis_tokens!(10)
+      allow(@mock_analyzer).to receive(:analyze).and_raise(StandardError.new('File corrupted'))
+      
+      subject.perform(excel_file.id, user.id)
+      
+      expect(user.reload.tokens).to eq(100)
+    end
+    
     it 'handles AI analysis failure' do
       allow(@mock_ai_handler).to receive(:execute).and_return(
         Common::Result.failure(
@@ -84,6 +159,13 @@ RSpec.describe ExcelAnalysisJob, type: :job do
         .at_least(:once)
     end
     
+    it 'sends progress steps as message keys' do
+      subject.perform(excel_file.id, user.id)
+      
+      expect(ActionCable.server).to have_received(:broadcast)
+        .with("excel_analysis_#{excel_file.id}", hash_including(type: 'progress', key: 'analysis.progress.structure', progress: 10))
+    end
+    
     it 'handles exceptions gracefully' do
       allow(@mock_analyzer).to receive(:analyze).and_raise(StandardError.new('File corrupted'))
       
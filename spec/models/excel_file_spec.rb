@@ -70,6 +70,15 @@ RSpec.describe ExcelFile, type: :model do
       expect(ExcelFile.analyzed).to include(analyzed_file)
       expect(ExcelFile.analyzed).not_to include(excel_file)
     end
+    
+    it 'finds files whose name contains the query characters in order' do
+      report = create(:excel_file, user: user, original_name: 'Q3 Sales Report.xlsx')
+      budget = create(:excel_file, user: user, original_name: 'Budget_100%.xlsx')
+      
+      expect(ExcelFile.fuzzy_search('q3 rpt')).to contain_exactly(report)
+      expect(ExcelFile.fuzzy_search('100%')).to contain_exactly(budget)
+      expect(ExcelFile.fuzzy_search('tpr 3q')).to be_empty
+    end
   end
   
   describe '#latest_analysis' do
@@ -96,6 +105,11 @@ RSpec.describe ExcelFile, type: :model do
       expect(excel_file.can_be_analyzed?).to be true
     end
     
+    it 'returns true for cancelled files' do
+      excel_file.update!(status: 'cancelled')
+      expect(excel_file.can_be_analyzed?).to be true
+    end
+    
     it 'returns false for processing files' do
       excel_file.update!(status: 'processing')
       expect(excel_file.can_be_analyzed?).to be false
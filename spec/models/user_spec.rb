@@ -9,6 +9,9 @@ RSpec.describe User, type: :model do
     it { should validate_presence_of(:tokens) }
     it { should validate_uniqueness_of(:email).case_insensitive }
     it { should validate_numericality_of(:tokens).is_greater_than_or_equal_to(0) }
+    it { should validate_inclusion_of(:theme).in_array(User::THEMES) }
+    it { should validate_inclusion_of(:locale).in_array(User::LOCALES) }
+    it { should validate_inclusion_of(:accent_color).in_array(User::ACCENT_COLORS) }
   end
 
   describe 'associations' do